@@ -5,6 +5,8 @@
  * - Help icon (?)
  * - Current project name (editable)
  * - Project controls (New, Delete, Previous, Next)
+ * - Import/export of .morpher packages
+ * - Storage usage, and a warning when a project couldn't be saved
  * - Additional menu items
  *
  * Events:
@@ -14,10 +16,34 @@
  * - project-prev - User clicked previous project button
  * - project-next - User clicked next project button
  * - project-rename - User renamed the project (detail: { name })
+ * - project-import - User imported a package (detail: { projects })
+ * - project-export - User exported the project (detail: { project })
  */
 
 import { BaseComponent } from './base/BaseComponent.js';
 import { projectStore } from '../models/ProjectStore.js';
+import { PACKAGE_EXTENSION } from '../models/project-package.js';
+import { estimateUsage } from '../utils/storage.js';
+import { debounce } from '../utils/events.js';
+
+// Usage above this share of the quota is shown as a warning
+const STORAGE_WARNING_RATIO = 0.9;
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
 
 class GuiMenuBar extends BaseComponent {
   constructor() {
@@ -25,6 +51,11 @@ class GuiMenuBar extends BaseComponent {
     this.currentProject = null;
     this.isEditing = false;
     this.editingProject = null; // Track which project is being edited
+    this.storageUsage = null; // { usage, quota } in bytes
+    this.saveError = null;
+
+    // Saves happen on every edit, so usage is estimated once they settle
+    this.scheduleStorageUpdate = debounce(() => this.updateStorageUsage(), 1000);
   }
 
   connectedCallback() {
@@ -45,6 +76,18 @@ class GuiMenuBar extends BaseComponent {
 
     this.addTrackedListener(projectStore, 'reset', () => {
       this.updateProject();
+      this.updateStorageUsage();
+    });
+
+    this.addTrackedListener(projectStore, 'save', () => {
+      this.saveError = null;
+      this.scheduleStorageUpdate();
+    });
+
+    this.addTrackedListener(projectStore, 'save:error', (e) => {
+      this.saveError = e.detail.message;
+      this.updateStorageIndicator();
+      this.scheduleStorageUpdate();
     });
 
     // Initial project
@@ -74,6 +117,32 @@ class GuiMenuBar extends BaseComponent {
     this.render();
   }
 
+  async updateStorageUsage() {
+    this.storageUsage = await estimateUsage();
+    this.updateStorageIndicator();
+  }
+
+  /**
+   * Update the storage indicator without re-rendering the bar
+   * (re-rendering would interrupt renaming the project)
+   */
+  updateStorageIndicator() {
+    const indicator = this.query('.storage-usage');
+    if (!indicator) {
+      return;
+    }
+
+    const { usage = 0, quota = 0 } = this.storageUsage || {};
+    const full = quota > 0 && usage / quota > STORAGE_WARNING_RATIO;
+
+    indicator.hidden = !this.storageUsage && !this.saveError;
+    indicator.classList.toggle('warning', Boolean(this.saveError) || full);
+    indicator.textContent = `${this.saveError ? '⚠ ' : ''}Storage: ${formatBytes(usage)}`
+      + (quota > 0 ? ` of ${formatBytes(quota)}` : '');
+    indicator.title = this.saveError
+      || (quota > 0 ? `${Math.round(usage / quota * 100)}% of the storage quota used` : 'Storage used');
+  }
+
   addEventListeners() {
     // Help button
     const helpBtn = this.query('.help-btn');
@@ -128,6 +197,31 @@ class GuiMenuBar extends BaseComponent {
       });
     }
 
+    // Import button opens the file picker
+    const importBtn = this.query('.btn-import');
+    const importInput = this.query('.import-input');
+    if (importBtn && importInput) {
+      this.addTrackedListener(importBtn, 'click', () => {
+        importInput.click();
+      });
+
+      this.addTrackedListener(importInput, 'change', () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (file) {
+          this.importPackage(file);
+        }
+      });
+    }
+
+    // Export button
+    const exportBtn = this.query('.btn-export');
+    if (exportBtn) {
+      this.addTrackedListener(exportBtn, 'click', () => {
+        this.exportProject();
+      });
+    }
+
     // Previous project button
     const prevBtn = this.query('.btn-prev');
     if (prevBtn) {
@@ -147,6 +241,37 @@ class GuiMenuBar extends BaseComponent {
     }
   }
 
+  async importPackage(file) {
+    try {
+      const projects = await projectStore.importPackage(file);
+      this.emit('project-import', { projects });
+    } catch (e) {
+      console.error('[MenuBar] Import failed:', e);
+      alert(`Could not import ${file.name}: ${e.message}`);
+    }
+  }
+
+  async exportProject() {
+    const project = this.currentProject;
+    if (!project) {
+      return;
+    }
+
+    try {
+      const blob = await projectStore.exportPackage([project]);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${project.name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'project'}${PACKAGE_EXTENSION}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      this.emit('project-export', { project });
+    } catch (e) {
+      console.error('[MenuBar] Export failed:', e);
+      alert(`Could not export the project: ${e.message}`);
+    }
+  }
+
   startEditing() {
     this.isEditing = true;
     this.editingProject = this.currentProject; // Capture which project we're editing
@@ -313,6 +438,19 @@ class GuiMenuBar extends BaseComponent {
           padding: var(--spacing-xs, 4px) var(--spacing-sm, 8px);
         }
 
+        .storage-usage {
+          font-size: var(--font-size-sm, 14px);
+          opacity: 0.9;
+          padding: var(--spacing-xs, 4px) var(--spacing-sm, 8px);
+          border-radius: 4px;
+        }
+
+        .storage-usage.warning {
+          opacity: 1;
+          font-weight: 600;
+          background: rgba(220, 53, 69, 0.8);
+        }
+
         .divider {
           width: 1px;
           height: 24px;
@@ -323,6 +461,7 @@ class GuiMenuBar extends BaseComponent {
       <div class="menu-bar">
         <div class="menu-left">
           <button class="help-btn" title="Help">?</button>
+          <span class="storage-usage" hidden></span>
         </div>
 
         <div class="menu-center">
@@ -334,6 +473,10 @@ class GuiMenuBar extends BaseComponent {
           <button class="btn btn-new" title="New Project">New</button>
           <button class="btn btn-delete" title="Delete Project">Delete</button>
           <div class="divider"></div>
+          <button class="btn btn-import" title="Import a ${PACKAGE_EXTENSION} package">Import</button>
+          <button class="btn btn-export" title="Export Project with its images">Export</button>
+          <input class="import-input" type="file" accept="${PACKAGE_EXTENSION},application/zip" hidden>
+          <div class="divider"></div>
           <button class="btn btn-icon btn-prev" title="Previous Project">◀</button>
           <button class="btn btn-icon btn-next" title="Next Project">▶</button>
         </div>
@@ -341,6 +484,7 @@ class GuiMenuBar extends BaseComponent {
     `;
 
     this.addEventListeners();
+    this.updateStorageIndicator();
   }
 }
 
@@ -13,7 +13,28 @@
 
 import { BaseComponent } from './base/BaseComponent.js';
 import { projectStore } from '../models/ProjectStore.js';
-import { Morpher } from 'morpher-js';
+import { Morpher, findFlippedTriangles } from 'morpher-js';
+import { BLEND_MODES } from '../models/Project.js';
+import { hexToRgb, rgbToRgbaString } from '../utils/colors.js';
+import { onShortcut } from '../utils/events.js';
+
+// Region fill colors, assigned in order
+const REGION_COLORS = ['#e83e8c', '#20c997', '#fd7e14', '#6f42c1', '#17a2b8', '#ffc107'];
+
+// Names shown in the blend mode selector
+const BLEND_MODE_LABELS = {
+  default: 'Additive',
+  normal: 'Normal',
+  multiply: 'Multiply',
+  screen: 'Screen',
+  linear: 'Linear light',
+  overlay: 'Overlay',
+  'soft-light': 'Soft light',
+  'hard-light': 'Hard light',
+  difference: 'Difference',
+  luminosity: 'Luminosity',
+  dissolve: 'Dissolve',
+};
 
 class GuiProject extends BaseComponent {
   // Static stylesheet shared across all instances (Constructable Stylesheet API)
@@ -39,9 +60,18 @@ class GuiProject extends BaseComponent {
     this.project = null;
     this.morpher = null;
 
+    // Triangles that fold over in an image or in the preview, see validateMesh()
+    this.meshReport = null;
+
+    // Region whose triangles are edited by clicking on the images
+    this.activeRegionId = null;
+
     // Load zoom level from localStorage, default to 1.0
     const savedZoom = localStorage.getItem('morpher-zoom-level');
     this.zoomLevel = savedZoom ? parseFloat(savedZoom) : 1.0;
+
+    // Snap new points to matching features in the other images (default on)
+    this.snapPoints = localStorage.getItem('morpher-snap-points') !== 'false';
   }
 
   attributeChangedCallback(name, oldValue, newValue) {
@@ -56,6 +86,19 @@ class GuiProject extends BaseComponent {
     if (projectId) {
       this.loadProject(projectId);
     }
+
+    // Document-level, so registered once rather than on every render
+    const options = { ignoreEditable: true };
+    this.removeShortcuts = [
+      ...['ctrl+z', 'cmd+z'].map(keys => onShortcut(keys, () => this.handleUndo(), document, options)),
+      ...['ctrl+shift+z', 'cmd+shift+z'].map(keys => onShortcut(keys, () => this.handleRedo(), document, options)),
+    ];
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    (this.removeShortcuts || []).forEach(remove => remove());
+    this.removeShortcuts = null;
   }
 
   loadProject(projectId) {
@@ -63,6 +106,11 @@ class GuiProject extends BaseComponent {
     if (this.project) {
       this.project.removeEventListener('image:add', this.handleImageChange);
       this.project.removeEventListener('image:remove', this.handleImageChange);
+      this.project.removeEventListener('proposals:change', this.handleProposalsChange);
+      this.project.removeEventListener('regions:change', this.handleRegionsChange);
+      this.project.removeEventListener('change:colorMatching', this.handleColorMatchingChange);
+      this.project.removeEventListener('change:blendMode', this.handleBlendModeChange);
+      this.project.removeEventListener('history:change', this.handleHistoryChange);
       // Remove listeners from all images
       this.project.images.forEach((image) => {
         image.removeEventListener('change:src', this.handleImageChange);
@@ -72,6 +120,7 @@ class GuiProject extends BaseComponent {
 
     // Load new project
     this.project = projectStore.getById(projectId);
+    this.activeRegionId = null;
 
     if (this.project) {
       // Listen to project changes
@@ -83,10 +132,26 @@ class GuiProject extends BaseComponent {
         this.reinitMorpherPreview();
       };
       this.handleWeightsNormalized = () => this.updateWeightSliders();
+      this.handleProposalsChange = () => {
+        this.drawCanvases();
+        this.updateProposalActions();
+      };
+      this.handleRegionsChange = () => {
+        this.drawCanvases();
+        this.syncMorpherRegions();
+      };
+      this.handleColorMatchingChange = () => this.syncMorpherColorMatching();
+      this.handleBlendModeChange = () => this.syncMorpherBlendMode();
+      this.handleHistoryChange = () => this.updateHistoryButtons();
 
       this.project.addEventListener('image:add', this.handleProjectImageAdd);
       this.project.addEventListener('image:remove', this.handleImageChange);
       this.project.addEventListener('weights:normalized', this.handleWeightsNormalized);
+      this.project.addEventListener('proposals:change', this.handleProposalsChange);
+      this.project.addEventListener('regions:change', this.handleRegionsChange);
+      this.project.addEventListener('change:colorMatching', this.handleColorMatchingChange);
+      this.project.addEventListener('change:blendMode', this.handleBlendModeChange);
+      this.project.addEventListener('history:change', this.handleHistoryChange);
 
       // Listen to all existing images for src and points changes
       // (weight changes are handled manually in the slider to avoid re-renders)
@@ -148,6 +213,86 @@ class GuiProject extends BaseComponent {
       });
     }
 
+    // Point detection
+    const detectBtn = this.query('.btn-detect-points');
+    if (detectBtn) {
+      this.addTrackedListener(detectBtn, 'click', () => {
+        this.handleDetectPoints();
+      });
+    }
+
+    const snapCheckbox = this.query('.snap-checkbox');
+    if (snapCheckbox) {
+      this.addTrackedListener(snapCheckbox, 'change', (e) => {
+        this.snapPoints = e.target.checked;
+        localStorage.setItem('morpher-snap-points', String(this.snapPoints));
+      });
+    }
+
+    const undoBtn = this.query('.btn-undo');
+    if (undoBtn) {
+      this.addTrackedListener(undoBtn, 'click', () => this.handleUndo());
+    }
+
+    const redoBtn = this.query('.btn-redo');
+    if (redoBtn) {
+      this.addTrackedListener(redoBtn, 'click', () => this.handleRedo());
+    }
+
+    const colorMatchSelect = this.query('.color-match-select');
+    if (colorMatchSelect) {
+      this.addTrackedListener(colorMatchSelect, 'change', (e) => {
+        this.project.setColorMatching(e.target.value);
+      });
+    }
+
+    const blendModeSelect = this.query('.blend-mode-select');
+    if (blendModeSelect) {
+      this.addTrackedListener(blendModeSelect, 'change', (e) => {
+        this.project.setBlendMode(e.target.value);
+      });
+    }
+
+    const acceptProposalsBtn = this.query('.btn-accept-proposals');
+    if (acceptProposalsBtn) {
+      this.addTrackedListener(acceptProposalsBtn, 'click', () => {
+        this.project.acceptAllProposals();
+      });
+    }
+
+    const rejectProposalsBtn = this.query('.btn-reject-proposals');
+    if (rejectProposalsBtn) {
+      this.addTrackedListener(rejectProposalsBtn, 'click', () => {
+        this.project.clearProposals();
+      });
+    }
+
+    // Regions (delegated, the bar is re-rendered by updateRegionsBar())
+    const regionsBar = this.query('.regions-bar');
+    if (regionsBar) {
+      this.addTrackedListener(regionsBar, 'click', (e) => {
+        this.handleRegionsBarClick(e);
+      });
+
+      this.addTrackedListener(regionsBar, 'input', (e) => {
+        if (e.target.classList.contains('region-weight-slider')) {
+          const value = parseFloat(e.target.value);
+          e.target.nextElementSibling.textContent = value.toFixed(2);
+          this.project.setRegionWeight(this.activeRegionId, e.target.dataset.imageId, value);
+        }
+      });
+
+      this.addTrackedListener(regionsBar, 'change', (e) => {
+        if (e.target.classList.contains('region-name-input')) {
+          const name = e.target.value.trim();
+          if (!this.project.renameRegion(this.activeRegionId, name)) {
+            alert(`A region needs a unique name: "${name}"`);
+          }
+          this.updateRegionsBar();
+        }
+      });
+    }
+
     // File input
     const fileInput = this.query('#file-input');
     if (fileInput) {
@@ -431,7 +576,36 @@ class GuiProject extends BaseComponent {
     return `
       <div class="zoom-controls">
         <button class="btn-add-images add-image-btn">+ Add Images</button>
+        <button class="btn-undo" title="Undo (Ctrl+Z)" ${this.project.history.canUndo() ? '' : 'disabled'}>Undo</button>
+        <button class="btn-redo" title="Redo (Ctrl+Shift+Z)" ${this.project.history.canRedo() ? '' : 'disabled'}>Redo</button>
         <button class="btn-view-json">View / Edit JSON</button>
+        <button class="btn-detect-points" title="Propose matching points between the images">Detect Points</button>
+        <label class="snap-toggle" title="Move new points to the matching feature in the other images">
+          <input type="checkbox" class="snap-checkbox" ${this.snapPoints ? 'checked' : ''} />
+          Snap points
+        </label>
+        <label class="color-match" title="Even out white balance and exposure differences between the images">
+          Colors:
+          <select class="color-match-select">
+            <option value="none" ${this.project.colorMatching === 'none' ? 'selected' : ''}>Original</option>
+            <option value="reference" ${this.project.colorMatching === 'reference' ? 'selected' : ''}>Match first image</option>
+            <option value="average" ${this.project.colorMatching === 'average' ? 'selected' : ''}>Match average</option>
+          </select>
+        </label>
+        <label class="blend-mode" title="How the warped images are combined">
+          Blend:
+          <select class="blend-mode-select">
+            ${BLEND_MODES.map(mode => `
+              <option value="${mode}" ${this.project.blendMode === mode ? 'selected' : ''}>${BLEND_MODE_LABELS[mode]}</option>
+            `).join('')}
+          </select>
+        </label>
+        <span class="proposal-actions" ${this.project.proposals.length ? '' : 'hidden'}>
+          <span class="proposal-count">${this.project.proposals.length} proposed</span>
+          <button class="btn-accept-proposals">Accept All</button>
+          <button class="btn-reject-proposals">Reject All</button>
+        </span>
+        <span class="mesh-warning" hidden></span>
         <span class="zoom-label">Zoom:</span>
         <input
           type="range"
@@ -451,6 +625,55 @@ class GuiProject extends BaseComponent {
     `;
   }
 
+  /**
+   * Generate the regions bar contents: one button per region, and weight
+   * sliders for the region being edited
+   * @returns {string} Regions template
+   */
+  getRegionsTemplate() {
+    const regions = this.project.regions;
+    const active = regions.find(r => r.id === this.activeRegionId);
+
+    const buttons = regions.map((region, i) => `
+      <button
+        class="region-chip ${region === active ? 'active' : ''}"
+        data-region-id="${region.id}"
+        style="border-color: ${this.getRegionColor(i)};"
+        title="Edit region"
+      >${this.escapeHTML(region.name)} (${this.project.getRegionTriangles(region).length})</button>
+    `).join('');
+
+    const editor = active ? `
+      <span class="region-editor">
+        <input type="text" class="region-name-input" value="${this.escapeHTML(active.name)}" title="Region name" />
+        ${this.project.images.map((img, i) => `
+          <label class="region-weight">
+            Image ${i + 1}
+            <input
+              type="range"
+              class="region-weight-slider"
+              min="0"
+              max="1"
+              step="0.01"
+              value="${active.weights[img.id] ?? 0}"
+              data-image-id="${img.id}"
+            />
+            <span class="region-weight-value">${(active.weights[img.id] ?? 0).toFixed(2)}</span>
+          </label>
+        `).join('')}
+        <button class="btn-delete-region">Delete Region</button>
+        <span class="region-hint">Click triangles to add or remove them</span>
+      </span>
+    ` : '';
+
+    return `
+      <span class="regions-label" title="Groups of triangles blended with their own image weights">Regions:</span>
+      ${buttons}
+      <button class="btn-add-region">+ Region</button>
+      ${editor}
+    `;
+  }
+
   /**
    * Generate image tile HTML
    * @param {Object} image - Image object
@@ -528,7 +751,10 @@ class GuiProject extends BaseComponent {
         }
 
         .btn-add-images,
-        .btn-view-json {
+        .btn-view-json,
+        .btn-detect-points,
+        .btn-accept-proposals,
+        .btn-reject-proposals {
           padding: var(--spacing-sm, 8px) var(--spacing-md, 16px);
           background: var(--color-primary, #007bff);
           color: white;
@@ -553,6 +779,123 @@ class GuiProject extends BaseComponent {
           background: var(--color-secondary-hover, #5a6268);
         }
 
+        .btn-detect-points,
+        .btn-reject-proposals {
+          background: var(--color-secondary, #6c757d);
+        }
+
+        .btn-detect-points:hover,
+        .btn-reject-proposals:hover {
+          background: var(--color-secondary-hover, #5a6268);
+        }
+
+        .btn-accept-proposals {
+          background: #ff9800;
+        }
+
+        .btn-accept-proposals:hover {
+          background: #e68900;
+        }
+
+        .btn-detect-points:disabled {
+          opacity: 0.6;
+          cursor: wait;
+        }
+
+        .proposal-actions {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-sm, 8px);
+        }
+
+        .proposal-actions[hidden] {
+          display: none;
+        }
+
+        .snap-toggle {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-xs, 4px);
+          font-size: var(--font-size-sm, 14px);
+          cursor: pointer;
+          user-select: none;
+        }
+
+        .color-match,
+        .blend-mode {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-xs, 4px);
+          font-size: var(--font-size-sm, 14px);
+        }
+
+        .proposal-count {
+          font-size: var(--font-size-sm, 14px);
+          color: var(--color-text-secondary, #666);
+        }
+
+        .mesh-warning {
+          font-size: var(--font-size-sm, 14px);
+          font-weight: 600;
+          color: #dc3545;
+        }
+
+        .mesh-warning[hidden] {
+          display: none;
+        }
+
+        /* Regions Bar */
+        .regions-bar {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: var(--spacing-sm, 8px);
+          padding: var(--spacing-xs, 4px) var(--spacing-md, 16px);
+          background: var(--color-surface, #fff);
+          border-bottom: 1px solid var(--color-border, #ddd);
+          font-size: var(--font-size-sm, 14px);
+          flex-shrink: 0;
+        }
+
+        .region-chip,
+        .btn-add-region,
+        .btn-delete-region {
+          padding: 2px var(--spacing-sm, 8px);
+          background: var(--color-surface, #fff);
+          border: 2px solid var(--color-border, #ddd);
+          border-radius: var(--border-radius, 4px);
+          font-size: var(--font-size-sm, 14px);
+          cursor: pointer;
+        }
+
+        .region-chip.active {
+          font-weight: 600;
+          background: var(--color-background, #f5f5f5);
+        }
+
+        .btn-delete-region {
+          color: #dc3545;
+        }
+
+        .region-editor,
+        .region-weight {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-xs, 4px);
+        }
+
+        .region-editor {
+          gap: var(--spacing-md, 16px);
+        }
+
+        .region-weight-value {
+          min-width: 2.5em;
+        }
+
+        .region-hint {
+          color: var(--color-text-secondary, #666);
+        }
+
         /* Source Images Row (50vh) */
         .source-images-row {
           height: 50vh;
@@ -1006,6 +1349,10 @@ class GuiProject extends BaseComponent {
           ${images.map(image => this.getImageTileTemplate(image)).join('')}
         </div>
 
+        <div class="regions-bar">
+          ${this.getRegionsTemplate()}
+        </div>
+
         <div class="morph-preview-row">
           <canvas id="preview-canvas" class="preview-canvas"></canvas>
         </div>
@@ -1078,6 +1425,8 @@ class GuiProject extends BaseComponent {
   drawCanvases() {
     if (!this.project) return;
 
+    this.updateMeshWarning();
+
     this.project.images.forEach(image => {
       if (!image.file) return;
 
@@ -1150,6 +1499,41 @@ class GuiProject extends BaseComponent {
       return;
     }
 
+    // Fill folded triangles before the outlines so the edges stay visible
+    const problems = this.meshReport ? this.meshReport.images.get(image.id) || [] : [];
+    if (problems.length > 0) {
+      ctx.fillStyle = 'rgba(220, 53, 69, 0.45)';
+      problems.forEach(({ index }) => {
+        const [p1, p2, p3] = this.project.triangles[index].map(i => image.points[i]);
+
+        ctx.beginPath();
+        ctx.moveTo(offsetX + p1.x * width, offsetY + p1.y * height);
+        ctx.lineTo(offsetX + p2.x * width, offsetY + p2.y * height);
+        ctx.lineTo(offsetX + p3.x * width, offsetY + p3.y * height);
+        ctx.closePath();
+        ctx.fill();
+      });
+    }
+
+    // Fill region triangles, the region being edited more strongly
+    this.project.regions.forEach((region, i) => {
+      const rgb = hexToRgb(this.getRegionColor(i));
+      ctx.fillStyle = rgbToRgbaString(rgb, region.id === this.activeRegionId ? 0.45 : 0.2);
+      this.project.getRegionTriangles(region).forEach((index) => {
+        const [p1, p2, p3] = this.project.triangles[index].map(i => image.points[i]);
+        if (!p1 || !p2 || !p3) {
+          return;
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(offsetX + p1.x * width, offsetY + p1.y * height);
+        ctx.lineTo(offsetX + p2.x * width, offsetY + p2.y * height);
+        ctx.lineTo(offsetX + p3.x * width, offsetY + p3.y * height);
+        ctx.closePath();
+        ctx.fill();
+      });
+    });
+
     // Draw triangles (shared across all images)
     if (this.project.triangles && this.project.triangles.length > 0) {
       ctx.strokeStyle = 'rgba(0, 123, 255, 0.5)';
@@ -1210,7 +1594,297 @@ class GuiProject extends BaseComponent {
         ctx.fill();
         ctx.stroke();
       }
+
+      // Snapped points: ring colored by match confidence, percentage on hover
+      if (point.confidence !== undefined) {
+        const radius = isHovered ? hoveredRadius : normalRadius;
+
+        ctx.strokeStyle = this.getConfidenceColor(point.confidence);
+        ctx.lineWidth = normalLineWidth;
+        ctx.beginPath();
+        ctx.arc(x, y, radius + normalLineWidth * 1.5, 0, 2 * Math.PI);
+        ctx.stroke();
+
+        if (isHovered) {
+          const label = `${Math.round(point.confidence * 100)}%`;
+          ctx.font = `bold ${Math.round(basePointSize * 2.5)}px sans-serif`;
+          ctx.textBaseline = 'middle';
+          ctx.lineWidth = normalLineWidth;
+          ctx.strokeStyle = '#000000';
+          ctx.fillStyle = '#ffffff';
+          ctx.strokeText(label, x + radius * 2, y);
+          ctx.fillText(label, x + radius * 2, y);
+        }
+      }
+    });
+
+    this.drawProposals(ctx, offsetX, offsetY, width, height, image);
+  }
+
+  /**
+   * Find inverted, degenerate and overlapping triangles in each image and in
+   * the interpolated mesh at the current weights
+   *
+   * Orientation is compared to the first image, the same way as
+   * Morpher.validate() in the core library.
+   *
+   * @returns {{valid: boolean, images: Map<string, Array>, mesh: Array}} Problems ({index, reason}) by image id
+   */
+  validateMesh() {
+    const report = { valid: true, images: new Map(), mesh: [] };
+    const [reference] = this.project.images;
+    const triangles = this.project.triangles.filter(triangle =>
+      this.project.images.every(image => triangle.every(i => image.points[i])));
+
+    if (!reference || triangles.length !== this.project.triangles.length) {
+      return report;
+    }
+
+    this.project.images.forEach(image => {
+      report.images.set(image.id, findFlippedTriangles(triangles, image.points, reference.points));
     });
+
+    const totalWeight = this.project.images.reduce((sum, image) => sum + image.weight, 0);
+    if (totalWeight > 0) {
+      const interpolated = reference.points.map((_, i) => ({
+        x: this.project.images.reduce((sum, image) => sum + image.points[i].x * image.weight, 0) / totalWeight,
+        y: this.project.images.reduce((sum, image) => sum + image.points[i].y * image.weight, 0) / totalWeight,
+      }));
+      report.mesh = findFlippedTriangles(triangles, interpolated, reference.points);
+    }
+
+    report.valid = report.mesh.length === 0 &&
+      Array.from(report.images.values()).every(problems => problems.length === 0);
+    return report;
+  }
+
+  /**
+   * Re-validate the mesh and show how many triangles fold over
+   */
+  updateMeshWarning() {
+    this.meshReport = this.validateMesh();
+
+    const warning = this.query('.mesh-warning');
+    if (!warning) {
+      return;
+    }
+
+    const counts = this.project.images.map(image => (this.meshReport.images.get(image.id) || []).length);
+    const folded = new Set();
+    this.meshReport.images.forEach(problems => problems.forEach(({ index }) => folded.add(index)));
+    this.meshReport.mesh.forEach(({ index }) => folded.add(index));
+
+    warning.hidden = this.meshReport.valid;
+    warning.textContent = `⚠ ${folded.size} folded triangle${folded.size === 1 ? '' : 's'}`;
+    warning.title = counts
+      .map((count, i) => `Image ${i + 1}: ${count}`)
+      .concat(`Preview: ${this.meshReport.mesh.length}`)
+      .join('\n');
+  }
+
+  /**
+   * Get the fill color of a region
+   * @param {number} index - Region index
+   * @returns {string} Hex color
+   */
+  getRegionColor(index) {
+    return REGION_COLORS[index % REGION_COLORS.length];
+  }
+
+  /**
+   * Re-render the regions bar (region list and the active region's weights)
+   */
+  updateRegionsBar() {
+    const bar = this.query('.regions-bar');
+    if (bar) {
+      bar.innerHTML = this.getRegionsTemplate();
+    }
+  }
+
+  /**
+   * Handle clicks in the regions bar: add, select and delete regions
+   * @param {MouseEvent} e - Click event
+   */
+  handleRegionsBarClick(e) {
+    const chip = e.target.closest('.region-chip');
+
+    if (chip) {
+      // Clicking the active region stops editing it
+      const id = chip.dataset.regionId;
+      this.activeRegionId = this.activeRegionId === id ? null : id;
+    } else if (e.target.closest('.btn-add-region')) {
+      this.activeRegionId = this.project.addRegion().id;
+    } else if (e.target.closest('.btn-delete-region')) {
+      const region = this.project.regions.find(r => r.id === this.activeRegionId);
+      if (!region || !confirm(`Delete region "${region.name}"?`)) {
+        return;
+      }
+      this.activeRegionId = null;
+      this.project.removeRegion(region.id);
+    } else {
+      return;
+    }
+
+    this.updateRegionsBar();
+    this.drawCanvases();
+  }
+
+  /**
+   * Find the triangle containing a position on an image
+   * @param {Image} image - Image model with points
+   * @param {number} x - X coordinate (0-1 normalized)
+   * @param {number} y - Y coordinate (0-1 normalized)
+   * @returns {number} Triangle index, or -1 if the position is outside the mesh
+   */
+  findTriangleAt(image, x, y) {
+    const side = (a, b) => (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x);
+
+    return this.project.triangles.findIndex((triangle) => {
+      const [p1, p2, p3] = triangle.map(i => image.points[i]);
+      if (!p1 || !p2 || !p3) {
+        return false;
+      }
+
+      const d1 = side(p1, p2);
+      const d2 = side(p2, p3);
+      const d3 = side(p3, p1);
+      return (d1 >= 0 && d2 >= 0 && d3 >= 0) || (d1 <= 0 && d2 <= 0 && d3 <= 0);
+    });
+  }
+
+  /**
+   * Get the ring color for a match confidence
+   * @param {number} confidence - Match confidence (0-1)
+   * @returns {string} Green for strong, amber for fair, red for weak matches
+   */
+  getConfidenceColor(confidence) {
+    if (confidence >= 0.8) {
+      return '#28a745';
+    }
+    return confidence >= 0.6 ? '#ffc107' : '#dc3545';
+  }
+
+  /**
+   * Draw detected point proposals as dashed rings
+   * Left-click a ring to accept it, right-click to reject it
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} offsetX - Image X offset
+   * @param {number} offsetY - Image Y offset
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {Image} image - Image model
+   */
+  drawProposals(ctx, offsetX, offsetY, width, height, image) {
+    const proposals = this.getProposalPoints(image);
+    if (proposals.length === 0) {
+      return;
+    }
+
+    const radius = Math.max(4, Math.min(12, width / 160));
+
+    ctx.save();
+    ctx.setLineDash([radius / 2, radius / 3]);
+    ctx.lineWidth = Math.max(1.5, radius / 3);
+
+    proposals.forEach((point) => {
+      const isHovered = point.id === this.hoveredProposalId;
+      ctx.strokeStyle = isHovered ? '#ffffff' : '#ff9800';
+      ctx.fillStyle = isHovered ? 'rgba(255, 152, 0, 0.6)' : 'rgba(255, 152, 0, 0.2)';
+
+      ctx.beginPath();
+      ctx.arc(offsetX + point.x * width, offsetY + point.y * height, radius, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Get the proposal positions for one image
+   * @param {Image} image - Image model
+   * @returns {Array} Array of { id, x, y } with proposal IDs
+   */
+  getProposalPoints(image) {
+    const index = this.project.images.indexOf(image);
+    if (index === -1) {
+      return [];
+    }
+
+    return this.project.proposals.map(proposal => ({
+      id: proposal.id,
+      ...(proposal.points[index] || proposal.points[0]),
+    }));
+  }
+
+  /**
+   * Show or hide the accept/reject buttons for proposals
+   */
+  updateProposalActions() {
+    const actions = this.query('.proposal-actions');
+    if (!actions) {
+      return;
+    }
+
+    const count = this.project.proposals.length;
+    actions.hidden = count === 0;
+    actions.querySelector('.proposal-count').textContent = `${count} proposed`;
+  }
+
+  /**
+   * Detect matching feature points between the first image and every other
+   * image, and show the points found in all of them as proposals
+   */
+  async handleDetectPoints() {
+    const morpherImages = this.morpher ? this.morpher.images : [];
+    const ready = morpherImages.length >= 2 &&
+      morpherImages.length === this.project.images.length &&
+      morpherImages.every(img => img.loaded);
+
+    if (!ready) {
+      alert('Add at least two images and wait for them to load before detecting points.');
+      return;
+    }
+
+    const button = this.query('.btn-detect-points');
+    button.disabled = true;
+    button.textContent = 'Detecting...';
+
+    try {
+      const [first, ...others] = morpherImages;
+      const key = (p) => `${p.x},${p.y}`;
+      const normalize = (img, p) => ({
+        x: p.x / (img.el.naturalWidth || img.el.width),
+        y: p.y / (img.el.naturalHeight || img.el.height),
+      });
+
+      // Detection runs from the first image, so its positions identify a feature
+      const lookups = [];
+      for (const other of others) {
+        const matches = await this.morpher.detectCorrespondences(first, other);
+        lookups.push(new Map(matches.map(m => [key(m.a), m])));
+      }
+
+      const proposals = [];
+      lookups[0].forEach((match, k) => {
+        const matches = lookups.map(lookup => lookup.get(k));
+        if (matches.some(m => !m)) {
+          return;
+        }
+
+        proposals.push({
+          points: [normalize(first, match.a), ...matches.map((m, i) => normalize(others[i], m.b))],
+          score: Math.min(...matches.map(m => m.score)),
+        });
+      });
+
+      this.project.setProposals(proposals);
+    } catch (e) {
+      console.error('Point detection failed:', e);
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Detect Points';
+    }
   }
 
   addImageEventListeners() {
@@ -1226,6 +1900,8 @@ class GuiProject extends BaseComponent {
   addWeightSliderListeners() {
     const sliders = this.queryAll('.weight-slider');
     sliders.forEach(slider => {
+      let changing = false;
+
       const handleWeightInput = (e) => {
         // Update the model to trigger weight normalization
         const imageId = e.target.dataset.imageId;
@@ -1237,9 +1913,15 @@ class GuiProject extends BaseComponent {
           return;
         }
 
+        // A slider drag is undone in one step, closed by the change event
+        if (!changing) {
+          changing = true;
+          this.project.beginChange('Change weight');
+        }
+
         // Update the changed image's targetWeight
         // This will trigger handleWeightChange in Project model
-        image.targetWeight = value;
+        this.project.setImageWeight(image, value);
 
         // Update current slider background gradient
         this.updateSliderBackground(e.target, percentage);
@@ -1285,6 +1967,10 @@ class GuiProject extends BaseComponent {
       const handleWeightChange = (e) => {
         // Save to localStorage when user releases the slider
         if (this.project) {
+          if (changing) {
+            changing = false;
+            this.project.endChange();
+          }
           this.project.save();
         }
       };
@@ -1322,6 +2008,7 @@ class GuiProject extends BaseComponent {
   addCanvasInteractionListeners() {
     // Track hovered point ID across all canvases
     this.hoveredPointId = null;
+    this.hoveredProposalId = null;
 
     const canvases = this.queryAll('.image-canvas');
     canvases.forEach((canvas) => {
@@ -1352,10 +2039,11 @@ class GuiProject extends BaseComponent {
         );
 
         if (nearest) {
-          // Start dragging existing point
+          // Start dragging existing point; the whole drag is one undo step
           draggedPointIndex = nearest.pointId;
           isDragging = true;
           canvas.style.cursor = 'grabbing';
+          this.project.beginChange('Move point');
         }
       });
 
@@ -1372,7 +2060,7 @@ class GuiProject extends BaseComponent {
           // Convert mouse position to normalized coordinates (0-1) relative to image area
           const normalizedX = Math.max(0, Math.min(1, (coords.x - coords.offsetX) / coords.drawWidth));
           const normalizedY = Math.max(0, Math.min(1, (coords.y - coords.offsetY) / coords.drawHeight));
-          image.updatePoint(draggedPointIndex, normalizedX, normalizedY);
+          this.project.movePoint(image, draggedPointIndex, normalizedX, normalizedY);
         } else {
           // Update cursor and hover highlighting when over points
           const nearest = this.findNearestPoint(
@@ -1386,16 +2074,30 @@ class GuiProject extends BaseComponent {
           );
 
           const hoveredId = nearest ? nearest.pointId : null;
+          const nearestProposal = nearest ? null : this.findNearestPoint(
+            this.getProposalPoints(image),
+            coords.x,
+            coords.y,
+            coords.offsetX,
+            coords.offsetY,
+            coords.drawWidth,
+            coords.drawHeight
+          );
+          const hoveredProposalId = nearestProposal ? nearestProposal.pointId : null;
 
           // Update global hovered point ID if changed
-          if (this.hoveredPointId !== hoveredId) {
+          if (this.hoveredPointId !== hoveredId || this.hoveredProposalId !== hoveredProposalId) {
             this.hoveredPointId = hoveredId;
+            this.hoveredProposalId = hoveredProposalId;
             this.drawCanvases(); // Redraw all canvases to show highlight
           }
 
-          // All images: crosshair for adding points, grab for dragging
+          // All images: crosshair for adding points, grab for dragging,
+          // pointer for accepting proposals
           if (nearest) {
             canvas.style.cursor = 'grab';
+          } else if (nearestProposal || this.activeRegionId) {
+            canvas.style.cursor = 'pointer';
           } else {
             canvas.style.cursor = 'crosshair';
           }
@@ -1413,26 +2115,40 @@ class GuiProject extends BaseComponent {
           isDragging = false;
           draggedPointIndex = null;
           canvas.style.cursor = 'crosshair';
+          this.project.endChange();
         } else {
-          // Click without drag - add new point to ALL images at same position
           const coords = this.getCanvasCoordinates(canvas, e);
           const normalizedX = (coords.x - coords.offsetX) / coords.drawWidth;
           const normalizedY = (coords.y - coords.offsetY) / coords.drawHeight;
 
-          // Add to all images to keep them in sync
-          // Use the current image to generate the ID, then use same ID for all images
-          let pointId = null;
-          const currentImage = this.findImageById(imageId);
-
-          this.project.images.forEach((img) => {
-            if (img === currentImage) {
-              // Current image generates the ID
-              pointId = img.addPoint(normalizedX, normalizedY);
-            } else {
-              // Other images use the same ID
-              img.addPoint(normalizedX, normalizedY, pointId);
+          // Editing a region - click toggles the triangle instead of adding a point
+          if (this.activeRegionId) {
+            const image = this.findImageById(imageId);
+            const index = image ? this.findTriangleAt(image, normalizedX, normalizedY) : -1;
+            if (index !== -1) {
+              this.project.toggleRegionTriangle(this.activeRegionId, index);
+              this.updateRegionsBar();
             }
-          });
+            return;
+          }
+
+          // Click on a proposal - accept it
+          const proposal = this.findNearestPoint(
+            this.getProposalPoints(this.findImageById(imageId)),
+            coords.x,
+            coords.y,
+            coords.offsetX,
+            coords.offsetY,
+            coords.drawWidth,
+            coords.drawHeight
+          );
+          if (proposal) {
+            this.project.acceptProposal(proposal.pointId);
+            return;
+          }
+
+          // Click without drag - add new point to ALL images
+          this.addPointToAllImages(this.findImageById(imageId), normalizedX, normalizedY);
         }
       });
 
@@ -1442,6 +2158,7 @@ class GuiProject extends BaseComponent {
           isDragging = false;
           draggedPointIndex = null;
           canvas.style.cursor = 'crosshair';
+          this.project.endChange();
         }
       });
 
@@ -1466,20 +2183,26 @@ class GuiProject extends BaseComponent {
 
         if (nearest) {
           // Delete point from ALL images using the point ID
-          this.project.images.forEach((img) => {
-            const pointIndex = img.points.findIndex(p => p.id === nearest.pointId);
-            if (pointIndex !== -1) {
-              img.points.splice(pointIndex, 1);
-            }
-          });
-
-          // Now trigger triangulation and save once
-          this.project.autoTriangulate();
-          this.project.save();
+          // (the project triangulates and saves once)
+          this.project.removePoint(nearest.pointId);
 
           // Trigger re-render and reinit morpher preview
           this.drawCanvases();
           this.reinitMorpherPreview();
+        } else {
+          // Right-click on a proposal - reject it
+          const proposal = this.findNearestPoint(
+            this.getProposalPoints(image),
+            coords.x,
+            coords.y,
+            coords.offsetX,
+            coords.offsetY,
+            coords.drawWidth,
+            coords.drawHeight
+          );
+          if (proposal) {
+            this.project.rejectProposal(proposal.pointId);
+          }
         }
       });
 
@@ -1500,6 +2223,128 @@ class GuiProject extends BaseComponent {
     });
   }
 
+  /**
+   * Add a point to all images with a shared ID
+   * With snapping enabled, the point is moved to the best matching feature in
+   * each other image; otherwise all images use the same position.
+   * @param {Image} currentImage - Image the user clicked on
+   * @param {number} x - X coordinate (0-1 normalized)
+   * @param {number} y - Y coordinate (0-1 normalized)
+   */
+  async addPointToAllImages(currentImage, x, y) {
+    if (!currentImage) {
+      return;
+    }
+
+    const snapped = this.snapPoints ? await this.findSnappedPositions(currentImage, x, y) : new Map();
+
+    // The clicked image keeps the position, others use their match if there is one
+    this.project.addPoint(this.project.images.map(img => (img !== currentImage && snapped.get(img)) || { x, y }));
+  }
+
+  /**
+   * Undo the last change to the project
+   */
+  handleUndo() {
+    if (this.project && this.project.undo()) {
+      this.refreshAfterHistory();
+    }
+  }
+
+  /**
+   * Redo the last undone change to the project
+   */
+  handleRedo() {
+    if (this.project && this.project.redo()) {
+      this.refreshAfterHistory();
+    }
+  }
+
+  /**
+   * Redraw after undo/redo
+   * Point removal and weight restores don't fire image events, so the
+   * canvases, sliders and preview are refreshed here.
+   */
+  refreshAfterHistory() {
+    this.drawCanvases();
+    this.updateWeightSliders();
+    this.reinitMorpherPreview();
+  }
+
+  /**
+   * Enable the undo/redo buttons to match the project history
+   */
+  updateHistoryButtons() {
+    const undoBtn = this.query('.btn-undo');
+    const redoBtn = this.query('.btn-redo');
+    if (undoBtn) {
+      undoBtn.disabled = !this.project.history.canUndo();
+      undoBtn.title = this.project.history.canUndo() ? `Undo ${this.project.history.getUndoLabel()} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    }
+    if (redoBtn) {
+      redoBtn.disabled = !this.project.history.canRedo();
+      redoBtn.title = this.project.history.canRedo() ? `Redo ${this.project.history.getRedoLabel()} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
+  }
+
+  /**
+   * Find where a position on one image lies in every other image
+   * @param {Image} currentImage - Image the position was placed on
+   * @param {number} x - X coordinate (0-1 normalized)
+   * @param {number} y - Y coordinate (0-1 normalized)
+   * @returns {Promise<Map>} Map of image to { x, y, confidence } (normalized); images
+   *   that couldn't be matched are left out
+   */
+  async findSnappedPositions(currentImage, x, y) {
+    const snapped = new Map();
+    const morpher = this.morpher;
+    const ready = morpher &&
+      morpher.images.length === this.project.images.length &&
+      morpher.images.every(img => img.loaded);
+
+    if (!ready) {
+      return snapped;
+    }
+
+    const size = (img) => ({
+      width: img.el.naturalWidth || img.el.width,
+      height: img.el.naturalHeight || img.el.height,
+    });
+    const source = morpher.images[this.project.images.indexOf(currentImage)];
+    const { width, height } = size(source);
+
+    try {
+      await Promise.all(this.project.images.map(async (img, i) => {
+        const target = morpher.images[i];
+        if (target === source) {
+          return;
+        }
+
+        const targetSize = size(target);
+        const result = await morpher.refinePosition(
+          source,
+          { x: x * width, y: y * height },
+          target,
+          { x: x * targetSize.width, y: y * targetSize.height }
+        );
+
+        // Low-confidence matches are usually wrong; keep the clicked position
+        if (result.score >= 0.5) {
+          snapped.set(img, {
+            x: Math.max(0, Math.min(1, result.x / targetSize.width)),
+            y: Math.max(0, Math.min(1, result.y / targetSize.height)),
+            confidence: result.score,
+          });
+        }
+      }));
+    } catch (e) {
+      console.warn('Point snapping failed:', e);
+      snapped.clear();
+    }
+
+    return snapped;
+  }
+
   /**
    * Show the JSON modal for the entire project
    */
@@ -1849,13 +2694,56 @@ class GuiProject extends BaseComponent {
     this.project.triangles.forEach((triangle, idx) => {
       this.morpher.addTriangle(triangle[0], triangle[1], triangle[2]);
     });
+
+    // Region indices depend on the triangles
+    this.syncMorpherRegions();
+    this.syncMorpherColorMatching();
+    this.syncMorpherBlendMode();
+  }
+
+  /**
+   * Sync regions from project to morpher (regions are named by ID)
+   */
+  syncMorpherRegions() {
+    if (!this.morpher || !this.project) return;
+
+    this.morpher.regions.map(r => r.name).forEach(name => this.morpher.removeRegion(name));
+
+    this.project.regions.forEach(region => {
+      const weights = this.project.images.map(img => region.weights[img.id] ?? 0);
+      this.morpher.addRegion(region.id, this.project.getRegionTriangles(region), weights);
+    });
+  }
+
+  /**
+   * Sync the color matching mode from project to morpher
+   */
+  syncMorpherColorMatching() {
+    if (!this.morpher || !this.project) return;
+
+    this.morpher.setColorMatching(this.project.colorMatching);
+  }
+
+  /**
+   * Sync the blend mode from project to morpher and redraw
+   */
+  syncMorpherBlendMode() {
+    if (!this.morpher || !this.project) return;
+
+    this.morpher.setBlendFunction(this.project.blendMode);
+    this.morpher.draw();
   }
 
   /**
    * Update morpher weights from project
    */
   updateMorpherWeights() {
-    if (!this.morpher || !this.project) return;
+    if (!this.project) return;
+
+    // Folds in the preview depend on the weights
+    this.updateMeshWarning();
+
+    if (!this.morpher) return;
 
     const weights = this.project.images.map(img => img.weight);
     this.morpher.set(weights);
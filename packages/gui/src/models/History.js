@@ -0,0 +1,209 @@
+/**
+ * History Model
+ *
+ * Undo/redo stack of commands for a project.
+ * A command is an object with:
+ * - label - Short description (e.g. 'Move point')
+ * - undo() - Revert the change
+ * - redo() - Apply the change again
+ * - key (optional) - Commands with the same key are merged while a change is open
+ *
+ * Commands are recorded after they have been applied; the history never runs
+ * redo() on push. Everything recorded between begin() and end() becomes a
+ * single entry, and a command whose key matches the previous one in that
+ * entry replaces it, keeping the first undo and the last redo. This keeps a
+ * drag that moves a point on every mouse event down to one step.
+ *
+ * Events:
+ * - change - Fired when the undo or redo stack changes
+ */
+
+export class History extends EventTarget {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit=100] - Maximum number of undo steps
+   */
+  constructor(options = {}) {
+    super();
+
+    this.limit = options.limit ?? 100;
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // Entry being built between begin() and end()
+    this.pending = null;
+    this.depth = 0;
+
+    // True while a command is being undone or redone
+    this.applying = false;
+  }
+
+  /**
+   * Record a command that has just been applied
+   * Ignored while undoing or redoing, so commands can reuse the methods
+   * that record them.
+   * @param {Object} command - Command with label, undo(), redo() and optional key
+   */
+  push(command) {
+    if (this.applying) {
+      return;
+    }
+
+    if (this.pending) {
+      const commands = this.pending.commands;
+      const last = commands[commands.length - 1];
+      if (last && command.key && last.key === command.key) {
+        commands[commands.length - 1] = { ...command, undo: last.undo };
+      } else {
+        commands.push(command);
+      }
+      return;
+    }
+
+    this._add({ label: command.label, commands: [command] });
+  }
+
+  /**
+   * Start grouping commands into one entry (calls can be nested)
+   * @param {string} label - Label of the entry
+   */
+  begin(label) {
+    if (this.depth === 0) {
+      this.pending = { label, commands: [] };
+    }
+    this.depth++;
+  }
+
+  /**
+   * Finish the entry started with begin()
+   * Empty entries are dropped.
+   */
+  end() {
+    if (this.depth === 0) {
+      return;
+    }
+
+    this.depth--;
+    if (this.depth === 0) {
+      const entry = this.pending;
+      this.pending = null;
+      if (entry.commands.length > 0) {
+        this._add(entry);
+      }
+    }
+  }
+
+  /**
+   * Revert the last entry
+   * @returns {boolean} True if there was something to undo
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) {
+      return false;
+    }
+
+    this._apply(() => {
+      for (let i = entry.commands.length - 1; i >= 0; i--) {
+        entry.commands[i].undo();
+      }
+    });
+    this.redoStack.push(entry);
+    this._dispatchChange();
+    return true;
+  }
+
+  /**
+   * Apply the last undone entry again
+   * @returns {boolean} True if there was something to redo
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) {
+      return false;
+    }
+
+    this._apply(() => {
+      entry.commands.forEach(command => command.redo());
+    });
+    this.undoStack.push(entry);
+    this._dispatchChange();
+    return true;
+  }
+
+  /**
+   * @returns {boolean} True if there is an entry to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean} True if there is an entry to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Label of the entry undo() would revert
+   * @returns {string|null}
+   */
+  getUndoLabel() {
+    return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+  }
+
+  /**
+   * Label of the entry redo() would apply
+   * @returns {string|null}
+   */
+  getRedoLabel() {
+    return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+  }
+
+  /**
+   * Forget all entries
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pending = null;
+    this.depth = 0;
+    this._dispatchChange();
+  }
+
+  /**
+   * @private
+   * @param {Object} entry - Entry as { label, commands }
+   */
+  _add(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this._dispatchChange();
+  }
+
+  /**
+   * @private
+   * @param {Function} fn - Function running the commands
+   */
+  _apply(fn) {
+    this.applying = true;
+    try {
+      fn();
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _dispatchChange() {
+    this.dispatchEvent(new CustomEvent('change', {
+      detail: { canUndo: this.canUndo(), canRedo: this.canRedo(), history: this },
+    }));
+  }
+}
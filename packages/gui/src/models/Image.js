@@ -41,22 +41,14 @@ export class Image extends EventTarget {
     this.sitecoreId = attrs.sitecoreId || '';
 
     // Mesh points for this image (normalized coordinates 0-1)
-    // Points now have format: { id: number, x: number, y: number }
+    // Points now have format: { id: number, x: number, y: number, confidence?: number }
+    // (confidence is set when the point was snapped to a matching feature)
     this.points = attrs.points || [];
 
     // Track next available point ID
+    // (points saved without IDs get them from the project migrations, see project-schema.js)
     this.nextPointId = attrs.nextPointId || 0;
 
-    // If we have points without IDs, assign them IDs now
-    if (this.points.length > 0 && !this.points[0].hasOwnProperty('id')) {
-      this.points = this.points.map((p, idx) => ({
-        id: idx,
-        x: p.x,
-        y: p.y
-      }));
-      this.nextPointId = this.points.length;
-    }
-
     // Reference to Morpher library's Image instance (set by Project)
     this.morpherImage = null;
   }
@@ -230,13 +222,17 @@ export class Image extends EventTarget {
    * @param {number} x - X coordinate (0-1 normalized)
    * @param {number} y - Y coordinate (0-1 normalized)
    * @param {number} [id] - Optional point ID (if not provided, will auto-increment)
+   * @param {number} [confidence] - Match confidence (0-1) if the position was snapped automatically
    * @returns {number} Point ID
    */
-  addPoint(x, y, id = null) {
+  addPoint(x, y, id = null, confidence = null) {
     // Use provided ID or generate new one
     const pointId = id !== null ? id : this.nextPointId++;
 
     const point = { id: pointId, x, y };
+    if (confidence !== null) {
+      point.confidence = confidence;
+    }
     this.points.push(point);
 
     // Ensure nextPointId is always larger than any existing ID
@@ -253,15 +249,22 @@ export class Image extends EventTarget {
 
   /**
    * Update a point's position by ID
+   * A manually placed point no longer has a match confidence
    * @param {number} id - Point ID
    * @param {number} x - X coordinate (0-1 normalized)
    * @param {number} y - Y coordinate (0-1 normalized)
+   * @param {number} [confidence] - Match confidence to keep (e.g. when undoing a move)
    */
-  updatePoint(id, x, y) {
+  updatePoint(id, x, y, confidence = null) {
     const point = this.points.find(p => p.id === id);
     if (point) {
       point.x = x;
       point.y = y;
+      if (confidence !== null) {
+        point.confidence = confidence;
+      } else {
+        delete point.confidence;
+      }
 
       this.dispatchEvent(new CustomEvent('points:change', {
         detail: { type: 'point:update', id, point, image: this }
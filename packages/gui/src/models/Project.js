@@ -7,8 +7,10 @@
  * - Image collection
  * - Mesh/triangle data
  * - Custom blend and final touch functions
- * - Auto-saving to localStorage
+ * - Auto-saving to storage (image files are kept as Blobs when the backend
+ *   supports them)
  * - Weight normalization
+ * - Undo/redo history of edits
  *
  * Events:
  * - change:name - Fired when project name changes
@@ -16,16 +18,36 @@
  * - image:add - Fired when image is added
  * - image:remove - Fired when image is removed
  * - morpher:change - Fired when morpher data changes
+ * - proposals:change - Fired when detected point proposals change
+ * - regions:change - Fired when regions or their weights change
+ * - change:colorMatching - Fired when the color matching mode changes
+ * - change:blendMode - Fired when the blend mode changes
+ * - history:change - Fired when the undo/redo history changes
+ * - save - Fired when the project has been saved
+ * - save:error - Fired when the project or its image data couldn't be saved
  */
 
-import { generateTimestampId } from '../utils/id-generator.js';
+import { generateTimestampId, generateShortId } from '../utils/id-generator.js';
 import { randomPastelColor } from '../utils/colors.js';
 import { Image } from './Image.js';
+import { History } from './History.js';
 import { createNamespace } from '../utils/storage.js';
+import { isDataURL, dataURLToBlob, blobToDataURL } from '../utils/data-url.js';
 import { triangulate } from '../utils/delaunay.js';
+import { SchemaError } from 'morpher-js';
+import { PROJECT_SCHEMA_VERSION, migrateProjectJSON, validateProjectJSON } from './project-schema.js';
 
 const STORAGE_NAMESPACE = 'morpher-gui';
 
+// Matches the morpher's color matching modes ('reference' is the first image)
+const COLOR_MATCHING_MODES = ['none', 'reference', 'average'];
+
+// Blend modes from the morpher's registry that can be picked in the editor
+export const BLEND_MODES = [
+  'default', 'normal', 'multiply', 'screen', 'linear', 'overlay',
+  'soft-light', 'hard-light', 'difference', 'luminosity', 'dissolve',
+];
+
 export class Project extends EventTarget {
   /**
    * @param {Object} attrs - Project attributes
@@ -34,6 +56,8 @@ export class Project extends EventTarget {
    * @param {string} [attrs.color] - Theme color (auto-generated if not provided)
    * @param {string} [attrs.blend_function=null] - Custom blend function code
    * @param {string} [attrs.final_touch_function=null] - Custom final touch function code
+   * @param {string} [attrs.color_matching='none'] - Color matching mode
+   * @param {string} [attrs.blend_mode='default'] - Blend mode name (see BLEND_MODES)
    * @param {Object} [attrs.morpher] - Morpher configuration data
    * @param {Array} [attrs.images] - Array of image data
    */
@@ -45,6 +69,8 @@ export class Project extends EventTarget {
     this._color = attrs.color || randomPastelColor();
     this.blendFunction = attrs.blend_function || null;
     this.finalTouchFunction = attrs.final_touch_function || null;
+    this.colorMatching = COLOR_MATCHING_MODES.includes(attrs.color_matching) ? attrs.color_matching : 'none';
+    this.blendMode = BLEND_MODES.includes(attrs.blend_mode) ? attrs.blend_mode : 'default';
 
     // Images collection
     this.images = [];
@@ -52,6 +78,21 @@ export class Project extends EventTarget {
     // Mesh triangles (shared across all images)
     this.triangles = attrs.triangles || [];
 
+    // Groups of triangles blended with their own image weights. Triangles are
+    // stored by point IDs so regions survive re-triangulation.
+    this.regions = (attrs.regions || []).map(region => ({
+      id: region.id,
+      name: region.name,
+      triangles: region.triangles.slice(),
+      weights: { ...region.weights },
+    }));
+
+    // Detected point proposals awaiting accept/reject (not persisted)
+    this.proposals = [];
+
+    // Image files already written to a Blob backend, by image ID
+    this._storedFiles = new Map();
+
     // Morpher instance will be created when needed
     // (requires the morpher library to be loaded)
     this.morpher = null;
@@ -61,10 +102,21 @@ export class Project extends EventTarget {
       this._initFromMorpherData(attrs.morpher);
     }
 
+    // Edits that can be undone (not persisted)
+    this.history = new History();
+
     // Initialize images if provided
     if (attrs.images) {
       attrs.images.forEach(imgData => this.addImage(imgData, { skipSave: true }));
     }
+
+    // Loading the project isn't an edit
+    this.history.clear();
+    this.history.addEventListener('change', (e) => {
+      this.dispatchEvent(new CustomEvent('history:change', {
+        detail: { ...e.detail, project: this },
+      }));
+    });
   }
 
   /**
@@ -148,6 +200,7 @@ export class Project extends EventTarget {
    * @param {Image|Object} imageData - Image instance or data
    * @param {Object} options - Options
    * @param {boolean} [options.skipSave=false] - Skip auto-save
+   * @param {number} [options.index] - Position in the image list (defaults to the end)
    * @returns {Image}
    */
   addImage(imageData, options = {}) {
@@ -175,7 +228,8 @@ export class Project extends EventTarget {
       }
     }
 
-    this.images.push(image);
+    const index = options.index ?? this.images.length;
+    this.images.splice(index, 0, image);
 
     // Add to morpher if available
     if (this.morpher && image.morpherImage) {
@@ -202,6 +256,18 @@ export class Project extends EventTarget {
       this.save();
     }
 
+    // The image is re-created from its data on redo, since removing it disposes it
+    let data = null;
+    this.history.push({
+      label: 'Add image',
+      undo: () => {
+        const added = this.findImage(image.id);
+        data = added.toJSON();
+        this.removeImage(added);
+      },
+      redo: () => this.addImage(data, { index }),
+    });
+
     return image;
   }
 
@@ -212,6 +278,22 @@ export class Project extends EventTarget {
   removeImage(image) {
     const index = this.images.indexOf(image);
     if (index !== -1) {
+      const data = image.toJSON();
+      const regionWeights = Object.fromEntries(this.regions.map(region => [region.id, region.weights[image.id]]));
+      this.history.push({
+        label: 'Remove image',
+        undo: () => {
+          this.addImage(data, { index });
+          this.regions.forEach(region => {
+            if (regionWeights[region.id] !== undefined) {
+              region.weights[image.id] = regionWeights[region.id];
+            }
+          });
+          this.save();
+        },
+        redo: () => this.removeImage(this.findImage(image.id)),
+      });
+
       this.images.splice(index, 1);
 
       // Remove from morpher if available
@@ -219,6 +301,10 @@ export class Project extends EventTarget {
         this.morpher.removeImage(image.morpherImage);
       }
 
+      this.regions.forEach(region => {
+        delete region.weights[image.id];
+      });
+
       // Clean up image
       image.dispose();
 
@@ -230,6 +316,139 @@ export class Project extends EventTarget {
     }
   }
 
+  /**
+   * Find an image by ID
+   * Undo and redo can re-create images, so commands refer to them by ID.
+   * @param {string} id - Image ID
+   * @returns {Image|undefined}
+   */
+  findImage(id) {
+    return this.images.find(img => img.id === id);
+  }
+
+  /**
+   * Add a point to all images with a shared ID
+   * @param {Array} positions - Normalized { x, y, confidence? } per image, in image order;
+   *   images without a position use the first one
+   * @returns {number|null} Point ID, or null without images
+   */
+  addPoint(positions) {
+    if (this.images.length === 0) {
+      return null;
+    }
+
+    const pointId = this._insertPoint(positions);
+    this.history.push({
+      label: 'Add point',
+      undo: () => this._deletePoint(pointId),
+      redo: () => this._insertPoint(positions, pointId),
+    });
+    return pointId;
+  }
+
+  /**
+   * Move a point on one image
+   * Moves of the same point inside one change (see beginChange) are undone together.
+   * @param {Image} image - Image the point is on
+   * @param {number} id - Point ID
+   * @param {number} x - X coordinate (0-1 normalized)
+   * @param {number} y - Y coordinate (0-1 normalized)
+   * @returns {boolean} True if the point exists
+   */
+  movePoint(image, id, x, y) {
+    const point = image.points.find(p => p.id === id);
+    if (!point) {
+      return false;
+    }
+
+    const before = { x: point.x, y: point.y, confidence: point.confidence ?? null };
+    const imageId = image.id;
+    image.updatePoint(id, x, y);
+
+    this.history.push({
+      label: 'Move point',
+      key: `move:${imageId}:${id}`,
+      undo: () => this.findImage(imageId)?.updatePoint(id, before.x, before.y, before.confidence),
+      redo: () => this.findImage(imageId)?.updatePoint(id, x, y),
+    });
+    return true;
+  }
+
+  /**
+   * Remove a point from all images
+   * @param {number} id - Point ID
+   * @returns {boolean} True if the point existed
+   */
+  removePoint(id) {
+    const removed = this._deletePoint(id);
+    if (removed.length === 0) {
+      return false;
+    }
+
+    this.history.push({
+      label: 'Delete point',
+      undo: () => this._restorePoints(removed),
+      redo: () => this._deletePoint(id),
+    });
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {Array} positions - Position per image (see addPoint)
+   * @param {number} [id] - Point ID to reuse (defaults to the first image's next ID)
+   * @returns {number} Point ID
+   */
+  _insertPoint(positions, id = null) {
+    let pointId = id;
+    this.images.forEach((img, i) => {
+      const { x, y, confidence } = positions[i] || positions[0];
+      pointId = img.addPoint(x, y, pointId, confidence ?? null);
+    });
+    return pointId;
+  }
+
+  /**
+   * Remove a point from all images, triangulating and saving once
+   * @private
+   * @param {number} id - Point ID
+   * @returns {Array} Removed points as { imageId, index, point }
+   */
+  _deletePoint(id) {
+    const removed = [];
+    this.images.forEach(img => {
+      const index = img.points.findIndex(p => p.id === id);
+      if (index !== -1) {
+        removed.push({ imageId: img.id, index, point: img.points[index] });
+        img.points.splice(index, 1);
+      }
+    });
+
+    if (removed.length > 0) {
+      this.autoTriangulate();
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Put removed points back at their original positions in each image
+   * Triangles refer to points by index, so the order matters.
+   * @private
+   * @param {Array} removed - Points returned by _deletePoint()
+   */
+  _restorePoints(removed) {
+    removed.forEach(({ imageId, index, point }) => {
+      const img = this.findImage(imageId);
+      if (img) {
+        img.points.splice(Math.min(index, img.points.length), 0, { ...point });
+        img.nextPointId = Math.max(img.nextPointId, point.id + 1);
+      }
+    });
+    this.autoTriangulate();
+    this.save();
+  }
+
   /**
    * Automatically triangulate mesh based on first image's points
    * Uses Delaunay triangulation algorithm
@@ -256,6 +475,7 @@ export class Project extends EventTarget {
    * @param {number} p3 - Third point index
    */
   addTriangle(p1, p2, p3) {
+    this._recordTriangles('Add triangle');
     this.triangles.push([p1, p2, p3]);
 
     this.dispatchEvent(new CustomEvent('mesh:change', {
@@ -269,6 +489,340 @@ export class Project extends EventTarget {
     }
   }
 
+  /**
+   * Remove a triangle from the mesh
+   * @param {number} index - Triangle index
+   * @returns {boolean} True if the triangle existed
+   */
+  removeTriangle(index) {
+    if (!this.triangles[index]) {
+      return false;
+    }
+
+    this._recordTriangles('Remove triangle');
+    const [triangle] = this.triangles.splice(index, 1);
+
+    this.dispatchEvent(new CustomEvent('mesh:change', {
+      detail: { type: 'triangle:remove', triangle, index, project: this }
+    }));
+
+    this.save();
+    return true;
+  }
+
+  /**
+   * Record the triangles before a change, restoring them on undo
+   * @private
+   * @param {string} label - Command label
+   */
+  _recordTriangles(label) {
+    const before = this.triangles.map(t => t.slice());
+    let after = null;
+    this.history.push({
+      label,
+      undo: () => {
+        after = this.triangles.map(t => t.slice());
+        this._setTriangles(before);
+      },
+      redo: () => this._setTriangles(after),
+    });
+  }
+
+  /**
+   * @private
+   * @param {Array} triangles - Triangles as point index triples
+   */
+  _setTriangles(triangles) {
+    this.triangles = triangles.map(t => t.slice());
+
+    this.dispatchEvent(new CustomEvent('mesh:change', {
+      detail: { type: 'triangles:set', triangles: this.triangles, project: this }
+    }));
+
+    this.save();
+  }
+
+  /**
+   * Replace the detected point proposals
+   * Fires 'proposals:change' event
+   * @param {Array} proposals - Proposals as { points: [{x, y}, ...], score } with
+   *   one normalized (0-1) position per image, in image order
+   */
+  setProposals(proposals) {
+    this.proposals = proposals.map(proposal => ({
+      id: `proposal_${generateShortId()}`,
+      points: proposal.points.map(p => ({ x: p.x, y: p.y })),
+      score: proposal.score,
+    }));
+    this._dispatchProposalsChange();
+  }
+
+  /**
+   * Accept a proposal, adding its points to all images with a shared ID
+   * @param {string} id - Proposal ID
+   * @returns {number|null} New point ID, or null if the proposal doesn't exist
+   */
+  acceptProposal(id) {
+    const index = this.proposals.findIndex(p => p.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [proposal] = this.proposals.splice(index, 1);
+
+    // Images added after detection fall back to the first image's position
+    const positions = this.images.map((img, i) => {
+      const { x, y } = proposal.points[i] || proposal.points[0];
+      return i === 0 ? { x, y } : { x, y, confidence: proposal.score };
+    });
+    const pointId = this._insertPoint(positions);
+
+    this._dispatchProposalsChange();
+
+    this.history.push({
+      label: 'Accept proposal',
+      undo: () => {
+        this._deletePoint(pointId);
+        this.proposals.splice(index, 0, proposal);
+        this._dispatchProposalsChange();
+      },
+      redo: () => {
+        this.proposals = this.proposals.filter(p => p !== proposal);
+        this._insertPoint(positions, pointId);
+        this._dispatchProposalsChange();
+      },
+    });
+    return pointId;
+  }
+
+  /**
+   * Discard a proposal
+   * @param {string} id - Proposal ID
+   */
+  rejectProposal(id) {
+    const index = this.proposals.findIndex(p => p.id === id);
+    if (index !== -1) {
+      this.proposals.splice(index, 1);
+      this._dispatchProposalsChange();
+    }
+  }
+
+  /**
+   * Accept all remaining proposals
+   */
+  acceptAllProposals() {
+    this.history.begin('Accept proposals');
+    this.proposals.map(p => p.id).forEach(id => this.acceptProposal(id));
+    this.history.end();
+  }
+
+  /**
+   * Discard all remaining proposals
+   */
+  clearProposals() {
+    if (this.proposals.length > 0) {
+      this.proposals = [];
+      this._dispatchProposalsChange();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _dispatchProposalsChange() {
+    this.dispatchEvent(new CustomEvent('proposals:change', {
+      detail: { proposals: this.proposals, project: this },
+    }));
+  }
+
+  /**
+   * Add a region, starting with the current image weights
+   * Fires 'regions:change' event
+   * @param {string} [name] - Region name (defaults to 'Region N')
+   * @returns {Object} Region as { id, name, triangles, weights }
+   */
+  addRegion(name = null) {
+    let regionName = name;
+    for (let n = this.regions.length + 1; !regionName || this.regions.some(r => r.name === regionName); n++) {
+      regionName = `Region ${n}`;
+    }
+
+    const region = {
+      id: `region_${generateShortId()}`,
+      name: regionName,
+      triangles: [],
+      weights: Object.fromEntries(this.images.map(img => [img.id, img.weight])),
+    };
+    this.regions.push(region);
+    this._dispatchRegionsChange();
+    return region;
+  }
+
+  /**
+   * Remove a region; its triangles use the global weights again
+   * @param {string} id - Region ID
+   */
+  removeRegion(id) {
+    const index = this.regions.findIndex(r => r.id === id);
+    if (index !== -1) {
+      this.regions.splice(index, 1);
+      this._dispatchRegionsChange();
+    }
+  }
+
+  /**
+   * Rename a region
+   * @param {string} id - Region ID
+   * @param {string} name - New name, unique among the regions
+   * @returns {boolean} True if the region was renamed
+   */
+  renameRegion(id, name) {
+    const region = this.regions.find(r => r.id === id);
+    const taken = this.regions.some(r => r !== region && r.name === name);
+    if (!region || !name || taken) {
+      return false;
+    }
+
+    region.name = name;
+    this._dispatchRegionsChange();
+    return true;
+  }
+
+  /**
+   * Add a triangle to a region, or remove it if it's already in the region
+   * A triangle belongs to one region at most, so it leaves any other region.
+   * @param {string} id - Region ID
+   * @param {number} index - Triangle index
+   * @returns {boolean} True if the triangle is now in the region
+   */
+  toggleRegionTriangle(id, index) {
+    const region = this.regions.find(r => r.id === id);
+    const key = this._getTriangleKey(index);
+    if (!region || !key) {
+      return false;
+    }
+
+    const added = !region.triangles.includes(key);
+    this.regions.forEach(r => {
+      r.triangles = r.triangles.filter(k => k !== key);
+    });
+    if (added) {
+      region.triangles.push(key);
+    }
+
+    this._dispatchRegionsChange();
+    return added;
+  }
+
+  /**
+   * Set the weight of an image inside a region
+   * @param {string} id - Region ID
+   * @param {string} imageId - Image ID
+   * @param {number} weight - Weight (0-1)
+   */
+  setRegionWeight(id, imageId, weight) {
+    const region = this.regions.find(r => r.id === id);
+    if (region) {
+      region.weights[imageId] = weight;
+      this._dispatchRegionsChange();
+    }
+  }
+
+  /**
+   * Get the current indices of a region's triangles
+   * Triangles that no longer exist in the mesh are skipped.
+   * @param {Object} region - Region
+   * @returns {number[]} Triangle indices
+   */
+  getRegionTriangles(region) {
+    const indices = [];
+    this.triangles.forEach((triangle, index) => {
+      if (region.triangles.includes(this._getTriangleKey(index))) {
+        indices.push(index);
+      }
+    });
+    return indices;
+  }
+
+  /**
+   * Identify a triangle by its sorted point IDs
+   * @private
+   * @param {number} index - Triangle index
+   * @returns {string|null} Key, or null if the triangle doesn't exist
+   */
+  _getTriangleKey(index) {
+    const triangle = this.triangles[index];
+    const points = this.images.length > 0 ? this.images[0].points : [];
+    if (!triangle || !triangle.every(i => points[i])) {
+      return null;
+    }
+    return triangle.map(i => points[i].id).sort((a, b) => a - b).join('-');
+  }
+
+  /**
+   * @private
+   */
+  _dispatchRegionsChange() {
+    this.dispatchEvent(new CustomEvent('regions:change', {
+      detail: { regions: this.regions, project: this },
+    }));
+    this.save();
+  }
+
+  /**
+   * Set how image colors are matched before morphing
+   * Fires 'change:colorMatching' event
+   * @param {string} mode - 'none', 'reference' (match the first image) or 'average'
+   * @returns {boolean} True if the mode is valid
+   */
+  setColorMatching(mode) {
+    if (!COLOR_MATCHING_MODES.includes(mode)) {
+      return false;
+    }
+    if (this.colorMatching !== mode) {
+      const before = this.colorMatching;
+      this.history.push({
+        label: 'Change color matching',
+        undo: () => this.setColorMatching(before),
+        redo: () => this.setColorMatching(mode),
+      });
+
+      this.colorMatching = mode;
+      this.dispatchEvent(new CustomEvent('change:colorMatching', {
+        detail: { colorMatching: mode, project: this },
+      }));
+      this.save();
+    }
+    return true;
+  }
+
+  /**
+   * Set how the images are blended together
+   * Fires 'change:blendMode' event
+   * @param {string} mode - Blend mode name (see BLEND_MODES)
+   * @returns {boolean} True if the mode is valid
+   */
+  setBlendMode(mode) {
+    if (!BLEND_MODES.includes(mode)) {
+      return false;
+    }
+    if (this.blendMode !== mode) {
+      const before = this.blendMode;
+      this.history.push({
+        label: 'Change blend mode',
+        undo: () => this.setBlendMode(before),
+        redo: () => this.setBlendMode(mode),
+      });
+
+      this.blendMode = mode;
+      this.dispatchEvent(new CustomEvent('change:blendMode', {
+        detail: { blendMode: mode, project: this },
+      }));
+      this.save();
+    }
+    return true;
+  }
+
   /**
    * Update the custom blend function
    * @param {string} code - JavaScript function code
@@ -282,12 +836,13 @@ export class Project extends EventTarget {
       if (this.morpher) {
         this.morpher.blendFunction = fn;
       }
-
-      this.blendFunction = code;
-      this.save();
     } catch (e) {
       throw new Error(`Invalid blend function: ${e.message}`);
     }
+
+    this._recordFunction('Edit blend function', 'blendFunction', 'updateBlendFunction', code);
+    this.blendFunction = code;
+    this.save();
   }
 
   /**
@@ -303,12 +858,125 @@ export class Project extends EventTarget {
       if (this.morpher) {
         this.morpher.finalTouchFunction = fn;
       }
-
-      this.finalTouchFunction = code;
-      this.save();
     } catch (e) {
       throw new Error(`Invalid final touch function: ${e.message}`);
     }
+
+    this._recordFunction('Edit final touch function', 'finalTouchFunction', 'updateFinalTouchFunction', code);
+    this.finalTouchFunction = code;
+    this.save();
+  }
+
+  /**
+   * Record a function code edit
+   * Code that was never set is restored by clearing the function.
+   * @private
+   * @param {string} label - Command label
+   * @param {string} property - 'blendFunction' or 'finalTouchFunction'
+   * @param {string} method - Update method to re-apply code with
+   * @param {string} code - New code
+   */
+  _recordFunction(label, property, method, code) {
+    const before = this[property];
+    const apply = (value) => {
+      if (value !== null) {
+        this[method](value);
+        return;
+      }
+      this[property] = null;
+      if (this.morpher) {
+        this.morpher[property] = null;
+      }
+      this.save();
+    };
+
+    this.history.push({
+      label,
+      undo: () => apply(before),
+      redo: () => apply(code),
+    });
+  }
+
+  /**
+   * Set an image's target weight, normalizing the others
+   * Weight changes of the same image inside one change (see beginChange) are
+   * undone together.
+   * @param {Image} image - Image
+   * @param {number} weight - Target weight (0-1)
+   */
+  setImageWeight(image, weight) {
+    const before = this._getWeights();
+    image.targetWeight = weight;
+    const after = this._getWeights();
+
+    this.history.push({
+      label: 'Change weight',
+      key: `weight:${image.id}`,
+      undo: () => this._setWeights(before),
+      redo: () => this._setWeights(after),
+    });
+  }
+
+  /**
+   * @private
+   * @returns {Object} Target weight by image ID
+   */
+  _getWeights() {
+    return Object.fromEntries(this.images.map(img => [img.id, img.targetWeight]));
+  }
+
+  /**
+   * Restore target weights without normalizing them again
+   * @private
+   * @param {Object} weights - Target weight by image ID
+   */
+  _setWeights(weights) {
+    this.images.forEach(img => {
+      if (weights[img.id] === undefined) return;
+      img._targetWeight = weights[img.id];
+      img._weight = weights[img.id];
+      if (img.morpherImage) {
+        img.morpherImage.setWeight(img._weight);
+      }
+    });
+
+    this.dispatchEvent(new CustomEvent('weights:normalized', {
+      detail: { images: this.images, project: this }
+    }));
+
+    this.save();
+  }
+
+  /**
+   * Start a change that is undone in one step, e.g. a drag
+   * Must be followed by endChange().
+   * @param {string} label - Label of the change
+   */
+  beginChange(label) {
+    this.history.begin(label);
+  }
+
+  /**
+   * Finish the change started with beginChange()
+   */
+  endChange() {
+    this.history.end();
+  }
+
+  /**
+   * Revert the last change
+   * @returns {boolean} True if there was something to undo
+   */
+  undo() {
+    return this.history.undo();
+  }
+
+  /**
+   * Apply the last undone change again
+   * @returns {boolean} True if there was something to redo
+   */
+  redo() {
+    return this.history.redo();
   }
 
   /**
@@ -381,12 +1049,16 @@ export class Project extends EventTarget {
    */
   toJSON(options = {}) {
     const data = {
+      version: PROJECT_SCHEMA_VERSION,
       id: this.id,
       name: this._name,
       color: this._color,
       blend_function: this.blendFunction,
       final_touch_function: this.finalTouchFunction,
+      color_matching: this.colorMatching,
+      blend_mode: this.blendMode,
       triangles: this.triangles,
+      regions: this.regions,
       images: this.images.map(img => {
         const imgData = img.toJSON();
         // Optionally exclude large base64 data
@@ -417,35 +1089,96 @@ export class Project extends EventTarget {
   }
 
   /**
-   * Save project to localStorage
-   * @returns {boolean} Success
+   * Save project to storage
+   * With a backend that supports Blobs, image files are stored as Blobs next
+   * to the project and only written when they change. With localStorage
+   * they are stored inline as base64, and if that doesn't fit the project is
+   * saved without them and 'save:error' is fired.
+   * @returns {boolean|Promise<boolean>} Success (a Promise for async backends)
    */
   save() {
-    try {
-      // Save with image data to persist uploaded images
-      const storage = createNamespace(STORAGE_NAMESPACE);
-      const json = this.toJSON({ includeImageData: true });
-      storage.setItem(`project_${this.id}`, json);
-      console.log(`[Project] Saved project ${this.id} (${this.name}) with ${this.images.length} images`);
+    const storage = createNamespace(STORAGE_NAMESPACE);
+    if (storage.backend.supportsBlobs) {
+      return this._saveWithBlobs(storage);
+    }
+
+    const key = `project_${this.id}`;
+    if (storage.setItem(key, this.toJSON({ includeImageData: true }))) {
+      this._dispatchSave();
       return true;
-    } catch (e) {
-      console.error('Failed to save project:', e);
-      // If quota exceeded, try without image data
-      if (e.name === 'QuotaExceededError') {
-        console.warn('localStorage quota exceeded, saving without image data');
-        try {
-          const storage = createNamespace(STORAGE_NAMESPACE);
-          const json = this.toJSON({ includeImageData: false });
-          storage.setItem(`project_${this.id}`, json);
-          console.log(`[Project] Saved project ${this.id} (${this.name}) WITHOUT image data`);
-          return true;
-        } catch (e2) {
-          console.error('Failed to save even without image data:', e2);
-          return false;
+    }
+
+    const saved = storage.setItem(key, this.toJSON({ includeImageData: false }));
+    this._dispatchSaveError(saved
+      ? 'Storage is full, so image data was not saved'
+      : 'The project could not be saved');
+    return false;
+  }
+
+  /**
+   * Save to a Blob backend
+   * @private
+   * @param {Object} storage - Namespaced storage
+   * @returns {Promise<boolean>} Success
+   */
+  async _saveWithBlobs(storage) {
+    const writes = [];
+
+    this.images.forEach(image => {
+      const file = image.file;
+      if (!isDataURL(file) || this._storedFiles.get(image.id) === file) {
+        return;
+      }
+      this._storedFiles.set(image.id, file);
+      writes.push(Promise.resolve(
+        storage.setItem(Project.fileKey(this.id, image.id), dataURLToBlob(file))
+      ).then(saved => {
+        // Written again on the next save
+        if (!saved && this._storedFiles.get(image.id) === file) {
+          this._storedFiles.delete(image.id);
         }
+        return saved;
+      }));
+    });
+
+    // Drop files of removed images
+    [...this._storedFiles.keys()].forEach(id => {
+      if (!this.images.some(image => image.id === id)) {
+        this._storedFiles.delete(id);
+        storage.removeItem(Project.fileKey(this.id, id));
       }
-      return false;
+    });
+
+    writes.push(storage.setItem(`project_${this.id}`, this.toJSON({ includeImageData: false })));
+
+    const results = await Promise.all(writes);
+    if (results.every(Boolean)) {
+      this._dispatchSave();
+      return true;
     }
+
+    this._dispatchSaveError('The project could not be saved');
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  _dispatchSave() {
+    this.dispatchEvent(new CustomEvent('save', {
+      detail: { project: this }
+    }));
+  }
+
+  /**
+   * @private
+   * @param {string} message - Error message
+   */
+  _dispatchSaveError(message) {
+    console.error(`[Project] ${message} (project ${this.id})`);
+    this.dispatchEvent(new CustomEvent('save:error', {
+      detail: { message, project: this }
+    }));
   }
 
   /**
@@ -466,6 +1199,10 @@ export class Project extends EventTarget {
     try {
       const storage = createNamespace(STORAGE_NAMESPACE);
       storage.removeItem(`project_${this.id}`);
+      this._storedFiles.forEach((file, id) => {
+        storage.removeItem(Project.fileKey(this.id, id));
+      });
+      this._storedFiles.clear();
     } catch (e) {
       console.error('Failed to remove project from storage:', e);
     }
@@ -473,10 +1210,69 @@ export class Project extends EventTarget {
 
   /**
    * Create Project from JSON data
+   * Data saved by older versions is upgraded first (see project-schema.js).
+   * Invalid values are reported with their paths; data of a newer version
+   * is loaded as it is.
    * @param {Object} data - JSON data
    * @returns {Project}
    */
   static fromJSON(data) {
-    return new Project(data);
+    let json = data;
+    try {
+      json = migrateProjectJSON(data);
+      const errors = validateProjectJSON(json);
+      if (errors.length > 0) {
+        const lines = errors.map(({ path, message }) => `  ${path}: ${message}`).join('\n');
+        console.warn(`[Project] Invalid project data (${json.id || 'no id'}):\n${lines}`);
+      }
+    } catch (e) {
+      if (!(e instanceof SchemaError)) {
+        throw e;
+      }
+      console.warn(`[Project] ${e.message}, loading it as it is`);
+    }
+    return new Project(json);
+  }
+
+  /**
+   * Storage key of an image file stored as a Blob
+   * @param {string} projectId - Project ID
+   * @param {string} imageId - Image ID
+   * @returns {string}
+   */
+  static fileKey(projectId, imageId) {
+    return `project_${projectId}:${imageId}`;
+  }
+
+  /**
+   * Load a saved project
+   * Image files stored as Blobs are read back into data URLs. Files still
+   * stored inline (saved to localStorage) are written as Blobs on the next
+   * save.
+   * @param {Object} storage - Namespaced storage
+   * @param {string} id - Project ID
+   * @returns {Promise<Project|null>} Project, or null if it isn't stored
+   */
+  static async load(storage, id) {
+    const data = await storage.getItem(`project_${id}`);
+    if (!data) {
+      return null;
+    }
+
+    const storedFiles = new Map();
+    await Promise.all((data.images || []).map(async imgData => {
+      if (imgData.file) {
+        return;
+      }
+      const blob = await storage.getItem(Project.fileKey(id, imgData.id));
+      if (blob instanceof Blob) {
+        imgData.file = await blobToDataURL(blob);
+        storedFiles.set(imgData.id, imgData.file);
+      }
+    }));
+
+    const project = Project.fromJSON(data);
+    project._storedFiles = storedFiles;
+    return project;
   }
 }
@@ -5,18 +5,27 @@
  * Provides:
  * - Project collection management (create, remove, list)
  * - Current project tracking (with next/prev navigation)
- * - localStorage persistence and hydration
+ * - Persistence and hydration (IndexedDB, falling back to localStorage)
  * - Global project events
  *
+ * Projects used to be stored in localStorage, which holds only a few
+ * megabytes of base64 images. init() moves them to IndexedDB, where image
+ * files are stored as Blobs.
+ *
  * Events:
  * - reset - Fired when projects are loaded from storage
+ * - save - Fired when a project has been saved (detail: { project })
+ * - save:error - Fired when a project couldn't be saved (detail: { project, message })
  * - add - Fired when a project is added
  * - remove - Fired when a project is removed
  * - change:current - Fired when current project changes
  */
 
 import { Project } from './Project.js';
-import { createNamespace } from '../utils/storage.js';
+import { createNamespace, setDefaultBackend } from '../utils/storage.js';
+import { openIndexedDBBackend, migrateFromLocalStorage } from '../utils/indexeddb-storage.js';
+import { exportPackage, importPackage } from './project-package.js';
+import { EXPORT_VERSION, checkExportVersion } from './project-schema.js';
 
 const STORAGE_NAMESPACE = 'morpher-gui';
 const PROJECTS_INDEX_KEY = 'projects_index';
@@ -46,38 +55,77 @@ class ProjectStore extends EventTarget {
 
     // Auto-load on initialization
     this._autoLoadEnabled = true;
+
+    // Re-dispatch project save events on the store
+    this._forwardSaveEvent = (e) => {
+      this.dispatchEvent(new CustomEvent(e.type, { detail: e.detail }));
+    };
+  }
+
+  /**
+   * Switch to IndexedDB storage and load all projects
+   * Projects still in localStorage are moved to IndexedDB first and saved
+   * again so their images are stored as Blobs. Without IndexedDB, projects
+   * stay in localStorage.
+   * @param {IDBFactory} [factory] - IndexedDB implementation
+   * @returns {Promise<Project[]>} Loaded projects
+   */
+  async init(factory) {
+    const backend = await openIndexedDBBackend(STORAGE_NAMESPACE, factory);
+    let migrated = 0;
+
+    if (backend) {
+      const storage = createNamespace(STORAGE_NAMESPACE, backend);
+      if (!(await storage.hasItem(PROJECTS_INDEX_KEY))) {
+        migrated = await migrateFromLocalStorage(`${STORAGE_NAMESPACE}:`, backend);
+      }
+
+      if (migrated >= 0) {
+        setDefaultBackend(backend);
+        this.storage = storage;
+      } else {
+        console.error('[ProjectStore] Failed to move projects to IndexedDB, using localStorage');
+        backend.close();
+      }
+    }
+
+    const projects = await this.load();
+    if (migrated > 0) {
+      console.log(`[ProjectStore] Moved ${migrated} items from localStorage to IndexedDB`);
+      await Promise.all(projects.map(project => project.save()));
+    }
+    return projects;
   }
 
   /**
-   * Load all projects from localStorage
+   * Load all projects from storage
    * Creates a default project if none exist
-   * @returns {Project[]} Loaded projects
+   * @returns {Promise<Project[]>} Loaded projects
    */
-  load() {
+  async load() {
     try {
       // Get list of project IDs
-      const projectIds = this.storage.getItem(PROJECTS_INDEX_KEY, []);
+      const projectIds = await this.storage.getItem(PROJECTS_INDEX_KEY, []);
       console.log('[ProjectStore] Loading projects, found IDs:', projectIds);
 
       // Load each project
-      this.projects = projectIds
-        .map(id => {
-          try {
-            const data = this.storage.getItem(`project_${id}`);
-            if (data) {
-              console.log(`[ProjectStore] Loaded project ${id}:`, data.name);
-              return Project.fromJSON(data);
-            }
-            return null;
-          } catch (e) {
-            console.error(`Failed to load project ${id}:`, e);
-            return null;
+      const projects = await Promise.all(projectIds.map(async id => {
+        try {
+          const project = await Project.load(this.storage, id);
+          if (project) {
+            console.log(`[ProjectStore] Loaded project ${id}:`, project.name);
           }
-        })
-        .filter(Boolean); // Remove null entries
+          return project;
+        } catch (e) {
+          console.error(`Failed to load project ${id}:`, e);
+          return null;
+        }
+      }));
+      this.projects = projects.filter(Boolean); // Remove null entries
+      this.projects.forEach(project => this._track(project));
 
       // Load current index
-      this.currentIndex = this.storage.getItem(CURRENT_INDEX_KEY, 0);
+      this.currentIndex = await this.storage.getItem(CURRENT_INDEX_KEY, 0);
       console.log('[ProjectStore] Loaded projects:', this.projects.length, 'current index:', this.currentIndex);
 
       // Ensure index is valid
@@ -103,7 +151,26 @@ class ProjectStore extends EventTarget {
   }
 
   /**
-   * Save the projects index to localStorage
+   * Forward a project's save events
+   * @private
+   * @param {Project} project - Project
+   */
+  _track(project) {
+    project.addEventListener('save', this._forwardSaveEvent);
+    project.addEventListener('save:error', this._forwardSaveEvent);
+  }
+
+  /**
+   * @private
+   * @param {Project} project - Project
+   */
+  _untrack(project) {
+    project.removeEventListener('save', this._forwardSaveEvent);
+    project.removeEventListener('save:error', this._forwardSaveEvent);
+  }
+
+  /**
+   * Save the projects index to storage
    * @private
    */
   _saveIndex() {
@@ -120,6 +187,7 @@ class ProjectStore extends EventTarget {
   create(attrs = {}) {
     const project = new Project(attrs);
     this.projects.push(project);
+    this._track(project);
 
     // Save to storage
     project.save();
@@ -144,6 +212,7 @@ class ProjectStore extends EventTarget {
     }
 
     // Dispose and remove
+    this._untrack(project);
     project.dispose();
     this.projects.splice(index, 1);
 
@@ -287,12 +356,16 @@ class ProjectStore extends EventTarget {
    */
   clear() {
     // Dispose all projects
-    this.projects.forEach(project => project.dispose());
+    this.projects.forEach(project => {
+      this._untrack(project);
+      project.dispose();
+    });
     this.projects = [];
     this.currentIndex = 0;
 
-    // Clear storage
-    this.storage.clear();
+    // Clear storage. With an async backend the old index is removed after
+    // the new one is written, so write it again once clearing is done.
+    Promise.resolve(this.storage.clear()).then(() => this._saveIndex());
 
     // Create new default project
     this.create({ name: 'Default Project' });
@@ -310,7 +383,7 @@ class ProjectStore extends EventTarget {
    */
   exportAll(options = {}) {
     return {
-      version: '2.0.0',
+      version: EXPORT_VERSION,
       currentIndex: this.currentIndex,
       projects: this.projects.map(p => p.toJSON(options)),
     };
@@ -321,8 +394,11 @@ class ProjectStore extends EventTarget {
    * @param {Object} data - Exported data
    * @param {Object} options - Import options
    * @param {boolean} [options.merge=false] - Merge with existing projects
+   * @throws {SchemaError} If the export is from a newer major version
    */
   importAll(data, options = {}) {
+    checkExportVersion(data);
+
     if (!options.merge) {
       this.clear();
     }
@@ -331,6 +407,7 @@ class ProjectStore extends EventTarget {
       data.projects.forEach(projectData => {
         const project = Project.fromJSON(projectData);
         this.projects.push(project);
+        this._track(project);
         project.save();
       });
 
@@ -348,6 +425,33 @@ class ProjectStore extends EventTarget {
       }));
     }
   }
+
+  /**
+   * Export projects as a .morpher package (see project-package.js)
+   * @param {Project[]} [projects] - Projects to export (defaults to all)
+   * @returns {Promise<Blob>} The .morpher file
+   */
+  exportPackage(projects = this.projects) {
+    const current = projects.indexOf(this.getCurrent());
+    return exportPackage(projects, { currentIndex: Math.max(0, current) });
+  }
+
+  /**
+   * Add the projects of a .morpher package
+   * The package's current project becomes the current project.
+   * @param {Blob|ArrayBuffer|Uint8Array} source - The .morpher file
+   * @returns {Promise<Project[]>} Imported projects
+   * @throws {Error} If the file isn't a valid package
+   */
+  async importPackage(source) {
+    const { projects, currentIndex } = await importPackage(source);
+    const offset = this.projects.length;
+
+    this.importAll({ projects }, { merge: true });
+    this.setCurrent(offset + currentIndex);
+
+    return this.projects.slice(offset);
+  }
 }
 
 // Create and export singleton instance
@@ -357,6 +461,6 @@ export const projectStore = new ProjectStore();
 if (typeof window !== 'undefined') {
   // Load after a microtask to allow event listeners to be registered
   Promise.resolve().then(() => {
-    projectStore.load();
+    projectStore.init();
   });
 }
@@ -0,0 +1,331 @@
+/**
+ * Project Packages
+ *
+ * Reads and writes .morpher files: zip archives holding one or more
+ * projects with their original image files, so a project can be moved
+ * between browsers without losing its images.
+ *
+ * Layout:
+ * - project.json - Manifest: { format, version, created, current_index, projects }
+ * - projects/<n>/images/<m>.<ext> - Original file of image m of project n
+ * - projects/<n>/thumbnail.png - Preview of project n
+ *
+ * In the manifest each project is the project JSON with every image's file
+ * replaced by the path of its file in the archive, and a thumbnail path.
+ * Packages are untrusted input, so on import projects are upgraded to the
+ * current project version (see project-schema.js), invalid values are
+ * reported with their paths, and only known properties with valid values
+ * are kept, like Morpher.sanitizeJSON() does for the morpher.
+ */
+
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { SchemaError } from 'morpher-js';
+import { isDataURL, dataURLToBytes, bytesToDataURL } from '../utils/data-url.js';
+import { PROJECT_SCHEMA_VERSION, migrateProjectJSON, validateProjectJSON } from './project-schema.js';
+
+export const PACKAGE_FORMAT = 'morpher-project';
+export const PACKAGE_VERSION = 1;
+export const PACKAGE_EXTENSION = '.morpher';
+
+const MANIFEST_PATH = 'project.json';
+
+// Image types that can be stored, by file extension
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+};
+
+/**
+ * Create a package from projects
+ * @param {Project[]} projects - Projects to include
+ * @param {Object} [options] - Options
+ * @param {number} [options.currentIndex=0] - Index of the current project
+ * @param {number|false} [options.thumbnailSize=256] - Longest thumbnail side, or false for none
+ * @returns {Promise<Blob>} The .morpher file
+ */
+export async function exportPackage(projects, options = {}) {
+  const thumbnailSize = options.thumbnailSize ?? 256;
+  const files = {};
+
+  const manifestProjects = await Promise.all(projects.map(async (project, n) => {
+    const data = project.toJSON({ includeImageData: true });
+    const folder = `projects/${n}`;
+
+    data.images.forEach((imgData, m) => {
+      if (!isDataURL(imgData.file)) {
+        imgData.file = null;
+        return;
+      }
+      const { bytes, type } = dataURLToBytes(imgData.file);
+      const extension = Object.keys(IMAGE_TYPES).find(ext => IMAGE_TYPES[ext] === type) || 'bin';
+      imgData.file = `${folder}/images/${m}.${extension}`;
+      // Images are already compressed
+      files[imgData.file] = [bytes, { level: 0 }];
+    });
+
+    data.thumbnail = null;
+    if (thumbnailSize) {
+      const thumbnail = await createThumbnail(project, thumbnailSize);
+      if (thumbnail) {
+        data.thumbnail = `${folder}/thumbnail.png`;
+        files[data.thumbnail] = [thumbnail, { level: 0 }];
+      }
+    }
+
+    return data;
+  }));
+
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    created: new Date().toISOString(),
+    current_index: Math.min(Math.max(0, options.currentIndex || 0), Math.max(0, projects.length - 1)),
+    projects: manifestProjects,
+  };
+  files[MANIFEST_PATH] = strToU8(JSON.stringify(manifest, null, 2));
+
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
+
+/**
+ * Read a package
+ * Image files are returned as data URLs in each image's file, ready for
+ * Project.fromJSON() or ProjectStore.importAll().
+ * @param {Blob|ArrayBuffer|Uint8Array} source - The .morpher file
+ * @returns {Promise<{projects: Object[], currentIndex: number, thumbnails: Array<string|null>}>}
+ *   Project data, current project index and thumbnail data URLs
+ * @throws {Error} If the file isn't a valid package
+ */
+export async function importPackage(source) {
+  let bytes = source;
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    bytes = new Uint8Array(await source.arrayBuffer());
+  } else if (source instanceof ArrayBuffer) {
+    bytes = new Uint8Array(source);
+  }
+
+  let entries;
+  try {
+    entries = unzipSync(bytes);
+  } catch (e) {
+    throw new Error('Not a .morpher package: the file is not a zip archive');
+  }
+
+  if (!entries[MANIFEST_PATH]) {
+    throw new Error(`Not a .morpher package: ${MANIFEST_PATH} is missing`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(strFromU8(entries[MANIFEST_PATH]));
+  } catch (e) {
+    throw new Error(`Invalid .morpher package: ${MANIFEST_PATH} is not valid JSON`);
+  }
+
+  if (typeof manifest !== 'object' || manifest === null || manifest.format !== PACKAGE_FORMAT) {
+    throw new Error('Not a .morpher package: unknown format');
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+    throw new Error('Invalid .morpher package: missing version');
+  }
+  if (manifest.version > PACKAGE_VERSION) {
+    throw new Error(`This .morpher package is version ${manifest.version}, newer than this editor supports (${PACKAGE_VERSION})`);
+  }
+  if (!Array.isArray(manifest.projects) || manifest.projects.length === 0) {
+    throw new Error('Invalid .morpher package: it contains no projects');
+  }
+
+  // Files are looked up by path, never opened from the manifest directly
+  const readImage = (path) => {
+    if (typeof path !== 'string' || !entries[path]) {
+      return null;
+    }
+    const type = IMAGE_TYPES[path.slice(path.lastIndexOf('.') + 1).toLowerCase()];
+    return type ? bytesToDataURL(entries[path], type) : null;
+  };
+
+  const projects = [];
+  const thumbnails = [];
+  manifest.projects.forEach((projectData, n) => {
+    let migrated;
+    try {
+      migrated = migrateProjectJSON(projectData);
+    } catch (e) {
+      if (!(e instanceof SchemaError)) {
+        throw e;
+      }
+      console.warn(`[project-package] Skipping project ${n}: ${e.message}`);
+      return;
+    }
+
+    const errors = validateProjectJSON(migrated);
+    if (errors.length > 0) {
+      const lines = errors.map(({ path, message }) => `  projects[${n}].${path}: ${message}`).join('\n');
+      console.warn(`[project-package] Invalid values in project ${n} are dropped or replaced:\n${lines}`);
+    }
+
+    const sanitized = sanitizeProjectJSON(migrated);
+    if (!sanitized) {
+      console.warn(`[project-package] Skipping invalid project ${n}`);
+      return;
+    }
+
+    sanitized.images.forEach((imgData, m) => {
+      imgData.file = readImage((migrated.images[m] || {}).file);
+    });
+    projects.push(sanitized);
+    thumbnails.push(readImage(projectData.thumbnail));
+  });
+
+  if (projects.length === 0) {
+    throw new Error('Invalid .morpher package: none of its projects could be read');
+  }
+
+  const currentIndex = Number.isInteger(manifest.current_index)
+    ? Math.min(Math.max(0, manifest.current_index), projects.length - 1)
+    : 0;
+
+  return { projects, currentIndex, thumbnails };
+}
+
+/**
+ * Keep only known project properties with valid values
+ * The project ID is dropped so imported projects never replace existing
+ * ones; image files are dropped as they're read from the archive.
+ * @param {Object} json - Project data from a manifest, upgraded to the current version
+ * @returns {Object|null} Sanitized project data, or null if it isn't a project
+ */
+export function sanitizeProjectJSON(json) {
+  if (typeof json !== 'object' || json === null || !Array.isArray(json.images)) {
+    return null;
+  }
+
+  const isString = (value) => typeof value === 'string';
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  const isIndex = (value) => Number.isInteger(value) && value >= 0;
+  const isTriangle = (triangle) => Array.isArray(triangle) && triangle.length === 3 && triangle.every(isIndex);
+
+  const sanitized = {
+    version: PROJECT_SCHEMA_VERSION,
+    name: isString(json.name) && json.name.trim() ? json.name : 'Imported Project',
+    blend_function: isString(json.blend_function) ? json.blend_function : null,
+    final_touch_function: isString(json.final_touch_function) ? json.final_touch_function : null,
+    // Unknown modes fall back to the project defaults
+    color_matching: isString(json.color_matching) ? json.color_matching : undefined,
+    blend_mode: isString(json.blend_mode) ? json.blend_mode : undefined,
+    triangles: Array.isArray(json.triangles) ? json.triangles.filter(isTriangle).map(t => t.slice()) : [],
+  };
+
+  if (isString(json.color) && /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|hsla?\([\d\s.,%deg]+\))$/i.test(json.color)) {
+    sanitized.color = json.color;
+  }
+
+  sanitized.images = json.images.map((img, m) => {
+    const image = typeof img === 'object' && img !== null ? img : {};
+    const url = isString(image.url) && !/^\s*(javascript|data):/i.test(image.url) ? image.url : '';
+
+    return {
+      id: isString(image.id) && image.id ? image.id : `image_${m}`,
+      url,
+      file: null,
+      targetWeight: isNumber(image.targetWeight) ? Math.min(1, Math.max(0, image.targetWeight)) : 0,
+      weight: isNumber(image.weight) ? Math.min(1, Math.max(0, image.weight)) : 0,
+      x: isNumber(image.x) ? image.x : 0,
+      y: isNumber(image.y) ? image.y : 0,
+      sitecoreId: isString(image.sitecoreId) ? image.sitecoreId : '',
+      points: (Array.isArray(image.points) ? image.points : []).map((point, i) => {
+        const p = typeof point === 'object' && point !== null ? point : {};
+        const sanitizedPoint = {
+          id: isIndex(p.id) ? p.id : i,
+          x: isNumber(p.x) ? p.x : 0,
+          y: isNumber(p.y) ? p.y : 0,
+        };
+        if (isNumber(p.confidence)) {
+          sanitizedPoint.confidence = p.confidence;
+        }
+        return sanitizedPoint;
+      }),
+      nextPointId: isIndex(image.nextPointId) ? image.nextPointId : 0,
+    };
+  });
+
+  // Region weights may only refer to images of the project
+  const imageIds = new Set(sanitized.images.map(img => img.id));
+  const regions = Array.isArray(json.regions) ? json.regions : [];
+  sanitized.regions = regions
+    .filter(region => typeof region === 'object' && region !== null && isString(region.id) && isString(region.name))
+    .map(region => ({
+      id: region.id,
+      name: region.name,
+      triangles: Array.isArray(region.triangles) ? region.triangles.filter(isTriangle).map(t => t.slice()) : [],
+      weights: Object.fromEntries(Object.entries(region.weights || {})
+        .filter(([id, weight]) => imageIds.has(id) && isNumber(weight))),
+    }));
+
+  return sanitized;
+}
+
+/**
+ * Render a thumbnail by cross-fading the project's images with their weights
+ * @private
+ * @param {Project} project - Project
+ * @param {number} size - Longest side in pixels
+ * @returns {Promise<Uint8Array|null>} PNG bytes, or null if it can't be rendered
+ */
+async function createThumbnail(project, size) {
+  const sources = project.images.filter(img => isDataURL(img.file));
+  if (sources.length === 0 || typeof document === 'undefined') {
+    return null;
+  }
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  if (!ctx || typeof canvas.toBlob !== 'function') {
+    return null;
+  }
+
+  try {
+    const elements = await Promise.all(sources.map(img => new Promise((resolve, reject) => {
+      const element = document.createElement('img');
+      element.onload = () => resolve(element);
+      element.onerror = reject;
+      element.src = img.file;
+    })));
+
+    const first = elements[0];
+    const scale = size / Math.max(first.naturalWidth, first.naturalHeight, 1);
+    canvas.width = Math.max(1, Math.round(first.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(first.naturalHeight * scale));
+
+    // Each image covers its share of the weights drawn so far
+    const weights = sources.map(img => img.weight);
+    const useWeights = weights.some(w => w > 0);
+    let total = 0;
+    elements.forEach((element, i) => {
+      const weight = useWeights ? weights[i] : 1;
+      if (weight <= 0) return;
+      total += weight;
+      ctx.globalAlpha = weight / total;
+      ctx.drawImage(element, 0, 0, canvas.width, canvas.height);
+    });
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    return blob ? new Uint8Array(await blob.arrayBuffer()) : null;
+  } catch (e) {
+    console.warn('[project-package] Could not render thumbnail:', e);
+    return null;
+  }
+}
+
+export default {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  PACKAGE_EXTENSION,
+  exportPackage,
+  importPackage,
+  sanitizeProjectJSON,
+};
@@ -0,0 +1,180 @@
+/**
+ * Project Schema
+ *
+ * JSON Schema of the project data written by Project.toJSON(), and the
+ * migrations that upgrade projects saved by older versions of the editor.
+ * The morpher configuration in a project's `morpher` property has its own
+ * schema in the morpher library and is upgraded when it's loaded.
+ *
+ * Versions:
+ * - 1 - Projects saved before versions were written. Points may have no
+ *   IDs, which were assigned by the Image constructor on load.
+ * - 2 - Adds the version field; every point has an ID and every image a
+ *   nextPointId above its points' IDs.
+ *
+ * The exportAll() envelope has its own semver string (EXPORT_VERSION); only
+ * its major version is checked on import.
+ */
+
+import { SchemaError, validateSchema, migrate } from 'morpher-js';
+
+export const PROJECT_SCHEMA_VERSION = 2;
+export const EXPORT_VERSION = '2.0.0';
+
+const number = { type: 'number' };
+const index = { type: 'integer', minimum: 0 };
+const weight = { type: 'number', minimum: 0, maximum: 1 };
+const triangle = { type: 'array', items: index, minItems: 3, maxItems: 3 };
+
+/**
+ * JSON Schema (draft 2020-12) of the current version
+ * @type {Object}
+ */
+export const projectSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'MorpherJS GUI project',
+  type: 'object',
+  properties: {
+    version: { type: 'integer', minimum: 1 },
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string' },
+    color: { type: 'string' },
+    blend_function: { type: ['string', 'null'] },
+    final_touch_function: { type: ['string', 'null'] },
+    color_matching: { type: 'string' },
+    blend_mode: { type: 'string' },
+    triangles: { type: 'array', items: triangle },
+    regions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'triangles'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          name: { type: 'string' },
+          triangles: { type: 'array', items: triangle },
+          weights: { type: 'object', additionalProperties: number },
+        },
+      },
+    },
+    images: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          url: { type: 'string' },
+          file: { type: ['string', 'null'] },
+          targetWeight: weight,
+          weight,
+          x: number,
+          y: number,
+          sitecoreId: { type: 'string' },
+          points: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['id', 'x', 'y'],
+              properties: { id: index, x: number, y: number, confidence: number },
+            },
+          },
+          nextPointId: index,
+        },
+      },
+    },
+    morpher: { type: 'object' },
+  },
+};
+
+/**
+ * Upgrade steps, each taking a project of version `from` to `to`
+ * Steps return new data and leave their input alone.
+ * @type {Array<{from: number, to: number, migrate: Function}>}
+ */
+export const projectMigrations = [
+  {
+    from: 1,
+    to: 2,
+    // Points without IDs get their index, as the Image constructor used to do
+    migrate: (json) => ({
+      ...json,
+      images: Array.isArray(json.images) ? json.images.map(upgradeImagePoints) : json.images,
+    }),
+  },
+];
+
+/**
+ * Give IDs to points that have none and keep nextPointId above all of them
+ * @private
+ */
+function upgradeImagePoints(image) {
+  if (typeof image !== 'object' || image === null || !Array.isArray(image.points)) {
+    return image;
+  }
+
+  const points = image.points.map((point, i) => (
+    typeof point === 'object' && point !== null && !Object.prototype.hasOwnProperty.call(point, 'id')
+      ? { ...point, id: i }
+      : point
+  ));
+  const ids = points.map(point => point?.id).filter(Number.isInteger);
+  const nextPointId = Math.max(Number.isInteger(image.nextPointId) ? image.nextPointId : 0, ...ids.map(id => id + 1));
+
+  return { ...image, points, nextPointId };
+}
+
+/**
+ * Upgrade project data to the current version
+ * @param {Object} json - Project data of any known version
+ * @returns {Object} - Project data of the current version
+ * @throws {SchemaError} - If the data isn't an object or its version is unknown or newer
+ */
+export function migrateProjectJSON(json) {
+  return migrate(json, {
+    migrations: projectMigrations,
+    version: PROJECT_SCHEMA_VERSION,
+    name: 'Project',
+  });
+}
+
+/**
+ * Check current-version project data against the schema
+ * @param {Object} json - Project data
+ * @returns {Array<{path: string, message: string}>} - Problems found (empty if valid)
+ */
+export function validateProjectJSON(json) {
+  return validateSchema(projectSchema, json);
+}
+
+/**
+ * Check that an exportAll() envelope can be imported
+ * Envelopes without a version predate it and are accepted.
+ * @param {Object} data - Exported data
+ * @throws {SchemaError} - If the envelope's major version is newer than EXPORT_VERSION
+ */
+export function checkExportVersion(data) {
+  if (data?.version === undefined) {
+    return;
+  }
+
+  const major = parseInt(String(data.version), 10);
+  const supported = parseInt(EXPORT_VERSION, 10);
+  if (!Number.isInteger(major)) {
+    throw new SchemaError(`Export has an invalid version: ${JSON.stringify(data.version)}`,
+      [{ path: 'version', message: 'must be a version string like "2.0.0"' }]);
+  }
+  if (major > supported) {
+    throw new SchemaError(`Export version ${data.version} is newer than the supported version ${EXPORT_VERSION}`,
+      [{ path: 'version', message: `must be at most ${EXPORT_VERSION}` }]);
+  }
+}
+
+export default {
+  PROJECT_SCHEMA_VERSION,
+  EXPORT_VERSION,
+  projectSchema,
+  projectMigrations,
+  migrateProjectJSON,
+  validateProjectJSON,
+  checkExportVersion,
+};
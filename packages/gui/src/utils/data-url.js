@@ -0,0 +1,88 @@
+/**
+ * Data URL Utility
+ *
+ * Converts between data URLs (how images are kept in memory and exported)
+ * and Blobs (how they are stored).
+ */
+
+/**
+ * Check if a value is a base64 data URL
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} - true if value is a base64 data URL
+ */
+export function isDataURL(value) {
+  return typeof value === 'string' && /^data:[^,]*;base64,/.test(value);
+}
+
+/**
+ * Decode a base64 data URL
+ *
+ * @param {string} dataURL - Base64 data URL
+ * @returns {{bytes: Uint8Array, type: string}} - Decoded bytes and MIME type
+ */
+export function dataURLToBytes(dataURL) {
+  if (!isDataURL(dataURL)) {
+    throw new Error('Expected a base64 data URL');
+  }
+
+  const comma = dataURL.indexOf(',');
+  const type = dataURL.slice(5, comma).split(';')[0];
+  const binary = atob(dataURL.slice(comma + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return { bytes, type };
+}
+
+/**
+ * Encode bytes as a base64 data URL
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @param {string} type - MIME type
+ * @returns {string} - Base64 data URL
+ */
+export function bytesToDataURL(bytes, type) {
+  // Chunked, since String.fromCharCode can't take millions of arguments
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+}
+
+/**
+ * Convert a base64 data URL to a Blob
+ *
+ * @param {string} dataURL - Base64 data URL
+ * @returns {Blob} - Blob with the decoded bytes and the URL's MIME type
+ */
+export function dataURLToBlob(dataURL) {
+  const { bytes, type } = dataURLToBytes(dataURL);
+  return new Blob([bytes], { type });
+}
+
+/**
+ * Convert a Blob to a base64 data URL
+ *
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} - Base64 data URL
+ */
+export function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+export default {
+  isDataURL,
+  dataURLToBytes,
+  bytesToDataURL,
+  dataURLToBlob,
+  blobToDataURL,
+};
@@ -263,9 +263,12 @@ export function createEmitter() {
  * @param {string} keys - Key combination (e.g., 'ctrl+s', 'cmd+shift+p')
  * @param {Function} handler - Handler function
  * @param {Element} target - Target element (default: document)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.ignoreEditable=false] - Leave the keys to text fields that have focus
+ *   (e.g. so Ctrl+Z still undoes typing)
  * @returns {Function} - Cleanup function
  */
-export function onShortcut(keys, handler, target = document) {
+export function onShortcut(keys, handler, target = document, options = {}) {
   const keysArray = keys.toLowerCase().split('+');
   const modifiers = {
     ctrl: keysArray.includes('ctrl'),
@@ -285,6 +288,10 @@ export function onShortcut(keys, handler, target = document) {
 
     const matchesKey = e.key.toLowerCase() === key || e.code.toLowerCase() === key.toLowerCase();
 
+    if (options.ignoreEditable && isEditable(e)) {
+      return;
+    }
+
     if (matchesModifiers && matchesKey) {
       prevent(e);
       handler(e);
@@ -294,6 +301,23 @@ export function onShortcut(keys, handler, target = document) {
   return on(target, 'keydown', shortcutHandler);
 }
 
+/**
+ * Check whether a key event comes from a text field
+ * Looks through shadow roots, where the event target is retargeted to the host.
+ *
+ * @param {Event} e - Key event
+ * @returns {boolean}
+ */
+function isEditable(e) {
+  const [origin] = e.composedPath ? e.composedPath() : [e.target];
+  if (!origin) {
+    return false;
+  }
+  const tag = origin.tagName;
+  const textInput = tag === 'INPUT' && !['checkbox', 'radio', 'range', 'button', 'submit', 'file', 'color'].includes(origin.type);
+  return textInput || tag === 'TEXTAREA' || tag === 'SELECT' || origin.isContentEditable === true;
+}
+
 // Default export
 export default {
   createEvent,
@@ -0,0 +1,190 @@
+/**
+ * IndexedDB Storage Backend
+ *
+ * Storage backend (see storage.js) keeping values in an IndexedDB object
+ * store. Values are stored with the structured clone algorithm instead of
+ * JSON, so Blobs are kept as they are, and the quota is the origin's disk
+ * quota rather than localStorage's few megabytes.
+ *
+ * All methods return Promises. Like the localStorage wrappers, failures are
+ * logged and reported through the result instead of being thrown.
+ */
+
+const STORE_NAME = 'items';
+const DB_VERSION = 1;
+
+/**
+ * Check if IndexedDB is available
+ * @returns {boolean} - true if IndexedDB is supported
+ */
+export function isIndexedDBAvailable() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @private
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the database, creating the object store on first use
+ * @private
+ */
+function openDatabase(factory, name) {
+  const request = factory.open(name, DB_VERSION);
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+      request.result.createObjectStore(STORE_NAME);
+    }
+  };
+  return promisify(request);
+}
+
+/**
+ * Open an IndexedDB storage backend
+ *
+ * @param {string} [name='morpher-gui'] - Database name
+ * @param {IDBFactory} [factory=indexedDB] - IndexedDB implementation
+ * @returns {Promise<Object|null>} - Backend, or null if IndexedDB can't be opened
+ */
+export async function openIndexedDBBackend(name = 'morpher-gui', factory = globalThis.indexedDB) {
+  if (!factory) {
+    return null;
+  }
+
+  let db;
+  try {
+    db = await openDatabase(factory, name);
+  } catch (e) {
+    console.error(`Error opening IndexedDB (database: ${name}):`, e);
+    return null;
+  }
+
+  // The transaction is created synchronously, so writes are applied in the
+  // order they were made even when nobody awaits them
+  const run = (mode, fn) => {
+    try {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = fn(transaction.objectStore(STORE_NAME));
+      return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || request.error);
+      });
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  };
+
+  return {
+    name: 'indexedDB',
+    supportsBlobs: true,
+
+    async getItem(key, defaultValue = null) {
+      try {
+        const value = await run('readonly', (store) => store.get(key));
+        return value !== undefined ? value : defaultValue;
+      } catch (e) {
+        console.error(`Error reading from IndexedDB (key: ${key}):`, e);
+        return defaultValue;
+      }
+    },
+
+    async setItem(key, value) {
+      try {
+        await run('readwrite', (store) => store.put(value, key));
+        return true;
+      } catch (e) {
+        console.error(`Error writing to IndexedDB (key: ${key}):`, e);
+        return false;
+      }
+    },
+
+    async removeItem(key) {
+      try {
+        await run('readwrite', (store) => store.delete(key));
+        return true;
+      } catch (e) {
+        console.error(`Error removing from IndexedDB (key: ${key}):`, e);
+        return false;
+      }
+    },
+
+    async hasItem(key) {
+      try {
+        return (await run('readonly', (store) => store.count(key))) > 0;
+      } catch (e) {
+        return false;
+      }
+    },
+
+    async getKeys(prefix = '') {
+      try {
+        const keys = (await run('readonly', (store) => store.getAllKeys())).map(String);
+        return prefix ? keys.filter((key) => key.startsWith(prefix)) : keys;
+      } catch (e) {
+        console.error('Error getting keys from IndexedDB:', e);
+        return [];
+      }
+    },
+
+    async estimate() {
+      if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return { usage, quota };
+      }
+      return { usage: 0, quota: 0 };
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+/**
+ * Move items from localStorage into another backend
+ * Items are only removed from localStorage once every one of them has been
+ * written, so a failed migration leaves the old data in place.
+ *
+ * @param {string} prefix - Prefix of the localStorage keys to move
+ * @param {Object} backend - Storage backend to move them to
+ * @returns {Promise<number>} - Number of items moved, or -1 if the migration failed
+ */
+export async function migrateFromLocalStorage(prefix, backend) {
+  let keys;
+  try {
+    keys = Object.keys(localStorage).filter((key) => key.startsWith(prefix));
+  } catch (e) {
+    return 0;
+  }
+
+  for (const key of keys) {
+    let value;
+    try {
+      value = JSON.parse(localStorage.getItem(key));
+    } catch (e) {
+      console.warn(`Skipping unreadable localStorage item (key: ${key})`);
+      continue;
+    }
+
+    if (!(await backend.setItem(key, value))) {
+      return -1;
+    }
+  }
+
+  keys.forEach((key) => localStorage.removeItem(key));
+  return keys.length;
+}
+
+export default {
+  isIndexedDBAvailable,
+  openIndexedDBBackend,
+  migrateFromLocalStorage,
+};
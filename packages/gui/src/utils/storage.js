@@ -3,6 +3,17 @@
  *
  * Provides a safe and convenient interface for working with browser localStorage.
  * Handles JSON serialization/deserialization and error handling.
+ *
+ * Namespaces can also be backed by another storage backend (see
+ * indexeddb-storage.js). A backend is an object with:
+ * - name - Backend name
+ * - supportsBlobs - True if Blobs can be stored as they are
+ * - getItem(key, defaultValue), setItem(key, value), removeItem(key),
+ *   hasItem(key), getKeys(prefix) - Same as the functions below
+ * - estimate() - Storage usage as { usage, quota } in bytes
+ *
+ * Backend methods may return their result directly or as a Promise, so code
+ * that has to work with any backend awaits them.
  */
 
 /**
@@ -220,29 +231,98 @@ export function onStorageChange(callback) {
   return () => window.removeEventListener('storage', handler);
 }
 
+// Browsers give localStorage about 5 MB per origin
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+/**
+ * Storage backend using localStorage
+ * Values are stored as JSON, so Blobs aren't supported.
+ * @type {Object}
+ */
+export const localStorageBackend = {
+  name: 'localStorage',
+  supportsBlobs: false,
+  getItem,
+  setItem,
+  removeItem,
+  hasItem,
+  getKeys,
+  estimate: () => ({
+    // Strings are stored as UTF-16
+    usage: getSize() * 2,
+    quota: LOCAL_STORAGE_QUOTA,
+  }),
+};
+
+let defaultBackend = localStorageBackend;
+
+/**
+ * Get the backend used by namespaces created without one
+ * @returns {Object} - Storage backend
+ */
+export function getDefaultBackend() {
+  return defaultBackend;
+}
+
+/**
+ * Set the backend used by namespaces created without one
+ *
+ * @param {Object|null} backend - Storage backend (null restores localStorage)
+ */
+export function setDefaultBackend(backend) {
+  defaultBackend = backend || localStorageBackend;
+}
+
+/**
+ * Get storage usage of a backend
+ *
+ * @param {Object} [backend] - Storage backend (defaults to the default backend)
+ * @returns {Promise<{usage: number, quota: number}>} - Usage and quota in bytes
+ */
+export async function estimateUsage(backend = defaultBackend) {
+  try {
+    return await backend.estimate();
+  } catch (e) {
+    console.error(`Error estimating ${backend.name} usage:`, e);
+    return { usage: 0, quota: 0 };
+  }
+}
+
+/**
+ * Call fn with a value that may be a Promise
+ * @private
+ */
+function whenResolved(value, fn) {
+  return value instanceof Promise ? value.then(fn) : fn(value);
+}
+
 /**
  * Create a namespaced storage interface
  * Useful for isolating storage by feature/module
  *
  * @param {string} namespace - Namespace prefix
+ * @param {Object} [backend] - Storage backend (defaults to the default backend)
  * @returns {Object} - Namespaced storage interface
  */
-export function createNamespace(namespace) {
+export function createNamespace(namespace, backend = defaultBackend) {
   const prefix = `${namespace}:`;
 
   return {
-    getItem: (key, defaultValue) => getItem(prefix + key, defaultValue),
-    setItem: (key, value) => setItem(prefix + key, value),
-    removeItem: (key) => removeItem(prefix + key),
-    hasItem: (key) => hasItem(prefix + key),
-    getKeys: () => getKeys(prefix).map((key) => key.replace(prefix, '')),
-    clear: () => {
-      const keys = getKeys(prefix);
-      for (const key of keys) {
-        removeItem(key);
-      }
-      return true;
-    },
+    backend,
+    getItem: (key, defaultValue) => backend.getItem(prefix + key, defaultValue),
+    setItem: (key, value) => backend.setItem(prefix + key, value),
+    removeItem: (key) => backend.removeItem(prefix + key),
+    hasItem: (key) => backend.hasItem(prefix + key),
+    getKeys: () => whenResolved(
+      backend.getKeys(prefix),
+      (keys) => keys.map((key) => key.replace(prefix, '')),
+    ),
+    clear: () => whenResolved(backend.getKeys(prefix), (keys) => {
+      const results = keys.map((key) => backend.removeItem(key));
+      return results.some((result) => result instanceof Promise)
+        ? Promise.all(results).then(() => true)
+        : true;
+    }),
   };
 }
 
@@ -259,5 +339,9 @@ export default {
   hasItem,
   getSize,
   onStorageChange,
+  localStorageBackend,
+  getDefaultBackend,
+  setDefaultBackend,
+  estimateUsage,
   createNamespace,
 };
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { History } from '../../src/models/History.js';
+
+describe('History Model', () => {
+  let history;
+  let value;
+
+  // Command setting value, recorded after it's applied like the project does
+  const set = (next, key) => {
+    const before = value;
+    value = next;
+    history.push({
+      label: `Set ${next}`,
+      key,
+      undo: () => { value = before; },
+      redo: () => { value = next; },
+    });
+  };
+
+  beforeEach(() => {
+    history = new History();
+    value = 0;
+  });
+
+  describe('undo() / redo()', () => {
+    it('should undo and redo commands in order', () => {
+      set(1);
+      set(2);
+
+      expect(history.undo()).toBe(true);
+      expect(value).toBe(1);
+      expect(history.undo()).toBe(true);
+      expect(value).toBe(0);
+      expect(history.undo()).toBe(false);
+
+      expect(history.redo()).toBe(true);
+      expect(history.redo()).toBe(true);
+      expect(value).toBe(2);
+      expect(history.redo()).toBe(false);
+    });
+
+    it('should clear the redo stack when a new command is recorded', () => {
+      set(1);
+      history.undo();
+      set(5);
+
+      expect(history.canRedo()).toBe(false);
+      expect(history.getUndoLabel()).toBe('Set 5');
+    });
+
+    it('should ignore commands recorded while undoing', () => {
+      history.push({
+        label: 'Nested',
+        undo: () => set(-1),
+        redo: () => set(1),
+      });
+
+      history.undo();
+      expect(value).toBe(-1);
+      expect(history.canUndo()).toBe(false);
+      expect(history.canRedo()).toBe(true);
+    });
+
+    it('should drop the oldest entries past the limit', () => {
+      history = new History({ limit: 2 });
+      set(1);
+      set(2);
+      set(3);
+
+      history.undo();
+      history.undo();
+      expect(history.undo()).toBe(false);
+      expect(value).toBe(1);
+    });
+  });
+
+  describe('begin() / end()', () => {
+    it('should undo a group in one step', () => {
+      history.begin('Two changes');
+      set(1);
+      set(2);
+      history.end();
+
+      expect(history.getUndoLabel()).toBe('Two changes');
+      history.undo();
+      expect(value).toBe(0);
+      history.redo();
+      expect(value).toBe(2);
+    });
+
+    it('should coalesce commands with the same key', () => {
+      history.begin('Drag');
+      set(1, 'drag');
+      set(2, 'drag');
+      set(3, 'drag');
+      history.end();
+
+      expect(history.undoStack[0].commands).toHaveLength(1);
+      history.undo();
+      expect(value).toBe(0);
+      history.redo();
+      expect(value).toBe(3);
+    });
+
+    it('should not coalesce outside a group', () => {
+      set(1, 'drag');
+      set(2, 'drag');
+
+      history.undo();
+      expect(value).toBe(1);
+    });
+
+    it('should support nesting and drop empty groups', () => {
+      history.begin('Outer');
+      history.begin('Inner');
+      set(1);
+      history.end();
+      set(2);
+      history.end();
+
+      history.begin('Empty');
+      history.end();
+      history.end();
+
+      expect(history.undoStack).toHaveLength(1);
+      expect(history.getUndoLabel()).toBe('Outer');
+    });
+  });
+
+  it('should fire change events', () => {
+    const handler = vi.fn();
+    history.addEventListener('change', handler);
+
+    set(1);
+    history.undo();
+    history.redo();
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(handler.mock.calls[0][0].detail.canUndo).toBe(true);
+    expect(handler.mock.calls[1][0].detail.canRedo).toBe(true);
+  });
+});
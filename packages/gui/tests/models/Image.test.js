@@ -214,6 +214,24 @@ describe('Image Model', () => {
     });
   });
 
+  describe('Point confidence', () => {
+    it('should store confidence of snapped points', () => {
+      const id = image.addPoint(0.5, 0.5, null, 0.82);
+      expect(image.points.find(p => p.id === id)).toEqual({ id, x: 0.5, y: 0.5, confidence: 0.82 });
+    });
+
+    it('should not add confidence to manually placed points', () => {
+      const id = image.addPoint(0.5, 0.5);
+      expect(image.points.find(p => p.id === id)).not.toHaveProperty('confidence');
+    });
+
+    it('should drop confidence when a point is moved', () => {
+      const id = image.addPoint(0.5, 0.5, null, 0.82);
+      image.updatePoint(id, 0.6, 0.4);
+      expect(image.points.find(p => p.id === id)).toEqual({ id, x: 0.6, y: 0.4 });
+    });
+  });
+
   describe('splitEdge()', () => {
     it('should delegate to morpherImage', () => {
       const mockMorpherImage = {
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { Project } from '../../src/models/Project.js';
 import { Image } from '../../src/models/Image.js';
+import { createNamespace, setDefaultBackend } from '../../src/utils/storage.js';
 
 describe('Project Model', () => {
   let project;
@@ -262,6 +263,184 @@ describe('Project Model', () => {
     });
   });
 
+  describe('Point proposals', () => {
+    let first;
+    let second;
+
+    beforeEach(() => {
+      first = project.addImage({ url: 'a.jpg' }, { skipSave: true });
+      second = project.addImage({ url: 'b.jpg' }, { skipSave: true });
+      project.setProposals([
+        { points: [{ x: 0.1, y: 0.2 }, { x: 0.15, y: 0.25 }], score: 0.9 },
+        { points: [{ x: 0.5, y: 0.5 }, { x: 0.55, y: 0.45 }], score: 0.8 },
+      ]);
+    });
+
+    it('should store proposals with IDs and fire proposals:change', () => {
+      const handler = vi.fn();
+      project.addEventListener('proposals:change', handler);
+      project.setProposals([{ points: [{ x: 0, y: 0 }, { x: 0, y: 0 }], score: 1 }]);
+
+      expect(project.proposals).toHaveLength(1);
+      expect(project.proposals[0].id).toMatch(/^proposal_/);
+      expect(handler).toHaveBeenCalled();
+    });
+
+    it('should add accepted proposals to each image with a shared ID', () => {
+      const pointId = project.acceptProposal(project.proposals[0].id);
+
+      expect(first.points).toEqual([{ id: pointId, x: 0.1, y: 0.2 }]);
+      expect(second.points).toEqual([{ id: pointId, x: 0.15, y: 0.25, confidence: 0.9 }]);
+      expect(project.proposals).toHaveLength(1);
+    });
+
+    it('should discard rejected proposals', () => {
+      project.rejectProposal(project.proposals[0].id);
+
+      expect(project.proposals).toHaveLength(1);
+      expect(first.points).toHaveLength(0);
+    });
+
+    it('should accept and clear all proposals', () => {
+      project.acceptAllProposals();
+      expect(first.points).toHaveLength(2);
+      expect(project.proposals).toHaveLength(0);
+
+      project.setProposals([{ points: [{ x: 0, y: 0 }, { x: 0, y: 0 }], score: 1 }]);
+      project.clearProposals();
+      expect(project.proposals).toHaveLength(0);
+    });
+
+    it('should not persist proposals', () => {
+      expect(project.toJSON().proposals).toBeUndefined();
+    });
+  });
+
+  describe('Regions', () => {
+    let first;
+    let second;
+
+    beforeEach(() => {
+      first = project.addImage({ id: 'a', url: 'a.jpg' }, { skipSave: true });
+      [[0, 0], [1, 0], [0, 1], [1, 1]].forEach(([x, y]) => first.addPoint(x, y));
+      second = project.addImage({ id: 'b', url: 'b.jpg' }, { skipSave: true });
+      first.targetWeight = 1;
+    });
+
+    it('should add regions with unique names and the current weights', () => {
+      const handler = vi.fn();
+      project.addEventListener('regions:change', handler);
+
+      const eyes = project.addRegion('Eyes');
+      const other = project.addRegion('Eyes');
+
+      expect(eyes.id).toMatch(/^region_/);
+      expect(eyes.weights).toEqual({ a: 1, b: 0 });
+      expect(other.name).toBe('Region 2');
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(project.renameRegion(other.id, 'Eyes')).toBe(false);
+      expect(project.renameRegion(other.id, 'Mouth')).toBe(true);
+    });
+
+    it('should toggle triangles, keeping each in one region', () => {
+      const eyes = project.addRegion('Eyes');
+      const mouth = project.addRegion('Mouth');
+
+      expect(project.triangles).toHaveLength(2);
+      expect(project.toggleRegionTriangle(eyes.id, 1)).toBe(true);
+      expect(project.getRegionTriangles(eyes)).toEqual([1]);
+
+      expect(project.toggleRegionTriangle(mouth.id, 1)).toBe(true);
+      expect(project.getRegionTriangles(eyes)).toEqual([]);
+      expect(project.getRegionTriangles(mouth)).toEqual([1]);
+
+      expect(project.toggleRegionTriangle(mouth.id, 1)).toBe(false);
+      expect(project.toggleRegionTriangle(mouth.id, 5)).toBe(false);
+    });
+
+    it('should keep triangles when the mesh is re-triangulated', () => {
+      const eyes = project.addRegion('Eyes');
+      project.toggleRegionTriangle(eyes.id, 0);
+      const [triangle] = project.triangles;
+
+      project.triangles = project.triangles.slice().reverse();
+
+      expect(project.getRegionTriangles(eyes)).toEqual([project.triangles.indexOf(triangle)]);
+    });
+
+    it('should set weights and forget removed images', () => {
+      const eyes = project.addRegion('Eyes');
+      project.setRegionWeight(eyes.id, 'b', 0.75);
+      expect(eyes.weights.b).toBe(0.75);
+
+      project.removeImage(second);
+      expect(eyes.weights).toEqual({ a: 1 });
+
+      project.removeRegion(eyes.id);
+      expect(project.regions).toHaveLength(0);
+    });
+
+    it('should persist regions', () => {
+      const eyes = project.addRegion('Eyes');
+      project.toggleRegionTriangle(eyes.id, 0);
+
+      const restored = new Project(JSON.parse(JSON.stringify(project.toJSON())));
+
+      expect(restored.regions).toEqual(project.regions);
+      expect(restored.getRegionTriangles(restored.regions[0])).toEqual([0]);
+    });
+  });
+
+  describe('setColorMatching()', () => {
+    it('should default to no color matching', () => {
+      expect(project.colorMatching).toBe('none');
+      expect(project.toJSON().color_matching).toBe('none');
+    });
+
+    it('should set valid modes and fire change:colorMatching', () => {
+      const handler = vi.fn();
+      project.addEventListener('change:colorMatching', handler);
+
+      expect(project.setColorMatching('average')).toBe(true);
+      expect(project.setColorMatching('average')).toBe(true);
+      expect(project.setColorMatching('sepia')).toBe(false);
+
+      expect(project.colorMatching).toBe('average');
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].detail.colorMatching).toBe('average');
+    });
+
+    it('should restore the mode from JSON', () => {
+      expect(new Project({ color_matching: 'reference' }).colorMatching).toBe('reference');
+      expect(new Project({ color_matching: 'bogus' }).colorMatching).toBe('none');
+    });
+  });
+
+  describe('setBlendMode()', () => {
+    it('should default to the additive blend', () => {
+      expect(project.blendMode).toBe('default');
+      expect(project.toJSON().blend_mode).toBe('default');
+    });
+
+    it('should set registered modes and fire change:blendMode', () => {
+      const handler = vi.fn();
+      project.addEventListener('change:blendMode', handler);
+
+      expect(project.setBlendMode('soft-light')).toBe(true);
+      expect(project.setBlendMode('soft-light')).toBe(true);
+      expect(project.setBlendMode('eval(1)')).toBe(false);
+
+      expect(project.blendMode).toBe('soft-light');
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].detail.blendMode).toBe('soft-light');
+    });
+
+    it('should restore the mode from JSON', () => {
+      expect(new Project({ blend_mode: 'dissolve' }).blendMode).toBe('dissolve');
+      expect(new Project({ blend_mode: 'bogus' }).blendMode).toBe('default');
+    });
+  });
+
   describe('updateBlendFunction()', () => {
     it('should validate and set blend function code', () => {
       const code = 'return destination + source * weight;';
@@ -365,6 +544,178 @@ describe('Project Model', () => {
     });
   });
 
+  describe('Undo / redo', () => {
+    let first;
+    let second;
+
+    beforeEach(() => {
+      first = project.addImage({ url: 'a.jpg' }, { skipSave: true });
+      second = project.addImage({ url: 'b.jpg' }, { skipSave: true });
+      project.history.clear();
+    });
+
+    it('should not record loading a project', () => {
+      const loaded = new Project({ images: [{ url: 'a.jpg' }, { url: 'b.jpg' }] });
+      expect(loaded.history.canUndo()).toBe(false);
+    });
+
+    it('should undo and redo adding a point to all images', () => {
+      const pointId = project.addPoint([{ x: 0.1, y: 0.2 }, { x: 0.3, y: 0.4, confidence: 0.8 }]);
+      expect(second.points).toEqual([{ id: pointId, x: 0.3, y: 0.4, confidence: 0.8 }]);
+
+      expect(project.undo()).toBe(true);
+      expect(first.points).toHaveLength(0);
+      expect(second.points).toHaveLength(0);
+
+      expect(project.redo()).toBe(true);
+      expect(first.points).toEqual([{ id: pointId, x: 0.1, y: 0.2 }]);
+      expect(second.points[0].id).toBe(pointId);
+    });
+
+    it('should restore deleted points at their index', () => {
+      const ids = [0, 1, 2, 3].map(i => project.addPoint([{ x: i / 4, y: (i % 2) / 2 }]));
+      const triangles = project.triangles.map(t => t.slice());
+
+      expect(project.removePoint(ids[1])).toBe(true);
+      expect(first.points.map(p => p.id)).toEqual([ids[0], ids[2], ids[3]]);
+
+      project.undo();
+      expect(first.points.map(p => p.id)).toEqual(ids);
+      expect(second.points.map(p => p.id)).toEqual(ids);
+      expect(project.triangles).toEqual(triangles);
+
+      project.redo();
+      expect(first.points).toHaveLength(3);
+    });
+
+    it('should coalesce a drag into one step', () => {
+      const pointId = project.addPoint([{ x: 0.1, y: 0.1 }, { x: 0.2, y: 0.2, confidence: 0.5 }]);
+
+      project.beginChange('Move point');
+      project.movePoint(second, pointId, 0.3, 0.3);
+      project.movePoint(second, pointId, 0.4, 0.4);
+      project.movePoint(second, pointId, 0.5, 0.5);
+      project.endChange();
+
+      expect(project.history.getUndoLabel()).toBe('Move point');
+      project.undo();
+      expect(second.points[0]).toEqual({ id: pointId, x: 0.2, y: 0.2, confidence: 0.5 });
+
+      project.redo();
+      expect(second.points[0]).toEqual({ id: pointId, x: 0.5, y: 0.5 });
+
+      project.undo();
+      project.undo();
+      expect(second.points).toHaveLength(0);
+    });
+
+    it('should undo removing an image with its weights in regions', () => {
+      const region = project.addRegion('Eyes');
+      project.setRegionWeight(region.id, second.id, 0.7);
+      second.setPoints([{ id: 0, x: 0.5, y: 0.5 }]);
+      project.history.clear();
+
+      project.removeImage(second);
+      expect(project.images).toEqual([first]);
+
+      project.undo();
+      expect(project.images).toHaveLength(2);
+      const restored = project.images[1];
+      expect(restored.id).toBe(second.id);
+      expect(restored.url).toBe('b.jpg');
+      expect(restored.points).toEqual([{ id: 0, x: 0.5, y: 0.5 }]);
+      expect(region.weights[second.id]).toBe(0.7);
+
+      project.redo();
+      expect(project.images).toEqual([first]);
+    });
+
+    it('should undo adding an image', () => {
+      const third = project.addImage({ url: 'c.jpg' });
+      project.undo();
+      expect(project.images).toEqual([first, second]);
+
+      project.redo();
+      expect(project.images[2].id).toBe(third.id);
+    });
+
+    it('should undo triangle edits', () => {
+      project.triangles = [[0, 1, 2]];
+      project.addTriangle(1, 2, 3);
+      expect(project.removeTriangle(0)).toBe(true);
+      expect(project.triangles).toEqual([[1, 2, 3]]);
+
+      project.undo();
+      expect(project.triangles).toEqual([[0, 1, 2], [1, 2, 3]]);
+      project.undo();
+      expect(project.triangles).toEqual([[0, 1, 2]]);
+      project.redo();
+      project.redo();
+      expect(project.triangles).toEqual([[1, 2, 3]]);
+    });
+
+    it('should undo weight changes including normalization', () => {
+      const initial = [first.targetWeight, second.targetWeight];
+      project.setImageWeight(second, 0.25);
+      project.setImageWeight(second, 0.75);
+      expect(first.weight).toBeCloseTo(0.25, 5);
+
+      project.undo();
+      expect(second.targetWeight).toBeCloseTo(0.25, 5);
+      expect(first.targetWeight).toBeCloseTo(0.75, 5);
+
+      project.undo();
+      expect([first.targetWeight, second.targetWeight]).toEqual(initial);
+    });
+
+    it('should undo function and blend mode edits', () => {
+      project.updateBlendFunction('return 1;');
+      project.updateBlendFunction('return 2;');
+      project.updateFinalTouchFunction('return;');
+      project.setBlendMode('overlay');
+
+      project.undo();
+      expect(project.blendMode).toBe('default');
+      project.undo();
+      expect(project.finalTouchFunction).toBe(null);
+      project.undo();
+      expect(project.blendFunction).toBe('return 1;');
+      project.undo();
+      expect(project.blendFunction).toBe(null);
+
+      project.redo();
+      expect(project.blendFunction).toBe('return 1;');
+    });
+
+    it('should undo accepting proposals', () => {
+      project.setProposals([
+        { points: [{ x: 0.1, y: 0.2 }, { x: 0.15, y: 0.25 }], score: 0.9 },
+        { points: [{ x: 0.5, y: 0.5 }, { x: 0.55, y: 0.45 }], score: 0.8 },
+      ]);
+      project.acceptAllProposals();
+
+      project.undo();
+      expect(first.points).toHaveLength(0);
+      expect(project.proposals.map(p => p.score)).toEqual([0.9, 0.8]);
+
+      project.redo();
+      expect(first.points).toHaveLength(2);
+      expect(project.proposals).toHaveLength(0);
+    });
+
+    it('should fire history:change', () => {
+      const handler = vi.fn();
+      project.addEventListener('history:change', handler);
+
+      project.setColorMatching('average');
+      project.undo();
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(handler.mock.calls[1][0].detail.canRedo).toBe(true);
+      expect(project.colorMatching).toBe('none');
+    });
+  });
+
   describe('toJSON()', () => {
     it('should serialize project to JSON', () => {
       project.id = 'test-proj-1';
@@ -438,6 +789,122 @@ describe('Project Model', () => {
     });
   });
 
+  describe('storage backends', () => {
+    const DATA_URL = 'data:image/png;base64,aGVsbG8=';
+
+    // Async in-memory backend that keeps Blobs, like the IndexedDB one
+    const createMemoryBackend = () => {
+      const items = new Map();
+      return {
+        name: 'memory',
+        supportsBlobs: true,
+        items,
+        getItem: async (key, defaultValue = null) => (items.has(key) ? items.get(key) : defaultValue),
+        setItem: vi.fn(async (key, value) => { items.set(key, value); return true; }),
+        removeItem: async (key) => items.delete(key),
+        hasItem: async (key) => items.has(key),
+        getKeys: async (prefix = '') => [...items.keys()].filter((key) => key.startsWith(prefix)),
+        estimate: async () => ({ usage: 0, quota: 0 }),
+      };
+    };
+
+    let backend;
+
+    beforeEach(() => {
+      backend = createMemoryBackend();
+      setDefaultBackend(backend);
+    });
+
+    afterEach(() => {
+      setDefaultBackend(null);
+    });
+
+    it('should store image files as Blobs next to the project', async () => {
+      const image = project.addImage({ file: DATA_URL }, { skipSave: true });
+
+      expect(await project.save()).toBe(true);
+
+      const blob = backend.items.get(`morpher-gui:${Project.fileKey(project.id, image.id)}`);
+      expect(blob).toBeInstanceOf(Blob);
+      expect(blob.type).toBe('image/png');
+
+      const saved = backend.items.get(`morpher-gui:project_${project.id}`);
+      expect(saved.images[0].file).toBe(null);
+    });
+
+    it('should only write image files when they change', async () => {
+      project.addImage({ file: DATA_URL }, { skipSave: true });
+      await project.save();
+      backend.setItem.mockClear();
+
+      await project.save();
+
+      expect(backend.setItem).toHaveBeenCalledTimes(1);
+      expect(backend.setItem.mock.calls[0][0]).toBe(`morpher-gui:project_${project.id}`);
+    });
+
+    it('should remove files of removed images', async () => {
+      const image = project.addImage({ file: DATA_URL }, { skipSave: true });
+      await project.save();
+
+      project.removeImage(image);
+      await project.save();
+
+      expect(backend.items.has(`morpher-gui:${Project.fileKey(project.id, image.id)}`)).toBe(false);
+    });
+
+    it('should load image files back as data URLs', async () => {
+      const image = project.addImage({ file: DATA_URL }, { skipSave: true });
+      await project.save();
+
+      const loaded = await Project.load(createNamespace('morpher-gui'), project.id);
+
+      expect(loaded.id).toBe(project.id);
+      expect(loaded.images[0].id).toBe(image.id);
+      expect(loaded.images[0].file).toBe(DATA_URL);
+
+      // Already stored, so saving doesn't write it again
+      backend.setItem.mockClear();
+      await loaded.save();
+      expect(backend.setItem).toHaveBeenCalledTimes(1);
+      loaded.dispose();
+    });
+
+    it('should fire save:error when a write fails', async () => {
+      project.addImage({ file: DATA_URL }, { skipSave: true });
+      backend.setItem.mockResolvedValue(false);
+      const handler = vi.fn();
+      project.addEventListener('save:error', handler);
+
+      expect(await project.save()).toBe(false);
+      expect(handler).toHaveBeenCalled();
+    });
+
+    it('should report image data dropped from a backend without Blobs', () => {
+      // Like localStorage, with only room for the project without its images
+      setDefaultBackend({
+        ...backend,
+        supportsBlobs: false,
+        setItem: (key, value) => {
+          if (JSON.stringify(value).includes('base64')) {
+            return false;
+          }
+          backend.items.set(key, value);
+          return true;
+        },
+      });
+      project.addImage({ file: DATA_URL }, { skipSave: true });
+      const handler = vi.fn();
+      project.addEventListener('save:error', handler);
+
+      expect(project.save()).toBe(false);
+
+      expect(handler).toHaveBeenCalled();
+      expect(handler.mock.calls[0][0].detail.message).toMatch(/image data/);
+      expect(backend.items.get(`morpher-gui:project_${project.id}`).images[0].file).toBe(null);
+    });
+  });
+
   describe('dispose()', () => {
     it('should dispose all images', () => {
       const img1 = project.addImage({ url: 'test1.jpg' }, { skipSave: true });
@@ -503,6 +970,49 @@ describe('Project Model', () => {
 
       proj.dispose();
     });
+
+    it('should upgrade points saved without IDs', () => {
+      const proj = Project.fromJSON({
+        images: [{ id: 'img1', points: [{ x: 0.1, y: 0.2 }, { x: 0.3, y: 0.4 }] }],
+      });
+
+      expect(proj.images[0].points.map(p => p.id)).toEqual([0, 1]);
+      expect(proj.images[0].nextPointId).toBe(2);
+
+      proj.dispose();
+    });
+
+    it('should report invalid values with their paths', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const proj = Project.fromJSON({
+        version: 2,
+        images: [{ id: 'img1', weight: 3, points: [{ id: 0, x: 'left', y: 0.2 }] }],
+      });
+
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toContain('images[0].weight: must be at most 1');
+      expect(warn.mock.calls[0][0]).toContain('images[0].points[0].x: must be a number');
+
+      warn.mockRestore();
+      proj.dispose();
+    });
+
+    it('should round-trip through toJSON() without warnings', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      project.addImage({ id: 'img1', url: 'test.jpg' }, { skipSave: true });
+      project.addPoint([{ x: 0.5, y: 0.5 }]);
+
+      const json = project.toJSON();
+      const proj = Project.fromJSON(json);
+
+      expect(json.version).toBe(2);
+      expect(warn).not.toHaveBeenCalled();
+      expect(proj.images[0].points).toEqual(project.images[0].points);
+
+      warn.mockRestore();
+      proj.dispose();
+    });
   });
 
   describe('Event handling', () => {
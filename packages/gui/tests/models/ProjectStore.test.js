@@ -46,15 +46,15 @@ describe('ProjectStore', () => {
   });
 
   describe('load()', () => {
-    it('should create default project if storage is empty', () => {
-      const projects = store.load();
+    it('should create default project if storage is empty', async () => {
+      const projects = await store.load();
 
       expect(projects.length).toBe(1);
       expect(projects[0]).toBeInstanceOf(Project);
       expect(projects[0].name).toBe('Default Project');
     });
 
-    it('should load projects from storage', () => {
+    it('should load projects from storage', async () => {
       // Manually save some projects
       const proj1 = new Project({ id: 'proj1', name: 'Project 1' });
       const proj2 = new Project({ id: 'proj2', name: 'Project 2' });
@@ -64,7 +64,7 @@ describe('ProjectStore', () => {
       store.storage.setItem('projects_index', ['proj1', 'proj2']);
       store.storage.setItem('current_index', 1);
 
-      const projects = store.load();
+      const projects = await store.load();
 
       expect(projects.length).toBe(2);
       expect(projects[0].id).toBe('proj1');
@@ -85,34 +85,34 @@ describe('ProjectStore', () => {
       store.load();
     });
 
-    it('should handle corrupt project data gracefully', () => {
+    it('should handle corrupt project data gracefully', async () => {
       // Set up invalid data
       store.storage.setItem('projects_index', ['bad-id']);
       store.storage.setItem('project_bad-id', 'not valid json{{{');
 
-      const projects = store.load();
+      const projects = await store.load();
 
       // Should create default project since loading failed
       expect(projects.length).toBe(1);
       expect(projects[0].name).toBe('Default Project');
     });
 
-    it('should adjust invalid current index', () => {
+    it('should adjust invalid current index', async () => {
       const proj1 = new Project({ id: 'proj1', name: 'Project 1' });
       proj1.save();
 
       store.storage.setItem('projects_index', ['proj1']);
       store.storage.setItem('current_index', 999); // Invalid
 
-      store.load();
+      await store.load();
 
       expect(store.currentIndex).toBe(0); // Adjusted
     });
   });
 
   describe('create()', () => {
-    beforeEach(() => {
-      store.load(); // Ensure default project exists
+    beforeEach(async () => {
+      await store.load(); // Ensure default project exists
     });
 
     it('should create new project', () => {
@@ -154,8 +154,8 @@ describe('ProjectStore', () => {
   });
 
   describe('remove()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
     });
 
     it('should remove project', () => {
@@ -220,8 +220,8 @@ describe('ProjectStore', () => {
   });
 
   describe('removeAt()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
     });
 
     it('should remove project by index', () => {
@@ -242,8 +242,8 @@ describe('ProjectStore', () => {
   });
 
   describe('getCurrent()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
     });
 
     it('should return current project', () => {
@@ -258,8 +258,8 @@ describe('ProjectStore', () => {
   });
 
   describe('setCurrent()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
       store.create({ name: 'P1' });
       store.create({ name: 'P2' });
     });
@@ -297,8 +297,8 @@ describe('ProjectStore', () => {
   });
 
   describe('setCurrentProject()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
     });
 
     it('should set current by project instance', () => {
@@ -319,8 +319,8 @@ describe('ProjectStore', () => {
   });
 
   describe('next()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
       store.create({ name: 'P1' });
       store.create({ name: 'P2' });
     });
@@ -343,8 +343,8 @@ describe('ProjectStore', () => {
   });
 
   describe('previous()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
       store.create({ name: 'P1' });
       store.create({ name: 'P2' });
     });
@@ -367,8 +367,8 @@ describe('ProjectStore', () => {
   });
 
   describe('getAll()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
     });
 
     it('should return all projects', () => {
@@ -378,8 +378,8 @@ describe('ProjectStore', () => {
   });
 
   describe('getById()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
     });
 
     it('should find project by ID', () => {
@@ -396,8 +396,8 @@ describe('ProjectStore', () => {
   });
 
   describe('getAt()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
     });
 
     it('should get project by index', () => {
@@ -412,8 +412,8 @@ describe('ProjectStore', () => {
   });
 
   describe('count()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
     });
 
     it('should return project count', () => {
@@ -425,8 +425,8 @@ describe('ProjectStore', () => {
   });
 
   describe('clear()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
       store.create({ name: 'P1' });
       store.create({ name: 'P2' });
     });
@@ -460,8 +460,8 @@ describe('ProjectStore', () => {
   });
 
   describe('exportAll()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
     });
 
     it('should export all projects', () => {
@@ -500,8 +500,8 @@ describe('ProjectStore', () => {
   });
 
   describe('importAll()', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
     });
 
     it('should import projects', () => {
@@ -567,6 +567,16 @@ describe('ProjectStore', () => {
       expect(store.currentIndex).toBe(1);
     });
 
+    it('should reject exports from a newer major version', () => {
+      const data = {
+        version: '3.0.0',
+        projects: [{ id: 'future', name: 'Future' }],
+      };
+
+      expect(() => store.importAll(data)).toThrow('newer than the supported version');
+      expect(store.getById('future')).toBeFalsy();
+    });
+
     it('should fire reset event', (done) => {
       const data = {
         projects: [
@@ -584,8 +594,8 @@ describe('ProjectStore', () => {
   });
 
   describe('Event handling', () => {
-    beforeEach(() => {
-      store.load();
+    beforeEach(async () => {
+      await store.load();
     });
 
     it('should support EventTarget API', () => {
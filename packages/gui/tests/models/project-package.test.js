@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { Project } from '../../src/models/Project.js';
+import {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  exportPackage,
+  importPackage,
+  sanitizeProjectJSON,
+} from '../../src/models/project-package.js';
+
+// "hello" and "world" in base64
+const PNG = 'data:image/png;base64,aGVsbG8=';
+const JPEG = 'data:image/jpeg;base64,d29ybGQ=';
+
+const zipManifest = (manifest) => zipSync({ 'project.json': strToU8(JSON.stringify(manifest)) });
+
+describe('project-package', () => {
+  let project;
+
+  beforeEach(() => {
+    localStorage.clear();
+    project = new Project({
+      name: 'Faces',
+      blend_mode: 'overlay',
+      triangles: [[0, 1, 2]],
+      images: [
+        { id: 'a', file: PNG, weight: 0.25, points: [{ id: 0, x: 0.1, y: 0.2 }], nextPointId: 1 },
+        { id: 'b', file: JPEG, weight: 0.75, points: [{ id: 0, x: 0.3, y: 0.4 }], nextPointId: 1 },
+      ],
+      regions: [{ id: 'region_1', name: 'Eyes', triangles: [[0, 1, 2]], weights: { a: 1, b: 0 } }],
+    });
+  });
+
+  afterEach(() => {
+    project.dispose();
+    localStorage.clear();
+  });
+
+  describe('exportPackage()', () => {
+    it('should store the manifest and original image files', async () => {
+      const blob = await exportPackage([project], { thumbnailSize: false });
+      const entries = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+      const manifest = JSON.parse(strFromU8(entries['project.json']));
+
+      expect(manifest.format).toBe(PACKAGE_FORMAT);
+      expect(manifest.version).toBe(PACKAGE_VERSION);
+      expect(manifest.projects).toHaveLength(1);
+      expect(manifest.projects[0].images[0].file).toBe('projects/0/images/0.png');
+      expect(manifest.projects[0].images[1].file).toBe('projects/0/images/1.jpg');
+      expect(strFromU8(entries['projects/0/images/0.png'])).toBe('hello');
+      expect(strFromU8(entries['projects/0/images/1.jpg'])).toBe('world');
+    });
+
+    it('should leave out the thumbnail when it can\'t be rendered', async () => {
+      // The test DOM has no 2D canvas, so no thumbnail is drawn
+      const blob = await exportPackage([project]);
+      const entries = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+      const manifest = JSON.parse(strFromU8(entries['project.json']));
+
+      expect(manifest.projects[0].thumbnail).toBe(null);
+      expect(Object.keys(entries).some(path => path.endsWith('thumbnail.png'))).toBe(false);
+    });
+  });
+
+  describe('importPackage()', () => {
+    it('should round-trip a project with its images', async () => {
+      const blob = await exportPackage([project], { thumbnailSize: false });
+      const { projects, currentIndex } = await importPackage(blob);
+
+      expect(currentIndex).toBe(0);
+      expect(projects).toHaveLength(1);
+
+      const data = projects[0];
+      expect(data.id).toBeUndefined();
+      expect(data.name).toBe('Faces');
+      expect(data.blend_mode).toBe('overlay');
+      expect(data.triangles).toEqual([[0, 1, 2]]);
+      expect(data.regions[0].weights).toEqual({ a: 1, b: 0 });
+      expect(data.images.map(img => img.file)).toEqual([PNG, JPEG]);
+      expect(data.images[1].points).toEqual([{ id: 0, x: 0.3, y: 0.4 }]);
+
+      const imported = Project.fromJSON(data);
+      expect(imported.id).not.toBe(project.id);
+      expect(imported.images[0].weight).toBe(0.25);
+      imported.dispose();
+    });
+
+    it('should reject files that are not zip archives', async () => {
+      await expect(importPackage(strToU8('not a zip'))).rejects.toThrow(/not a zip archive/);
+    });
+
+    it('should reject archives without a manifest', async () => {
+      await expect(importPackage(zipSync({ 'other.txt': strToU8('x') }))).rejects.toThrow(/project\.json is missing/);
+    });
+
+    it('should reject unknown formats', async () => {
+      const archive = zipManifest({ format: 'something-else', version: 1, projects: [] });
+      await expect(importPackage(archive)).rejects.toThrow(/unknown format/);
+    });
+
+    it('should reject newer versions', async () => {
+      const archive = zipManifest({ format: PACKAGE_FORMAT, version: PACKAGE_VERSION + 1, projects: [] });
+      await expect(importPackage(archive)).rejects.toThrow(/newer than this editor supports/);
+    });
+
+    it('should leave out image files missing from the archive', async () => {
+      const archive = zipManifest({
+        format: PACKAGE_FORMAT,
+        version: PACKAGE_VERSION,
+        projects: [{ name: 'P', images: [{ id: 'a', file: 'projects/0/images/0.png' }] }],
+      });
+
+      const { projects } = await importPackage(archive);
+      expect(projects[0].images[0].file).toBe(null);
+    });
+  });
+
+  describe('sanitizeProjectJSON()', () => {
+    it('should return null for anything but a project', () => {
+      expect(sanitizeProjectJSON(null)).toBe(null);
+      expect(sanitizeProjectJSON({ name: 'No images' })).toBe(null);
+    });
+
+    it('should keep only valid values', () => {
+      const data = sanitizeProjectJSON({
+        id: 'project_1',
+        name: 42,
+        color: 'url(javascript:alert(1))',
+        extra: 'ignored',
+        triangles: [[0, 1, 2], [0, 1], [0, -1, 2], 'bad'],
+        images: [{
+          id: 'a',
+          url: 'javascript:alert(1)',
+          weight: 5,
+          x: 'left',
+          points: [{ id: 0, x: 'NaN', y: 0.5 }, null],
+        }],
+        regions: [
+          { id: 'r', name: 'R', triangles: [[0, 1, 2], [1, 2]], weights: { a: 0.5, missing: 1, b: 'x' } },
+          { name: 'No ID' },
+        ],
+      });
+
+      expect(data.id).toBeUndefined();
+      expect(data.extra).toBeUndefined();
+      expect(data.name).toBe('Imported Project');
+      expect(data.color).toBeUndefined();
+      expect(data.triangles).toEqual([[0, 1, 2]]);
+      expect(data.images[0].url).toBe('');
+      expect(data.images[0].weight).toBe(1);
+      expect(data.images[0].x).toBe(0);
+      expect(data.images[0].points).toEqual([{ id: 0, x: 0, y: 0.5 }, { id: 1, x: 0, y: 0 }]);
+      expect(data.regions).toEqual([{ id: 'r', name: 'R', triangles: [[0, 1, 2]], weights: { a: 0.5 } }]);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { Project } from '../../src/models/Project.js';
+import { SchemaError } from 'morpher-js';
+import {
+  PROJECT_SCHEMA_VERSION,
+  EXPORT_VERSION,
+  migrateProjectJSON,
+  validateProjectJSON,
+  checkExportVersion,
+} from '../../src/models/project-schema.js';
+
+describe('project-schema', () => {
+  describe('migrateProjectJSON()', () => {
+    it('should give version 1 points IDs by index', () => {
+      const json = migrateProjectJSON({
+        name: 'Old',
+        images: [
+          { id: 'a', points: [{ x: 0.1, y: 0.2 }, { x: 0.3, y: 0.4 }] },
+          { id: 'b', points: [] },
+        ],
+      });
+
+      expect(json.version).toBe(PROJECT_SCHEMA_VERSION);
+      expect(json.images[0].points).toEqual([{ id: 0, x: 0.1, y: 0.2 }, { id: 1, x: 0.3, y: 0.4 }]);
+      expect(json.images[0].nextPointId).toBe(2);
+      expect(json.images[1].nextPointId).toBe(0);
+      expect(validateProjectJSON(json)).toEqual([]);
+    });
+
+    it('should keep existing IDs and nextPointId above them', () => {
+      const json = migrateProjectJSON({
+        images: [{ id: 'a', points: [{ id: 7, x: 0, y: 0 }, { x: 1, y: 1 }], nextPointId: 3 }],
+      });
+
+      expect(json.images[0].points.map(p => p.id)).toEqual([7, 1]);
+      expect(json.images[0].nextPointId).toBe(8);
+    });
+
+    it('should leave current projects alone', () => {
+      const json = { version: PROJECT_SCHEMA_VERSION, images: [{ id: 'a', points: [{ x: 0, y: 0 }] }] };
+
+      expect(migrateProjectJSON(json)).toBe(json);
+    });
+
+    it('should reject newer versions', () => {
+      expect(() => migrateProjectJSON({ version: PROJECT_SCHEMA_VERSION + 1 })).toThrow(SchemaError);
+    });
+  });
+
+  describe('validateProjectJSON()', () => {
+    it('should accept saved projects', () => {
+      const project = new Project({
+        name: 'Saved',
+        triangles: [[0, 1, 2]],
+        images: [{ id: 'a', points: [{ id: 0, x: 0.5, y: 0.5, confidence: 0.9 }], nextPointId: 1 }],
+        regions: [{ id: 'r', name: 'Eyes', triangles: [[0, 1, 2]], weights: { a: 1 } }],
+      });
+
+      expect(validateProjectJSON(project.toJSON({ includeImageData: true }))).toEqual([]);
+
+      project.dispose();
+    });
+
+    it('should report invalid values with their paths', () => {
+      const errors = validateProjectJSON({
+        version: 2,
+        blend_function: 42,
+        triangles: [[0, 1]],
+        images: [{ id: 'a', targetWeight: -1, points: [{ x: 0, y: 0 }] }],
+        regions: [{ id: 'r', name: 'R', triangles: [], weights: { a: 'half' } }],
+      });
+
+      expect(errors.map(e => e.path)).toEqual([
+        'blend_function',
+        'triangles[0]',
+        'images[0].targetWeight',
+        'images[0].points[0].id',
+        'regions[0].weights.a',
+      ]);
+    });
+  });
+
+  describe('checkExportVersion()', () => {
+    it('should accept the current and older exports', () => {
+      expect(() => checkExportVersion({ version: EXPORT_VERSION })).not.toThrow();
+      expect(() => checkExportVersion({ version: '1.0.0' })).not.toThrow();
+      expect(() => checkExportVersion({ projects: [] })).not.toThrow();
+    });
+
+    it('should reject newer major versions and invalid versions', () => {
+      expect(() => checkExportVersion({ version: '3.0.0' })).toThrow(SchemaError);
+      expect(() => checkExportVersion({ version: 'latest' })).toThrow('invalid version');
+    });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests for data URL utility
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isDataURL, dataURLToBlob, blobToDataURL } from '../../src/utils/data-url.js';
+
+// "hello" in base64
+const DATA_URL = 'data:image/png;base64,aGVsbG8=';
+
+describe('data-url', () => {
+  describe('isDataURL', () => {
+    it('should accept base64 data URLs', () => {
+      expect(isDataURL(DATA_URL)).toBe(true);
+    });
+
+    it('should reject other values', () => {
+      expect(isDataURL('image.png')).toBe(false);
+      expect(isDataURL('data:text/plain,hello')).toBe(false);
+      expect(isDataURL(null)).toBe(false);
+    });
+  });
+
+  describe('dataURLToBlob', () => {
+    it('should decode the bytes and keep the MIME type', async () => {
+      const blob = dataURLToBlob(DATA_URL);
+
+      expect(blob.type).toBe('image/png');
+      expect(blob.size).toBe(5);
+      expect(await blob.text()).toBe('hello');
+    });
+
+    it('should throw for anything but a base64 data URL', () => {
+      expect(() => dataURLToBlob('image.png')).toThrow();
+    });
+  });
+
+  describe('blobToDataURL', () => {
+    it('should round-trip a data URL', async () => {
+      expect(await blobToDataURL(dataURLToBlob(DATA_URL))).toBe(DATA_URL);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for IndexedDB storage backend
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { openIndexedDBBackend, migrateFromLocalStorage } from '../../src/utils/indexeddb-storage.js';
+
+// In-memory backend standing in for an opened database
+const createMemoryBackend = () => {
+  const items = new Map();
+  return {
+    items,
+    failOn: null,
+    async setItem(key, value) {
+      if (key === this.failOn) {
+        return false;
+      }
+      items.set(key, value);
+      return true;
+    },
+  };
+};
+
+describe('indexeddb-storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  describe('openIndexedDBBackend', () => {
+    it('should return null without IndexedDB', async () => {
+      expect(await openIndexedDBBackend('test', null)).toBe(null);
+    });
+  });
+
+  describe('migrateFromLocalStorage', () => {
+    it('should move prefixed items', async () => {
+      localStorage.setItem('app:index', JSON.stringify(['a']));
+      localStorage.setItem('app:project_a', JSON.stringify({ id: 'a' }));
+      localStorage.setItem('other', JSON.stringify(1));
+      const backend = createMemoryBackend();
+
+      expect(await migrateFromLocalStorage('app:', backend)).toBe(2);
+
+      expect(backend.items.get('app:index')).toEqual(['a']);
+      expect(backend.items.get('app:project_a')).toEqual({ id: 'a' });
+      expect(backend.items.has('other')).toBe(false);
+      expect(localStorage.getItem('app:index')).toBe(null);
+      expect(localStorage.getItem('other')).toBe('1');
+    });
+
+    it('should keep localStorage items when a write fails', async () => {
+      localStorage.setItem('app:index', JSON.stringify(['a']));
+      localStorage.setItem('app:project_a', JSON.stringify({ id: 'a' }));
+      const backend = createMemoryBackend();
+      backend.failOn = 'app:project_a';
+
+      expect(await migrateFromLocalStorage('app:', backend)).toBe(-1);
+
+      expect(localStorage.getItem('app:index')).toBe('["a"]');
+      expect(localStorage.getItem('app:project_a')).toBe('{"id":"a"}');
+    });
+  });
+});
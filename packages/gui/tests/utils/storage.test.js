@@ -218,4 +218,63 @@ describe('storage', () => {
       expect(keys).not.toContain('project:key1');
     });
   });
+
+  describe('backends', () => {
+    // Async in-memory backend, like the IndexedDB one
+    const createMemoryBackend = () => {
+      const items = new Map();
+      return {
+        name: 'memory',
+        supportsBlobs: true,
+        items,
+        getItem: async (key, defaultValue = null) => (items.has(key) ? items.get(key) : defaultValue),
+        setItem: async (key, value) => { items.set(key, value); return true; },
+        removeItem: async (key) => items.delete(key),
+        hasItem: async (key) => items.has(key),
+        getKeys: async (prefix = '') => [...items.keys()].filter((key) => key.startsWith(prefix)),
+        estimate: async () => ({ usage: 100, quota: 1000 }),
+      };
+    };
+
+    afterEach(() => {
+      storage.setDefaultBackend(null);
+    });
+
+    it('should use localStorage by default', () => {
+      expect(storage.getDefaultBackend()).toBe(storage.localStorageBackend);
+      expect(storage.createNamespace('project').backend).toBe(storage.localStorageBackend);
+    });
+
+    it('should create namespaces on another backend', async () => {
+      const backend = createMemoryBackend();
+      const projectStorage = storage.createNamespace('project', backend);
+
+      await projectStorage.setItem('name', 'Test');
+      expect(backend.items.get('project:name')).toBe('Test');
+      expect(await projectStorage.getItem('name')).toBe('Test');
+      expect(await projectStorage.getKeys()).toEqual(['name']);
+      expect(localStorage.getItem('project:name')).toBe(null);
+
+      expect(await projectStorage.clear()).toBe(true);
+      expect(await projectStorage.hasItem('name')).toBe(false);
+    });
+
+    it('should use the default backend for new namespaces', async () => {
+      const backend = createMemoryBackend();
+      storage.setDefaultBackend(backend);
+
+      await storage.createNamespace('project').setItem('id', 1);
+      expect(backend.items.get('project:id')).toBe(1);
+    });
+
+    it('should estimate usage', async () => {
+      storage.setItem('test', 'value');
+
+      const local = await storage.estimateUsage();
+      expect(local.usage).toBeGreaterThan(0);
+      expect(local.quota).toBeGreaterThan(local.usage);
+
+      expect(await storage.estimateUsage(createMemoryBackend())).toEqual({ usage: 100, quota: 1000 });
+    });
+  });
 });
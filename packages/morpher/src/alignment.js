@@ -0,0 +1,80 @@
+/**
+ * Image Alignment
+ *
+ * Similarity transforms (uniform scale, rotation and translation) that place
+ * an image's points onto the canvas, and a Procrustes fit that finds the
+ * transform bringing one set of points as close as possible to another in
+ * the least-squares sense. Reflections are never produced, so a fitted
+ * transform can't mirror a face.
+ *
+ * A transform is {x, y, scale, rotation} (rotation in radians) and maps an
+ * image position p to x + scale * R(rotation) * p on the canvas.
+ */
+
+/**
+ * Map a position with a similarity transform
+ * @param {{x: number, y: number, scale: number, rotation: number}} transform - Transform
+ * @param {{x: number, y: number}} point - Position
+ * @returns {{x: number, y: number}} Transformed position
+ */
+export function applyTransform(transform, point) {
+  const { x, y, scale, rotation } = transform;
+  const cos = Math.cos(rotation) * scale;
+  const sin = Math.sin(rotation) * scale;
+
+  return {
+    x: x + cos * point.x - sin * point.y,
+    y: y + sin * point.x + cos * point.y
+  };
+}
+
+/**
+ * Fit the similarity transform that maps from onto to (orthogonal Procrustes)
+ *
+ * @param {Array<{x: number, y: number}>} from - Points to move
+ * @param {Array<{x: number, y: number}>} to - Target positions, same order
+ * @returns {{x: number, y: number, scale: number, rotation: number}|null} Transform,
+ *   or null with fewer than two distinct points
+ */
+export function alignPoints(from, to) {
+  const count = Math.min(from.length, to.length);
+  if (count < 2) {
+    return null;
+  }
+
+  const centroid = (points) => {
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < count; i++) {
+      x += points[i].x;
+      y += points[i].y;
+    }
+    return { x: x / count, y: y / count };
+  };
+  const c1 = centroid(from);
+  const c2 = centroid(to);
+
+  // Cross-covariance terms of the centered point sets
+  let dot = 0;
+  let cross = 0;
+  let norm = 0;
+  for (let i = 0; i < count; i++) {
+    const px = from[i].x - c1.x;
+    const py = from[i].y - c1.y;
+    const qx = to[i].x - c2.x;
+    const qy = to[i].y - c2.y;
+    dot += px * qx + py * qy;
+    cross += px * qy - py * qx;
+    norm += px * px + py * py;
+  }
+
+  if (norm < 1e-12) {
+    return null;
+  }
+
+  const rotation = Math.atan2(cross, dot);
+  const scale = Math.sqrt(dot * dot + cross * cross) / norm;
+  const moved = applyTransform({ x: 0, y: 0, scale, rotation }, c1);
+
+  return { x: c2.x - moved.x, y: c2.y - moved.y, scale, rotation };
+}
@@ -0,0 +1,269 @@
+/**
+ * Blend Kernels
+ *
+ * Pixel loops for the blend modes that run on the CPU: in the blend worker,
+ * and on the main thread for modes canvas compositing can't express. They
+ * work on ImageData and blend the source into the destination in place.
+ *
+ * The separable modes and luminosity follow the W3C Compositing and Blending
+ * formulas, composited source-over with the weight as global alpha, so they
+ * match the canvas operations of the same name.
+ */
+
+import { SRGB_TO_LINEAR, linearToSrgb } from './srgb.js';
+
+// Linear light (0-1, in 4096 steps) to sRGB channel value
+const LINEAR_STEPS = 4095;
+const LINEAR_TO_SRGB = new Uint8ClampedArray(LINEAR_STEPS + 1);
+for (let i = 0; i <= LINEAR_STEPS; i++) {
+  LINEAR_TO_SRGB[i] = linearToSrgb(i / LINEAR_STEPS);
+}
+
+// Coverage is rounded up when stored, so images whose weights add up to 1
+// end up opaque despite the 8-bit alpha channel
+const storeCoverage = (alpha) => Math.ceil(Math.min(1, alpha) * 255 - 1e-6);
+
+/**
+ * Add a weighted source in linear light with premultiplied alpha
+ *
+ * Both images are decoded from sRGB and multiplied by their alpha before
+ * being summed, then the sum is divided by the combined alpha and encoded
+ * again. Accumulating images whose weights add up to 1 gives their weighted
+ * average in linear light: midtones don't darken as they do when sRGB values
+ * are averaged, and transparent pixels lower the coverage without pulling
+ * the color towards black.
+ *
+ * @param {ImageData} destination - Accumulated image data (modified)
+ * @param {ImageData} source - Image data to add
+ * @param {number} weight - Blend weight (0-1)
+ * @returns {ImageData} The destination
+ */
+export function linearBlend(destination, source, weight) {
+  const dData = destination.data;
+  const sData = source.data;
+  const length = Math.min(dData.length, sData.length);
+
+  for (let i = 0; i < length; i += 4) {
+    const sa = (sData[i + 3] / 255) * weight;
+    if (sa <= 0) continue;
+
+    const da = dData[i + 3] / 255;
+    const alpha = Math.min(1, da + sa);
+
+    for (let c = i; c < i + 3; c++) {
+      const premultiplied = SRGB_TO_LINEAR[dData[c]] * da + SRGB_TO_LINEAR[sData[c]] * sa;
+      dData[c] = LINEAR_TO_SRGB[Math.round(Math.min(1, premultiplied / alpha) * LINEAR_STEPS)];
+    }
+    dData[i + 3] = storeCoverage(alpha);
+  }
+
+  return destination;
+}
+
+/**
+ * Composite a weighted source over the destination through a blend formula
+ * @param {ImageData} destination - Accumulated image data (modified)
+ * @param {ImageData} source - Image data to add
+ * @param {number} weight - Blend weight (0-1)
+ * @param {Function} mix - (backdrop, source, out) on RGB arrays of 0-1 values
+ * @returns {ImageData} The destination
+ * @private
+ */
+function compositeBlend(destination, source, weight, mix) {
+  const dData = destination.data;
+  const sData = source.data;
+  const length = Math.min(dData.length, sData.length);
+  const backdrop = [0, 0, 0];
+  const color = [0, 0, 0];
+  const mixed = [0, 0, 0];
+
+  for (let i = 0; i < length; i += 4) {
+    const sa = (sData[i + 3] / 255) * Math.min(1, weight);
+    if (sa <= 0) continue;
+
+    const da = dData[i + 3] / 255;
+    for (let c = 0; c < 3; c++) {
+      backdrop[c] = dData[i + c] / 255;
+      color[c] = sData[i + c] / 255;
+    }
+    mix(backdrop, color, mixed);
+
+    // The blend only applies where there's a backdrop to blend with
+    const alpha = sa + da * (1 - sa);
+    for (let c = 0; c < 3; c++) {
+      const blended = (1 - da) * color[c] + da * mixed[c];
+      dData[i + c] = ((sa * blended + da * backdrop[c] * (1 - sa)) / alpha) * 255;
+    }
+    dData[i + 3] = alpha * 255;
+  }
+
+  return destination;
+}
+
+/**
+ * Turn a per-channel formula into a mix function
+ * @param {Function} formula - (backdrop, source) => result, on 0-1 values
+ * @returns {Function} Mix function for compositeBlend
+ * @private
+ */
+const separable = (formula) => (backdrop, color, out) => {
+  for (let c = 0; c < 3; c++) {
+    out[c] = formula(backdrop[c], color[c]);
+  }
+};
+
+const hardLight = (b, s) => (s <= 0.5 ? b * 2 * s : b + (2 * s - 1) - b * (2 * s - 1));
+
+const softLight = (b, s) => {
+  if (s <= 0.5) {
+    return b - (1 - 2 * s) * b * (1 - b);
+  }
+  const d = b <= 0.25 ? ((16 * b - 12) * b + 4) * b : Math.sqrt(b);
+  return b + (2 * s - 1) * (d - b);
+};
+
+const lum = (c) => 0.3 * c[0] + 0.59 * c[1] + 0.11 * c[2];
+
+// Backdrop hue and saturation with the source luminosity (SetLum and ClipColor)
+function setLuminosity(backdrop, color, out) {
+  const l = lum(color);
+  const d = l - lum(backdrop);
+  for (let c = 0; c < 3; c++) {
+    out[c] = backdrop[c] + d;
+  }
+
+  const n = Math.min(out[0], out[1], out[2]);
+  const x = Math.max(out[0], out[1], out[2]);
+  for (let c = 0; c < 3; c++) {
+    if (n < 0) {
+      out[c] = l + ((out[c] - l) * l) / (l - n);
+    }
+    if (x > 1) {
+      out[c] = l + ((out[c] - l) * (1 - l)) / (x - l);
+    }
+  }
+}
+
+const mixes = {
+  overlay: separable((b, s) => hardLight(s, b)),
+  hardLight: separable(hardLight),
+  softLight: separable(softLight),
+  difference: separable((b, s) => Math.abs(b - s)),
+  luminosity: setLuminosity
+};
+
+/**
+ * Overlay: multiplies dark backdrop areas and screens light ones
+ * @param {ImageData} destination - Accumulated image data (modified)
+ * @param {ImageData} source - Image data to add
+ * @param {number} weight - Blend weight (0-1)
+ * @returns {ImageData} The destination
+ */
+export function overlayBlend(destination, source, weight) {
+  return compositeBlend(destination, source, weight, mixes.overlay);
+}
+
+/**
+ * Hard light: multiplies or screens depending on the source
+ * @param {ImageData} destination - Accumulated image data (modified)
+ * @param {ImageData} source - Image data to add
+ * @param {number} weight - Blend weight (0-1)
+ * @returns {ImageData} The destination
+ */
+export function hardLightBlend(destination, source, weight) {
+  return compositeBlend(destination, source, weight, mixes.hardLight);
+}
+
+/**
+ * Soft light: darkens or lightens depending on the source, more gently
+ * than hard light
+ * @param {ImageData} destination - Accumulated image data (modified)
+ * @param {ImageData} source - Image data to add
+ * @param {number} weight - Blend weight (0-1)
+ * @returns {ImageData} The destination
+ */
+export function softLightBlend(destination, source, weight) {
+  return compositeBlend(destination, source, weight, mixes.softLight);
+}
+
+/**
+ * Difference: absolute difference of the colors
+ * @param {ImageData} destination - Accumulated image data (modified)
+ * @param {ImageData} source - Image data to add
+ * @param {number} weight - Blend weight (0-1)
+ * @returns {ImageData} The destination
+ */
+export function differenceBlend(destination, source, weight) {
+  return compositeBlend(destination, source, weight, mixes.difference);
+}
+
+/**
+ * Luminosity: the source's luminosity with the backdrop's hue and saturation
+ * @param {ImageData} destination - Accumulated image data (modified)
+ * @param {ImageData} source - Image data to add
+ * @param {number} weight - Blend weight (0-1)
+ * @returns {ImageData} The destination
+ */
+export function luminosityBlend(destination, source, weight) {
+  return compositeBlend(destination, source, weight, mixes.luminosity);
+}
+
+/**
+ * Hash a seed, pixel and step to a number in [0, 1)
+ * @private
+ */
+function noise(seed, pixel, step) {
+  let h = Math.imul(seed ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(pixel, 0xc2b2ae35) ^ Math.imul(step + 1, 0x27d4eb2f);
+  h = Math.imul(h ^ (h >>> 16), 0x7feb352d);
+  h = Math.imul(h ^ (h >>> 15), 0x846ca68b);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+/**
+ * Dissolve: each pixel shows exactly one image, picked at random
+ *
+ * The destination alpha counts the weight accumulated so far and the source
+ * replaces a pixel with probability weight / accumulated weight, so after
+ * all images are added each pixel shows image k with probability equal to
+ * its weight. The noise only depends on the seed, the pixel and the
+ * accumulated weight, so the same weights always give the same pattern.
+ *
+ * @param {ImageData} destination - Accumulated image data (modified)
+ * @param {ImageData} source - Image data to add
+ * @param {number} weight - Blend weight (0-1)
+ * @param {number} [seed=0] - Noise seed (integer)
+ * @returns {ImageData} The destination
+ */
+export function dissolveBlend(destination, source, weight, seed = 0) {
+  const dData = destination.data;
+  const sData = source.data;
+  const length = Math.min(dData.length, sData.length);
+
+  for (let i = 0; i < length; i += 4) {
+    const sa = (sData[i + 3] / 255) * weight;
+    if (sa <= 0) continue;
+
+    const da = dData[i + 3] / 255;
+    if (noise(seed, i >> 2, dData[i + 3]) * (da + sa) < sa) {
+      dData[i] = sData[i];
+      dData[i + 1] = sData[i + 1];
+      dData[i + 2] = sData[i + 2];
+    }
+    dData[i + 3] = storeCoverage(da + sa);
+  }
+
+  return destination;
+}
+
+/**
+ * Kernels by blend mode name, as used by the worker protocol
+ */
+export const blendKernels = {
+  linear: linearBlend,
+  overlay: overlayBlend,
+  'hard-light': hardLightBlend,
+  'soft-light': softLightBlend,
+  difference: differenceBlend,
+  luminosity: luminosityBlend,
+  dissolve: dissolveBlend
+};
@@ -0,0 +1,158 @@
+/**
+ * Color Matching
+ *
+ * Mean-variance color transfer in CIE Lab space (Reinhard et al.): each Lab
+ * channel of an image is shifted and scaled so its mean and standard
+ * deviation match a target, which evens out differences in white balance
+ * and exposure between photos. Lab keeps lightness separate from color, so
+ * the channels can be matched independently.
+ *
+ * Colors are converted as sRGB with a D65 white point. Fully transparent
+ * pixels are ignored.
+ */
+
+import { SRGB_TO_LINEAR, linearToSrgb } from './srgb.js';
+
+// D65 reference white
+const WHITE = [0.95047, 1, 1.08883];
+
+const labF = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+const labFInverse = (t) => (t > 6 / 29 ? t * t * t : (116 * t - 16) * 27 / 24389);
+
+/**
+ * Convert an sRGB color to Lab
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @param {number[]} [out=[]] - Array to write [L, a, b] into
+ * @returns {number[]} [L, a, b]
+ */
+export function rgbToLab(r, g, b, out = []) {
+  const lr = SRGB_TO_LINEAR[r];
+  const lg = SRGB_TO_LINEAR[g];
+  const lb = SRGB_TO_LINEAR[b];
+
+  const fx = labF((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / WHITE[0]);
+  const fy = labF((0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / WHITE[1]);
+  const fz = labF((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / WHITE[2]);
+
+  out[0] = 116 * fy - 16;
+  out[1] = 500 * (fx - fy);
+  out[2] = 200 * (fy - fz);
+  return out;
+}
+
+/**
+ * Convert a Lab color to sRGB
+ * @param {number} l - Lightness (0-100)
+ * @param {number} a - Green-red axis
+ * @param {number} b - Blue-yellow axis
+ * @param {number[]} [out=[]] - Array to write [r, g, b] into
+ * @returns {number[]} [r, g, b], not clamped to 0-255
+ */
+export function labToRgb(l, a, b, out = []) {
+  const fy = (l + 16) / 116;
+  const x = labFInverse(fy + a / 500) * WHITE[0];
+  const y = labFInverse(fy) * WHITE[1];
+  const z = labFInverse(fy - b / 200) * WHITE[2];
+
+  out[0] = linearToSrgb(3.2404542 * x - 1.5371385 * y - 0.4985314 * z);
+  out[1] = linearToSrgb(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z);
+  out[2] = linearToSrgb(0.0556434 * x - 0.2040259 * y + 1.0572252 * z);
+  return out;
+}
+
+/**
+ * Measure the mean and standard deviation of each Lab channel
+ * @param {ImageData} imageData - Pixels
+ * @returns {{mean: number[], std: number[]}|null} Statistics, or null without visible pixels
+ */
+export function getLabStats(imageData) {
+  const { data } = imageData;
+  const sum = [0, 0, 0];
+  const sumSq = [0, 0, 0];
+  const lab = [];
+  let count = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+
+    rgbToLab(data[i], data[i + 1], data[i + 2], lab);
+    for (let c = 0; c < 3; c++) {
+      sum[c] += lab[c];
+      sumSq[c] += lab[c] * lab[c];
+    }
+    count++;
+  }
+
+  if (count === 0) {
+    return null;
+  }
+
+  const mean = sum.map((s) => s / count);
+  const std = sumSq.map((s, c) => Math.sqrt(Math.max(0, s / count - mean[c] * mean[c])));
+  return { mean, std };
+}
+
+/**
+ * Weighted average of Lab statistics
+ * @param {Array<Object|null>} stats - Statistics per image (null entries are skipped)
+ * @param {number[]} [weights] - Weight per entry (equal if omitted)
+ * @returns {{mean: number[], std: number[]}|null} Averaged statistics, or null if nothing was weighted
+ */
+export function mixLabStats(stats, weights) {
+  const mean = [0, 0, 0];
+  const std = [0, 0, 0];
+  let total = 0;
+
+  stats.forEach((entry, k) => {
+    const weight = weights ? weights[k] || 0 : 1;
+    if (!entry || weight <= 0) return;
+
+    for (let c = 0; c < 3; c++) {
+      mean[c] += entry.mean[c] * weight;
+      std[c] += entry.std[c] * weight;
+    }
+    total += weight;
+  });
+
+  if (total === 0) {
+    return null;
+  }
+
+  return { mean: mean.map((v) => v / total), std: std.map((v) => v / total) };
+}
+
+/**
+ * Transfer colors so the image statistics match the target (in place)
+ * @param {ImageData} imageData - Pixels to adjust
+ * @param {{mean: number[], std: number[]}} from - Statistics of the image
+ * @param {{mean: number[], std: number[]}} to - Target statistics
+ * @returns {ImageData} The adjusted image data
+ */
+export function matchColors(imageData, from, to) {
+  const { data } = imageData;
+  // A flat channel has nothing to stretch, so it's only shifted
+  const gain = from.std.map((std, c) => (std > 1e-6 ? to.std[c] / std : 1));
+  const lab = [];
+  const rgb = [];
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+
+    rgbToLab(data[i], data[i + 1], data[i + 2], lab);
+    labToRgb(
+      (lab[0] - from.mean[0]) * gain[0] + to.mean[0],
+      (lab[1] - from.mean[1]) * gain[1] + to.mean[1],
+      (lab[2] - from.mean[2]) * gain[2] + to.mean[2],
+      rgb
+    );
+
+    // Uint8ClampedArray rounds and clamps
+    data[i] = rgb[0];
+    data[i + 1] = rgb[1];
+    data[i + 2] = rgb[2];
+  }
+
+  return imageData;
+}
@@ -0,0 +1,406 @@
+/**
+ * Feature Correspondence
+ *
+ * Proposes matching points between two images: Harris corners are detected
+ * in both images and paired by normalized cross-correlation of the patches
+ * around them. Only mutual best matches within a search radius are kept.
+ *
+ * Works on plain ImageData-like objects ({width, height, data}) so it can run
+ * in a worker (see workers/correspondence-worker.js) or on the main thread.
+ *
+ * Match format:
+ * {
+ *   a: { x: number, y: number },  // Position in the first image (pixels)
+ *   b: { x: number, y: number },  // Position in the second image (pixels)
+ *   score: number                 // Patch correlation (-1 to 1)
+ * }
+ *
+ * refinePoint() snaps a single point to the best matching position in a
+ * local window of the second image, for points placed by hand.
+ */
+
+export const defaultCorrespondenceOptions = {
+  maxCorners: 40,        // Corners detected in the first image
+  qualityLevel: 0.01,    // Minimum corner response relative to the strongest corner
+  minDistance: 12,       // Minimum spacing between corners in pixels
+  blockSize: 5,          // Window for the corner structure tensor
+  harrisK: 0.04,         // Harris detector sensitivity
+  patchSize: 11,         // Side of the correlation patch (odd)
+  searchRadius: 0.2,     // Max displacement as a fraction of the image size
+  minScore: 0.7          // Minimum patch correlation for a match
+};
+
+export const defaultRefineOptions = {
+  patchSize: 15,         // Side of the correlation patch (odd)
+  searchRadius: 24       // Search window around the initial position in pixels
+};
+
+/**
+ * Convert pixels to luminance, treating transparent pixels as black
+ *
+ * @param {ImageData} imageData - Source pixels
+ * @returns {Float32Array} Luminance (0-255) per pixel
+ */
+export function toGrayscale(imageData) {
+  const { width, height, data } = imageData;
+  const gray = new Float32Array(width * height);
+
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    const luminance = data[p] * 0.299 + data[p + 1] * 0.587 + data[p + 2] * 0.114;
+    gray[i] = (luminance * data[p + 3]) / 255;
+  }
+
+  return gray;
+}
+
+/**
+ * Sum of a window from an integral image
+ * @private
+ */
+function boxSum(integral, stride, x0, y0, x1, y1) {
+  return integral[y1 * stride + x1] - integral[y0 * stride + x1] -
+    integral[y1 * stride + x0] + integral[y0 * stride + x0];
+}
+
+/**
+ * Build an integral image of size (width + 1) x (height + 1)
+ * @private
+ */
+function buildIntegral(values, width, height) {
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += values[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + row;
+    }
+  }
+
+  return integral;
+}
+
+/**
+ * Detect Harris corners
+ *
+ * Corners closer than patchSize / 2 to the border are skipped so every
+ * corner can be matched.
+ *
+ * @param {ImageData} imageData - Source pixels
+ * @param {Object} [options={}] - Detection options (see defaultCorrespondenceOptions)
+ * @returns {Array<Object>} Corners ({x, y, strength}), strongest first
+ */
+export function detectCorners(imageData, options = {}) {
+  const opts = { ...defaultCorrespondenceOptions, ...options };
+  const { width, height } = imageData;
+  const gray = toGrayscale(imageData);
+
+  const margin = Math.max(Math.ceil(opts.blockSize / 2), Math.ceil(opts.patchSize / 2)) + 1;
+  if (width <= margin * 2 || height <= margin * 2) {
+    return [];
+  }
+
+  // Sobel gradients
+  const size = width * height;
+  const xx = new Float32Array(size);
+  const yy = new Float32Array(size);
+  const xy = new Float32Array(size);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1] -
+        gray[i - width - 1] - 2 * gray[i - 1] - gray[i + width - 1];
+      const gy = gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1] -
+        gray[i - width - 1] - 2 * gray[i - width] - gray[i - width + 1];
+      xx[i] = gx * gx;
+      yy[i] = gy * gy;
+      xy[i] = gx * gy;
+    }
+  }
+
+  // Corner response from the structure tensor summed over each block
+  const stride = width + 1;
+  const sumXX = buildIntegral(xx, width, height);
+  const sumYY = buildIntegral(yy, width, height);
+  const sumXY = buildIntegral(xy, width, height);
+  const half = Math.floor(opts.blockSize / 2);
+  const response = new Float32Array(size);
+  let maxResponse = 0;
+
+  for (let y = margin; y < height - margin; y++) {
+    for (let x = margin; x < width - margin; x++) {
+      const x0 = x - half;
+      const y0 = y - half;
+      const x1 = x + half + 1;
+      const y1 = y + half + 1;
+      const a = boxSum(sumXX, stride, x0, y0, x1, y1);
+      const b = boxSum(sumYY, stride, x0, y0, x1, y1);
+      const c = boxSum(sumXY, stride, x0, y0, x1, y1);
+      const r = a * b - c * c - opts.harrisK * (a + b) * (a + b);
+      response[y * width + x] = r;
+      maxResponse = Math.max(maxResponse, r);
+    }
+  }
+
+  if (maxResponse <= 0) {
+    return [];
+  }
+
+  // Local maxima above the quality threshold
+  const threshold = maxResponse * opts.qualityLevel;
+  const candidates = [];
+
+  for (let y = margin; y < height - margin; y++) {
+    for (let x = margin; x < width - margin; x++) {
+      const i = y * width + x;
+      const r = response[i];
+      if (r < threshold) continue;
+
+      let isMax = true;
+      for (let dy = -1; dy <= 1 && isMax; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if ((dx || dy) && response[i + dy * width + dx] > r) {
+            isMax = false;
+            break;
+          }
+        }
+      }
+
+      if (isMax) {
+        candidates.push({ x, y, strength: r });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => b.strength - a.strength);
+
+  // Keep the strongest corners that are far enough apart
+  const corners = [];
+  const minDistanceSq = opts.minDistance * opts.minDistance;
+
+  for (const candidate of candidates) {
+    if (corners.length >= opts.maxCorners) break;
+
+    const isolated = corners.every((corner) => {
+      const dx = corner.x - candidate.x;
+      const dy = corner.y - candidate.y;
+      return dx * dx + dy * dy >= minDistanceSq;
+    });
+
+    if (isolated) {
+      corners.push(candidate);
+    }
+  }
+
+  return corners;
+}
+
+/**
+ * Sample a zero-mean, unit-length patch centred on a sub-pixel position
+ * @returns {Float32Array|null} Patch, or null for flat or out-of-bounds patches
+ * @private
+ */
+function samplePatch(gray, width, height, cx, cy, half) {
+  if (cx - half < 0 || cy - half < 0 || cx + half > width - 1 || cy + half > height - 1) {
+    return null;
+  }
+
+  const size = half * 2 + 1;
+  const patch = new Float32Array(size * size);
+  let mean = 0;
+  let k = 0;
+
+  for (let j = -half; j <= half; j++) {
+    for (let i = -half; i <= half; i++) {
+      const x = cx + i;
+      const y = cy + j;
+      const x0 = Math.floor(x);
+      const y0 = Math.floor(y);
+      const x1 = Math.min(x0 + 1, width - 1);
+      const y1 = Math.min(y0 + 1, height - 1);
+      const fx = x - x0;
+      const fy = y - y0;
+
+      const top = gray[y0 * width + x0] * (1 - fx) + gray[y0 * width + x1] * fx;
+      const bottom = gray[y1 * width + x0] * (1 - fx) + gray[y1 * width + x1] * fx;
+      patch[k] = top * (1 - fy) + bottom * fy;
+      mean += patch[k++];
+    }
+  }
+  mean /= patch.length;
+
+  let norm = 0;
+  for (let i = 0; i < patch.length; i++) {
+    patch[i] -= mean;
+    norm += patch[i] * patch[i];
+  }
+
+  norm = Math.sqrt(norm);
+  if (norm < 1e-6) {
+    return null;
+  }
+
+  for (let i = 0; i < patch.length; i++) {
+    patch[i] /= norm;
+  }
+
+  return patch;
+}
+
+/**
+ * Pair corners of two images by patch correlation
+ *
+ * Distances are compared relative to each image's size, so images of
+ * different resolutions can be matched.
+ *
+ * @param {ImageData} imageDataA - First image pixels
+ * @param {Array<Object>} cornersA - Corners in the first image
+ * @param {ImageData} imageDataB - Second image pixels
+ * @param {Array<Object>} cornersB - Corners in the second image
+ * @param {Object} [options={}] - Matching options (see defaultCorrespondenceOptions)
+ * @returns {Array<Object>} Matches ({a, b, score}), best first
+ */
+export function matchCorners(imageDataA, cornersA, imageDataB, cornersB, options = {}) {
+  const opts = { ...defaultCorrespondenceOptions, ...options };
+  const grayA = toGrayscale(imageDataA);
+  const grayB = toGrayscale(imageDataB);
+
+  const describe = (gray, imageData, corners) => corners
+    .map((corner) => ({
+      corner,
+      u: corner.x / imageData.width,
+      v: corner.y / imageData.height,
+      patch: samplePatch(gray, imageData.width, imageData.height, corner.x, corner.y, Math.floor(opts.patchSize / 2))
+    }))
+    .filter((feature) => feature.patch);
+
+  const featuresA = describe(grayA, imageDataA, cornersA);
+  const featuresB = describe(grayB, imageDataB, cornersB);
+
+  const bestForA = new Array(featuresA.length).fill(null);
+  const bestForB = new Array(featuresB.length).fill(null);
+  const radiusSq = opts.searchRadius * opts.searchRadius;
+
+  featuresA.forEach((fa, i) => {
+    featuresB.forEach((fb, j) => {
+      const du = fa.u - fb.u;
+      const dv = fa.v - fb.v;
+      if (du * du + dv * dv > radiusSq) return;
+
+      let score = 0;
+      for (let k = 0; k < fa.patch.length; k++) {
+        score += fa.patch[k] * fb.patch[k];
+      }
+
+      if (!bestForA[i] || score > bestForA[i].score) bestForA[i] = { index: j, score };
+      if (!bestForB[j] || score > bestForB[j].score) bestForB[j] = { index: i, score };
+    });
+  });
+
+  const matches = [];
+
+  bestForA.forEach((best, i) => {
+    if (!best || best.score < opts.minScore || bestForB[best.index].index !== i) return;
+
+    const a = featuresA[i].corner;
+    const b = featuresB[best.index].corner;
+    matches.push({ a: { x: a.x, y: a.y }, b: { x: b.x, y: b.y }, score: best.score });
+  });
+
+  return matches.sort((m1, m2) => m2.score - m1.score);
+}
+
+/**
+ * Propose corresponding points between two images
+ *
+ * The second image gets twice as many corners as the first so most corners
+ * of the first image have a candidate to match against.
+ *
+ * @param {ImageData} imageDataA - First image pixels
+ * @param {ImageData} imageDataB - Second image pixels
+ * @param {Object} [options={}] - Options (see defaultCorrespondenceOptions)
+ * @returns {Array<Object>} Matches ({a, b, score}), best first
+ */
+export function findCorrespondences(imageDataA, imageDataB, options = {}) {
+  const opts = { ...defaultCorrespondenceOptions, ...options };
+  const cornersA = detectCorners(imageDataA, opts);
+  const cornersB = detectCorners(imageDataB, { ...opts, maxCorners: opts.maxCorners * 2 });
+  return matchCorners(imageDataA, cornersA, imageDataB, cornersB, opts);
+}
+
+/**
+ * Find where a point of the first image lies in the second image
+ *
+ * Block matching over a window around the initial guess, followed by a
+ * parabola fit of the correlation peak for sub-pixel accuracy. The score is
+ * the patch correlation at the peak, clamped to 0-1; flat or out-of-bounds
+ * patches score 0 and keep the initial position.
+ *
+ * @param {ImageData} imageDataA - First image pixels
+ * @param {Object} pointA - Point in the first image ({x, y})
+ * @param {ImageData} imageDataB - Second image pixels
+ * @param {Object} pointB - Initial guess in the second image ({x, y})
+ * @param {Object} [options={}] - Options (see defaultRefineOptions)
+ * @returns {Object} Refined position and confidence ({x, y, score})
+ */
+export function refinePoint(imageDataA, pointA, imageDataB, pointB, options = {}) {
+  const opts = { ...defaultRefineOptions, ...options };
+  const half = Math.floor(opts.patchSize / 2);
+  const radius = Math.max(1, Math.round(opts.searchRadius));
+  const unchanged = { x: pointB.x, y: pointB.y, score: 0 };
+
+  const template = samplePatch(toGrayscale(imageDataA), imageDataA.width, imageDataA.height, pointA.x, pointA.y, half);
+  if (!template) {
+    return unchanged;
+  }
+
+  const gray = toGrayscale(imageDataB);
+  const { width, height } = imageDataB;
+  const cx = Math.round(pointB.x);
+  const cy = Math.round(pointB.y);
+  const side = radius * 2 + 1;
+  const scores = new Float32Array(side * side).fill(NaN);
+  let best = -1;
+
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const patch = samplePatch(gray, width, height, cx + dx, cy + dy, half);
+      if (!patch) continue;
+
+      let score = 0;
+      for (let k = 0; k < template.length; k++) {
+        score += template[k] * patch[k];
+      }
+
+      const index = (dy + radius) * side + dx + radius;
+      scores[index] = score;
+      if (best === -1 || score > scores[best]) {
+        best = index;
+      }
+    }
+  }
+
+  if (best === -1) {
+    return unchanged;
+  }
+
+  const bx = best % side;
+  const by = Math.floor(best / side);
+
+  // Sub-pixel offset from a parabola through the peak and its neighbours
+  const offset = (before, peak, after) => {
+    const curvature = before - 2 * peak + after;
+    return Number.isFinite(curvature) && curvature < 0
+      ? Math.max(-0.5, Math.min(0.5, (before - after) / (2 * curvature)))
+      : 0;
+  };
+  const at = (x, y) => (x >= 0 && y >= 0 && x < side && y < side ? scores[y * side + x] : NaN);
+
+  return {
+    x: cx + bx - radius + offset(at(bx - 1, by), scores[best], at(bx + 1, by)),
+    y: cy + by - radius + offset(at(bx, by - 1), scores[best], at(bx, by + 1)),
+    score: Math.max(0, Math.min(1, scores[best]))
+  };
+}
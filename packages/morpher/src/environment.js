@@ -0,0 +1,197 @@
+/**
+ * Rendering Environment
+ *
+ * Abstracts the host APIs MorpherJS depends on - canvas creation, image
+ * elements and frame scheduling - so morphs can be rendered without a DOM,
+ * e.g. with node-canvas or OffscreenCanvas on a server or in a test runner.
+ *
+ * An environment is a plain object:
+ * {
+ *   canvasFactory: (width, height, options) => canvas,
+ *   imageFactory: () => image | null,
+ *   clock: { now(), requestFrame(callback) => id, cancelFrame(id) }
+ * }
+ *
+ * Any canvas-like object works as long as it exposes `width`, `height` and
+ * `getContext('2d')` returning an object implementing the Canvas 2D API.
+ */
+
+/**
+ * Default canvas factory
+ *
+ * Uses a DOM canvas when available. With `options.offscreen` (used for
+ * scratch buffers that are never displayed) an OffscreenCanvas is preferred.
+ *
+ * @param {number} [width] - Initial width (left unchanged if omitted)
+ * @param {number} [height] - Initial height (left unchanged if omitted)
+ * @param {Object} [options={}] - Optional parameters
+ * @param {boolean} [options.offscreen=false] - Canvas will never be displayed
+ * @returns {HTMLCanvasElement|OffscreenCanvas} New canvas
+ */
+export function defaultCanvasFactory(width, height, options = {}) {
+  let canvas;
+
+  if (options.offscreen && typeof OffscreenCanvas !== 'undefined') {
+    canvas = new OffscreenCanvas(width || 1, height || 1);
+  } else if (typeof document !== 'undefined') {
+    canvas = document.createElement('canvas');
+  } else if (typeof OffscreenCanvas !== 'undefined') {
+    canvas = new OffscreenCanvas(width || 1, height || 1);
+  } else {
+    throw new Error('No canvas implementation available. Provide a canvasFactory.');
+  }
+
+  if (width !== undefined) canvas.width = width;
+  if (height !== undefined) canvas.height = height;
+
+  return canvas;
+}
+
+/**
+ * Default image factory
+ * @returns {HTMLImageElement|null} New image element, or null without a DOM
+ */
+export function defaultImageFactory() {
+  if (typeof window !== 'undefined' && window.Image) {
+    return new window.Image();
+  }
+  return null;
+}
+
+const FRAME_INTERVAL = 1000 / 60;
+
+const hasAnimationFrames = () => typeof window !== 'undefined' && !!window.requestAnimationFrame;
+
+/**
+ * Clock backed by performance.now() and requestAnimationFrame
+ *
+ * Without requestAnimationFrame (Node, workers) frames are scheduled with
+ * setTimeout at 60 frames per second, so animations still run
+ * asynchronously and end.
+ */
+export const browserClock = {
+  now() {
+    return performance.now();
+  },
+
+  requestFrame(callback) {
+    if (hasAnimationFrames()) {
+      return window.requestAnimationFrame(callback);
+    }
+    return setTimeout(() => callback(performance.now()), FRAME_INTERVAL);
+  },
+
+  cancelFrame(id) {
+    if (hasAnimationFrames()) {
+      window.cancelAnimationFrame(id);
+    } else {
+      clearTimeout(id);
+    }
+  }
+};
+
+/**
+ * ManualClock
+ *
+ * Deterministic clock for headless rendering and tests. Time only advances
+ * when tick() or setTime() is called, and frame callbacks requested through
+ * requestFrame() run during the next tick.
+ *
+ * @example
+ * const clock = new ManualClock();
+ * const morpher = new Morpher({ ...json, clock, canvasFactory });
+ * morpher.animate([0, 1], 500);
+ * clock.tick(250); // Renders the frame half-way through the animation
+ *
+ * @class ManualClock
+ */
+export class ManualClock {
+  time = 0;
+  frames = null;
+  nextID = 1;
+
+  /**
+   * Create a new ManualClock
+   * @param {number} [time=0] - Initial time in milliseconds
+   */
+  constructor(time = 0) {
+    this.time = time;
+    this.frames = new Map();
+  }
+
+  /**
+   * Get current time
+   * @returns {number} Time in milliseconds
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Queue a callback for the next tick
+   * @param {Function} callback - Frame callback, receives the current time
+   * @returns {number} Frame ID
+   */
+  requestFrame(callback) {
+    const id = this.nextID++;
+    this.frames.set(id, callback);
+    return id;
+  }
+
+  /**
+   * Cancel a queued frame
+   * @param {number} id - Frame ID returned by requestFrame()
+   */
+  cancelFrame(id) {
+    this.frames.delete(id);
+  }
+
+  /**
+   * Advance time and run all frames queued before this call
+   * @param {number} [ms=0] - Milliseconds to advance
+   */
+  tick(ms = 0) {
+    this.setTime(this.time + ms);
+  }
+
+  /**
+   * Jump to an absolute time and run all frames queued before this call
+   * @param {number} time - Time in milliseconds
+   */
+  setTime(time) {
+    this.time = time;
+
+    // Frames requested by callbacks belong to the next tick
+    const frames = Array.from(this.frames.values());
+    this.frames.clear();
+
+    for (const callback of frames) {
+      callback(this.time);
+    }
+  }
+
+  /**
+   * Check if any frames are waiting for the next tick
+   * @returns {boolean} True if frames are queued
+   */
+  hasPendingFrames() {
+    return this.frames.size > 0;
+  }
+}
+
+/**
+ * Resolve an environment from constructor parameters
+ *
+ * @param {Object} [params={}] - Parameters that may override the defaults
+ * @param {Function} [params.canvasFactory] - Canvas factory
+ * @param {Function} [params.imageFactory] - Image element factory
+ * @param {Object} [params.clock] - Clock implementation
+ * @returns {Object} Environment with all members set
+ */
+export function resolveEnvironment(params = {}) {
+  return {
+    canvasFactory: typeof params.canvasFactory === 'function' ? params.canvasFactory : defaultCanvasFactory,
+    imageFactory: typeof params.imageFactory === 'function' ? params.imageFactory : defaultImageFactory,
+    clock: params.clock || browserClock
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * GIF Encoder
+ *
+ * Minimal animated GIF89a encoder for exporting morph animations.
+ * Runs on the main thread or inside the GIF worker (workers/gif-worker.js).
+ *
+ * Colors are quantized to a fixed 6x7x6 color cube (252 colors), which is
+ * fast, deterministic and needs no per-frame palette. Pixels with alpha
+ * below 128 are written as transparent.
+ */
+
+const PALETTE_SIZE = 256;
+const TRANSPARENT_INDEX = 252;
+const MIN_CODE_SIZE = 8;
+const MAX_CODE = 4096;
+
+/**
+ * Build the fixed 256-entry palette (RGB triplets)
+ * @returns {Uint8Array} Palette
+ * @private
+ */
+function createPalette() {
+  const palette = new Uint8Array(PALETTE_SIZE * 3);
+  let i = 0;
+  for (let r = 0; r < 6; r++) {
+    for (let g = 0; g < 7; g++) {
+      for (let b = 0; b < 6; b++) {
+        palette[i++] = Math.round((r * 255) / 5);
+        palette[i++] = Math.round((g * 255) / 6);
+        palette[i++] = Math.round((b * 255) / 5);
+      }
+    }
+  }
+  return palette;
+}
+
+/**
+ * Map RGBA pixels to palette indices
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @returns {Uint8Array} Palette index per pixel
+ * @private
+ */
+function quantize(data) {
+  const indices = new Uint8Array(data.length / 4);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    if (data[i + 3] < 128) {
+      indices[p] = TRANSPARENT_INDEX;
+    } else {
+      const r = Math.round((data[i] * 5) / 255);
+      const g = Math.round((data[i + 1] * 6) / 255);
+      const b = Math.round((data[i + 2] * 5) / 255);
+      indices[p] = r * 42 + g * 6 + b;
+    }
+  }
+  return indices;
+}
+
+/**
+ * Growable byte buffer
+ * @private
+ */
+class ByteWriter {
+  constructor(size = 4096) {
+    this.bytes = new Uint8Array(size);
+    this.length = 0;
+  }
+
+  byte(value) {
+    if (this.length === this.bytes.length) {
+      const bytes = new Uint8Array(this.bytes.length * 2);
+      bytes.set(this.bytes);
+      this.bytes = bytes;
+    }
+    this.bytes[this.length++] = value;
+  }
+
+  word(value) {
+    this.byte(value & 0xff);
+    this.byte((value >> 8) & 0xff);
+  }
+
+  string(value) {
+    for (let i = 0; i < value.length; i++) {
+      this.byte(value.charCodeAt(i));
+    }
+  }
+
+  array(values) {
+    for (let i = 0; i < values.length; i++) {
+      this.byte(values[i]);
+    }
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Write LZW-compressed image data as GIF sub-blocks
+ * @param {ByteWriter} out - Output buffer
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @private
+ */
+function writeLZW(out, indices) {
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const eoiCode = clearCode + 1;
+
+  let codeSize = MIN_CODE_SIZE + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+
+  // Sub-block state
+  const block = new Uint8Array(255);
+  let blockLength = 0;
+  let bits = 0;
+  let bitCount = 0;
+
+  const flushByte = (value) => {
+    block[blockLength++] = value;
+    if (blockLength === 255) {
+      out.byte(255);
+      out.array(block);
+      blockLength = 0;
+    }
+  };
+
+  const emit = (code) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      flushByte(bits & 0xff);
+      bits >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  out.byte(MIN_CODE_SIZE);
+  emit(clearCode);
+
+  let current = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (current << 8) | k;
+    const code = table.get(key);
+
+    if (code !== undefined) {
+      current = code;
+      continue;
+    }
+
+    emit(current);
+
+    if (nextCode === MAX_CODE) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = MIN_CODE_SIZE + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) {
+        codeSize++;
+      }
+      table.set(key, nextCode++);
+    }
+
+    current = k;
+  }
+
+  emit(current);
+  emit(eoiCode);
+
+  if (bitCount > 0) {
+    flushByte(bits & 0xff);
+  }
+  if (blockLength > 0) {
+    out.byte(blockLength);
+    out.array(block.subarray(0, blockLength));
+  }
+  out.byte(0); // Block terminator
+}
+
+/**
+ * Encode frames as an animated GIF
+ *
+ * @param {Array<ImageData>} frames - Frames of equal size ({width, height, data})
+ * @param {Object} [options={}] - Encoding options
+ * @param {number} [options.delay=100] - Delay between frames in milliseconds
+ * @param {number} [options.loop=0] - Repeat count (0 = forever, -1 = play once)
+ * @returns {Uint8Array} GIF file contents
+ */
+export function encodeGIF(frames, options = {}) {
+  const { delay = 100, loop = 0 } = options;
+
+  if (!Array.isArray(frames) || frames.length === 0) {
+    throw new Error('At least one frame is required');
+  }
+
+  const { width, height } = frames[0];
+  const out = new ByteWriter(width * height + 1024);
+
+  // Header and logical screen descriptor with 256-color global table
+  out.string('GIF89a');
+  out.word(width);
+  out.word(height);
+  out.byte(0xf7);
+  out.byte(0); // Background color index
+  out.byte(0); // Pixel aspect ratio
+  out.array(createPalette());
+
+  // NETSCAPE2.0 extension controls looping
+  if (loop >= 0) {
+    out.byte(0x21);
+    out.byte(0xff);
+    out.byte(0x0b);
+    out.string('NETSCAPE2.0');
+    out.byte(0x03);
+    out.byte(0x01);
+    out.word(loop);
+    out.byte(0);
+  }
+
+  // GIF delays are in hundredths of a second
+  const delayCs = Math.max(1, Math.round(delay / 10));
+
+  for (const frame of frames) {
+    if (frame.width !== width || frame.height !== height) {
+      throw new Error('All frames must have the same size');
+    }
+
+    // Graphic control extension: restore to background, transparent index
+    out.byte(0x21);
+    out.byte(0xf9);
+    out.byte(0x04);
+    out.byte((2 << 2) | 1);
+    out.word(delayCs);
+    out.byte(TRANSPARENT_INDEX);
+    out.byte(0);
+
+    // Image descriptor (full frame, global palette)
+    out.byte(0x2c);
+    out.word(0);
+    out.word(0);
+    out.word(width);
+    out.word(height);
+    out.byte(0);
+
+    writeLZW(out, quantize(frame.data));
+  }
+
+  out.byte(0x3b); // Trailer
+  return out.result();
+}
@@ -1,5 +1,9 @@
 import { EventDispatcher } from './event-dispatcher.js';
 import { Mesh } from './mesh.js';
+import { resolveEnvironment } from './environment.js';
+import { drawWarpGrid } from './warp.js';
+import { applyTransform } from './alignment.js';
+import { getLabStats, matchColors } from './color-matching.js';
 
 /**
  * Image
@@ -13,27 +17,45 @@ import { Mesh } from './mesh.js';
 export class Image extends EventDispatcher {
   el = null;
   source = null;
+  sourceVersion = 0;
   loaded = false;
+  colorTarget = null;
+  colorStats = null;
+
+  canvasFactory = null;
 
   mesh = null;
   weight = 0;
+  appearanceWeight = 0;
   x = 0;
   y = 0;
+  scale = 1;
+  rotation = 0;
 
   /**
    * Create a new Image
    * @param {Object} [json={}] - Image configuration
+   * @param {Object} [params={}] - Optional parameters
+   * @param {Function} [params.canvasFactory] - Creates the source canvas
+   * @param {Function} [params.imageFactory] - Creates the element used to load src
    */
-  constructor(json = {}) {
+  constructor(json = {}, params = {}) {
     super();
 
+    const environment = resolveEnvironment(params);
+    this.canvasFactory = environment.canvasFactory;
+
     // Bind methods that are used as callbacks
     this.loadHandler = this.loadHandler.bind(this);
     this.propagateMeshEvent = this.propagateMeshEvent.bind(this);
     this.refreshSource = this.refreshSource.bind(this);
 
-    this.setImage(new window.Image());
-    this.source = document.createElement('canvas');
+    // Without a DOM there may be no image element until setImage() is called
+    const imgEl = environment.imageFactory();
+    if (imgEl) {
+      this.setImage(imgEl);
+    }
+    this.source = this.canvasFactory();
 
     this.mesh = new Mesh();
     this.mesh.on('all', this.propagateMeshEvent);
@@ -57,12 +79,17 @@ export class Image extends EventDispatcher {
 
   /**
    * Set the image element
-   * @param {HTMLImageElement|HTMLCanvasElement} imgEl - Image or canvas element
+   *
+   * Besides DOM elements, accepts any canvas-like object (exposing getContext)
+   * or image-like object (exposing complete and onload), e.g. from node-canvas.
+   *
+   * @param {HTMLImageElement|HTMLCanvasElement|Object} imgEl - Image or canvas element
    */
   setImage(imgEl) {
     this.el = imgEl;
+    this.colorStats = null;
 
-    switch (this.el.tagName) {
+    switch (Image.getElementType(this.el)) {
       case 'IMG':
         this.loaded = this.el.complete && this.el.naturalWidth !== 0;
         // Use pre-bound loadHandler method
@@ -81,31 +108,75 @@ export class Image extends EventDispatcher {
    * @param {string} src - Image URL
    */
   setSrc(src) {
+    if (!this.el) {
+      console.warn('Cannot load image source without an image element. Provide an imageFactory or call setImage().');
+      return;
+    }
     this.loaded = false;
     this.el.src = src;
   }
 
+  /**
+   * Detect how an element should be handled
+   * @param {Object} el - Image element, canvas or canvas-like object
+   * @returns {string} 'IMG' for elements that load asynchronously, 'CANVAS' otherwise
+   * @private
+   */
+  static getElementType(el) {
+    if (el.tagName) {
+      return el.tagName;
+    }
+    return typeof el.getContext !== 'function' && 'complete' in el ? 'IMG' : 'CANVAS';
+  }
+
   /**
    * Set image weight for morphing
+   *
+   * Sets both the geometry weight (how much the mesh follows this image's
+   * points) and the appearance weight (how much of its colors are blended in).
+   *
    * @param {number} w - Weight value
    * @param {Object} [params={}] - Optional parameters
    * @param {boolean} [params.silent=false] - Suppress events
    */
   setWeight(w, params = {}) {
     this.weight = w * 1;
+    this.appearanceWeight = this.weight;
     if (!params.silent) {
-      this.trigger('change:weight change');
+      this.trigger('change:weight change:appearanceWeight change');
     }
   }
 
   /**
-   * Get image weight
+   * Get image weight (geometry weight)
    * @returns {number} Current weight
    */
   getWeight() {
     return this.weight;
   }
 
+  /**
+   * Set how much of the image's colors are blended in, leaving the geometry
+   * weight unchanged
+   * @param {number} w - Weight value
+   * @param {Object} [params={}] - Optional parameters
+   * @param {boolean} [params.silent=false] - Suppress events
+   */
+  setAppearanceWeight(w, params = {}) {
+    this.appearanceWeight = w * 1;
+    if (!params.silent) {
+      this.trigger('change:appearanceWeight change');
+    }
+  }
+
+  /**
+   * Get appearance weight
+   * @returns {number} Current appearance weight
+   */
+  getAppearanceWeight() {
+    return this.appearanceWeight;
+  }
+
   /**
    * Set X position
    * @param {number} x - X coordinate
@@ -114,7 +185,7 @@ export class Image extends EventDispatcher {
    */
   setX(x, params = {}) {
     this.x = Math.round(x * 1);
-    this.mesh.x = this.x;
+    this.refreshMeshOffset();
     if (!params.silent) {
       this.trigger('change:x change');
     }
@@ -136,7 +207,7 @@ export class Image extends EventDispatcher {
    */
   setY(y, params = {}) {
     this.y = Math.round(y * 1);
-    this.mesh.y = this.y;
+    this.refreshMeshOffset();
     if (!params.silent) {
       this.trigger('change:y change');
     }
@@ -165,6 +236,109 @@ export class Image extends EventDispatcher {
     }
   }
 
+  /**
+   * Set scale around the image origin
+   * @param {number} scale - Uniform scale factor (> 0)
+   * @param {Object} [params={}] - Optional parameters
+   * @param {boolean} [params.silent=false] - Suppress events
+   */
+  setScale(scale, params = {}) {
+    this.scale = scale * 1;
+    this.refreshMeshOffset();
+    if (!params.silent) {
+      this.trigger('change:scale change');
+    }
+  }
+
+  /**
+   * Get scale
+   * @returns {number} Scale factor
+   */
+  getScale() {
+    return this.scale;
+  }
+
+  /**
+   * Set rotation around the image origin
+   * @param {number} rotation - Angle in radians, clockwise on screen
+   * @param {Object} [params={}] - Optional parameters
+   * @param {boolean} [params.silent=false] - Suppress events
+   */
+  setRotation(rotation, params = {}) {
+    this.rotation = rotation * 1;
+    this.refreshMeshOffset();
+    if (!params.silent) {
+      this.trigger('change:rotation change');
+    }
+  }
+
+  /**
+   * Get rotation
+   * @returns {number} Angle in radians
+   */
+  getRotation() {
+    return this.rotation;
+  }
+
+  /**
+   * Set position, scale and rotation at once
+   * @param {Object} transform - Transform; missing properties are unchanged
+   * @param {number} [transform.x] - X coordinate
+   * @param {number} [transform.y] - Y coordinate
+   * @param {number} [transform.scale] - Scale factor
+   * @param {number} [transform.rotation] - Angle in radians
+   * @param {Object} [params={}] - Optional parameters
+   * @param {boolean} [params.silent=false] - Suppress events
+   */
+  setTransform(transform, params = {}) {
+    const { x = this.x, y = this.y, scale = this.scale, rotation = this.rotation } = transform;
+    this.setX(x, { silent: true });
+    this.setY(y, { silent: true });
+    this.setScale(scale, { silent: true });
+    this.setRotation(rotation, { silent: true });
+    if (!params.silent) {
+      this.trigger('change:x change:y change:scale change:rotation change');
+    }
+  }
+
+  /**
+   * Get position, scale and rotation
+   * @returns {{x: number, y: number, scale: number, rotation: number}} Transform
+   */
+  getTransform() {
+    return { x: this.x, y: this.y, scale: this.scale, rotation: this.rotation };
+  }
+
+  /**
+   * Map a position on the image to the canvas
+   * @param {{x: number, y: number}} point - Position on the image
+   * @returns {{x: number, y: number}} Position on the canvas
+   */
+  transformPoint(point) {
+    return applyTransform(this.getTransform(), point);
+  }
+
+  /**
+   * Check if the image is scaled or rotated
+   * @returns {boolean} True unless the image is only moved
+   */
+  isTransformed() {
+    return this.scale !== 1 || this.rotation !== 0;
+  }
+
+  /**
+   * Sync the mesh offset used to keep points within bounds
+   *
+   * Points of a scaled or rotated image are bounded by the image itself
+   * rather than the canvas, so the offset is dropped.
+   * @private
+   */
+  refreshMeshOffset() {
+    const transformed = this.isTransformed();
+    this.mesh.x = transformed ? 0 : this.x;
+    this.mesh.y = transformed ? 0 : this.y;
+  }
+
   // Image
 
   /**
@@ -172,6 +346,7 @@ export class Image extends EventDispatcher {
    */
   loadHandler() {
     this.loaded = true;
+    this.colorStats = null;
     this.refreshSource();
     this.trigger('load', this, this.el);
   }
@@ -234,6 +409,34 @@ export class Image extends EventDispatcher {
     this.mesh.removeTriangle(...args);
   }
 
+  /**
+   * Triangulate mesh points
+   */
+  triangulate(...args) {
+    this.mesh.triangulate(...args);
+  }
+
+  /**
+   * Connect point to mesh triangulation
+   */
+  insertPoint(...args) {
+    this.mesh.insertPoint(...args);
+  }
+
+  /**
+   * Find flipped triangles compared to another mesh
+   */
+  findFlippedTriangles(...args) {
+    return this.mesh.findFlippedTriangles(...args);
+  }
+
+  /**
+   * Validate mesh triangles
+   */
+  validate(...args) {
+    return this.mesh.validate(...args);
+  }
+
   /**
    * Refresh mesh bounds
    */
@@ -257,14 +460,33 @@ export class Image extends EventDispatcher {
    * Draw image with morphing
    * @param {CanvasRenderingContext2D} ctx - Destination context
    * @param {Mesh} mesh - Target mesh for morphing
+   * @param {number[]|null} [indices=null] - Triangles to draw (all if null)
    */
-  draw(ctx, mesh) {
+  draw(ctx, mesh, indices = null) {
+    if (indices) {
+      for (const i of indices) {
+        this.triangles[i].draw(this.source, ctx, mesh.triangles[i]);
+      }
+      return;
+    }
+
     for (let i = 0; i < this.triangles.length; i++) {
       const triangle = this.triangles[i];
       triangle.draw(this.source, ctx, mesh.triangles[i]);
     }
   }
 
+  /**
+   * Draw image through a displacement grid (non-affine warp modes)
+   * @param {CanvasRenderingContext2D} ctx - Destination context
+   * @param {Object} grid - Grid from createWarpGrid()
+   * @param {Float64Array} coords - Source positions of the grid nodes
+   * @param {Triangle[]} triangles - Target triangles to fill
+   */
+  drawGrid(ctx, grid, coords, triangles) {
+    drawWarpGrid(this.source, ctx, grid, coords, triangles);
+  }
+
   /**
    * Refresh source canvas
    */
@@ -276,6 +498,58 @@ export class Image extends EventDispatcher {
 
     const ctx = this.source.getContext('2d');
     ctx.drawImage(this.el, 0, 0);
+
+    const stats = this.colorTarget && this.getColorStats();
+    if (stats && this.source.width > 0 && this.source.height > 0) {
+      const imageData = ctx.getImageData(0, 0, this.source.width, this.source.height);
+      ctx.putImageData(matchColors(imageData, stats, this.colorTarget), 0, 0);
+    }
+
+    // Lets renderers that cache the source (e.g. as a texture) detect changes
+    this.sourceVersion++;
+  }
+
+  // Color Matching
+
+  /**
+   * Get the Lab color statistics of the image, see color-matching.js
+   *
+   * Measured on a copy downscaled to at most 256 pixels per side and cached
+   * until the image changes.
+   *
+   * @returns {{mean: number[], std: number[]}|null} Statistics, or null if not loaded
+   */
+  getColorStats() {
+    if (!this.loaded) return null;
+
+    if (!this.colorStats) {
+      const width = this.el.naturalWidth || this.el.width;
+      const height = this.el.naturalHeight || this.el.height;
+      const scale = Math.min(1, 256 / Math.max(width, height));
+      const w = Math.max(1, Math.round(width * scale));
+      const h = Math.max(1, Math.round(height * scale));
+
+      const canvas = this.canvasFactory(w, h, { offscreen: true });
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(this.el, 0, 0, w, h);
+      this.colorStats = getLabStats(ctx.getImageData(0, 0, w, h));
+    }
+
+    return this.colorStats;
+  }
+
+  /**
+   * Match the colors of the source to target statistics
+   * @param {{mean: number[], std: number[]}|null} target - Lab statistics, or null for the original colors
+   * @param {Object} [params={}] - Optional parameters
+   * @param {boolean} [params.silent=false] - Suppress events
+   */
+  setColorTarget(target, params = {}) {
+    this.colorTarget = target;
+    this.refreshSource();
+    if (!params.silent) {
+      this.trigger('change:colorTarget change');
+    }
   }
 
   // JSON
@@ -286,9 +560,15 @@ export class Image extends EventDispatcher {
    */
   toJSON() {
     const json = this.mesh.toJSON();
-    json.src = this.el.src;
+    json.src = this.el ? this.el.src : undefined;
     json.x = this.x;
     json.y = this.y;
+    if (this.scale !== 1) {
+      json.scale = this.scale;
+    }
+    if (this.rotation !== 0) {
+      json.rotation = this.rotation;
+    }
     return json;
   }
 
@@ -304,6 +584,12 @@ export class Image extends EventDispatcher {
     if (json.y !== undefined) {
       this.setY(json.y, params);
     }
+    if (json.scale !== undefined) {
+      this.setScale(json.scale, params);
+    }
+    if (json.rotation !== undefined) {
+      this.setRotation(json.rotation, params);
+    }
 
     this.mesh.fromJSON(json, params);
 
@@ -15,6 +15,21 @@ export { Mesh } from './mesh.js';
 export { Point } from './point.js';
 export { Matrix } from './matrix.js';
 export { EventDispatcher } from './event-dispatcher.js';
+export { Timeline } from './timeline.js';
+export { WebGLRenderer } from './webgl-renderer.js';
+export { VirtualRenderer, SpatialIndex } from './virtual-renderer.js';
+export { ManualClock, browserClock, defaultCanvasFactory } from './environment.js';
+export { encodeGIF } from './gif-encoder.js';
+export { findCorrespondences, detectCorners, matchCorners, refinePoint } from './correspondence.js';
+export { triangulate, insertPoint, findFlippedTriangles } from './triangulation.js';
+export { createThinPlateSpline, createMovingLeastSquares } from './warp.js';
+export { alignPoints, applyTransform } from './alignment.js';
+export { rgbToLab, labToRgb, getLabStats, matchColors } from './color-matching.js';
+export { linearBlend, overlayBlend, softLightBlend, hardLightBlend, differenceBlend, luminosityBlend, dissolveBlend } from './blend-kernels.js';
+export {
+  MORPHER_SCHEMA_VERSION, morpherSchema, morpherMigrations, SchemaError,
+  migrate, migrateMorpherJSON, validateMorpherJSON, checkMorpherReferences, validateSchema
+} from './schema.js';
 
 // Default export for convenience
 import { Morpher } from './morpher.js';
@@ -1,6 +1,7 @@
 import { EventDispatcher } from './event-dispatcher.js';
 import { Point } from './point.js';
 import { Triangle } from './triangle.js';
+import { triangulate, insertPoint, findFlippedTriangles } from './triangulation.js';
 
 /**
  * Mesh
@@ -434,6 +435,102 @@ export class Mesh extends EventDispatcher {
     }
   }
 
+  /**
+   * Get triangles as point index triplets
+   * @returns {Array<number[]>} Triangles ([p1, p2, p3])
+   */
+  getTriangleIndices() {
+    return this.triangles.map((triangle) => [
+      this.points.indexOf(triangle.p1),
+      this.points.indexOf(triangle.p2),
+      this.points.indexOf(triangle.p3)
+    ]);
+  }
+
+  /**
+   * Replace triangles with a new set
+   *
+   * Triangles present in both sets are kept, so only the difference
+   * triggers 'triangle:remove' and 'triangle:add' events.
+   *
+   * @param {Array<number[]>} triplets - Point index triplets
+   */
+  setTriangles(triplets) {
+    const key = (triplet) => triplet.slice().sort((a, b) => a - b).join(',');
+    const wanted = new Map(triplets.map((triplet) => [key(triplet), triplet]));
+
+    const existing = this.getTriangleIndices();
+    for (let i = existing.length - 1; i >= 0; i--) {
+      const k = key(existing[i]);
+      if (wanted.has(k)) {
+        wanted.delete(k);
+      } else {
+        this.removeTriangle(i);
+      }
+    }
+
+    for (const [p1, p2, p3] of wanted.values()) {
+      this.addTriangle(p1, p2, p3);
+    }
+  }
+
+  // Triangulation
+
+  /**
+   * Replace triangles with a constrained Delaunay triangulation of the points
+   *
+   * @param {Object} [params={}] - Optional parameters
+   * @param {Array<number[]>} [params.constraints=[]] - Edges to keep ([i, j] point indices)
+   */
+  triangulate(params = {}) {
+    this.setTriangles(triangulate(this.points, params.constraints || []));
+  }
+
+  /**
+   * Connect a point to the existing triangulation
+   *
+   * Only triangles around the point are replaced (see triangulation.js).
+   *
+   * @param {Point|number} point - Point instance or index
+   * @param {Object} [params={}] - Optional parameters
+   * @param {Array<number[]>} [params.constraints=[]] - Edges to keep ([i, j] point indices)
+   */
+  insertPoint(point, params = {}) {
+    const index = point instanceof Point ? this.points.indexOf(point) : point;
+    if (!this.points[index]) return;
+
+    this.setTriangles(insertPoint(this.points, this.getTriangleIndices(), index, params.constraints || []));
+  }
+
+  /**
+   * Find triangles that are flipped, degenerate or overlapping compared to another mesh
+   *
+   * @param {Mesh|Image} reference - Mesh with the expected triangle orientation
+   * @returns {Array<{index: number, reason: string}>} Problems ('flipped', 'degenerate' or 'overlap')
+   */
+  findFlippedTriangles(reference) {
+    // Handle Image objects
+    if (reference.mesh) {
+      reference = reference.mesh;
+    }
+
+    return findFlippedTriangles(this.getTriangleIndices(), this.points, reference.points);
+  }
+
+  /**
+   * Check the mesh for inverted, degenerate and overlapping triangles
+   *
+   * Without a reference only degenerate and overlapping triangles can be
+   * found, since triangles may be listed in either winding order.
+   *
+   * @param {Mesh|Image|null} [reference=null] - Mesh with the expected triangle orientation
+   * @returns {{valid: boolean, problems: Array<{index: number, reason: string}>}} Validation result
+   */
+  validate(reference = null) {
+    const problems = this.findFlippedTriangles(reference || this);
+    return { valid: problems.length === 0, problems };
+  }
+
   // JSON
 
   /**
@@ -1,6 +1,17 @@
 import { EventDispatcher } from './event-dispatcher.js';
 import { Image } from './image.js';
 import { Mesh } from './mesh.js';
+import { ManualClock, resolveEnvironment } from './environment.js';
+import { getWorkerManager } from './worker-manager.js';
+import { Timeline } from './timeline.js';
+import { WebGLRenderer } from './webgl-renderer.js';
+import { VirtualRenderer, SpatialIndex } from './virtual-renderer.js';
+import { findFlippedTriangles } from './triangulation.js';
+import { createThinPlateSpline, createMovingLeastSquares, createWarpGrid, mapWarpGrid } from './warp.js';
+import { alignPoints } from './alignment.js';
+import { mixLabStats } from './color-matching.js';
+import { linearBlend, dissolveBlend } from './blend-kernels.js';
+import { MORPHER_SCHEMA_VERSION, SchemaError, migrateMorpherJSON, validateMorpherJSON } from './schema.js';
 
 /**
  * Morpher
@@ -14,35 +25,120 @@ import { Mesh } from './mesh.js';
 export class Morpher extends EventDispatcher {
   images = null;
   triangles = [];
+  constraints = [];
+  regions = [];
   mesh = null;
 
   canvas = null;
   ctx = null;
+  frameCanvas = null;
+  frameCtx = null;
+  presenting = false;
+  ctxCanvas = null;
   tmpCanvas = null;
   tmpCtx = null;
+  webglRenderer = null;
 
   blendFunction = null;
   finalTouchFunction = null;
+  correspondenceFunction = null;
   easingFunction = null;
 
+  canvasFactory = null;
+  imageFactory = null;
+  clock = null;
+
+  viewport = null;
+  zoom = 1;
+  spatialIndex = null;
+  spatialIndexDirty = true;
+
+  autoTriangulate = false;
+
+  extrapolate = false;
+  extrapolationScale = 1;
+
+  colorMatching = 'none';
+  colorReference = 0;
+  colorWeights = null;
+
+  outputSize = null;
+  fit = 'contain';
+  background = null;
+  pixelRatio = 1;
+
+  warpMode = 'affine';
+  warpGridSize = 16;
+  warpGrid = null;
+  warpGridKey = null;
+  warpCache = null;
+
+  useWorkers = false;
+  workerManager = null;
+  frameID = 0;
+
   requestID = null;
+  exporting = false;
 
   t0 = null;
   duration = null;
   state0 = null;
   state1 = null;
   state = null;
+  appearanceState = null;
+  timeline = null;
 
   /**
    * Create a new Morpher
+   *
+   * Besides the JSON configuration, params may provide the rendering
+   * environment (see environment.js) to run without a DOM.
+   *
    * @param {Object} [params={}] - Initial configuration (can be JSON from export)
+   * @param {HTMLCanvasElement} [params.canvas] - Canvas to draw into (created if omitted)
+   * @param {Function} [params.canvasFactory] - Creates canvases: (width, height, options) => canvas
+   * @param {Function} [params.imageFactory] - Creates image elements for images loaded from src
+   * @param {Object} [params.clock] - Clock with now(), requestFrame() and cancelFrame()
+   * @param {string} [params.renderer='2d'] - '2d' or 'webgl' (falls back to '2d' without WebGL)
+   * @param {Object} [params.viewport] - Visible region {left, top, width, height}; enables culling
+   * @param {number} [params.zoom=1] - View scale, used to pick rendering quality
+   * @param {boolean} [params.useWorkers=false] - Interpolate the mesh and run software blends in Web Workers
+   * @param {boolean} [params.autoTriangulate=false] - Keep the mesh triangulated as points are added and removed
+   * @param {string} [params.warpMode='affine'] - 'affine' (triangles), 'tps' (thin-plate spline) or 'mls' (moving least squares)
+   * @param {number} [params.warpGridSize=16] - Displacement grid cell size in pixels for 'tps' and 'mls'
+   * @param {number[]|Object} [params.weights] - Initial weights, see set() (first image only if omitted)
+   * @param {boolean} [params.extrapolate=false] - Allow geometry weights outside [0, 1] (caricatures)
+   * @param {Object} [params.colorMatching] - Color matching {mode, reference, weights}, see setColorMatching()
+   * @param {Object} [params.outputSize] - Fixed canvas size {width, height} in CSS pixels (sized to the images if omitted)
+   * @param {string} [params.fit='contain'] - How the images fill outputSize: 'contain', 'cover', 'fill' or 'none'
+   * @param {string} [params.background] - CSS color drawn behind the images (transparent if omitted)
+   * @param {number|string} [params.pixelRatio=1] - Canvas pixels per CSS pixel, or 'auto' for devicePixelRatio
+   * @param {boolean} [params.strict=false] - Throw a SchemaError for invalid configuration, see fromJSON()
    */
   constructor(params = {}) {
     super();
 
+    const environment = resolveEnvironment(params);
+    this.canvasFactory = environment.canvasFactory;
+    this.imageFactory = environment.imageFactory;
+    this.clock = environment.clock;
+
     this.images = [];
     this.triangles = [];
     this.mesh = new Mesh();
+    this.spatialIndex = new SpatialIndex();
+
+    if (params.useWorkers) {
+      this.useWorkers = true;
+      this.workerManager = getWorkerManager();
+    }
+
+    this.autoTriangulate = !!params.autoTriangulate;
+
+    this.warpCache = new WeakMap();
+    if (params.warpGridSize !== undefined) {
+      this.setWarpGridSize(params.warpGridSize);
+    }
 
     // Bind methods that are used as callbacks
     // This ensures consistent function identity for adding/removing listeners
@@ -54,22 +150,35 @@ export class Morpher extends EventDispatcher {
     this.addTriangleHandler = this.addTriangleHandler.bind(this);
     this.removeTriangleHandler = this.removeTriangleHandler.bind(this);
     this.removeImage = this.removeImage.bind(this);
+    this.timelineChangeHandler = this.timelineChangeHandler.bind(this);
+    this.timelineKeyframeHandler = this.timelineKeyframeHandler.bind(this);
+    this.timelineCompleteHandler = this.timelineCompleteHandler.bind(this);
+
+    // tmpCanvas is never displayed, so the factory may use OffscreenCanvas
+    // Start with minimal size, will be resized as needed
+    this.tmpCanvas = this.canvasFactory(1, 1, { offscreen: true });
+    this.tmpCtx = this.tmpCanvas.getContext('2d');
+
+    if (params.renderer === 'webgl') {
+      try {
+        this.webglRenderer = new WebGLRenderer(this.canvasFactory);
+      } catch (error) {
+        console.warn('WebGL renderer unavailable, falling back to 2D canvas:', error.message);
+      }
+    }
 
-    this.setCanvas(document.createElement('canvas'));
+    this.setCanvas(params.canvas || this.canvasFactory());
 
-    // Use OffscreenCanvas for tmpCanvas if available (better performance)
-    // Falls back to regular canvas for older browsers
-    if (typeof OffscreenCanvas !== 'undefined') {
-      // Start with minimal size, will be resized as needed
-      this.tmpCanvas = new OffscreenCanvas(1, 1);
-      this.tmpCtx = this.tmpCanvas.getContext('2d');
-    } else {
-      this.tmpCanvas = document.createElement('canvas');
-      this.tmpCtx = this.tmpCanvas.getContext('2d');
+    if (params.viewport) {
+      this.setViewport(params.viewport, { zoom: params.zoom });
+    } else if (params.zoom !== undefined) {
+      this.setZoom(params.zoom);
     }
 
-    this.fromJSON(params);
-    this.set([1]);
+    this.fromJSON(params, { strict: !!params.strict });
+    if (!this.state) {
+      this.set([1]);
+    }
   }
 
   /**
@@ -78,38 +187,83 @@ export class Morpher extends EventDispatcher {
    */
   setCanvas(canvas) {
     this.canvas = canvas;
-    this.ctx = this.canvas.getContext('2d');
+    this.refreshFrameCanvas();
     this.draw();
   }
 
+  /**
+   * Get the active renderer
+   * @returns {string} 'webgl' or '2d'
+   */
+  getRendererType() {
+    return this.webglRenderer ? 'webgl' : '2d';
+  }
+
   /**
    * Set image weights
-   * @param {number[]} weights - Array of weights (0-1) for each image
+   *
+   * An array sets the same weights for the mesh shape and the colors. Pass
+   * {geometry, appearance} to set them separately, e.g. morph the shape while
+   * keeping the colors of the first image; a missing part copies the other.
+   *
+   * @param {number[]|{geometry: number[], appearance: number[]}} weights - Weights (0-1) for each image
    * @param {Object} [params={}] - Optional parameters
    * @param {boolean} [params.silent=false] - Suppress change events
+   *
+   * @example
+   * morpher.set({ geometry: [0.5, 0.5], appearance: [1, 0] });
    */
   set(weights, params = {}) {
+    const { geometry, appearance } = Morpher.splitWeights(weights);
     this.state = [];
+    this.appearanceState = [];
+
     for (let i = 0; i < this.images.length; i++) {
       const img = this.images[i];
-      const w = weights[i] || 0;
+      const w = geometry[i] || 0;
+      const a = appearance[i] || 0;
       this.state.push(w);
-      img.setWeight(w, params);
+      this.appearanceState.push(a);
+
+      img.setWeight(w, { silent: true });
+      img.setAppearanceWeight(a, { silent: true });
+      if (!params.silent) {
+        img.trigger('change:weight change:appearanceWeight change');
+      }
     }
   }
 
   /**
    * Get current state (weights)
-   * @returns {number[]} Array of current weights
+   * @returns {number[]|{geometry: number[], appearance: number[]}} Array of current
+   *   weights, or separate geometry and appearance weights if they differ
    */
   get() {
-    return this.state.slice();
+    if (this.appearanceState.every((w, i) => w === this.state[i])) {
+      return this.state.slice();
+    }
+    return { geometry: this.state.slice(), appearance: this.appearanceState.slice() };
+  }
+
+  /**
+   * Normalize weights to separate geometry and appearance arrays
+   * @param {number[]|Object} weights - Weights as accepted by set()
+   * @returns {{geometry: number[], appearance: number[]}} Weights
+   * @private
+   */
+  static splitWeights(weights) {
+    if (Array.isArray(weights)) {
+      return { geometry: weights, appearance: weights };
+    }
+
+    const { geometry, appearance } = weights || {};
+    return { geometry: geometry || appearance || [], appearance: appearance || geometry || [] };
   }
 
   /**
    * Animate to target weights
    *
-   * @param {number[]} weights - Target weights
+   * @param {number[]|{geometry: number[], appearance: number[]}} weights - Target weights, see set()
    * @param {number} duration - Animation duration in milliseconds
    * @param {Function|string} [easing] - Optional easing function or function name from registry
    *
@@ -117,16 +271,21 @@ export class Morpher extends EventDispatcher {
    * // With predefined easing
    * morpher.animate([0, 1], 500, 'easeInOutQuad');
    *
+   * // Morph the shape only
+   * morpher.animate({ geometry: [0, 1], appearance: [1, 0] }, 500);
+   *
    * // With custom function
    * morpher.animate([0, 1], 500, (t) => t * t);
    */
   animate(weights, duration, easing) {
-    this.state0 = [];
-    for (const img of this.images) {
-      this.state0.push(img.getWeight());
-    }
-    this.state1 = weights;
-    this.t0 = performance.now();
+    this.stopTimeline();
+
+    this.state0 = {
+      geometry: this.images.map((img) => img.getWeight()),
+      appearance: this.images.map((img) => img.getAppearanceWeight())
+    };
+    this.state1 = Morpher.splitWeights(weights);
+    this.t0 = this.clock.now();
     this.duration = duration;
 
     // Validate easing function if provided
@@ -141,6 +300,101 @@ export class Morpher extends EventDispatcher {
     this.draw();
   }
 
+  // Timeline
+
+  timelineEvents = {
+    play: 'timelineChangeHandler',
+    seek: 'timelineChangeHandler',
+    keyframe: 'timelineKeyframeHandler',
+    complete: 'timelineCompleteHandler'
+  };
+
+  /**
+   * Play a keyframe timeline
+   *
+   * While a timeline is attached it drives the weights, including when
+   * paused. It detaches itself when complete, or use stopTimeline().
+   *
+   * @param {Array<Object>|Timeline} keyframes - Keyframes ({time, weights, easing}) or a Timeline
+   * @param {Object} [options={}] - Playback options (see Timeline)
+   * @param {boolean|number} [options.loop=false] - Repeat forever (true) or a number of times
+   * @param {boolean} [options.pingPong=false] - Play backwards after each forward pass
+   * @param {number} [options.playbackRate=1] - Speed multiplier
+   * @returns {Timeline} Timeline for controlling playback (pause, resume, seek, ...)
+   *
+   * @example
+   * const timeline = morpher.playTimeline([
+   *   { time: 0, weights: [1, 0, 0], easing: 'easeInOutQuad' },
+   *   { time: 1000, weights: [0, 1, 0] },
+   *   { time: 1500, weights: [0, 0, 1] }
+   * ], { loop: true, pingPong: true });
+   *
+   * timeline.pause();
+   * timeline.seek(1200);
+   */
+  playTimeline(keyframes, options = {}) {
+    let timeline = keyframes;
+
+    if (!(timeline instanceof Timeline)) {
+      // Resolve easing names from the registry
+      if (Array.isArray(keyframes)) {
+        keyframes = keyframes.map((keyframe) => ({
+          ...keyframe,
+          easing: keyframe && Morpher.validateEasingFunction(keyframe.easing)
+        }));
+      }
+      timeline = new Timeline(keyframes, options);
+    }
+
+    this.stopTimeline();
+    this.state0 = this.state1 = this.t0 = null;
+    this.easingFunction = null;
+
+    this.timeline = timeline;
+    for (const [event, handler] of Object.entries(this.timelineEvents)) {
+      timeline.on(event, this[handler]);
+    }
+
+    this.trigger('animation:start', this);
+    timeline.play();
+    return timeline;
+  }
+
+  /**
+   * Detach the current timeline, leaving weights where they are
+   */
+  stopTimeline() {
+    if (!this.timeline) return;
+
+    for (const [event, handler] of Object.entries(this.timelineEvents)) {
+      this.timeline.off(event, this[handler]);
+    }
+    this.timeline.pause();
+    this.timeline = null;
+  }
+
+  /**
+   * Handle timeline play and seek events
+   */
+  timelineChangeHandler() {
+    this.draw();
+  }
+
+  /**
+   * Handle timeline keyframe events
+   */
+  timelineKeyframeHandler(timeline, index, keyframe) {
+    this.trigger('animation:keyframe', this, index, keyframe);
+  }
+
+  /**
+   * Handle timeline complete events
+   */
+  timelineCompleteHandler() {
+    this.stopTimeline();
+    this.trigger('animation:complete', this);
+  }
+
   // Images
 
   imageEvents = {
@@ -161,7 +415,10 @@ export class Morpher extends EventDispatcher {
    */
   addImage(image, params = {}) {
     if (!(image instanceof Image)) {
-      image = new Image(image);
+      image = new Image(image, {
+        canvasFactory: this.canvasFactory,
+        imageFactory: this.imageFactory
+      });
     }
 
     image.remove();
@@ -200,6 +457,23 @@ export class Morpher extends EventDispatcher {
 
     if (i !== -1) {
       this.images.splice(i, 1);
+      for (const region of this.regions) {
+        if (region.weights) {
+          region.weights.splice(i, 1);
+        }
+      }
+      if (this.colorWeights) {
+        this.colorWeights.splice(i, 1);
+      }
+      if (i < this.colorReference) {
+        this.colorReference--;
+      } else if (i === this.colorReference) {
+        this.colorReference = 0;
+      }
+      if (image.colorTarget) {
+        image.setColorTarget(null, { silent: true });
+      }
+      this.applyColorMatching();
       this.trigger('image:remove', this, image);
     }
   }
@@ -215,6 +489,7 @@ export class Morpher extends EventDispatcher {
     }
 
     this.refreshMaxSize();
+    this.applyColorMatching();
     this.trigger('load', this, this.canvas);
   }
 
@@ -237,6 +512,9 @@ export class Morpher extends EventDispatcher {
     for (const image of this.images.concat(this.mesh)) {
       image.addPoint({ x, y }, { silent: true });
     }
+    if (this.autoTriangulate) {
+      this.insertTriangulationPoint(this.mesh.points.length - 1);
+    }
     this.trigger('point:add', this);
   }
 
@@ -255,6 +533,9 @@ export class Morpher extends EventDispatcher {
 
     if (this.mesh.points.length < image.points.length) {
       this.mesh.addPoint(position);
+      if (this.autoTriangulate) {
+        this.insertTriangulationPoint(this.mesh.points.length - 1);
+      }
       this.trigger('point:add', this);
     }
   }
@@ -282,9 +563,258 @@ export class Morpher extends EventDispatcher {
       }
     }
 
+    this.constraints = this.constraints
+      .filter((constraint) => !constraint.includes(index))
+      .map((constraint) => constraint.map((i) => (i > index ? i - 1 : i)));
+
+    // Fill the hole left by the point's triangles
+    if (this.autoTriangulate) {
+      this.triangulate();
+    }
+
     this.trigger('point:remove', this);
   }
 
+  // Correspondence
+
+  /**
+   * Propose corresponding points between two images
+   *
+   * Uses the function set with setCorrespondenceFunction(), or the built-in
+   * corner detector and patch matcher (run in a Web Worker when available).
+   * Images are downscaled to maxSize for detection; proposals are returned
+   * in each image's own coordinates. Proposals close to an existing point of
+   * the first image are left out. Nothing is added to the mesh - pass the
+   * accepted proposals to addCorrespondence().
+   *
+   * @param {Image} imageA - First image
+   * @param {Image} imageB - Second image
+   * @param {Object} [options={}] - Detection options (see correspondence.js)
+   * @param {number} [options.maxSize=512] - Longest side used for detection
+   * @param {number} [options.minDistance=12] - Minimum spacing between points in detection pixels
+   * @returns {Promise<Array<Object>>} Proposals ({a: {x, y}, b: {x, y}, score}), best first
+   * @throws {Error} If the images don't belong to this morpher or aren't loaded
+   */
+  async detectCorrespondences(imageA, imageB, options = {}) {
+    this.assertImagePair(imageA, imageB);
+
+    const { maxSize = 512, ...detectOptions } = options;
+    const a = this.getFeatureData(imageA, maxSize);
+    const b = this.getFeatureData(imageB, maxSize);
+
+    const matches = this.correspondenceFunction
+      ? await this.correspondenceFunction(a.imageData, b.imageData, detectOptions)
+      : await getWorkerManager().findCorrespondences(a.imageData, b.imageData, detectOptions);
+
+    const minDistance = (detectOptions.minDistance ?? 12) / a.scale;
+    const proposals = [];
+
+    for (const match of matches || []) {
+      const proposal = {
+        a: { x: match.a.x / a.scale, y: match.a.y / a.scale },
+        b: { x: match.b.x / b.scale, y: match.b.y / b.scale },
+        score: match.score
+      };
+
+      const taken = imageA.points.some((point) =>
+        Math.hypot(point.x - proposal.a.x, point.y - proposal.a.y) < minDistance
+      );
+      if (!taken) {
+        proposals.push(proposal);
+      }
+    }
+
+    this.trigger('correspondence:detect', this, imageA, imageB, proposals);
+    return proposals;
+  }
+
+  /**
+   * Add a point pair proposed by detectCorrespondences()
+   *
+   * The point is added to the first image and propagated to all other images
+   * and the mesh, then moved to its matched position in the second image.
+   *
+   * @param {Image} imageA - First image
+   * @param {Image} imageB - Second image
+   * @param {Object} proposal - Proposal ({a: {x, y}, b: {x, y}})
+   * @returns {number} Index of the new point
+   */
+  addCorrespondence(imageA, imageB, proposal) {
+    const index = imageA.points.length;
+    imageA.addPoint({ x: proposal.a.x, y: proposal.a.y });
+
+    const point = imageB.points[index];
+    if (point) {
+      point.setX(proposal.b.x);
+      point.setY(proposal.b.y);
+    }
+
+    return index;
+  }
+
+  /**
+   * Find where a position in one image lies in another
+   *
+   * Searches a window around the initial guess for the best matching patch.
+   * Coordinates are in each image's own pixels.
+   *
+   * @param {Image} imageA - Image the position was placed on
+   * @param {Object} positionA - Position in the first image ({x, y})
+   * @param {Image} imageB - Image to search
+   * @param {Object} [positionB=positionA] - Initial guess in the second image
+   * @param {Object} [options={}] - Refinement options (see correspondence.js)
+   * @param {number} [options.maxSize=1024] - Longest side used for matching
+   * @param {number} [options.searchRadius=24] - Search window in matching pixels
+   * @returns {Promise<Object>} Refined position and confidence ({x, y, score}, score 0-1)
+   * @throws {Error} If the images don't belong to this morpher or aren't loaded
+   */
+  async refinePosition(imageA, positionA, imageB, positionB = positionA, options = {}) {
+    this.assertImagePair(imageA, imageB);
+
+    const { maxSize = 1024, ...refineOptions } = options;
+    const a = this.getFeatureData(imageA, maxSize);
+    const b = this.getFeatureData(imageB, maxSize);
+
+    const result = await getWorkerManager().refinePoint(
+      a.imageData,
+      { x: positionA.x * a.scale, y: positionA.y * a.scale },
+      b.imageData,
+      { x: positionB.x * b.scale, y: positionB.y * b.scale },
+      refineOptions
+    );
+
+    return { x: result.x / b.scale, y: result.y / b.scale, score: result.score };
+  }
+
+  /**
+   * Snap a point of one image to the matching position of another image's point
+   *
+   * The point is only moved when the match confidence reaches minScore.
+   *
+   * @param {Image} imageA - Image whose point is correct
+   * @param {Image} imageB - Image whose point is moved
+   * @param {number} index - Point index
+   * @param {Object} [options={}] - Options for refinePosition()
+   * @param {number} [options.minScore=0.5] - Minimum confidence to move the point
+   * @returns {Promise<Object>} {x, y, score, applied}
+   */
+  async refinePoint(imageA, imageB, index, options = {}) {
+    const pointA = imageA.points[index];
+    const pointB = imageB.points[index];
+    if (!pointA || !pointB) {
+      throw new Error(`Point ${index} does not exist in both images`);
+    }
+
+    const { minScore = 0.5, ...refineOptions } = options;
+    const result = await this.refinePosition(imageA, pointA, imageB, pointB, refineOptions);
+    const applied = result.score >= minScore && !this.isDisposed();
+
+    if (applied) {
+      pointB.setX(result.x);
+      pointB.setY(result.y);
+    }
+
+    return { ...result, applied };
+  }
+
+  /**
+   * Check two images can be compared
+   * @param {Image} imageA - First image
+   * @param {Image} imageB - Second image
+   * @throws {Error} If the images are the same, not in this morpher or not loaded
+   * @private
+   */
+  assertImagePair(imageA, imageB) {
+    if (imageA === imageB || !this.images.includes(imageA) || !this.images.includes(imageB)) {
+      throw new Error('Correspondences require two different images of this morpher');
+    }
+    if (!imageA.loaded || !imageB.loaded) {
+      throw new Error('Images must be loaded before detecting correspondences');
+    }
+  }
+
+  /**
+   * Read an image's pixels for feature detection, downscaled to maxSize
+   *
+   * @param {Image} image - Loaded image
+   * @param {number} maxSize - Longest side in pixels
+   * @returns {Object} {imageData, scale} where scale maps image to detection pixels
+   * @private
+   */
+  getFeatureData(image, maxSize) {
+    const width = image.el.naturalWidth || image.el.width;
+    const height = image.el.naturalHeight || image.el.height;
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const w = Math.max(1, Math.round(width * scale));
+    const h = Math.max(1, Math.round(height * scale));
+
+    const canvas = this.canvasFactory(w, h, { offscreen: true });
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image.el, 0, 0, w, h);
+
+    return { imageData: ctx.getImageData(0, 0, w, h), scale };
+  }
+
+  /**
+   * Set a custom correspondence function
+   *
+   * The function receives (imageDataA, imageDataB, options) and returns
+   * matches ({a, b, score}) in detection pixels, or a Promise of them.
+   *
+   * @param {Function|null} fn - Correspondence function (null restores the built-in detector)
+   * @returns {boolean} True if function was set successfully
+   */
+  setCorrespondenceFunction(fn) {
+    if (fn !== null && typeof fn !== 'function') {
+      console.warn('Correspondence function must be a function');
+      return false;
+    }
+
+    this.correspondenceFunction = fn;
+    return true;
+  }
+
+  // Alignment
+
+  /**
+   * Scale, rotate and move every image onto the first one
+   *
+   * Each image gets the similarity transform that brings its points closest
+   * to the first image's points on the canvas (Procrustes alignment), so
+   * photos taken at different sizes or angles line up without cropping. The
+   * first image keeps its transform. Images whose points can't be fitted
+   * (fewer than two distinct points) are left unchanged.
+   *
+   * @returns {Array<Object|null>} Transform per image ({x, y, scale, rotation}),
+   *   null for images that were skipped
+   */
+  autoAlign() {
+    if (this.images.length === 0) {
+      return [];
+    }
+
+    const [reference, ...others] = this.images;
+    const target = reference.points.map((p) => reference.transformPoint(p));
+    const transforms = [reference.getTransform()];
+
+    for (const image of others) {
+      const transform = alignPoints(image.points, target);
+      if (!transform) {
+        console.warn('Cannot align image: needs at least two distinct points');
+        transforms.push(null);
+        continue;
+      }
+
+      image.setTransform(transform);
+      transforms.push(image.getTransform());
+    }
+
+    this.updateCanvasSize();
+    this.refreshMaxSize();
+    this.trigger('align', this, transforms);
+    return transforms;
+  }
+
   // Triangles
 
   /**
@@ -334,6 +864,7 @@ export class Morpher extends EventDispatcher {
       this.mesh.addTriangle(i1, i2, i3);
     }
 
+    this.spatialIndexDirty = true;
     this.trigger('triangle:add', this);
   }
 
@@ -343,6 +874,7 @@ export class Morpher extends EventDispatcher {
   removeTriangleHandler(image, triangle, index) {
     if (image.triangles.length < this.triangles.length) {
       this.triangles.splice(index, 1);
+      this.shiftRegionTriangles(index);
     }
 
     for (const img of this.images) {
@@ -356,141 +888,1214 @@ export class Morpher extends EventDispatcher {
       this.mesh.removeTriangle(index);
     }
 
+    this.spatialIndexDirty = true;
     this.trigger('triangle:remove', this);
   }
 
-  // Drawing
+  // Triangulation
 
   /**
-   * Request a draw (uses requestAnimationFrame)
+   * Replace all triangles with a constrained Delaunay triangulation
+   *
+   * Point positions of the first image are triangulated; the result is
+   * propagated to the other images and the mesh like manually added triangles.
    */
-  draw() {
-    if (this.requestID) return;
-
-    if (window.requestAnimationFrame) {
-      // Use pre-bound drawNow method (bound in constructor)
-      this.requestID = window.requestAnimationFrame(this.drawNow);
-    } else {
-      this.drawNow();
+  triangulate() {
+    if (this.images.length > 0) {
+      this.images[0].triangulate({ constraints: this.constraints });
     }
   }
 
   /**
-   * Perform actual drawing
+   * Connect a new point to the existing triangles (autoTriangulate)
+   * @param {number} index - Point index
+   * @private
    */
-  drawNow() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.updateCanvasSize();
-    this.animationStep();
-    this.updateMesh();
-
-    const blend = this.blendFunction || Morpher.defaultBlendFunction;
-
-    // Check both canvas and tmpCanvas are valid before drawing
-    if (this.canvas.width > 0 && this.canvas.height > 0 &&
-        this.tmpCanvas.width > 0 && this.tmpCanvas.height > 0) {
-      const sortedImages = this.images.slice().sort((a, b) => b.weight - a.weight);
-
-      for (const image of sortedImages) {
-        this.tmpCtx.clearRect(0, 0, this.tmpCanvas.width, this.tmpCanvas.height);
-        image.draw(this.tmpCtx, this.mesh);
-        blend(this.canvas, this.tmpCanvas, image.weight);
-      }
-
-      if (this.finalTouchFunction) {
-        this.finalTouchFunction(this.canvas);
-      }
-
-      this.trigger('draw', this, this.canvas);
+  insertTriangulationPoint(index) {
+    if (this.images.length > 0) {
+      this.images[0].insertPoint(index, { constraints: this.constraints });
     }
+  }
 
-    this.requestID = null;
+  /**
+   * Add a constrained edge that triangulate() must keep
+   *
+   * @param {number} i1 - First point index
+   * @param {number} i2 - Second point index
+   * @returns {boolean} True if the constraint was added
+   */
+  addConstraint(i1, i2) {
+    if (!Morpher.isValidConstraint([i1, i2]) || i1 >= this.mesh.points.length || i2 >= this.mesh.points.length) {
+      console.warn('Constraint must join two different existing points');
+      return false;
+    }
+    if (this.findConstraint(i1, i2) !== -1) {
+      return false;
+    }
 
-    if (this.t0) {
-      this.draw();
+    this.constraints.push([i1, i2]);
+    if (this.autoTriangulate) {
+      this.triangulate();
     }
+    return true;
   }
 
   /**
-   * Update canvas size based on images
+   * Remove a constrained edge
+   *
+   * @param {number} i1 - First point index
+   * @param {number} i2 - Second point index
+   * @returns {boolean} True if the constraint was removed
    */
-  updateCanvasSize() {
-    let w = 0;
-    let h = 0;
-
-    for (const image of this.images) {
-      w = Math.max(image.el.width + image.getX(), w);
-      h = Math.max(image.el.height + image.getY(), h);
+  removeConstraint(i1, i2) {
+    const index = this.findConstraint(i1, i2);
+    if (index === -1) {
+      return false;
     }
 
-    if (w !== this.canvas.width || h !== this.canvas.height) {
-      this.canvas.width = this.tmpCanvas.width = w;
-      this.canvas.height = this.tmpCanvas.height = h;
-      this.refreshMaxSize();
-      this.trigger('resize', this, this.canvas);
+    this.constraints.splice(index, 1);
+    if (this.autoTriangulate) {
+      this.triangulate();
     }
+    return true;
   }
 
   /**
-   * Refresh max size for all images
+   * Find a constraint regardless of point order
+   * @param {number} i1 - First point index
+   * @param {number} i2 - Second point index
+   * @returns {number} Index in constraints, or -1
+   * @private
    */
-  refreshMaxSize() {
-    for (const img of this.images) {
-      img.setMaxSize(this.canvas.width, this.canvas.height);
-    }
+  findConstraint(i1, i2) {
+    return this.constraints.findIndex(([a, b]) => (a === i1 && b === i2) || (a === i2 && b === i1));
   }
 
   /**
-   * Update blended mesh
+   * Check if a value is a pair of different point indices
+   * @param {*} constraint - Value to check
+   * @returns {boolean} True if valid
+   * @private
    */
-  updateMesh() {
-    const x0 = this.canvas.width / 2;
-    const y0 = this.canvas.height / 2;
+  static isValidConstraint(constraint) {
+    return Array.isArray(constraint) && constraint.length === 2 &&
+      constraint.every((i) => Number.isInteger(i) && i >= 0) &&
+      constraint[0] !== constraint[1];
+  }
 
-    for (let i = 0; i < this.mesh.points.length; i++) {
-      const p = this.mesh.points[i];
-      p.x = x0;
-      p.y = y0;
+  /**
+   * Find triangles that are flipped, degenerate or overlapping in any image
+   *
+   * Orientation is compared to the first image, so a triangle that is mirrored
+   * in another image (points crossing over each other) is reported as 'flipped'.
+   *
+   * @returns {Array<{image: Image, index: number, reason: string}>} Problems per image
+   */
+  findFlippedTriangles() {
+    const problems = [];
+    if (this.images.length === 0) {
+      return problems;
+    }
 
-      for (const img of this.images) {
-        p.x += (img.getX() + img.points[i].x - x0) * img.weight;
-        p.y += (img.getY() + img.points[i].y - y0) * img.weight;
+    const reference = this.images[0];
+    for (const image of this.images) {
+      for (const { index, reason } of image.findFlippedTriangles(reference)) {
+        problems.push({ image, index, reason });
       }
     }
+    return problems;
   }
 
+  // Validation
+
   /**
-   * Perform animation step
+   * Check all meshes for inverted, degenerate and overlapping triangles
+   *
+   * Each image is compared to the first image, and so is the interpolated
+   * mesh at the given weights - a fold can appear mid-morph even when every
+   * image is valid on its own. Triggers 'mesh:invalid' if anything is found.
+   *
+   * @param {number[]|Object|null} [weights=null] - Weights of the interpolated mesh (current weights if null)
+   * @returns {{valid: boolean, images: Array<Array<Object>>, mesh: Array<Object>}} Problems
+   *   ({index, reason}) per image, in image order, and for the interpolated mesh
    */
-  animationStep() {
-    if (!this.t0) return;
-
-    const t = performance.now() - this.t0;
-    let state;
+  validate(weights = null) {
+    const report = { valid: true, images: [], mesh: [] };
+    if (this.images.length === 0) {
+      return report;
+    }
 
-    if (t >= this.duration) {
-      state = this.state1;
-      this.state0 = this.state1 = this.t0 = null;
-      this.trigger('animation:complete', this);
-    } else {
-      let progress = t / this.duration;
-      if (this.easingFunction) {
-        progress = this.easingFunction(progress);
-      }
+    const reference = this.images[0];
+    report.images = this.images.map((image) => image.validate(reference).problems);
+    report.mesh = findFlippedTriangles(this.triangles, this.getInterpolatedPoints(weights), reference.points);
+    report.valid = report.mesh.length === 0 && report.images.every((problems) => problems.length === 0);
 
-      state = [];
-      for (let i = 0; i < this.state0.length; i++) {
-        const w = this.state0[i];
-        state.push(w * (1 - progress) + this.state1[i] * progress);
-      }
+    if (!report.valid) {
+      this.trigger('mesh:invalid', this, report);
     }
-
-    this.set(state, { silent: true });
+    return report;
   }
 
   /**
-   * Predefined blend functions registry
-   * Safe, pre-vetted functions that can be used by name
+   * Calculate mesh point positions at the given weights (same as updateMesh())
+   * @param {number[]|Object|null} [weights=null] - Image weights, see set() (current weights if null)
+   * @returns {Array<{x: number, y: number}>} Interpolated points
+   * @private
+   */
+  getInterpolatedPoints(weights = null) {
+    return this.computeMesh(weights).points;
+  }
+
+  // Regions
+
+  /**
+   * Add a region: a group of triangles drawn with its own image weights
+   *
+   * Region weights replace the appearance weights inside the region; the
+   * mesh shape still follows the geometry weights. With global weights
+   * [0, 1] and a region with weights [1, 0], the region shows image A warped
+   * to the shape of image B. A triangle belongs to at most one region, so
+   * triangles already in another region are moved.
+   *
+   * @param {string} name - Unique region name
+   * @param {number[]} [triangles=[]] - Triangle indices
+   * @param {number[]|null} [weights=null] - Weight per image (global weights if null)
+   * @returns {Object|null} The region, or null if the name or data is invalid
+   */
+  addRegion(name, triangles = [], weights = null) {
+    if (typeof name !== 'string' || name === '' || this.getRegion(name)) {
+      console.warn('Region name must be a unique non-empty string');
+      return null;
+    }
+    if (!Morpher.isValidRegionTriangles(triangles) || !Morpher.isValidRegionWeights(weights)) {
+      console.warn('Region triangles must be indices and weights numbers or null');
+      return null;
+    }
+
+    const region = { name, triangles: [], weights: weights && weights.slice() };
+    this.regions.push(region);
+    this.setRegionTriangles(name, triangles);
+    return region;
+  }
+
+  /**
+   * Remove a region; its triangles use the global weights again
+   * @param {string} name - Region name
+   * @returns {boolean} True if the region was removed
+   */
+  removeRegion(name) {
+    const region = this.getRegion(name);
+    if (!region) {
+      return false;
+    }
+
+    this.regions.splice(this.regions.indexOf(region), 1);
+    this.regionsChanged();
+    return true;
+  }
+
+  /**
+   * Get a region by name
+   * @param {string} name - Region name
+   * @returns {Object|null} Region ({name, triangles, weights}) or null
+   */
+  getRegion(name) {
+    return this.regions.find((region) => region.name === name) || null;
+  }
+
+  /**
+   * Replace the triangles of a region
+   * @param {string} name - Region name
+   * @param {number[]} triangles - Triangle indices
+   * @returns {boolean} True if the region exists and the indices are valid
+   */
+  setRegionTriangles(name, triangles) {
+    const region = this.getRegion(name);
+    if (!region || !Morpher.isValidRegionTriangles(triangles)) {
+      return false;
+    }
+
+    const indices = Array.from(new Set(triangles));
+    for (const other of this.regions) {
+      if (other !== region) {
+        other.triangles = other.triangles.filter((i) => !indices.includes(i));
+      }
+    }
+    region.triangles = indices;
+    this.regionsChanged();
+    return true;
+  }
+
+  /**
+   * Set the image weights of a region
+   * @param {string} name - Region name
+   * @param {number[]|null} weights - Weight per image (global weights if null)
+   * @returns {boolean} True if the region exists and the weights are valid
+   */
+  setRegionWeights(name, weights) {
+    const region = this.getRegion(name);
+    if (!region || !Morpher.isValidRegionWeights(weights)) {
+      return false;
+    }
+
+    region.weights = weights && weights.slice();
+    this.regionsChanged();
+    return true;
+  }
+
+  /**
+   * Split triangles into groups drawn with the same weights
+   *
+   * @param {number[]|null} indices - Visible triangles (all if null)
+   * @returns {Array<{indices: number[]|null, weights: number[]|null}>} Groups;
+   *   weights are null for triangles that use the global weights
+   * @private
+   */
+  getWeightGroups(indices) {
+    const regions = this.regions.filter((region) => region.weights && region.triangles.length > 0);
+    if (regions.length === 0) {
+      return [{ indices, weights: null }];
+    }
+
+    const owner = new Map();
+    for (const region of regions) {
+      for (const i of region.triangles) {
+        owner.set(i, region);
+      }
+    }
+
+    const groups = new Map([[null, []]]);
+    for (const region of regions) {
+      groups.set(region, []);
+    }
+    const all = indices || this.triangles.map((triangle, i) => i);
+    for (const i of all) {
+      groups.get(owner.get(i) || null).push(i);
+    }
+
+    return Array.from(groups, ([region, group]) => ({ indices: group, weights: region && region.weights }))
+      .filter((group) => group.indices.length > 0);
+  }
+
+  /**
+   * Update region triangle indices after a triangle was removed
+   * @param {number} index - Removed triangle index
+   * @private
+   */
+  shiftRegionTriangles(index) {
+    for (const region of this.regions) {
+      region.triangles = region.triangles
+        .filter((i) => i !== index)
+        .map((i) => (i > index ? i - 1 : i));
+    }
+  }
+
+  /**
+   * Redraw and announce region changes
+   * @private
+   */
+  regionsChanged() {
+    this.trigger('change:regions', this, this.regions);
+    this.draw();
+  }
+
+  /**
+   * Check if a value is a list of triangle indices
+   * @param {*} triangles - Value to check
+   * @returns {boolean} True if valid
+   * @private
+   */
+  static isValidRegionTriangles(triangles) {
+    return Array.isArray(triangles) && triangles.every((i) => Number.isInteger(i) && i >= 0);
+  }
+
+  /**
+   * Check if a value is null or a list of finite weights
+   * @param {*} weights - Value to check
+   * @returns {boolean} True if valid
+   * @private
+   */
+  static isValidRegionWeights(weights) {
+    return weights === null ||
+      (Array.isArray(weights) && weights.every((w) => typeof w === 'number' && Number.isFinite(w)));
+  }
+
+  // Color Matching
+
+  static colorMatchingModes = ['none', 'reference', 'average'];
+
+  /**
+   * Even out color differences between the images
+   *
+   * Each image's colors are adjusted so the mean and spread of every Lab
+   * channel match a target (see color-matching.js), which hides differences
+   * in white balance that would otherwise shift halfway through the morph.
+   * 'reference' matches all images to one of them, 'average' to the
+   * weighted average of all images. Only the sources are changed; the
+   * images themselves are left alone.
+   *
+   * @param {string} mode - 'none', 'reference' or 'average'
+   * @param {Object} [options={}] - Matching options
+   * @param {number} [options.reference=0] - Index of the reference image
+   * @param {number[]|null} [options.weights=null] - Weight per image for 'average' (equal if null)
+   * @returns {boolean} True if the mode was set
+   */
+  setColorMatching(mode, options = {}) {
+    const { reference = 0, weights = null } = options;
+    if (!Morpher.colorMatchingModes.includes(mode)) {
+      console.warn(`Unknown color matching mode: ${mode}`);
+      return false;
+    }
+    if (!Number.isInteger(reference) || reference < 0) {
+      console.warn('Color reference must be an image index');
+      return false;
+    }
+    if (weights !== null && !Morpher.isValidRegionWeights(weights)) {
+      console.warn('Color weights must be a list of numbers');
+      return false;
+    }
+
+    this.colorMatching = mode;
+    this.colorReference = reference;
+    this.colorWeights = weights && weights.slice();
+    this.applyColorMatching();
+    this.trigger('change:colorMatching', this, mode);
+    this.draw();
+    return true;
+  }
+
+  /**
+   * Set the color target of every image from the current settings
+   * @private
+   */
+  applyColorMatching() {
+    if (this.colorMatching === 'none') {
+      for (const image of this.images) {
+        if (image.colorTarget) {
+          image.setColorTarget(null, { silent: true });
+        }
+      }
+      return;
+    }
+
+    const stats = this.images.map((image) => {
+      try {
+        return image.getColorStats();
+      } catch (error) {
+        // e.g. cross-origin images without CORS can't be read
+        console.warn('Cannot match colors of image:', error.message);
+        return null;
+      }
+    });
+
+    let reference = null;
+    let target;
+    if (this.colorMatching === 'reference') {
+      reference = this.images[this.colorReference] || null;
+      target = stats[this.colorReference] || null;
+    } else {
+      target = mixLabStats(stats, this.colorWeights);
+    }
+
+    this.images.forEach((image, k) => {
+      const imageTarget = image === reference || !stats[k] ? null : target;
+      if (imageTarget !== image.colorTarget) {
+        image.setColorTarget(imageTarget, { silent: true });
+      }
+    });
+  }
+
+  // Output
+
+  static fitModes = ['contain', 'cover', 'fill', 'none'];
+
+  /**
+   * Set a fixed canvas size
+   *
+   * Without an output size the canvas follows the extent of the images, so
+   * it changes whenever an image moves. With one, the images are rendered
+   * as before and then fitted into the canvas, see setFit().
+   *
+   * @param {{width: number, height: number}|null} size - Size in CSS pixels, or null to follow the images
+   * @returns {boolean} True if the size was set
+   */
+  setOutputSize(size) {
+    if (size !== null && !Morpher.isValidOutputSize(size)) {
+      console.warn('Output size must be {width, height} with positive numbers');
+      return false;
+    }
+    this.outputSize = size && { width: size.width, height: size.height };
+    this.outputChanged();
+    return true;
+  }
+
+  /**
+   * Set how the images fill the output size
+   *
+   * 'contain' scales them to fit inside (letterboxed), 'cover' scales them to
+   * fill it (cropped), 'fill' stretches them and 'none' keeps their size.
+   * The images are centered in every mode but 'fill'.
+   *
+   * @param {string} fit - 'contain', 'cover', 'fill' or 'none'
+   * @returns {boolean} True if the mode was set
+   */
+  setFit(fit) {
+    if (!Morpher.fitModes.includes(fit)) {
+      console.warn(`Unknown fit mode: ${fit}`);
+      return false;
+    }
+    this.fit = fit;
+    this.outputChanged();
+    return true;
+  }
+
+  /**
+   * Set the color drawn behind the images
+   * @param {string|null} color - CSS color, or null for transparency
+   * @returns {boolean} True if the color was set
+   */
+  setBackground(color) {
+    if (color !== null && !Morpher.isValidBackground(color)) {
+      console.warn('Background must be a CSS color string');
+      return false;
+    }
+    this.background = color;
+    this.outputChanged();
+    return true;
+  }
+
+  /**
+   * Set canvas pixels per CSS pixel for crisp HiDPI rendering
+   *
+   * The canvas is sized in device pixels and its style in CSS pixels.
+   *
+   * @param {number|string} ratio - Positive ratio, or 'auto' for window.devicePixelRatio
+   * @returns {boolean} True if the ratio was set
+   */
+  setPixelRatio(ratio) {
+    if (!Morpher.isValidPixelRatio(ratio)) {
+      console.warn('Pixel ratio must be a positive number or \'auto\'');
+      return false;
+    }
+    this.pixelRatio = ratio;
+    this.outputChanged();
+    return true;
+  }
+
+  /**
+   * Get the effective pixel ratio
+   * @returns {number} Canvas pixels per CSS pixel
+   */
+  getPixelRatio() {
+    if (this.pixelRatio === 'auto') {
+      return globalThis.devicePixelRatio || 1;
+    }
+    return this.pixelRatio;
+  }
+
+  /**
+   * Get the canvas size in CSS pixels
+   * @returns {{width: number, height: number}} Output size, or the size of the images
+   */
+  getOutputSize() {
+    if (this.outputSize) {
+      return { ...this.outputSize };
+    }
+    return { width: this.frameCanvas.width, height: this.frameCanvas.height };
+  }
+
+  /**
+   * Get the mapping from mesh coordinates to the canvas in CSS pixels
+   *
+   * A mesh position p is drawn at (x + p.x * scaleX, y + p.y * scaleY).
+   *
+   * @returns {{x: number, y: number, scaleX: number, scaleY: number}} Transform
+   */
+  getOutputTransform() {
+    const { width, height } = this.frameCanvas;
+    if (!this.outputSize || width === 0 || height === 0) {
+      return { x: 0, y: 0, scaleX: 1, scaleY: 1 };
+    }
+
+    const { width: outputWidth, height: outputHeight } = this.outputSize;
+    let scaleX = outputWidth / width;
+    let scaleY = outputHeight / height;
+
+    if (this.fit === 'fill') {
+      return { x: 0, y: 0, scaleX, scaleY };
+    }
+
+    if (this.fit === 'contain') {
+      scaleX = scaleY = Math.min(scaleX, scaleY);
+    } else if (this.fit === 'cover') {
+      scaleX = scaleY = Math.max(scaleX, scaleY);
+    } else {
+      scaleX = scaleY = 1;
+    }
+
+    return {
+      x: (outputWidth - width * scaleX) / 2,
+      y: (outputHeight - height * scaleY) / 2,
+      scaleX,
+      scaleY
+    };
+  }
+
+  /**
+   * Pick the canvas frames are rendered into
+   *
+   * Frames are rendered at the size of the images. They go straight to the
+   * canvas unless an output size, background or pixel ratio is set; then
+   * they're rendered offscreen and presentFrame() draws them.
+   * @private
+   */
+  refreshFrameCanvas() {
+    // The canvas may have been replaced without setCanvas()
+    if (this.ctxCanvas !== this.canvas) {
+      this.ctx = this.canvas.getContext('2d');
+      this.ctxCanvas = this.canvas;
+    }
+
+    const direct = !this.outputSize && !this.background && this.getPixelRatio() === 1;
+
+    if (direct) {
+      // The canvas follows the images again from the next draw
+      if (this.presenting && this.canvas.style) {
+        this.canvas.style.width = '';
+        this.canvas.style.height = '';
+      }
+      this.presenting = false;
+      this.frameCanvas = this.canvas;
+      this.frameCtx = this.ctx;
+    } else if (!this.presenting) {
+      const { width, height } = this.frameCanvas || { width: 0, height: 0 };
+      this.frameCanvas = this.canvasFactory(width, height, { offscreen: true });
+      this.frameCtx = this.frameCanvas.getContext('2d');
+      this.presenting = true;
+    }
+  }
+
+  /**
+   * Draw the rendered frame onto the canvas with the output settings
+   * @private
+   */
+  presentFrame() {
+    if (this.frameCanvas === this.canvas) return;
+
+    const ratio = this.getPixelRatio();
+    const size = this.getOutputSize();
+    const width = Math.round(size.width * ratio);
+    const height = Math.round(size.height * ratio);
+
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+      if (this.canvas.style) {
+        this.canvas.style.width = `${size.width}px`;
+        this.canvas.style.height = `${size.height}px`;
+      }
+      this.trigger('resize', this, this.canvas);
+    }
+
+    this.ctx.clearRect(0, 0, width, height);
+    if (this.background) {
+      this.ctx.fillStyle = this.background;
+      this.ctx.fillRect(0, 0, width, height);
+    }
+
+    const frame = this.frameCanvas;
+    if (frame.width > 0 && frame.height > 0) {
+      const { x, y, scaleX, scaleY } = this.getOutputTransform();
+      this.ctx.drawImage(frame, x * ratio, y * ratio, frame.width * scaleX * ratio, frame.height * scaleY * ratio);
+    }
+  }
+
+  /**
+   * Apply changed output settings and redraw
+   * @private
+   */
+  outputChanged() {
+    this.refreshFrameCanvas();
+    this.trigger('change:output', this);
+    this.draw();
+  }
+
+  /**
+   * Check if a value is a valid output size
+   * @param {*} size - Value to check
+   * @returns {boolean} True if valid
+   * @private
+   */
+  static isValidOutputSize(size) {
+    return typeof size === 'object' && size !== null &&
+      [size.width, size.height].every((v) => typeof v === 'number' && Number.isFinite(v) && v > 0);
+  }
+
+  /**
+   * Check if a value can be used as a background color
+   *
+   * Any string reaches fillStyle, which ignores what it can't parse; the
+   * length limit only keeps saved projects sane.
+   * @param {*} color - Value to check
+   * @returns {boolean} True if valid
+   * @private
+   */
+  static isValidBackground(color) {
+    return typeof color === 'string' && color.length > 0 && color.length <= 64;
+  }
+
+  /**
+   * Check if a value is a valid pixel ratio
+   * @param {*} ratio - Value to check
+   * @returns {boolean} True if valid
+   * @private
+   */
+  static isValidPixelRatio(ratio) {
+    return ratio === 'auto' || (typeof ratio === 'number' && Number.isFinite(ratio) && ratio > 0);
+  }
+
+  // Drawing
+
+  /**
+   * Request a draw on the next frame of the clock
+   * (requestAnimationFrame by default)
+   */
+  draw() {
+    if (this.requestID) return;
+
+    // Use pre-bound drawNow method (bound in constructor)
+    this.requestID = this.clock.requestFrame(this.drawNow);
+  }
+
+  /**
+   * Perform actual drawing
+   */
+  drawNow() {
+    this.refreshFrameCanvas();
+
+    if (this.useWorkers) {
+      this.drawWithWorkers();
+      return;
+    }
+
+    this.frameCtx.clearRect(0, 0, this.frameCanvas.width, this.frameCanvas.height);
+    this.updateCanvasSize();
+    this.animationStep();
+    this.updateMesh();
+    this.renderFrame();
+
+    this.requestID = null;
+
+    if (this.isAnimating()) {
+      this.draw();
+    }
+  }
+
+  /**
+   * Draw images warped to the current mesh and blend them onto the canvas
+   */
+  renderFrame() {
+    const blend = this.blendFunction || Morpher.defaultBlendFunction;
+
+    // Check both canvas and tmpCanvas are valid before drawing
+    if (this.frameCanvas.width > 0 && this.frameCanvas.height > 0 &&
+        this.tmpCanvas.width > 0 && this.tmpCanvas.height > 0) {
+      const sortedImages = this.images.slice().sort((a, b) => b.appearanceWeight - a.appearanceWeight);
+      const visibleTriangles = this.getVisibleTriangles();
+      const groups = this.getWeightGroups(visibleTriangles);
+
+      // The WebGL renderer implements the default additive blend, the
+      // triangle warp and global weights only; everything else uses the 2D path
+      if (this.webglRenderer && blend === Morpher.defaultBlendFunction && this.warpMode === 'affine' &&
+          groups.length === 1 && !groups[0].weights) {
+        const output = this.webglRenderer.render(
+          sortedImages, this.mesh, this.frameCanvas.width, this.frameCanvas.height, visibleTriangles, this.extrapolate
+        );
+        this.frameCtx.drawImage(output, 0, 0);
+      } else {
+        for (const image of sortedImages) {
+          const k = this.images.indexOf(image);
+          for (const { indices, weights } of groups) {
+            this.tmpCtx.clearRect(0, 0, this.tmpCanvas.width, this.tmpCanvas.height);
+            this.warpImage(image, this.tmpCtx, indices);
+            const weight = weights ? weights[k] || 0 : image.appearanceWeight;
+            blend(this.frameCanvas, this.tmpCanvas, this.blendWeight(weight));
+          }
+        }
+      }
+
+      this.finishFrame();
+    }
+  }
+
+  /**
+   * Draw an image warped to the mesh with the current warp mode
+   *
+   * @param {Image} image - Image to draw
+   * @param {CanvasRenderingContext2D} ctx - Destination context
+   * @param {number[]|null} [indices=null] - Triangles to draw (all if null)
+   * @param {Mesh} [mesh=this.mesh] - Target mesh; only the blended mesh is cached
+   * @param {number} [gridScale=1] - Grid cell size multiplier for other meshes
+   * @private
+   */
+  warpImage(image, ctx, indices = null, mesh = this.mesh, gridScale = 1) {
+    const createWarp = Morpher.warpFunctions[this.warpMode];
+    let grid = null;
+    let coords = null;
+
+    if (createWarp && mesh === this.mesh) {
+      coords = this.getWarpCoordinates(image, createWarp);
+      grid = this.warpGrid;
+    } else if (createWarp) {
+      const warp = createWarp(mesh.points, image.points);
+      if (warp) {
+        grid = createWarpGrid(mesh.points, this.warpGridSize * gridScale);
+        coords = mapWarpGrid(grid, warp);
+      }
+    }
+
+    // Too few points for a smooth warp - fall back to triangles
+    if (!coords) {
+      image.draw(ctx, mesh, indices);
+      return;
+    }
+
+    const triangles = indices ? indices.map((i) => mesh.triangles[i]) : mesh.triangles;
+    image.drawGrid(ctx, grid, coords, triangles);
+  }
+
+  /**
+   * Get source positions of the displacement grid nodes for an image
+   *
+   * The grid and the positions are cached until the mesh or image points move.
+   *
+   * @param {Image} image - Image
+   * @param {Function} createWarp - Warp factory from Morpher.warpFunctions
+   * @returns {Float64Array|null} Node positions, or null if the warp can't be fitted
+   * @private
+   */
+  getWarpCoordinates(image, createWarp) {
+    const pointsKey = (points) => points.map((p) => `${p.x},${p.y}`).join(';');
+
+    const gridKey = `${this.warpGridSize}|${pointsKey(this.mesh.points)}`;
+    if (this.warpGridKey !== gridKey) {
+      this.warpGrid = createWarpGrid(this.mesh.points, this.warpGridSize);
+      this.warpGridKey = gridKey;
+    }
+
+    const key = `${this.warpMode}|${gridKey}|${pointsKey(image.points)}`;
+    const cached = this.warpCache.get(image);
+    if (cached && cached.key === key) {
+      return cached.coords;
+    }
+
+    const warp = createWarp(this.mesh.points, image.points);
+    const coords = warp ? mapWarpGrid(this.warpGrid, warp) : null;
+    this.warpCache.set(image, { key, coords });
+    return coords;
+  }
+
+  /**
+   * Present the frame, apply the final touch function and announce the frame
+   */
+  finishFrame() {
+    this.presentFrame();
+
+    if (this.finalTouchFunction) {
+      this.finalTouchFunction(this.canvas);
+    }
+
+    this.trigger('draw', this, this.canvas);
+  }
+
+  /**
+   * Perform drawing with mesh interpolation and software blends in workers
+   *
+   * Every call starts a new frame. A frame still waiting for a worker when a
+   * newer one starts is dropped, so results never arrive out of order.
+   * Canvas composite blends (default, normal, ...) are GPU-accelerated
+   * already and stay on the main thread.
+   *
+   * @returns {Promise<void>} Resolves when the frame was drawn or dropped
+   */
+  async drawWithWorkers() {
+    const frameID = ++this.frameID;
+    const isStale = () => frameID !== this.frameID || this.isDisposed();
+    this.requestID = null;
+
+    this.updateCanvasSize();
+    this.animationStep();
+    const animating = this.isAnimating();
+
+    try {
+      if (this.extrapolate) {
+        // The fold-over safeguard needs the whole mesh, see updateMesh()
+        this.updateMesh();
+      } else {
+        const points = await this.workerManager.updateMesh(this.getMeshData());
+        if (isStale()) return;
+        this.applyMeshPoints(points);
+      }
+
+      const { width, height } = this.frameCanvas;
+      const blend = this.blendFunction || Morpher.defaultBlendFunction;
+      const blendName = Object.keys(Morpher.workerBlendModes).find((name) => Morpher[name] === blend);
+
+      if (!blendName || width === 0 || height === 0) {
+        this.frameCtx.clearRect(0, 0, width, height);
+        this.renderFrame();
+      } else {
+        const mode = Morpher.workerBlendModes[blendName];
+        const sortedImages = this.images.slice().sort((a, b) => b.appearanceWeight - a.appearanceWeight);
+
+        this.tmpCtx.clearRect(0, 0, width, height);
+        let result = this.tmpCtx.getImageData(0, 0, width, height);
+
+        const groups = this.getWeightGroups(this.getVisibleTriangles());
+
+        for (const image of sortedImages) {
+          const k = this.images.indexOf(image);
+          for (const { indices, weights } of groups) {
+            this.tmpCtx.clearRect(0, 0, width, height);
+            this.warpImage(image, this.tmpCtx, indices);
+            const source = this.tmpCtx.getImageData(0, 0, width, height);
+
+            const weight = weights ? weights[k] || 0 : image.appearanceWeight;
+            result = await this.workerManager.softwareBlend(result, source, this.blendWeight(weight), mode);
+            if (isStale()) return;
+          }
+        }
+
+        this.frameCtx.clearRect(0, 0, width, height);
+        this.frameCtx.putImageData(result, 0, 0);
+        this.finishFrame();
+      }
+    } catch (error) {
+      console.warn('Worker frame failed:', error.message);
+    }
+
+    if (!isStale() && animating) {
+      this.draw();
+    }
+  }
+
+  /**
+   * Check if an animation or timeline is running
+   * @returns {boolean} True if animating
+   */
+  isAnimating() {
+    return this.t0 !== null || (this.timeline !== null && this.timeline.isPlaying());
+  }
+
+  /**
+   * Update the frame size based on images
+   *
+   * The frame is the canvas itself unless an output size, background or
+   * pixel ratio is set, see presentFrame().
+   */
+  updateCanvasSize() {
+    const { width: w, height: h } = this.getContentSize();
+
+    if (w !== this.frameCanvas.width || h !== this.frameCanvas.height) {
+      this.frameCanvas.width = this.tmpCanvas.width = w;
+      this.frameCanvas.height = this.tmpCanvas.height = h;
+      this.refreshMaxSize();
+      if (this.frameCanvas === this.canvas) {
+        this.trigger('resize', this, this.canvas);
+      }
+    }
+  }
+
+  /**
+   * Get the extent of all images on the canvas
+   * @returns {{width: number, height: number}} Size in pixels
+   * @private
+   */
+  getContentSize() {
+    let w = 0;
+    let h = 0;
+
+    for (const image of this.images) {
+      const { width, height } = image.el;
+      for (const corner of [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: 0, y: height }, { x: width, y: height }]) {
+        const { x, y } = image.transformPoint(corner);
+        w = Math.max(Math.ceil(x), w);
+        h = Math.max(Math.ceil(y), h);
+      }
+    }
+
+    return { width: w, height: h };
+  }
+
+  /**
+   * Refresh max size for all images
+   */
+  refreshMaxSize() {
+    for (const img of this.images) {
+      // Points of a scaled or rotated image are kept on the image itself
+      if (img.isTransformed() && img.el) {
+        img.setMaxSize(img.el.width, img.el.height);
+      } else {
+        img.setMaxSize(this.frameCanvas.width, this.frameCanvas.height);
+      }
+    }
+  }
+
+  /**
+   * Update blended mesh
+   *
+   * Each point is the weighted average of the image points, using the
+   * geometry weights as they are.
+   *
+   * With extrapolate enabled, weights outside [0, 1] push the mesh beyond the
+   * images, e.g. [-0.5, 1.5] exaggerates how the second image differs from
+   * the first (a caricature). Two safeguards apply: the exaggeration is
+   * scaled down uniformly until no triangle folds over or collapses
+   * (extrapolationScale reports the factor used, 1 if nothing was needed),
+   * and points are clamped to the canvas.
+   */
+  updateMesh() {
+    const { points, scale } = this.computeMesh();
+    this.extrapolationScale = scale;
+
+    for (let i = 0; i < this.mesh.points.length; i++) {
+      const p = this.mesh.points[i];
+      const { x, y } = points[i];
+
+      if (x !== p.x || y !== p.y) {
+        p.x = x;
+        p.y = y;
+        this.spatialIndexDirty = true;
+      }
+    }
+  }
+
+  /**
+   * Calculate mesh point positions, see updateMesh()
+   * @param {number[]|Object|null} [weights=null] - Image weights, see set() (current weights if null)
+   * @returns {{points: Array<{x: number, y: number}>, scale: number}} Points and the
+   *   share of the extrapolation that was applied
+   * @private
+   */
+  computeMesh(weights = null) {
+    const requested = weights ? Morpher.splitWeights(weights).geometry : null;
+    const geometry = this.images.map((img, k) => (requested ? requested[k] || 0 : img.weight));
+    if (!this.extrapolate) {
+      return { points: this.blendPoints(geometry), scale: 1 };
+    }
+
+    // The safeguards measure the exaggeration from the mesh at clamped weights
+    const clamped = geometry.map(Morpher.clampWeight);
+    const base = this.blendPoints(clamped);
+    if (clamped.every((w, k) => w === geometry[k])) {
+      return { points: base, scale: 1 };
+    }
+
+    const target = this.blendPoints(geometry);
+    const scale = this.getExtrapolationLimit(base, target);
+    const { width, height } = this.frameCanvas;
+    const points = base.map((p, i) => ({
+      x: Math.min(width, Math.max(0, p.x + (target[i].x - p.x) * scale)),
+      y: Math.min(height, Math.max(0, p.y + (target[i].y - p.y) * scale))
+    }));
+
+    return { points, scale };
+  }
+
+  /**
+   * Clamp a weight to [0, 1]
+   * @param {number} weight - Weight
+   * @returns {number} Clamped weight
+   * @private
+   */
+  static clampWeight(weight) {
+    return Math.min(1, Math.max(0, weight));
+  }
+
+  /**
+   * Weight an image is blended with
+   * Only the geometry is extrapolated, so in extrapolation mode appearance
+   * weights are clamped to [0, 1]; otherwise they're used as they are.
+   * @param {number} weight - Appearance weight
+   * @returns {number} Weight to blend with
+   * @private
+   */
+  blendWeight(weight) {
+    return this.extrapolate ? Morpher.clampWeight(weight) : weight;
+  }
+
+  /**
+   * Weighted sum of the image points around the canvas center
+   * @param {number[]} weights - Geometry weight per image
+   * @returns {Array<{x: number, y: number}>} Points
+   * @private
+   */
+  blendPoints(weights) {
+    const x0 = this.frameCanvas.width / 2;
+    const y0 = this.frameCanvas.height / 2;
+    const points = [];
+
+    for (let i = 0; i < this.mesh.points.length; i++) {
+      let x = x0;
+      let y = y0;
+
+      this.images.forEach((img, k) => {
+        const p = img.transformPoint(img.points[i]);
+        x += (p.x - x0) * weights[k];
+        y += (p.y - y0) * weights[k];
+      });
+
+      points.push({ x, y });
+    }
+
+    return points;
+  }
+
+  /**
+   * Find how far the mesh can move from base towards target before a
+   * triangle folds over
+   *
+   * A triangle's signed area along the way is quadratic in the step t, so the
+   * limit is the first root of area(t) = margin, where the margin keeps a tenth
+   * of the original area. Triangles that are already degenerate are ignored.
+   *
+   * @param {Array<{x: number, y: number}>} base - Mesh at clamped weights
+   * @param {Array<{x: number, y: number}>} target - Mesh at the requested weights
+   * @returns {number} Largest safe step (0-1)
+   * @private
+   */
+  getExtrapolationLimit(base, target) {
+    let limit = 1;
+
+    for (const [i1, i2, i3] of this.triangles) {
+      const a = base[i1];
+      const b = base[i2];
+      const c = base[i3];
+      if (!a || !b || !c || !target[i1] || !target[i2] || !target[i3]) {
+        continue;
+      }
+
+      // Edge vectors at step t: e(t) = e0 + t * de
+      const ux = b.x - a.x;
+      const uy = b.y - a.y;
+      const vx = c.x - a.x;
+      const vy = c.y - a.y;
+      const dux = target[i2].x - target[i1].x - ux;
+      const duy = target[i2].y - target[i1].y - uy;
+      const dvx = target[i3].x - target[i1].x - vx;
+      const dvy = target[i3].y - target[i1].y - vy;
+
+      const area = ux * vy - uy * vx;
+      if (Math.abs(area) < 1e-9) {
+        continue;
+      }
+
+      // sign * (area(t) - margin) = qa * t^2 + qb * t + qc, positive at t = 0
+      const sign = Math.sign(area);
+      const qa = sign * (dux * dvy - duy * dvx);
+      const qb = sign * (ux * dvy + dux * vy - uy * dvx - duy * vx);
+      const qc = Math.abs(area) * 0.9;
+
+      let root = Infinity;
+      if (Math.abs(qa) < 1e-12) {
+        if (qb < 0) {
+          root = -qc / qb;
+        }
+      } else {
+        const disc = qb * qb - 4 * qa * qc;
+        if (disc >= 0) {
+          const sqrt = Math.sqrt(disc);
+          const roots = [(-qb - sqrt) / (2 * qa), (-qb + sqrt) / (2 * qa)].filter((t) => t > 0);
+          root = Math.min(Infinity, ...roots);
+        }
+      }
+
+      limit = Math.min(limit, root);
+    }
+
+    return limit;
+  }
+
+  /**
+   * Pack image points for WorkerManager.updateMesh()
+   * @returns {Object} Mesh calculation data
+   */
+  getMeshData() {
+    return {
+      pointCount: this.mesh.points.length,
+      images: this.images.map((img) => {
+        // Points are sent in canvas space, so the image transform is already applied
+        const points = new Float64Array(img.points.length * 2);
+        for (let i = 0; i < img.points.length; i++) {
+          const p = img.transformPoint(img.points[i]);
+          points[i * 2] = p.x;
+          points[i * 2 + 1] = p.y;
+        }
+        // Extrapolated meshes are always computed on the main thread
+        return { x: 0, y: 0, weight: img.weight, points };
+      }),
+      canvasWidth: this.frameCanvas.width,
+      canvasHeight: this.frameCanvas.height
+    };
+  }
+
+  /**
+   * Copy packed points computed by a worker into the mesh
+   * @param {Float64Array} points - Mesh points [x0, y0, x1, y1, ...]
+   */
+  applyMeshPoints(points) {
+    const count = Math.min(this.mesh.points.length, points.length / 2);
+
+    for (let i = 0; i < count; i++) {
+      const p = this.mesh.points[i];
+      const x = points[i * 2];
+      const y = points[i * 2 + 1];
+
+      if (x !== p.x || y !== p.y) {
+        p.x = x;
+        p.y = y;
+        this.spatialIndexDirty = true;
+      }
+    }
+  }
+
+  /**
+   * Perform animation step
+   */
+  animationStep() {
+    if (this.timeline) {
+      this.set(this.timeline.update(this.clock.now()), { silent: true });
+      return;
+    }
+
+    if (this.t0 === null) return;
+
+    const t = this.clock.now() - this.t0;
+    let state;
+
+    if (t >= this.duration) {
+      state = this.state1;
+      this.state0 = this.state1 = this.t0 = null;
+      this.trigger('animation:complete', this);
+    } else {
+      let progress = t / this.duration;
+      if (this.easingFunction) {
+        progress = this.easingFunction(progress);
+      }
+
+      const mix = (from, to) => from.map((w, i) => w * (1 - progress) + (to[i] || 0) * progress);
+      state = {
+        geometry: mix(this.state0.geometry, this.state1.geometry),
+        appearance: mix(this.state0.appearance, this.state1.appearance)
+      };
+    }
+
+    this.set(state, { silent: true });
+  }
+
+  /**
+   * Predefined blend functions registry
+   * Safe, pre-vetted functions that can be used by name
    */
   static blendFunctions = {
     default: 'defaultBlendFunction',
@@ -498,7 +2103,41 @@ export class Morpher extends EventDispatcher {
     additive: 'defaultBlendFunction', // Alias for default
     normal: 'normalBlendFunction',
     multiply: 'multiplyBlendFunction',
-    screen: 'screenBlendFunction'
+    screen: 'screenBlendFunction',
+    linear: 'linearBlendFunction',
+    overlay: 'overlayBlendFunction',
+    'soft-light': 'softLightBlendFunction',
+    'hard-light': 'hardLightBlendFunction',
+    difference: 'differenceBlendFunction',
+    luminosity: 'luminosityBlendFunction',
+    dissolve: 'dissolveBlendFunction'
+  };
+
+  /**
+   * Blend functions that have a pixel kernel in the blend worker,
+   * used when useWorkers is enabled
+   */
+  static workerBlendModes = {
+    softwareBlendFunction: 'additive',
+    multiplyBlendFunction: 'multiply',
+    screenBlendFunction: 'screen',
+    linearBlendFunction: 'linear',
+    overlayBlendFunction: 'overlay',
+    softLightBlendFunction: 'soft-light',
+    hardLightBlendFunction: 'hard-light',
+    differenceBlendFunction: 'difference',
+    luminosityBlendFunction: 'luminosity',
+    dissolveBlendFunction: 'dissolve'
+  };
+
+  /**
+   * Warp modes registry
+   * Maps mode names to warp factories (see warp.js); 'affine' draws triangles
+   */
+  static warpFunctions = {
+    affine: null,
+    tps: createThinPlateSpline,
+    mls: createMovingLeastSquares
   };
 
   /**
@@ -519,111 +2158,577 @@ export class Morpher extends EventDispatcher {
   };
 
   /**
-   * Default blend function (GPU-accelerated additive blending)
+   * Default blend function (GPU-accelerated additive blending)
+   *
+   * This function uses hardware-accelerated canvas compositing instead of
+   * CPU-based pixel manipulation for 80-90% performance improvement.
+   *
+   * @param {HTMLCanvasElement} destination - Destination canvas
+   * @param {HTMLCanvasElement} source - Source canvas
+   * @param {number} weight - Blend weight (0-1)
+   */
+  static defaultBlendFunction(destination, source, weight) {
+    const ctx = destination.getContext('2d');
+
+    // Store original composite operation
+    const originalComposite = ctx.globalCompositeOperation;
+    const originalAlpha = ctx.globalAlpha;
+
+    // Use 'lighter' for additive blending (GPU-accelerated)
+    // This replicates the original behavior: dData[i] += sData[i] * weight
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.globalAlpha = weight;
+
+    // Draw source onto destination (GPU handles blending)
+    ctx.drawImage(source, 0, 0);
+
+    // Restore original settings
+    ctx.globalCompositeOperation = originalComposite;
+    ctx.globalAlpha = originalAlpha;
+  }
+
+  /**
+   * Normal blend function (standard alpha blending)
+   *
+   * @param {HTMLCanvasElement} destination - Destination canvas
+   * @param {HTMLCanvasElement} source - Source canvas
+   * @param {number} weight - Blend weight (0-1)
+   */
+  static normalBlendFunction(destination, source, weight) {
+    const ctx = destination.getContext('2d');
+    const originalAlpha = ctx.globalAlpha;
+
+    ctx.globalAlpha = weight;
+    ctx.drawImage(source, 0, 0);
+
+    ctx.globalAlpha = originalAlpha;
+  }
+
+  /**
+   * Multiply blend function
+   *
+   * @param {HTMLCanvasElement} destination - Destination canvas
+   * @param {HTMLCanvasElement} source - Source canvas
+   * @param {number} weight - Blend weight (0-1)
+   */
+  static multiplyBlendFunction(destination, source, weight) {
+    const ctx = destination.getContext('2d');
+    const originalComposite = ctx.globalCompositeOperation;
+    const originalAlpha = ctx.globalAlpha;
+
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.globalAlpha = weight;
+    ctx.drawImage(source, 0, 0);
+
+    ctx.globalCompositeOperation = originalComposite;
+    ctx.globalAlpha = originalAlpha;
+  }
+
+  /**
+   * Screen blend function
+   *
+   * @param {HTMLCanvasElement} destination - Destination canvas
+   * @param {HTMLCanvasElement} source - Source canvas
+   * @param {number} weight - Blend weight (0-1)
+   */
+  static screenBlendFunction(destination, source, weight) {
+    const ctx = destination.getContext('2d');
+    const originalComposite = ctx.globalCompositeOperation;
+    const originalAlpha = ctx.globalAlpha;
+
+    ctx.globalCompositeOperation = 'screen';
+    ctx.globalAlpha = weight;
+    ctx.drawImage(source, 0, 0);
+
+    ctx.globalCompositeOperation = originalComposite;
+    ctx.globalAlpha = originalAlpha;
+  }
+
+  /**
+   * Software blend function (fallback for older browsers)
+   *
+   * Uses CPU-based pixel manipulation. Slower but more compatible.
+   * Only use if GPU acceleration is unavailable.
+   *
+   * @param {HTMLCanvasElement} destination - Destination canvas
+   * @param {HTMLCanvasElement} source - Source canvas
+   * @param {number} weight - Blend weight (0-1)
+   */
+  static softwareBlendFunction(destination, source, weight) {
+    const dData = destination.getContext('2d').getImageData(0, 0, source.width, source.height);
+    const sData = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+
+    for (let i = 0; i < sData.data.length; i++) {
+      dData.data[i] += sData.data[i] * weight;
+    }
+
+    destination.getContext('2d').putImageData(dData, 0, 0);
+  }
+
+  /**
+   * Linear-light blend function
+   *
+   * Averages in linear light with premultiplied alpha (see blend-kernels.js),
+   * which keeps midtones and soft edges from darkening during the
+   * crossfade. Canvas compositing can't do this, so it runs on the CPU.
+   *
+   * @param {HTMLCanvasElement} destination - Destination canvas
+   * @param {HTMLCanvasElement} source - Source canvas
+   * @param {number} weight - Blend weight (0-1)
+   */
+  static linearBlendFunction(destination, source, weight) {
+    const ctx = destination.getContext('2d');
+    const dData = ctx.getImageData(0, 0, source.width, source.height);
+    const sData = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+
+    ctx.putImageData(linearBlend(dData, sData, weight), 0, 0);
+  }
+
+  /**
+   * Draw the source with a canvas composite operation at the given weight
+   *
+   * @param {HTMLCanvasElement} destination - Destination canvas
+   * @param {HTMLCanvasElement} source - Source canvas
+   * @param {number} weight - Blend weight (0-1)
+   * @param {string} operation - globalCompositeOperation value
+   * @private
+   */
+  static compositeBlendFunction(destination, source, weight, operation) {
+    const ctx = destination.getContext('2d');
+    const originalComposite = ctx.globalCompositeOperation;
+    const originalAlpha = ctx.globalAlpha;
+
+    ctx.globalCompositeOperation = operation;
+    ctx.globalAlpha = weight;
+    ctx.drawImage(source, 0, 0);
+
+    ctx.globalCompositeOperation = originalComposite;
+    ctx.globalAlpha = originalAlpha;
+  }
+
+  /**
+   * Overlay blend function
+   *
+   * @param {HTMLCanvasElement} destination - Destination canvas
+   * @param {HTMLCanvasElement} source - Source canvas
+   * @param {number} weight - Blend weight (0-1)
+   */
+  static overlayBlendFunction(destination, source, weight) {
+    Morpher.compositeBlendFunction(destination, source, weight, 'overlay');
+  }
+
+  /**
+   * Soft light blend function
+   *
+   * @param {HTMLCanvasElement} destination - Destination canvas
+   * @param {HTMLCanvasElement} source - Source canvas
+   * @param {number} weight - Blend weight (0-1)
+   */
+  static softLightBlendFunction(destination, source, weight) {
+    Morpher.compositeBlendFunction(destination, source, weight, 'soft-light');
+  }
+
+  /**
+   * Hard light blend function
+   *
+   * @param {HTMLCanvasElement} destination - Destination canvas
+   * @param {HTMLCanvasElement} source - Source canvas
+   * @param {number} weight - Blend weight (0-1)
+   */
+  static hardLightBlendFunction(destination, source, weight) {
+    Morpher.compositeBlendFunction(destination, source, weight, 'hard-light');
+  }
+
+  /**
+   * Difference blend function
+   *
+   * @param {HTMLCanvasElement} destination - Destination canvas
+   * @param {HTMLCanvasElement} source - Source canvas
+   * @param {number} weight - Blend weight (0-1)
+   */
+  static differenceBlendFunction(destination, source, weight) {
+    Morpher.compositeBlendFunction(destination, source, weight, 'difference');
+  }
+
+  /**
+   * Luminosity blend function
+   *
+   * @param {HTMLCanvasElement} destination - Destination canvas
+   * @param {HTMLCanvasElement} source - Source canvas
+   * @param {number} weight - Blend weight (0-1)
+   */
+  static luminosityBlendFunction(destination, source, weight) {
+    Morpher.compositeBlendFunction(destination, source, weight, 'luminosity');
+  }
+
+  /**
+   * Dissolve blend function
    *
-   * This function uses hardware-accelerated canvas compositing instead of
-   * CPU-based pixel manipulation for 80-90% performance improvement.
+   * Each pixel shows one image, picked with a probability equal to its weight
+   * (see blend-kernels.js). The noise is seeded, so a frame always renders
+   * the same. Runs on the CPU.
    *
    * @param {HTMLCanvasElement} destination - Destination canvas
    * @param {HTMLCanvasElement} source - Source canvas
    * @param {number} weight - Blend weight (0-1)
    */
-  static defaultBlendFunction(destination, source, weight) {
+  static dissolveBlendFunction(destination, source, weight) {
     const ctx = destination.getContext('2d');
+    const dData = ctx.getImageData(0, 0, source.width, source.height);
+    const sData = source.getContext('2d').getImageData(0, 0, source.width, source.height);
 
-    // Store original composite operation
-    const originalComposite = ctx.globalCompositeOperation;
-    const originalAlpha = ctx.globalAlpha;
+    ctx.putImageData(dissolveBlend(dData, sData, weight), 0, 0);
+  }
 
-    // Use 'lighter' for additive blending (GPU-accelerated)
-    // This replicates the original behavior: dData[i] += sData[i] * weight
-    ctx.globalCompositeOperation = 'lighter';
-    ctx.globalAlpha = weight;
+  // Culling
 
-    // Draw source onto destination (GPU handles blending)
-    ctx.drawImage(source, 0, 0);
+  /**
+   * Set the visible region of the canvas
+   *
+   * With a viewport set, only triangles of the blended mesh that intersect
+   * it (plus VirtualRenderer.CULL_PADDING) and aren't degenerate are drawn.
+   *
+   * @param {Object|null} viewport - {left, top, width, height} in canvas pixels, or null to draw everything
+   * @param {Object} [params={}] - Optional parameters
+   * @param {number} [params.zoom] - View scale (see setZoom())
+   */
+  setViewport(viewport, params = {}) {
+    if (viewport) {
+      const { left = 0, top = 0, width, height } = viewport;
+      if (![left, top, width, height].every(Number.isFinite)) {
+        console.warn('Viewport must have numeric left, top, width and height');
+        return;
+      }
+      this.viewport = { left, top, width, height };
+    } else {
+      this.viewport = null;
+    }
 
-    // Restore original settings
-    ctx.globalCompositeOperation = originalComposite;
-    ctx.globalAlpha = originalAlpha;
+    if (params.zoom !== undefined) {
+      this.setZoom(params.zoom);
+    } else {
+      this.draw();
+    }
   }
 
   /**
-   * Normal blend function (standard alpha blending)
+   * Set the view scale
    *
-   * @param {HTMLCanvasElement} destination - Destination canvas
-   * @param {HTMLCanvasElement} source - Source canvas
-   * @param {number} weight - Blend weight (0-1)
+   * While a viewport is set, lower zoom levels use cheaper image smoothing
+   * (see VirtualRenderer.getDetailLevel()).
+   *
+   * @param {number} zoom - View scale (1 = 100%)
    */
-  static normalBlendFunction(destination, source, weight) {
-    const ctx = destination.getContext('2d');
-    const originalAlpha = ctx.globalAlpha;
+  setZoom(zoom) {
+    if (typeof zoom !== 'number' || !Number.isFinite(zoom) || zoom <= 0) {
+      console.warn('Zoom must be a positive number');
+      return;
+    }
+    this.zoom = zoom;
+    this.draw();
+  }
 
-    ctx.globalAlpha = weight;
-    ctx.drawImage(source, 0, 0);
+  /**
+   * Get indices of mesh triangles to draw
+   *
+   * Rebuilds the spatial index when the blended mesh changed since the last
+   * call and triggers a 'cull' event with statistics.
+   *
+   * @returns {number[]|null} Sorted triangle indices, or null when culling is off
+   */
+  getVisibleTriangles() {
+    if (!this.viewport) return null;
 
-    ctx.globalAlpha = originalAlpha;
+    // Resizing the canvas resets context state, so apply quality every frame
+    const quality = VirtualRenderer.getQualitySettings(VirtualRenderer.getDetailLevel(this.zoom));
+    this.tmpCtx.imageSmoothingEnabled = quality.imageSmoothingEnabled;
+    this.tmpCtx.imageSmoothingQuality = quality.imageSmoothingQuality;
+
+    if (this.spatialIndexDirty) {
+      this.spatialIndex.rebuild(this.mesh.triangles);
+      this.spatialIndexDirty = false;
+    }
+
+    const padding = VirtualRenderer.CULL_PADDING;
+    const candidates = this.spatialIndex.query({
+      left: this.viewport.left - padding,
+      top: this.viewport.top - padding,
+      width: this.viewport.width + padding * 2,
+      height: this.viewport.height + padding * 2
+    });
+
+    // No triangle budget: dropping visible triangles would leave holes
+    const filtered = VirtualRenderer.filterTriangles(
+      candidates.map((candidate) => candidate.triangle),
+      this.viewport,
+      { maxTriangles: Infinity }
+    );
+
+    const indices = filtered.map((item) => candidates[item.index].index).sort((a, b) => a - b);
+    const total = this.mesh.triangles.length;
+
+    this.trigger('cull', this, {
+      total,
+      visible: indices.length,
+      culled: total - indices.length
+    });
+
+    return indices;
   }
 
+  // Export
+
+  static exportFormats = {
+    imagedata: null,
+    png: 'image/png',
+    webp: 'image/webp',
+    gif: 'image/gif'
+  };
+
   /**
-   * Multiply blend function
+   * Render an animation offline as a fixed-FPS frame sequence
    *
-   * @param {HTMLCanvasElement} destination - Destination canvas
-   * @param {HTMLCanvasElement} source - Source canvas
-   * @param {number} weight - Blend weight (0-1)
+   * Frames are stepped deterministically by frame index on a private
+   * ManualClock, so the output doesn't depend on how fast the host renders.
+   * The first frame shows the start weights and the last frame the target
+   * weights. Live playback is paused while exporting and resumed afterwards.
+   *
+   * @param {number[]|Object} weights - Target weights, see set()
+   * @param {Object} options - Export options
+   * @param {number} options.duration - Animation duration in milliseconds
+   * @param {number} [options.fps=30] - Frames per second
+   * @param {Function|string} [options.easing] - Easing function or name from registry
+   * @param {number[]|Object} [options.from] - Start weights (defaults to current weights)
+   * @param {string} [options.format='imagedata'] - 'imagedata', 'png', 'webp' or 'gif'
+   * @param {number} [options.quality] - Encoder quality (0-1) for lossy formats
+   * @param {number} [options.loop=0] - GIF repeat count (0 = forever, -1 = play once)
+   * @returns {Promise<Array<ImageData|Blob>|Blob>} Frames, or a single animated GIF
+   *
+   * @example
+   * const gif = await morpher.exportFrames([0, 1], { duration: 1000, fps: 24, format: 'gif' });
    */
-  static multiplyBlendFunction(destination, source, weight) {
-    const ctx = destination.getContext('2d');
-    const originalComposite = ctx.globalCompositeOperation;
-    const originalAlpha = ctx.globalAlpha;
+  async exportFrames(weights, options = {}) {
+    const { duration, fps = 30, from, format = 'imagedata', quality, loop = 0 } = options;
 
-    ctx.globalCompositeOperation = 'multiply';
-    ctx.globalAlpha = weight;
-    ctx.drawImage(source, 0, 0);
+    if (this.exporting) {
+      throw new Error('An export is already in progress');
+    }
+    if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0) {
+      throw new Error('Export duration must be a non-negative number');
+    }
+    if (typeof fps !== 'number' || !Number.isFinite(fps) || fps <= 0) {
+      throw new Error('Export fps must be a positive number');
+    }
+    if (!Object.prototype.hasOwnProperty.call(Morpher.exportFormats, format)) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
 
-    ctx.globalCompositeOperation = originalComposite;
-    ctx.globalAlpha = originalAlpha;
+    const frameCount = Math.round((duration / 1000) * fps) + 1;
+    const saved = {
+      clock: this.clock,
+      t0: this.t0,
+      duration: this.duration,
+      state0: this.state0,
+      state1: this.state1,
+      state: this.get(),
+      easingFunction: this.easingFunction,
+      timeline: this.timeline,
+      useWorkers: this.useWorkers
+    };
+
+    if (this.requestID) {
+      this.clock.cancelFrame(this.requestID);
+      this.requestID = null;
+    }
+
+    const clock = new ManualClock(0);
+    this.clock = clock;
+    this.timeline = null;
+    this.exporting = true;
+
+    // Frames are captured synchronously; drop any worker frame in flight
+    this.useWorkers = false;
+    this.frameID++;
+
+    const frames = [];
+
+    try {
+      this.state0 = Morpher.splitWeights(from || this.get());
+      this.state1 = Morpher.splitWeights(weights);
+      this.t0 = 0;
+      this.duration = duration;
+      this.easingFunction = Morpher.validateEasingFunction(options.easing);
+
+      for (let i = 0; i < frameCount; i++) {
+        clock.setTime(frameCount > 1 ? (i * duration) / (frameCount - 1) : duration);
+        this.drawNow();
+
+        // drawNow() schedules the next frame itself, but we step manually
+        if (this.requestID) {
+          clock.cancelFrame(this.requestID);
+          this.requestID = null;
+        }
+
+        if (format === 'imagedata' || format === 'gif') {
+          frames.push(this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height));
+        } else {
+          frames.push(await Morpher.canvasToBlob(this.canvas, Morpher.exportFormats[format], quality));
+        }
+
+        this.trigger('export:progress', this, i + 1, frameCount);
+      }
+    } finally {
+      if (this.requestID) {
+        clock.cancelFrame(this.requestID);
+        this.requestID = null;
+      }
+
+      this.clock = saved.clock;
+      this.t0 = saved.t0;
+      this.duration = saved.duration;
+      this.state0 = saved.state0;
+      this.state1 = saved.state1;
+      this.easingFunction = saved.easingFunction;
+      this.timeline = saved.timeline;
+      this.useWorkers = saved.useWorkers;
+      this.set(saved.state, { silent: true });
+      this.exporting = false;
+      this.draw();
+    }
+
+    if (format === 'gif') {
+      const bytes = await getWorkerManager().encodeGIF(frames, { delay: 1000 / fps, loop });
+      return typeof Blob !== 'undefined' ? new Blob([bytes], { type: 'image/gif' }) : bytes;
+    }
+
+    return frames;
   }
 
   /**
-   * Screen blend function
+   * Render a single frame at any resolution, e.g. for print
    *
-   * @param {HTMLCanvasElement} destination - Destination canvas
-   * @param {HTMLCanvasElement} source - Source canvas
-   * @param {number} weight - Blend weight (0-1)
+   * The frame is drawn from the source images with the current triangles,
+   * warp mode, regions and blend function, so it stays sharp when scaled
+   * up. The live canvas, weights and animation are left untouched. Always
+   * renders with the 2D canvas.
+   *
+   * With width and height the frame is scaled to fit inside and centered;
+   * with only one of them the other follows the aspect ratio. scale
+   * overrides the fitted scale.
+   *
+   * @param {number[]|Object} weights - Weights to render, see set()
+   * @param {Object} [options={}] - Render options
+   * @param {number} [options.width] - Output width in pixels
+   * @param {number} [options.height] - Output height in pixels
+   * @param {number} [options.scale] - Output pixels per canvas pixel (1 without width and height)
+   * @param {HTMLCanvasElement|OffscreenCanvas} [options.canvas] - Canvas to draw into (created if omitted)
+   * @returns {HTMLCanvasElement|OffscreenCanvas} The canvas
+   * @throws {Error} If the options are invalid or there is nothing to render
+   *
+   * @example
+   * const poster = morpher.renderToCanvas([0.5, 0.5], { scale: 4 });
    */
-  static screenBlendFunction(destination, source, weight) {
-    const ctx = destination.getContext('2d');
-    const originalComposite = ctx.globalCompositeOperation;
-    const originalAlpha = ctx.globalAlpha;
+  renderToCanvas(weights, options = {}) {
+    const isPositive = (v) => v === undefined || (typeof v === 'number' && Number.isFinite(v) && v > 0);
+    if (!isPositive(options.width) || !isPositive(options.height) || !isPositive(options.scale)) {
+      throw new Error('Render width, height and scale must be positive numbers');
+    }
 
-    ctx.globalCompositeOperation = 'screen';
-    ctx.globalAlpha = weight;
-    ctx.drawImage(source, 0, 0);
+    const content = this.getContentSize();
+    if (content.width === 0 || content.height === 0) {
+      throw new Error('Nothing to render: the images have no size yet');
+    }
 
-    ctx.globalCompositeOperation = originalComposite;
-    ctx.globalAlpha = originalAlpha;
+    let { scale } = options;
+    if (scale === undefined) {
+      const scales = [];
+      if (options.width !== undefined) scales.push(options.width / content.width);
+      if (options.height !== undefined) scales.push(options.height / content.height);
+      scale = scales.length ? Math.min(...scales) : 1;
+    }
+    const width = Math.round(options.width ?? content.width * scale);
+    const height = Math.round(options.height ?? content.height * scale);
+    const offsetX = (width - content.width * scale) / 2;
+    const offsetY = (height - content.height * scale) / 2;
+
+    // Blended mesh in output pixels
+    const mesh = new Mesh();
+    for (const p of this.computeMesh(weights).points) {
+      mesh.addPoint({ x: offsetX + p.x * scale, y: offsetY + p.y * scale });
+    }
+    for (const [p1, p2, p3] of this.triangles) {
+      mesh.addTriangle(p1, p2, p3);
+    }
+
+    const canvas = options.canvas || this.canvasFactory(width, height);
+    canvas.width = width;
+    canvas.height = height;
+    const tmpCanvas = this.canvasFactory(width, height, { offscreen: true });
+    const tmpCtx = tmpCanvas.getContext('2d');
+
+    // Blends add up, so the background is drawn under a separate frame
+    const frame = this.background ? this.canvasFactory(width, height, { offscreen: true }) : canvas;
+    frame.getContext('2d').clearRect(0, 0, width, height);
+
+    const { appearance } = Morpher.splitWeights(weights);
+    const blend = this.blendFunction || Morpher.defaultBlendFunction;
+    const order = this.images.map((image, k) => k).sort((a, b) => (appearance[b] || 0) - (appearance[a] || 0));
+    const groups = this.getWeightGroups(null);
+
+    for (const k of order) {
+      for (const { indices, weights: regionWeights } of groups) {
+        tmpCtx.clearRect(0, 0, width, height);
+        this.warpImage(this.images[k], tmpCtx, indices, mesh, scale);
+        const weight = regionWeights ? regionWeights[k] || 0 : appearance[k] || 0;
+        blend(frame, tmpCanvas, this.blendWeight(weight));
+      }
+    }
+
+    if (frame !== canvas) {
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, width, height);
+      ctx.fillStyle = this.background;
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(frame, 0, 0);
+    }
+
+    if (this.finalTouchFunction) {
+      this.finalTouchFunction(canvas);
+    }
+
+    mesh.dispose();
+    return canvas;
   }
 
   /**
-   * Software blend function (fallback for older browsers)
+   * Encode canvas contents as a Blob
    *
-   * Uses CPU-based pixel manipulation. Slower but more compatible.
-   * Only use if GPU acceleration is unavailable.
+   * Supports OffscreenCanvas (convertToBlob) and DOM canvases (toBlob).
    *
-   * @param {HTMLCanvasElement} destination - Destination canvas
-   * @param {HTMLCanvasElement} source - Source canvas
-   * @param {number} weight - Blend weight (0-1)
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to encode
+   * @param {string} type - MIME type
+   * @param {number} [quality] - Encoder quality (0-1) for lossy formats
+   * @returns {Promise<Blob>} Encoded image
+   * @private
    */
-  static softwareBlendFunction(destination, source, weight) {
-    const dData = destination.getContext('2d').getImageData(0, 0, source.width, source.height);
-    const sData = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+  static canvasToBlob(canvas, type, quality) {
+    if (typeof canvas.convertToBlob === 'function') {
+      return canvas.convertToBlob({ type, quality });
+    }
 
-    for (let i = 0; i < sData.data.length; i++) {
-      dData.data[i] += sData.data[i] * weight;
+    if (typeof canvas.toBlob === 'function') {
+      return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error(`Failed to encode frame as ${type}`));
+          }
+        }, type, quality);
+      });
     }
 
-    destination.getContext('2d').putImageData(dData, 0, 0);
+    return Promise.reject(new Error('Canvas does not support Blob export'));
   }
 
   // JSON
@@ -633,7 +2738,7 @@ export class Morpher extends EventDispatcher {
    * @returns {Object} Morpher configuration
    */
   toJSON() {
-    const json = {};
+    const json = { version: MORPHER_SCHEMA_VERSION };
     json.images = [];
 
     for (const image of this.images) {
@@ -641,6 +2746,46 @@ export class Morpher extends EventDispatcher {
     }
 
     json.triangles = this.triangles.slice();
+    json.weights = this.get();
+
+    if (this.constraints.length > 0) {
+      json.constraints = this.constraints.map((constraint) => constraint.slice());
+    }
+    const blendName = this.getBlendFunctionName();
+    if (blendName && blendName !== 'default') {
+      json.blendFunction = blendName;
+    }
+    if (this.warpMode !== 'affine') {
+      json.warpMode = this.warpMode;
+    }
+    if (this.extrapolate) {
+      json.extrapolate = true;
+    }
+    if (this.colorMatching !== 'none') {
+      json.colorMatching = { mode: this.colorMatching, reference: this.colorReference };
+      if (this.colorWeights) {
+        json.colorMatching.weights = this.colorWeights.slice();
+      }
+    }
+    if (this.outputSize) {
+      json.outputSize = { ...this.outputSize };
+    }
+    if (this.fit !== 'contain') {
+      json.fit = this.fit;
+    }
+    if (this.background) {
+      json.background = this.background;
+    }
+    if (this.pixelRatio !== 1) {
+      json.pixelRatio = this.pixelRatio;
+    }
+    if (this.regions.length > 0) {
+      json.regions = this.regions.map(({ name, triangles, weights }) => ({
+        name,
+        triangles: triangles.slice(),
+        weights: weights && weights.slice()
+      }));
+    }
     return json;
   }
 
@@ -725,6 +2870,16 @@ export class Morpher extends EventDispatcher {
     return null;
   }
 
+  /**
+   * Format schema errors one per line, as 'path: message'
+   * @param {Array<{path: string, message: string}>} errors - Errors
+   * @returns {string} Formatted errors
+   * @private
+   */
+  static formatSchemaErrors(errors) {
+    return errors.map(({ path, message }) => `  ${path}: ${message}`).join('\n');
+  }
+
   /**
    * Sanitize JSON input to remove potentially dangerous content
    *
@@ -742,7 +2897,8 @@ export class Morpher extends EventDispatcher {
     const sanitized = {};
 
     // Only copy safe properties
-    const safeProperties = ['images', 'triangles', 'blendFunction'];
+    const safeProperties = ['images', 'triangles', 'weights', 'constraints', 'regions', 'blendFunction', 'warpMode', 'extrapolate',
+      'colorMatching', 'outputSize', 'fit', 'background', 'pixelRatio'];
 
     for (const prop of safeProperties) {
       if (prop in json) {
@@ -759,16 +2915,21 @@ export class Morpher extends EventDispatcher {
 
             const sanitizedImg = {};
             // Only allow safe image properties
-            const safeImgProps = ['src', 'x', 'y', 'points'];
+            const safeImgProps = ['src', 'x', 'y', 'scale', 'rotation', 'points'];
 
             for (const imgProp of safeImgProps) {
               if (imgProp in img) {
-                if (imgProp === 'x' || imgProp === 'y') {
+                if (imgProp === 'x' || imgProp === 'y' || imgProp === 'rotation') {
                   // Validate numbers
                   const val = Number(img[imgProp]);
                   if (!isNaN(val) && isFinite(val)) {
                     sanitizedImg[imgProp] = val;
                   }
+                } else if (imgProp === 'scale') {
+                  const val = Number(img[imgProp]);
+                  if (isFinite(val) && val > 0) {
+                    sanitizedImg[imgProp] = val;
+                  }
                 } else if (imgProp === 'src' && typeof img[imgProp] === 'string') {
                   // Validate URLs - basic check for dangerous protocols
                   const src = img[imgProp];
@@ -802,6 +2963,64 @@ export class Morpher extends EventDispatcher {
               return !isNaN(val) && isFinite(val) && val >= 0 ? Math.floor(val) : 0;
             });
           });
+        } else if (prop === 'warpMode') {
+          // Only registered mode names
+          if (typeof json[prop] === 'string' && Object.prototype.hasOwnProperty.call(Morpher.warpFunctions, json[prop])) {
+            sanitized[prop] = json[prop];
+          }
+        } else if (prop === 'constraints' && Array.isArray(json[prop])) {
+          // Drop invalid constraints rather than defaulting them to an edge
+          sanitized[prop] = json[prop]
+            .filter((constraint) => Morpher.isValidConstraint(constraint))
+            .map((constraint) => constraint.slice());
+        } else if (prop === 'extrapolate') {
+          sanitized[prop] = json[prop] === true;
+        } else if (prop === 'colorMatching') {
+          const { mode, reference = 0, weights = null } = json[prop] || {};
+          if (Morpher.colorMatchingModes.includes(mode) && Number.isInteger(reference) && reference >= 0 &&
+              Morpher.isValidRegionWeights(weights)) {
+            sanitized[prop] = { mode, reference, weights: weights && weights.slice() };
+          }
+        } else if (prop === 'outputSize') {
+          if (Morpher.isValidOutputSize(json[prop])) {
+            sanitized[prop] = { width: json[prop].width, height: json[prop].height };
+          }
+        } else if (prop === 'fit') {
+          if (Morpher.fitModes.includes(json[prop])) {
+            sanitized[prop] = json[prop];
+          }
+        } else if (prop === 'background') {
+          if (Morpher.isValidBackground(json[prop])) {
+            sanitized[prop] = json[prop];
+          }
+        } else if (prop === 'pixelRatio') {
+          if (Morpher.isValidPixelRatio(json[prop])) {
+            sanitized[prop] = json[prop];
+          }
+        } else if (prop === 'weights') {
+          // An array, or separate geometry and appearance arrays
+          const isWeightList = (weights) => Array.isArray(weights) &&
+            weights.every((w) => typeof w === 'number' && Number.isFinite(w));
+          const weights = json[prop];
+          if (isWeightList(weights)) {
+            sanitized[prop] = weights.slice();
+          } else if (typeof weights === 'object' && weights !== null &&
+              isWeightList(weights.geometry) && isWeightList(weights.appearance)) {
+            sanitized[prop] = { geometry: weights.geometry.slice(), appearance: weights.appearance.slice() };
+          }
+        } else if (prop === 'regions' && Array.isArray(json[prop])) {
+          // Drop invalid and duplicate regions
+          sanitized[prop] = [];
+          for (const region of json[prop]) {
+            if (typeof region !== 'object' || region === null || typeof region.name !== 'string' || region.name === '' ||
+                sanitized[prop].some(({ name }) => name === region.name)) {
+              continue;
+            }
+            const weights = region.weights === undefined ? null : region.weights;
+            if (Morpher.isValidRegionTriangles(region.triangles) && Morpher.isValidRegionWeights(weights)) {
+              sanitized[prop].push({ name: region.name, triangles: region.triangles.slice(), weights: weights && weights.slice() });
+            }
+          }
         }
       }
     }
@@ -826,6 +3045,58 @@ export class Morpher extends EventDispatcher {
     return false;
   }
 
+  /**
+   * Get the registry name of the current blend function
+   *
+   * @returns {string|null} Name from Morpher.blendFunctions, or null for a custom function
+   */
+  getBlendFunctionName() {
+    const blend = this.blendFunction || Morpher.defaultBlendFunction;
+    const name = Object.keys(Morpher.blendFunctions).find((key) => Morpher[Morpher.blendFunctions[key]] === blend);
+    return name || null;
+  }
+
+  /**
+   * Set how images are warped to the mesh
+   *
+   * @param {string} mode - 'affine', 'tps' or 'mls' (see Morpher.warpFunctions)
+   * @returns {boolean} True if the mode was set
+   */
+  setWarpMode(mode) {
+    if (!Object.prototype.hasOwnProperty.call(Morpher.warpFunctions, mode)) {
+      console.warn(`Unknown warp mode: ${mode}`);
+      return false;
+    }
+    this.warpMode = mode;
+    return true;
+  }
+
+  /**
+   * Set the displacement grid cell size used by smooth warp modes
+   *
+   * Smaller cells follow the warp more closely but take longer to draw.
+   *
+   * @param {number} size - Cell size in pixels (at least 2)
+   * @returns {boolean} True if the size was set
+   */
+  setWarpGridSize(size) {
+    if (typeof size !== 'number' || !Number.isFinite(size) || size < 2) {
+      console.warn('Warp grid size must be a number of at least 2 pixels');
+      return false;
+    }
+    this.warpGridSize = size;
+    return true;
+  }
+
+  /**
+   * Allow geometry weights outside [0, 1], see updateMesh()
+   * @param {boolean} enabled - Enable extrapolation
+   */
+  setExtrapolate(enabled) {
+    this.extrapolate = !!enabled;
+    this.draw();
+  }
+
   /**
    * Set a custom final touch function
    *
@@ -849,28 +3120,125 @@ export class Morpher extends EventDispatcher {
     return true;
   }
 
+  /**
+   * Upgrade a configuration to the current schema version and check it
+   *
+   * Errors cover the schema, indices that refer to missing points,
+   * triangles or images, images with different point counts, and unknown
+   * mode names.
+   *
+   * @param {Object} json - Morpher configuration of any version
+   * @returns {{json: Object, errors: Array<{path: string, message: string}>}}
+   *   Upgraded configuration and the problems found in it
+   * @throws {SchemaError} If the configuration's version is unknown or newer
+   */
+  static migrateJSON(json) {
+    const migrated = migrateMorpherJSON(json);
+    return { json: migrated, errors: validateMorpherJSON(migrated).concat(Morpher.findUnknownNames(migrated)) };
+  }
+
+  /**
+   * Find mode names and image sources that sanitizeJSON() would drop
+   * @param {Object} json - Morpher configuration
+   * @returns {Array<{path: string, message: string}>} Problems found
+   * @private
+   */
+  static findUnknownNames(json) {
+    const errors = [];
+    const isKnown = (registry, name) => typeof name !== 'string' || Object.prototype.hasOwnProperty.call(registry, name);
+
+    if (!isKnown(Morpher.blendFunctions, json.blendFunction)) {
+      errors.push({ path: 'blendFunction', message: `unknown blend function '${json.blendFunction}'` });
+    }
+    if (!isKnown(Morpher.warpFunctions, json.warpMode)) {
+      errors.push({ path: 'warpMode', message: `unknown warp mode '${json.warpMode}'` });
+    }
+    if (typeof json.fit === 'string' && !Morpher.fitModes.includes(json.fit)) {
+      errors.push({ path: 'fit', message: `must be one of ${Morpher.fitModes.join(', ')}` });
+    }
+    const mode = json.colorMatching?.mode;
+    if (typeof mode === 'string' && !Morpher.colorMatchingModes.includes(mode)) {
+      errors.push({ path: 'colorMatching.mode', message: `must be one of ${Morpher.colorMatchingModes.join(', ')}` });
+    }
+    (Array.isArray(json.images) ? json.images : []).forEach((image, i) => {
+      if (typeof image?.src === 'string' && (image.src.startsWith('javascript:') || image.src.startsWith('data:text/html'))) {
+        errors.push({ path: `images[${i}].src`, message: 'must not be a script or HTML URL' });
+      }
+    });
+
+    return errors;
+  }
+
   /**
    * Load morpher configuration from JSON
    *
    * Security: Sanitizes and validates all input
    *
+   * Older versions are upgraded first. Invalid values (see
+   * Morpher.migrateJSON()) are reported with their paths in a warning, then
+   * dropped or replaced by sanitizeJSON(). With `strict` they are thrown as
+   * a SchemaError instead, before anything is loaded.
+   *
    * @param {Object} [json={}] - Morpher configuration
    * @param {Object} [params={}] - Optional parameters
    * @param {boolean} [params.hard=false] - Reset before loading
+   * @param {boolean} [params.strict=false] - Throw instead of loading invalid or newer configurations
+   * @throws {SchemaError} In strict mode, with every invalid value in `errors`
    */
   fromJSON(json = {}, params = {}) {
+    let upgraded = json;
+    try {
+      const { json: migrated, errors } = Morpher.migrateJSON(json);
+      upgraded = migrated;
+      if (errors.length > 0) {
+        const details = Morpher.formatSchemaErrors(errors);
+        if (params.strict) {
+          throw new SchemaError(`Invalid morpher JSON (${errors.length} ${errors.length === 1 ? 'problem' : 'problems'}):\n${details}`, errors);
+        }
+        console.warn(`Invalid morpher JSON, loading what can be used:\n${details}`);
+      }
+    } catch (e) {
+      if (!(e instanceof SchemaError) || params.strict) {
+        throw e;
+      }
+      console.warn(`${e.message}, loading it as it is`);
+    }
+
     if (params.hard) {
       this.reset();
     }
 
     // Sanitize JSON input to prevent injection attacks
-    const sanitized = Morpher.sanitizeJSON(json);
+    const sanitized = Morpher.sanitizeJSON(upgraded);
 
     // Use validated blend function if provided
     if (sanitized.blendFunction) {
       this.blendFunction = sanitized.blendFunction;
     }
 
+    if (sanitized.constraints) {
+      this.constraints = sanitized.constraints;
+    }
+
+    if (sanitized.warpMode) {
+      this.warpMode = sanitized.warpMode;
+    }
+
+    if (sanitized.extrapolate !== undefined) {
+      this.extrapolate = sanitized.extrapolate;
+    }
+
+    for (const prop of ['outputSize', 'fit', 'background', 'pixelRatio']) {
+      if (sanitized[prop] !== undefined) {
+        this[prop] = sanitized[prop];
+      }
+    }
+    this.refreshFrameCanvas();
+
+    // Saved triangles take precedence over automatic triangulation
+    const autoTriangulate = this.autoTriangulate;
+    this.autoTriangulate = false;
+
     if (sanitized.images) {
       for (let i = 0; i < sanitized.images.length; i++) {
         const image = sanitized.images[i];
@@ -890,6 +3258,27 @@ export class Morpher extends EventDispatcher {
         this.addTriangle(triangle[0], triangle[1], triangle[2]);
       }
     }
+
+    this.autoTriangulate = autoTriangulate;
+    if (autoTriangulate && sanitized.images && !sanitized.triangles) {
+      this.triangulate();
+    }
+
+    if (sanitized.weights) {
+      this.set(sanitized.weights, params);
+    }
+
+    if (sanitized.regions) {
+      this.regions = [];
+      for (const { name, triangles, weights } of sanitized.regions) {
+        this.addRegion(name, triangles, weights);
+      }
+    }
+
+    if (sanitized.colorMatching) {
+      const { mode, reference, weights } = sanitized.colorMatching;
+      this.setColorMatching(mode, { reference, weights });
+    }
   }
 
   /**
@@ -919,13 +3308,12 @@ export class Morpher extends EventDispatcher {
   dispose() {
     // Cancel any pending animation frame
     if (this.requestID) {
-      if (window.cancelAnimationFrame) {
-        window.cancelAnimationFrame(this.requestID);
-      }
+      this.clock.cancelFrame(this.requestID);
       this.requestID = null;
     }
 
     // Stop any ongoing animation
+    this.stopTimeline();
     this.t0 = null;
     this.duration = null;
     this.state0 = null;
@@ -947,6 +3335,11 @@ export class Morpher extends EventDispatcher {
     }
     this.images = [];
     this.triangles = [];
+    this.constraints = [];
+    this.regions = [];
+    this.warpGrid = null;
+    this.warpGridKey = null;
+    this.warpCache = null;
 
     // Dispose mesh
     if (this.mesh && this.mesh.dispose) {
@@ -958,8 +3351,21 @@ export class Morpher extends EventDispatcher {
     // Note: We don't clear the canvas itself as it may be in the DOM
     // Just clear our references
     this.ctx = null;
+    this.ctxCanvas = null;
+    this.frameCanvas = null;
+    this.frameCtx = null;
     this.tmpCtx = null;
 
+    if (this.webglRenderer) {
+      this.webglRenderer.dispose();
+      this.webglRenderer = null;
+    }
+
+    if (this.spatialIndex) {
+      this.spatialIndex.clear();
+      this.spatialIndex = null;
+    }
+
     // Clear temp canvas (not in DOM, safe to clear)
     if (this.tmpCanvas) {
       this.tmpCanvas.width = 0;
@@ -970,9 +3376,11 @@ export class Morpher extends EventDispatcher {
     // Clear function references
     this.blendFunction = null;
     this.finalTouchFunction = null;
+    this.correspondenceFunction = null;
 
     // Clear state
     this.state = null;
+    this.appearanceState = null;
 
     // Remove all event listeners from this object
     this.off();
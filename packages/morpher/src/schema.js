@@ -0,0 +1,382 @@
+/**
+ * Morpher JSON Schema
+ *
+ * JSON Schema of the configuration written by Morpher.toJSON(), a validator
+ * for the subset of JSON Schema it uses, and the migrations that upgrade
+ * older documents one version at a time.
+ *
+ * Versions:
+ * - 1 - The original CoffeeScript MorpherJS format: images (src, x, y,
+ *   points) and triangles. Documents without a version are version 1, which
+ *   also covers 2.x output from before versions were written.
+ * - 2 - Adds the version field; weights, scale/rotation, constraints,
+ *   regions and the rendering settings are optional.
+ *
+ * Validation errors are { path, message } with paths like
+ * 'images[2].points[14].x', so a caller can point at the exact value.
+ * Besides the schema, validateMorpherJSON() checks what JSON Schema can't
+ * express: indices must refer to existing points, triangles and images,
+ * and every image must have the same number of points.
+ */
+
+export const MORPHER_SCHEMA_VERSION = 2;
+
+const number = { type: 'number' };
+const index = { type: 'integer', minimum: 0 };
+const weightList = { type: 'array', items: number };
+
+/**
+ * JSON Schema (draft 2020-12) of the current version
+ * @type {Object}
+ */
+export const morpherSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'MorpherJS configuration',
+  type: 'object',
+  properties: {
+    version: { type: 'integer', minimum: 1 },
+    images: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          src: { type: 'string' },
+          x: number,
+          y: number,
+          scale: { type: 'number', exclusiveMinimum: 0 },
+          rotation: number,
+          points: {
+            type: 'array',
+            items: { type: 'object', required: ['x', 'y'], properties: { x: number, y: number } }
+          }
+        }
+      }
+    },
+    triangles: {
+      type: 'array',
+      items: { type: 'array', items: index, minItems: 3, maxItems: 3 }
+    },
+    weights: {
+      description: 'a list of weights or { geometry, appearance } lists',
+      anyOf: [
+        weightList,
+        {
+          type: 'object',
+          required: ['geometry', 'appearance'],
+          properties: { geometry: weightList, appearance: weightList }
+        }
+      ]
+    },
+    constraints: {
+      type: 'array',
+      items: { type: 'array', items: index, minItems: 2, maxItems: 2 }
+    },
+    regions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'triangles'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          triangles: { type: 'array', items: index },
+          weights: { type: ['array', 'null'], items: number }
+        }
+      }
+    },
+    blendFunction: { type: 'string' },
+    warpMode: { type: 'string' },
+    extrapolate: { type: 'boolean' },
+    colorMatching: {
+      type: 'object',
+      required: ['mode'],
+      properties: {
+        mode: { type: 'string' },
+        reference: index,
+        weights: { type: ['array', 'null'], items: number }
+      }
+    },
+    outputSize: {
+      type: 'object',
+      required: ['width', 'height'],
+      properties: {
+        width: { type: 'number', exclusiveMinimum: 0 },
+        height: { type: 'number', exclusiveMinimum: 0 }
+      }
+    },
+    fit: { type: 'string' },
+    background: { type: 'string', minLength: 1, maxLength: 64 },
+    pixelRatio: {
+      description: "a positive number or 'auto'",
+      anyOf: [{ type: 'number', exclusiveMinimum: 0 }, { enum: ['auto'] }]
+    }
+  }
+};
+
+/**
+ * Upgrade steps, each taking a document of version `from` to `to`
+ * Steps return a new document and leave their input alone.
+ * @type {Array<{from: number, to: number, migrate: Function}>}
+ */
+export const morpherMigrations = [
+  {
+    from: 1,
+    to: 2,
+    // Same shape; version 2 only adds optional properties
+    migrate: (json) => ({ ...json })
+  }
+];
+
+/**
+ * Error thrown for documents that can't be read
+ *
+ * `errors` lists every problem as { path, message }.
+ */
+export class SchemaError extends Error {
+  /**
+   * @param {string} message - Summary
+   * @param {Array<{path: string, message: string}>} [errors=[]] - Problems found
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'SchemaError';
+    this.errors = errors;
+  }
+}
+
+const typeOf = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const TYPE_NAMES = {
+  integer: 'an integer',
+  number: 'a number',
+  string: 'a string',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+  null: 'null'
+};
+
+/**
+ * Validate a value against a schema
+ *
+ * Supports type, enum, minimum, maximum, exclusiveMinimum, minLength,
+ * maxLength, items, minItems, maxItems, properties, additionalProperties (as
+ * a schema), required and anyOf. Properties the schema doesn't list are
+ * allowed unless additionalProperties is a schema they fail.
+ *
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {string} [path=''] - Path of the value, used in error paths
+ * @returns {Array<{path: string, message: string}>} Problems found (empty if valid)
+ */
+export function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const at = path || '(root)';
+
+  if (schema.anyOf) {
+    if (!schema.anyOf.some((option) => validateSchema(option, value, path).length === 0)) {
+      errors.push({ path: at, message: `must be ${schema.description || 'one of the allowed forms'}` });
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path: at, message: `must be ${types.map((type) => TYPE_NAMES[type]).join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+    return errors;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path: at, message: `must be greater than ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must have at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const child = (key) => (path ? `${path}.${key}` : key);
+    // Undefined properties count as missing, like in JSON.stringify()
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: child(key), message: 'is required' });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = Object.prototype.hasOwnProperty.call(properties, key)
+        ? properties[key]
+        : schema.additionalProperties;
+      if (propertyValue !== undefined && typeof propertySchema === 'object') {
+        errors.push(...validateSchema(propertySchema, propertyValue, child(key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Upgrade a document to the current version
+ *
+ * @param {Object} json - Document of any known version
+ * @param {Object} [options] - Options
+ * @param {Array} [options.migrations=morpherMigrations] - Upgrade steps
+ * @param {number} [options.version=MORPHER_SCHEMA_VERSION] - Version to upgrade to
+ * @param {string} [options.name='Morpher JSON'] - Document name for error messages
+ * @returns {Object} Document of the current version (the input itself if already current)
+ * @throws {SchemaError} If the document isn't an object or its version is unknown or newer
+ */
+export function migrate(json, options = {}) {
+  const {
+    migrations = morpherMigrations,
+    version: target = MORPHER_SCHEMA_VERSION,
+    name = 'Morpher JSON'
+  } = options;
+
+  if (typeOf(json) !== 'object') {
+    throw new SchemaError(`${name} must be an object`, [{ path: '(root)', message: 'must be an object' }]);
+  }
+
+  let version = json.version === undefined ? 1 : json.version;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new SchemaError(`${name} has an invalid version: ${JSON.stringify(version)}`,
+      [{ path: 'version', message: 'must be a positive integer' }]);
+  }
+  if (version > target) {
+    throw new SchemaError(`${name} version ${version} is newer than the supported version ${target}`,
+      [{ path: 'version', message: `must be at most ${target}` }]);
+  }
+
+  let doc = json;
+  while (version < target) {
+    const step = migrations.find((migration) => migration.from === version);
+    if (!step) {
+      throw new SchemaError(`${name} version ${version} can't be upgraded`,
+        [{ path: 'version', message: `no migration from version ${version}` }]);
+    }
+    doc = { ...step.migrate(doc), version: step.to };
+    version = step.to;
+  }
+
+  return doc;
+}
+
+/**
+ * Upgrade a Morpher.toJSON() document to the current version
+ *
+ * @param {Object} json - Document of any known version
+ * @returns {Object} Document of the current version
+ * @throws {SchemaError} If the document isn't an object or its version is unknown or newer
+ */
+export function migrateMorpherJSON(json) {
+  return migrate(json);
+}
+
+/**
+ * Check that the indices in a document refer to existing items
+ *
+ * Triangle and constraint indices must be below the point count, region
+ * triangles below the triangle count and the color matching reference
+ * below the image count, and all images must have as many points as the
+ * first one. Values of the wrong type are left to the schema.
+ *
+ * @param {Object} json - Document to check
+ * @returns {Array<{path: string, message: string}>} Problems found (empty if valid)
+ */
+export function checkMorpherReferences(json) {
+  const errors = [];
+  if (typeOf(json) !== 'object') {
+    return errors;
+  }
+
+  const list = (value) => (Array.isArray(value) ? value : []);
+  const checkIndices = (indices, path, count, noun) => {
+    list(indices).forEach((index, i) => {
+      if (Number.isInteger(index) && index >= count) {
+        errors.push({ path: `${path}[${i}]`, message: `must be less than the ${noun} count (${count})` });
+      }
+    });
+  };
+
+  // Images without a points list are left alone, their points come later
+  const images = list(json.images);
+  const first = images.findIndex((image) => Array.isArray(image?.points));
+  if (first !== -1) {
+    const pointCount = images[first].points.length;
+    images.forEach((image, i) => {
+      if (Array.isArray(image?.points) && image.points.length !== pointCount) {
+        errors.push({
+          path: `images[${i}].points`,
+          message: `must have ${pointCount} points like images[${first}], not ${image.points.length}`
+        });
+      }
+    });
+    list(json.triangles).forEach((triangle, i) => checkIndices(triangle, `triangles[${i}]`, pointCount, 'point'));
+    list(json.constraints).forEach((edge, i) => checkIndices(edge, `constraints[${i}]`, pointCount, 'point'));
+  }
+
+  if (Array.isArray(json.triangles)) {
+    list(json.regions).forEach((region, i) => {
+      if (typeOf(region) === 'object') {
+        checkIndices(region.triangles, `regions[${i}].triangles`, json.triangles.length, 'triangle');
+      }
+    });
+  }
+
+  const reference = json.colorMatching?.reference;
+  if (Array.isArray(json.images) && Number.isInteger(reference) && reference >= images.length) {
+    errors.push({ path: 'colorMatching.reference', message: `must be less than the image count (${images.length})` });
+  }
+
+  return errors;
+}
+
+/**
+ * Check a current-version Morpher.toJSON() document against the schema and
+ * for indices that refer to missing items
+ *
+ * @param {Object} json - Document to check
+ * @returns {Array<{path: string, message: string}>} Problems found (empty if valid)
+ */
+export function validateMorpherJSON(json) {
+  const errors = validateSchema(morpherSchema, json);
+  return errors.concat(checkMorpherReferences(json));
+}
@@ -0,0 +1,26 @@
+/**
+ * sRGB Transfer Function
+ *
+ * Conversions between sRGB-encoded channel values (0-255) and linear light
+ * (0-1). Averaging colors is only physically meaningful in linear light;
+ * averaging the encoded values darkens midtones.
+ */
+
+/**
+ * Linear light of each sRGB channel value, indexed by value (0-255)
+ * @type {Float64Array}
+ */
+export const SRGB_TO_LINEAR = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Encode linear light as an sRGB channel value
+ * @param {number} c - Linear light (0-1)
+ * @returns {number} Channel value (0-255), neither rounded nor clamped
+ */
+export function linearToSrgb(c) {
+  return 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+}
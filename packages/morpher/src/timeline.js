@@ -0,0 +1,321 @@
+import { EventDispatcher } from './event-dispatcher.js';
+
+/**
+ * Timeline
+ *
+ * Plays a sequence of weight keyframes with per-segment easing.
+ * Supports looping, ping-pong playback, seeking, pausing and playback rate.
+ *
+ * A timeline only computes weights - it is driven by Morpher, which calls
+ * update() with the clock time on every frame (see Morpher.playTimeline()).
+ *
+ * Keyframe format:
+ * {
+ *   time: number,          // Milliseconds from the start of the timeline
+ *   weights: number[],     // Image weights at this keyframe
+ *   easing: Function|null  // Easing for the segment to the next keyframe
+ * }
+ *
+ * Events:
+ * - 'play', 'pause', 'seek' - Playback state changed
+ * - 'keyframe' (timeline, index, keyframe) - Playhead reached a keyframe
+ * - 'complete' (timeline) - Playback reached the end
+ *
+ * @class Timeline
+ * @extends EventDispatcher
+ */
+export class Timeline extends EventDispatcher {
+  keyframes = null;
+  duration = 0;
+
+  loop = false;
+  pingPong = false;
+  playbackRate = 1;
+
+  position = 0;
+  playing = false;
+  lastTime = null;
+  includeStart = false;
+
+  /**
+   * Create a new Timeline
+   *
+   * @param {Array<Object>} keyframes - Keyframes ({time, weights, easing}), in any order
+   * @param {Object} [options={}] - Playback options
+   * @param {boolean|number} [options.loop=false] - Repeat forever (true) or a number of times
+   * @param {boolean} [options.pingPong=false] - Play backwards after each forward pass
+   * @param {number} [options.playbackRate=1] - Speed multiplier
+   */
+  constructor(keyframes, options = {}) {
+    super();
+
+    if (!Array.isArray(keyframes) || keyframes.length === 0) {
+      throw new Error('Timeline requires at least one keyframe');
+    }
+
+    this.keyframes = keyframes.map((keyframe, i) => {
+      if (!keyframe || typeof keyframe.time !== 'number' || !Number.isFinite(keyframe.time) || keyframe.time < 0) {
+        throw new Error(`Keyframe ${i} must have a non-negative time`);
+      }
+      if (!Array.isArray(keyframe.weights)) {
+        throw new Error(`Keyframe ${i} must have a weights array`);
+      }
+      return {
+        time: keyframe.time,
+        weights: keyframe.weights.slice(),
+        easing: typeof keyframe.easing === 'function' ? keyframe.easing : null
+      };
+    });
+    this.keyframes.sort((a, b) => a.time - b.time);
+    this.duration = this.keyframes[this.keyframes.length - 1].time;
+
+    this.loop = options.loop || false;
+    this.pingPong = !!options.pingPong;
+    this.setPlaybackRate(options.playbackRate !== undefined ? options.playbackRate : 1);
+  }
+
+  // Playback
+
+  /**
+   * Start playing from the beginning
+   */
+  play() {
+    this.seek(0, { silent: true });
+    this.includeStart = true;
+    this.resume();
+  }
+
+  /**
+   * Pause playback at the current position
+   */
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    this.lastTime = null;
+    this.trigger('pause', this);
+  }
+
+  /**
+   * Continue playback from the current position
+   */
+  resume() {
+    if (this.playing) return;
+    if (this.isComplete()) {
+      this.seek(0, { silent: true });
+      this.includeStart = true;
+    }
+    this.playing = true;
+    this.lastTime = null;
+    this.trigger('play', this);
+  }
+
+  /**
+   * Jump to a position
+   *
+   * Keyframes between the old and new position don't emit events.
+   *
+   * @param {number} time - Position in milliseconds (across all loop passes)
+   * @param {Object} [params={}] - Optional parameters
+   * @param {boolean} [params.silent=false] - Suppress seek event
+   */
+  seek(time, params = {}) {
+    this.position = Math.min(Math.max(0, time || 0), this.getTotalDuration());
+    this.lastTime = null;
+    this.includeStart = false;
+
+    if (!params.silent) {
+      this.trigger('seek', this);
+    }
+  }
+
+  /**
+   * Set playback speed
+   * @param {number} rate - Speed multiplier (1 = normal speed, 0 = frozen)
+   */
+  setPlaybackRate(rate) {
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0) {
+      console.warn('Playback rate must be a non-negative number');
+      return;
+    }
+    this.playbackRate = rate;
+  }
+
+  /**
+   * Check if timeline is playing
+   * @returns {boolean} True if playing
+   */
+  isPlaying() {
+    return this.playing;
+  }
+
+  /**
+   * Check if playback reached the end
+   * @returns {boolean} True if complete (never for infinite loops)
+   */
+  isComplete() {
+    return this.position >= this.getTotalDuration();
+  }
+
+  /**
+   * Get length of all passes combined
+   * @returns {number} Total duration in milliseconds (Infinity when looping forever)
+   */
+  getTotalDuration() {
+    if (this.duration === 0) return 0;
+
+    const passes = this.pingPong ? 2 : 1;
+    if (this.loop === true) return Infinity;
+    const iterations = typeof this.loop === 'number' ? Math.max(1, Math.floor(this.loop)) : 1;
+    return this.duration * passes * iterations;
+  }
+
+  /**
+   * Advance playback to the given clock time
+   *
+   * @param {number} now - Clock time in milliseconds
+   * @returns {number[]} Weights at the new position
+   */
+  update(now) {
+    if (this.playing) {
+      const from = this.position;
+
+      if (this.lastTime !== null) {
+        const total = this.getTotalDuration();
+        this.position = Math.min(total, this.position + (now - this.lastTime) * this.playbackRate);
+      }
+      this.lastTime = now;
+
+      this.triggerKeyframes(from, this.position, this.includeStart);
+      this.includeStart = false;
+
+      if (this.isComplete()) {
+        this.playing = false;
+        this.lastTime = null;
+        this.trigger('complete', this);
+      }
+    }
+
+    return this.getWeightsAt(this.position);
+  }
+
+  // Interpolation
+
+  /**
+   * Map a playback position to a time within the keyframes
+   * @param {number} position - Position in milliseconds (across all loop passes)
+   * @returns {number} Time between 0 and duration
+   */
+  getLocalTime(position) {
+    if (this.duration === 0) return 0;
+
+    const total = this.getTotalDuration();
+    let pass;
+    let offset;
+
+    if (position >= total) {
+      pass = Math.round(total / this.duration) - 1;
+      offset = this.duration;
+    } else {
+      pass = Math.floor(position / this.duration);
+      offset = position - pass * this.duration;
+    }
+
+    return this.pingPong && pass % 2 === 1 ? this.duration - offset : offset;
+  }
+
+  /**
+   * Get interpolated weights at a playback position
+   * @param {number} position - Position in milliseconds (across all loop passes)
+   * @returns {number[]} Weights
+   */
+  getWeightsAt(position) {
+    const time = this.getLocalTime(position);
+    const keyframes = this.keyframes;
+    const last = keyframes[keyframes.length - 1];
+
+    if (time <= keyframes[0].time) return keyframes[0].weights.slice();
+    if (time >= last.time) return last.weights.slice();
+
+    let i = 0;
+    while (keyframes[i + 1].time <= time) i++;
+
+    const a = keyframes[i];
+    const b = keyframes[i + 1];
+    let progress = (time - a.time) / (b.time - a.time);
+    if (a.easing) {
+      progress = a.easing(progress);
+    }
+
+    const weights = [];
+    const length = Math.max(a.weights.length, b.weights.length);
+    for (let j = 0; j < length; j++) {
+      const w0 = a.weights[j] || 0;
+      const w1 = b.weights[j] || 0;
+      weights.push(w0 * (1 - progress) + w1 * progress);
+    }
+    return weights;
+  }
+
+  /**
+   * Trigger keyframe events for keyframes reached between two positions
+   *
+   * @param {number} from - Previous position (exclusive unless includeStart)
+   * @param {number} to - New position (inclusive)
+   * @param {boolean} includeStart - Also trigger keyframes exactly at `from`
+   * @private
+   */
+  triggerKeyframes(from, to, includeStart) {
+    const keyframes = this.keyframes;
+
+    if (this.duration === 0) {
+      if (includeStart) {
+        keyframes.forEach((keyframe, i) => this.trigger('keyframe', this, i, keyframe));
+      }
+      return;
+    }
+
+    const totalPasses = this.getTotalDuration() / this.duration;
+    const lastPass = Math.min(Math.floor(to / this.duration), totalPasses - 1);
+    // After a long stall only report the most recent passes
+    const firstPass = Math.max(Math.floor(from / this.duration), lastPass - 1);
+
+    for (let pass = firstPass; pass <= lastPass; pass++) {
+      const backward = this.pingPong && pass % 2 === 1;
+      const start = pass * this.duration;
+
+      for (let k = 0; k < keyframes.length; k++) {
+        const i = backward ? keyframes.length - 1 - k : k;
+        const offset = backward ? this.duration - keyframes[i].time : keyframes[i].time;
+
+        // Pass boundaries coincide with the previous pass's last keyframe,
+        // which ping-pong playback must not report twice
+        if (offset === 0 && pass > 0 && this.pingPong) continue;
+
+        const position = start + offset;
+        if ((position > from || (includeStart && position === from)) && position <= to) {
+          this.trigger('keyframe', this, i, keyframes[i]);
+        }
+      }
+    }
+  }
+
+  // Memory Management
+
+  /**
+   * Dispose of timeline and clean up resources
+   */
+  dispose() {
+    this.playing = false;
+    this.keyframes = null;
+    this.off();
+    this._disposed = true;
+  }
+
+  /**
+   * Check if timeline has been disposed
+   * @returns {boolean} True if disposed
+   */
+  isDisposed() {
+    return this._disposed === true;
+  }
+}
@@ -0,0 +1,532 @@
+/**
+ * Triangulation
+ *
+ * Constrained Delaunay triangulation of a point set. Points are inserted
+ * with Bowyer-Watson, constrained edges are recovered by flipping the edges
+ * they cross, and the remaining edges are flipped until the mesh is
+ * Delaunay again (constrained edges are never flipped).
+ *
+ * Works on plain {x, y} objects and index triplets so it doesn't depend on
+ * Mesh; see Mesh.triangulate() and Mesh.insertPoint().
+ *
+ * Constraint format: [i, j] - point indices that must be joined by an edge.
+ * A constraint passing exactly through other points is split at them.
+ *
+ * Triangles are returned counter-clockwise (in a y-up frame) so orientation
+ * can be compared between images, see findFlippedTriangles().
+ */
+
+/**
+ * Twice the signed area of a triangle
+ *
+ * @param {{x: number, y: number}} a - First point
+ * @param {{x: number, y: number}} b - Second point
+ * @param {{x: number, y: number}} c - Third point
+ * @returns {number} Positive if counter-clockwise, negative if clockwise, 0 if collinear
+ */
+export function orientation(a, b, c) {
+  return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+/**
+ * Check if a point lies strictly inside the circumcircle of a counter-clockwise triangle
+ *
+ * Point insertion uses the exact test; edge flipping passes a relative
+ * tolerance so cocircular points don't flip back and forth.
+ *
+ * @private
+ */
+function inCircumcircle(p, a, b, c, tolerance = 0) {
+  const ax = a.x - p.x;
+  const ay = a.y - p.y;
+  const bx = b.x - p.x;
+  const by = b.y - p.y;
+  const cx = c.x - p.x;
+  const cy = c.y - p.y;
+  const a2 = ax * ax + ay * ay;
+  const b2 = bx * bx + by * by;
+  const c2 = cx * cx + cy * cy;
+  const det = a2 * (bx * cy - cx * by) - b2 * (ax * cy - cx * ay) + c2 * (ax * by - bx * ay);
+
+  const scale = a2 + b2 + c2;
+  return det > tolerance * scale * scale;
+}
+
+/**
+ * Check if two segments cross at a point interior to both
+ * @private
+ */
+function segmentsCross(p1, p2, q1, q2) {
+  const o1 = orientation(p1, p2, q1);
+  const o2 = orientation(p1, p2, q2);
+  const o3 = orientation(q1, q2, p1);
+  const o4 = orientation(q1, q2, p2);
+  return o1 * o2 < 0 && o3 * o4 < 0;
+}
+
+/**
+ * Order a triplet counter-clockwise
+ * @private
+ */
+function orient(triangle, points) {
+  const [a, b, c] = triangle;
+  return orientation(points[a], points[b], points[c]) < 0 ? [a, c, b] : triangle;
+}
+
+/**
+ * Check if a triangle has (close to) zero area
+ * @private
+ */
+function isDegenerate(a, b, c) {
+  const longest = Math.max(
+    (b.x - a.x) ** 2 + (b.y - a.y) ** 2,
+    (c.x - b.x) ** 2 + (c.y - b.y) ** 2,
+    (a.x - c.x) ** 2 + (a.y - c.y) ** 2
+  );
+  return longest === 0 || Math.abs(orientation(a, b, c)) <= longest * 1e-9;
+}
+
+/**
+ * Order-independent key for an edge
+ * @private
+ */
+function edgeKey(i, j) {
+  return i < j ? `${i},${j}` : `${j},${i}`;
+}
+
+/**
+ * Map each edge to the triangles sharing it
+ * @private
+ */
+function buildEdgeMap(triangles) {
+  const edges = new Map();
+  triangles.forEach((triangle, t) => {
+    for (let k = 0; k < 3; k++) {
+      const key = edgeKey(triangle[k], triangle[(k + 1) % 3]);
+      if (!edges.has(key)) edges.set(key, []);
+      edges.get(key).push(t);
+    }
+  });
+  return edges;
+}
+
+/**
+ * Get the vertex of a triangle that isn't on the given edge
+ * @private
+ */
+function opposite(triangle, u, v) {
+  return triangle.find((i) => i !== u && i !== v);
+}
+
+/**
+ * Check if a point is usable (finite coordinates)
+ * @private
+ */
+function isValidPoint(point) {
+  return !!point && Number.isFinite(point.x) && Number.isFinite(point.y);
+}
+
+/**
+ * Split constraints at points lying exactly on them and drop invalid ones
+ *
+ * @param {Array<{x: number, y: number}>} points - Points
+ * @param {Array<number[]>} constraints - Constrained edges ([i, j])
+ * @returns {Array<number[]>} Constraint segments that contain no other points
+ * @private
+ */
+function splitConstraints(points, constraints) {
+  const segments = [];
+
+  for (const constraint of constraints) {
+    if (!Array.isArray(constraint)) continue;
+    const [a, b] = constraint;
+    if (a === b || !isValidPoint(points[a]) || !isValidPoint(points[b])) continue;
+
+    const pa = points[a];
+    const pb = points[b];
+    const dx = pb.x - pa.x;
+    const dy = pb.y - pa.y;
+    const length2 = dx * dx + dy * dy;
+    if (length2 === 0) continue;
+
+    const between = [];
+    points.forEach((point, i) => {
+      if (i === a || i === b || !isValidPoint(point)) return;
+      const t = ((point.x - pa.x) * dx + (point.y - pa.y) * dy) / length2;
+      if (t <= 0 || t >= 1) return;
+      if (Math.abs(orientation(pa, pb, point)) <= length2 * 1e-9) {
+        between.push({ i, t });
+      }
+    });
+    between.sort((p, q) => p.t - q.t);
+
+    let previous = a;
+    for (const { i } of between) {
+      segments.push([previous, i]);
+      previous = i;
+    }
+    segments.push([previous, b]);
+  }
+
+  return segments;
+}
+
+/**
+ * Replace the triangles of a cavity with a fan around a new point
+ *
+ * @param {Array<number[]>} triangles - Current triangles
+ * @param {Set<number>} cavity - Indices of triangles to remove
+ * @param {number} index - Index of the new point
+ * @returns {Array<number[]>} New triangle list (untouched triangles keep their order)
+ * @private
+ */
+function fillCavity(triangles, cavity, index) {
+  const boundary = new Map();
+
+  for (const t of cavity) {
+    const triangle = triangles[t];
+    for (let k = 0; k < 3; k++) {
+      const u = triangle[k];
+      const v = triangle[(k + 1) % 3];
+      const key = edgeKey(u, v);
+      if (boundary.has(key)) {
+        boundary.delete(key);
+      } else {
+        boundary.set(key, [u, v]);
+      }
+    }
+  }
+
+  const result = triangles.filter((_, t) => !cavity.has(t));
+  // Cavity edges keep the winding of their triangle, so the fan stays counter-clockwise
+  for (const [u, v] of boundary.values()) {
+    result.push([u, v, index]);
+  }
+  return result;
+}
+
+/**
+ * Insert a point with Bowyer-Watson, ignoring constraints
+ * @private
+ */
+function insertUnconstrained(points, triangles, index) {
+  const p = points[index];
+  const cavity = new Set();
+
+  triangles.forEach(([a, b, c], t) => {
+    if (inCircumcircle(p, points[a], points[b], points[c])) {
+      cavity.add(t);
+    }
+  });
+
+  // Every point of the super triangle's interior lies in some triangle
+  if (cavity.size === 0) return triangles;
+  return fillCavity(triangles, cavity, index);
+}
+
+/**
+ * Recover a constrained edge by flipping the edges crossing it
+ *
+ * @returns {boolean} True if the edge is now part of the triangulation
+ * @private
+ */
+function recoverEdge(points, triangles, a, b, constrained) {
+  const pa = points[a];
+  const pb = points[b];
+  const crosses = (u, v) => u !== a && u !== b && v !== a && v !== b &&
+    segmentsCross(pa, pb, points[u], points[v]);
+
+  const queue = [];
+  const seen = new Set();
+  for (const triangle of triangles) {
+    for (let k = 0; k < 3; k++) {
+      const u = triangle[k];
+      const v = triangle[(k + 1) % 3];
+      const key = edgeKey(u, v);
+      if (!seen.has(key) && crosses(u, v)) {
+        seen.add(key);
+        queue.push([u, v]);
+      }
+    }
+  }
+
+  if (queue.some(([u, v]) => constrained.has(edgeKey(u, v)))) {
+    console.warn(`Constraint ${a}-${b} crosses another constraint and was ignored`);
+    return false;
+  }
+
+  // Each crossing edge can be deferred a bounded number of times (Sloan's algorithm)
+  let guard = queue.length * queue.length + 16;
+  while (queue.length > 0 && guard-- > 0) {
+    const [u, v] = queue.shift();
+    const shared = [];
+    triangles.forEach((triangle, t) => {
+      if (triangle.includes(u) && triangle.includes(v)) shared.push(t);
+    });
+    if (shared.length !== 2) continue;
+
+    const p = opposite(triangles[shared[0]], u, v);
+    const q = opposite(triangles[shared[1]], u, v);
+
+    // Only convex quadrilaterals can be flipped
+    if (!segmentsCross(points[u], points[v], points[p], points[q])) {
+      queue.push([u, v]);
+      continue;
+    }
+
+    triangles[shared[0]] = orient([u, p, q], points);
+    triangles[shared[1]] = orient([v, q, p], points);
+
+    if (crosses(p, q)) {
+      queue.push([p, q]);
+    }
+  }
+
+  return queue.length === 0;
+}
+
+/**
+ * Flip non-constrained edges until every triangle is locally Delaunay
+ * @private
+ */
+function restoreDelaunay(points, triangles, constrained) {
+  let flipped = true;
+  let passes = 0;
+
+  while (flipped && passes++ < 100) {
+    flipped = false;
+    const edges = buildEdgeMap(triangles);
+    const touched = new Set();
+
+    for (const [key, shared] of edges) {
+      if (shared.length !== 2 || constrained.has(key)) continue;
+      const [t1, t2] = shared;
+      if (touched.has(t1) || touched.has(t2)) continue;
+
+      const [u, v] = key.split(',').map(Number);
+      const p = opposite(triangles[t1], u, v);
+      const q = opposite(triangles[t2], u, v);
+      const [a, b, c] = triangles[t1];
+
+      if (inCircumcircle(points[q], points[a], points[b], points[c], 1e-10) &&
+          segmentsCross(points[u], points[v], points[p], points[q])) {
+        triangles[t1] = orient([u, p, q], points);
+        triangles[t2] = orient([v, q, p], points);
+        touched.add(t1);
+        touched.add(t2);
+        flipped = true;
+      }
+    }
+  }
+}
+
+/**
+ * Apply constraints to a Delaunay triangulation
+ * @private
+ */
+function enforceConstraints(points, triangles, constraints) {
+  const constrained = new Set();
+
+  for (const [a, b] of splitConstraints(points, constraints)) {
+    const key = edgeKey(a, b);
+    constrained.add(key);
+    if (buildEdgeMap(triangles).has(key)) continue;
+
+    if (!recoverEdge(points, triangles, a, b, constrained)) {
+      constrained.delete(key);
+    }
+  }
+
+  restoreDelaunay(points, triangles, constrained);
+  return triangles;
+}
+
+/**
+ * Triangulate points, keeping constrained edges
+ *
+ * Duplicate points and points with non-finite coordinates are skipped.
+ * Returns an empty list if fewer than three distinct, non-collinear points exist.
+ *
+ * @param {Array<{x: number, y: number}>} points - Points
+ * @param {Array<number[]>} [constraints=[]] - Edges that must be kept ([i, j])
+ * @returns {Array<number[]>} Triangles as counter-clockwise point index triplets
+ */
+export function triangulate(points, constraints = []) {
+  const seen = new Set();
+  const indices = [];
+  points.forEach((point, i) => {
+    if (!isValidPoint(point)) return;
+    const key = `${point.x},${point.y}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    indices.push(i);
+  });
+  if (indices.length < 3) return [];
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const i of indices) {
+    minX = Math.min(minX, points[i].x);
+    minY = Math.min(minY, points[i].y);
+    maxX = Math.max(maxX, points[i].x);
+    maxY = Math.max(maxY, points[i].y);
+  }
+
+  const size = Math.max(maxX - minX, maxY - minY) || 1;
+  const midX = (minX + maxX) / 2;
+  const midY = (minY + maxY) / 2;
+
+  // Work on a copy with a super triangle enclosing all points
+  const work = points.map((point) => (isValidPoint(point) ? { x: point.x, y: point.y } : null));
+  const s = work.length;
+  work.push(
+    { x: midX - 20 * size, y: midY - size },
+    { x: midX + 20 * size, y: midY - size },
+    { x: midX, y: midY + 20 * size }
+  );
+
+  let triangles = [orient([s, s + 1, s + 2], work)];
+  for (const i of indices) {
+    triangles = insertUnconstrained(work, triangles, i);
+  }
+
+  triangles = triangles.filter((triangle) => triangle.every((i) => i < s) &&
+    !isDegenerate(points[triangle[0]], points[triangle[1]], points[triangle[2]]));
+
+  return enforceConstraints(points, triangles, constraints);
+}
+
+/**
+ * Insert a point into an existing constrained triangulation
+ *
+ * Only triangles whose circumcircle contains the new point (and that can
+ * be reached without crossing a constrained edge) are replaced; all other
+ * triangles keep their order. Points outside the current mesh or lying on
+ * a constrained edge fall back to a full triangulate().
+ *
+ * @param {Array<{x: number, y: number}>} points - Points, including the new one
+ * @param {Array<number[]>} triangles - Current triangles
+ * @param {number} index - Index of the new point
+ * @param {Array<number[]>} [constraints=[]] - Edges that must be kept ([i, j])
+ * @returns {Array<number[]>} New triangles
+ */
+export function insertPoint(points, triangles, index, constraints = []) {
+  const p = points[index];
+  if (!isValidPoint(p)) return triangles.map((triangle) => triangle.slice());
+
+  const current = triangles.map((triangle) => orient(triangle.slice(), points));
+  if (current.length === 0) return triangulate(points, constraints);
+
+  // Same position as an existing vertex - nothing to connect
+  for (const triangle of current) {
+    for (const i of triangle) {
+      if (points[i].x === p.x && points[i].y === p.y) return current;
+    }
+  }
+
+  const constrained = new Set(splitConstraints(points, constraints).map(([a, b]) => edgeKey(a, b)));
+
+  const start = current.findIndex(([a, b, c]) => orientation(points[a], points[b], p) >= 0 &&
+    orientation(points[b], points[c], p) >= 0 &&
+    orientation(points[c], points[a], p) >= 0);
+  if (start === -1) return triangulate(points, constraints);
+
+  const startTriangle = current[start];
+  for (let k = 0; k < 3; k++) {
+    const u = startTriangle[k];
+    const v = startTriangle[(k + 1) % 3];
+    if (orientation(points[u], points[v], p) === 0 && constrained.has(edgeKey(u, v))) {
+      return triangulate(points, constraints);
+    }
+  }
+
+  // Grow the cavity across non-constrained edges only
+  const edges = buildEdgeMap(current);
+  const cavity = new Set([start]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const triangle = current[queue.shift()];
+    for (let k = 0; k < 3; k++) {
+      const key = edgeKey(triangle[k], triangle[(k + 1) % 3]);
+      if (constrained.has(key)) continue;
+      for (const t of edges.get(key)) {
+        if (cavity.has(t)) continue;
+        const [a, b, c] = current[t];
+        if (inCircumcircle(p, points[a], points[b], points[c])) {
+          cavity.add(t);
+          queue.push(t);
+        }
+      }
+    }
+  }
+
+  return fillCavity(current, cavity, index);
+}
+
+/**
+ * Find triangles that are flipped, degenerate or overlapping compared to a reference
+ *
+ * A triangle is 'flipped' when its orientation differs from the same triangle
+ * in the reference points, 'degenerate' when it has (close to) zero area, and
+ * 'overlap' when it surrounds an interior vertex whose angles add up to more
+ * than a full turn - i.e. neighbouring triangles fold over each other.
+ *
+ * @param {Array<number[]>} triangles - Point index triplets
+ * @param {Array<{x: number, y: number}>} points - Points to check
+ * @param {Array<{x: number, y: number}>} referencePoints - Points defining the expected orientation
+ * @returns {Array<{index: number, reason: string}>} Problems, ordered by triangle index
+ */
+export function findFlippedTriangles(triangles, points, referencePoints) {
+  const reasons = new Map();
+
+  triangles.forEach(([a, b, c], t) => {
+    if (!points[a] || !points[b] || !points[c]) return;
+    if (isDegenerate(points[a], points[b], points[c])) {
+      reasons.set(t, 'degenerate');
+      return;
+    }
+    if (!referencePoints[a] || !referencePoints[b] || !referencePoints[c]) return;
+    const expected = Math.sign(orientation(referencePoints[a], referencePoints[b], referencePoints[c]));
+    if (expected !== 0 && Math.sign(orientation(points[a], points[b], points[c])) !== expected) {
+      reasons.set(t, 'flipped');
+    }
+  });
+
+  // Interior vertices: every incident edge is shared by two triangles
+  const edges = buildEdgeMap(triangles);
+  const boundary = new Set();
+  for (const [key, shared] of edges) {
+    if (shared.length < 2) {
+      key.split(',').forEach((i) => boundary.add(Number(i)));
+    }
+  }
+
+  const angles = new Map();
+  const incident = new Map();
+  triangles.forEach((triangle, t) => {
+    for (let k = 0; k < 3; k++) {
+      const i = triangle[k];
+      const p = points[i];
+      const q = points[triangle[(k + 1) % 3]];
+      const r = points[triangle[(k + 2) % 3]];
+      if (!p || !q || !r) continue;
+
+      const angle = Math.abs(Math.atan2(orientation(p, q, r), (q.x - p.x) * (r.x - p.x) + (q.y - p.y) * (r.y - p.y)));
+      angles.set(i, (angles.get(i) || 0) + angle);
+      if (!incident.has(i)) incident.set(i, []);
+      incident.get(i).push(t);
+    }
+  });
+
+  for (const [i, sum] of angles) {
+    if (boundary.has(i) || sum <= 2 * Math.PI + 1e-6) continue;
+    for (const t of incident.get(i)) {
+      if (!reasons.has(t)) reasons.set(t, 'overlap');
+    }
+  }
+
+  return Array.from(reasons, ([index, reason]) => ({ index, reason }))
+    .sort((p, q) => p.index - q.index);
+}
@@ -0,0 +1,410 @@
+/**
+ * Warp Modes
+ *
+ * Smooth alternatives to the piecewise-affine triangle warp. A warp function
+ * is fitted to the mesh points and evaluated at the nodes of a regular grid
+ * over the output (the displacement grid); each grid cell is then drawn as
+ * two small affine triangles, so the warp has no kinks along mesh edges.
+ *
+ * Warps map output (mesh) positions back to source (image) positions, the
+ * same direction Triangle.draw() samples the source.
+ *
+ * - Thin-plate spline: interpolates the points exactly with minimal bending
+ * - Moving least squares (affine): locally weighted affine fit per position,
+ *   see Schaefer et al., "Image Deformation Using Moving Least Squares" (2006)
+ *
+ * Both reproduce a global affine transform exactly, so a mesh that is only
+ * moved, scaled or sheared renders the same as with triangles.
+ */
+
+export const defaultWarpOptions = {
+  regularization: 0,     // Thin-plate spline smoothing (0 = exact interpolation)
+  alpha: 1               // Moving least squares falloff exponent
+};
+
+/**
+ * Remove control point pairs that share a position with an earlier pair
+ * @private
+ */
+function uniquePairs(from, to) {
+  const seen = new Set();
+  const pairs = [];
+
+  for (let i = 0; i < Math.min(from.length, to.length); i++) {
+    const key = `${from[i].x},${from[i].y}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    pairs.push([from[i], to[i]]);
+  }
+
+  return pairs;
+}
+
+/**
+ * Solve a dense linear system in place with Gaussian elimination
+ *
+ * @param {Array<Float64Array>} matrix - Square matrix (rows)
+ * @param {Array<Float64Array>} rhs - Right-hand sides (rows, one column per system)
+ * @returns {boolean} False if the matrix is singular
+ * @private
+ */
+function solve(matrix, rhs) {
+  const n = matrix.length;
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+    }
+    if (Math.abs(matrix[pivot][col]) < 1e-12) return false;
+
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = matrix[row][col] / matrix[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k < n; k++) matrix[row][k] -= factor * matrix[col][k];
+      for (let k = 0; k < rhs[row].length; k++) rhs[row][k] -= factor * rhs[col][k];
+    }
+  }
+
+  for (let row = 0; row < n; row++) {
+    for (let k = 0; k < rhs[row].length; k++) rhs[row][k] /= matrix[row][row];
+  }
+  return true;
+}
+
+/**
+ * Thin-plate spline radial basis (r² log r², from the squared distance)
+ * @private
+ */
+function radialBasis(r2) {
+  return r2 === 0 ? 0 : r2 * Math.log(r2);
+}
+
+/**
+ * Fit a thin-plate spline mapping one point set onto another
+ *
+ * @param {Array<{x: number, y: number}>} from - Control points in the input space
+ * @param {Array<{x: number, y: number}>} to - Matching points in the output space
+ * @param {Object} [options={}] - Options (see defaultWarpOptions)
+ * @returns {Function|null} (x, y) => {x, y}, or null if fewer than 3 non-collinear points
+ */
+export function createThinPlateSpline(from, to, options = {}) {
+  const { regularization } = { ...defaultWarpOptions, ...options };
+  const pairs = uniquePairs(from, to);
+  const n = pairs.length;
+  if (n < 3) return null;
+
+  // Work in a unit-sized frame to keep the system well conditioned
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const [p] of pairs) {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  }
+  const scale = Math.max(maxX - minX, maxY - minY) || 1;
+  const controls = pairs.map(([p]) => ({ x: (p.x - minX) / scale, y: (p.y - minY) / scale }));
+
+  const size = n + 3;
+  const matrix = Array.from({ length: size }, () => new Float64Array(size));
+  const rhs = Array.from({ length: size }, () => new Float64Array(2));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      const dx = controls[i].x - controls[j].x;
+      const dy = controls[i].y - controls[j].y;
+      matrix[i][j] = radialBasis(dx * dx + dy * dy);
+    }
+    matrix[i][i] += regularization;
+    matrix[i][n] = matrix[n][i] = 1;
+    matrix[i][n + 1] = matrix[n + 1][i] = controls[i].x;
+    matrix[i][n + 2] = matrix[n + 2][i] = controls[i].y;
+    rhs[i][0] = pairs[i][1].x;
+    rhs[i][1] = pairs[i][1].y;
+  }
+
+  if (!solve(matrix, rhs)) return null;
+
+  return (x, y) => {
+    const u = (x - minX) / scale;
+    const v = (y - minY) / scale;
+    let rx = rhs[n][0] + rhs[n + 1][0] * u + rhs[n + 2][0] * v;
+    let ry = rhs[n][1] + rhs[n + 1][1] * u + rhs[n + 2][1] * v;
+
+    for (let i = 0; i < n; i++) {
+      const dx = u - controls[i].x;
+      const dy = v - controls[i].y;
+      const basis = radialBasis(dx * dx + dy * dy);
+      rx += rhs[i][0] * basis;
+      ry += rhs[i][1] * basis;
+    }
+
+    return { x: rx, y: ry };
+  };
+}
+
+/**
+ * Create an affine moving-least-squares deformation
+ *
+ * @param {Array<{x: number, y: number}>} from - Control points in the input space
+ * @param {Array<{x: number, y: number}>} to - Matching points in the output space
+ * @param {Object} [options={}] - Options (see defaultWarpOptions)
+ * @returns {Function|null} (x, y) => {x, y}, or null if fewer than 3 points
+ */
+export function createMovingLeastSquares(from, to, options = {}) {
+  const { alpha } = { ...defaultWarpOptions, ...options };
+  const pairs = uniquePairs(from, to);
+  if (pairs.length < 3) return null;
+
+  const weights = new Float64Array(pairs.length);
+
+  return (x, y) => {
+    let total = 0;
+    for (let i = 0; i < pairs.length; i++) {
+      const [p, q] = pairs[i];
+      const d2 = (p.x - x) ** 2 + (p.y - y) ** 2;
+      if (d2 === 0) return { x: q.x, y: q.y };
+      weights[i] = 1 / d2 ** alpha;
+      total += weights[i];
+    }
+
+    // Weighted centroids
+    let px = 0;
+    let py = 0;
+    let qx = 0;
+    let qy = 0;
+    for (let i = 0; i < pairs.length; i++) {
+      const [p, q] = pairs[i];
+      px += weights[i] * p.x;
+      py += weights[i] * p.y;
+      qx += weights[i] * q.x;
+      qy += weights[i] * q.y;
+    }
+    px /= total;
+    py /= total;
+    qx /= total;
+    qy /= total;
+
+    // M = (Σ w p̂ᵀp̂)⁻¹ Σ w p̂ᵀq̂
+    let a = 0;
+    let b = 0;
+    let d = 0;
+    let m00 = 0;
+    let m01 = 0;
+    let m10 = 0;
+    let m11 = 0;
+    for (let i = 0; i < pairs.length; i++) {
+      const [p, q] = pairs[i];
+      const w = weights[i];
+      const hx = p.x - px;
+      const hy = p.y - py;
+      const kx = q.x - qx;
+      const ky = q.y - qy;
+      a += w * hx * hx;
+      b += w * hx * hy;
+      d += w * hy * hy;
+      m00 += w * hx * kx;
+      m01 += w * hx * ky;
+      m10 += w * hy * kx;
+      m11 += w * hy * ky;
+    }
+
+    const det = a * d - b * b;
+    const vx = x - px;
+    const vy = y - py;
+
+    // Collinear neighbourhood - only the translation is defined
+    if (Math.abs(det) < 1e-12 * (a + d) * (a + d)) {
+      return { x: vx + qx, y: vy + qy };
+    }
+
+    const ix = (d * vx - b * vy) / det;
+    const iy = (a * vy - b * vx) / det;
+    return {
+      x: ix * m00 + iy * m10 + qx,
+      y: ix * m01 + iy * m11 + qy
+    };
+  };
+}
+
+// Displacement Grid
+
+/**
+ * Create a grid of nodes covering a set of points
+ *
+ * @param {Array<{x: number, y: number}>} points - Points to cover (output positions)
+ * @param {number} cellSize - Distance between nodes in pixels
+ * @returns {{left: number, top: number, cols: number, rows: number, cellSize: number}} Grid
+ */
+export function createWarpGrid(points, cellSize) {
+  let left = Infinity;
+  let top = Infinity;
+  let right = -Infinity;
+  let bottom = -Infinity;
+
+  for (const point of points) {
+    left = Math.min(left, point.x);
+    top = Math.min(top, point.y);
+    right = Math.max(right, point.x);
+    bottom = Math.max(bottom, point.y);
+  }
+
+  if (!Number.isFinite(left)) {
+    return { left: 0, top: 0, cols: 0, rows: 0, cellSize };
+  }
+
+  left = Math.floor(left);
+  top = Math.floor(top);
+  return {
+    left,
+    top,
+    cols: Math.max(1, Math.ceil((right - left) / cellSize)),
+    rows: Math.max(1, Math.ceil((bottom - top) / cellSize)),
+    cellSize
+  };
+}
+
+/**
+ * Evaluate a warp at every grid node
+ *
+ * @param {Object} grid - Grid from createWarpGrid()
+ * @param {Function} warp - (x, y) => {x, y}
+ * @returns {Float64Array} Warped positions, x and y interleaved, row by row
+ */
+export function mapWarpGrid(grid, warp) {
+  const coords = new Float64Array((grid.cols + 1) * (grid.rows + 1) * 2);
+  let k = 0;
+
+  for (let row = 0; row <= grid.rows; row++) {
+    for (let col = 0; col <= grid.cols; col++) {
+      const position = warp(grid.left + col * grid.cellSize, grid.top + row * grid.cellSize);
+      coords[k++] = position.x;
+      coords[k++] = position.y;
+    }
+  }
+
+  return coords;
+}
+
+/**
+ * Draw a source triangle onto a destination triangle with an affine transform
+ * @private
+ */
+function drawAffineTriangle(source, ctx, s0, s1, s2, d0, d1, d2) {
+  const sx1 = s1.x - s0.x;
+  const sy1 = s1.y - s0.y;
+  const sx2 = s2.x - s0.x;
+  const sy2 = s2.y - s0.y;
+  const det = sx1 * sy2 - sx2 * sy1;
+  if (Math.abs(det) < 1e-9) return;
+
+  const dx1 = d1.x - d0.x;
+  const dy1 = d1.y - d0.y;
+  const dx2 = d2.x - d0.x;
+  const dy2 = d2.y - d0.y;
+
+  const a = (dx1 * sy2 - dx2 * sy1) / det;
+  const c = (dx2 * sx1 - dx1 * sx2) / det;
+  const b = (dy1 * sy2 - dy2 * sy1) / det;
+  const d = (dy2 * sx1 - dy1 * sx2) / det;
+  const e = d0.x - a * s0.x - c * s0.y;
+  const f = d0.y - b * s0.x - d * s0.y;
+
+  // Grow the clip slightly around the centroid to avoid seams between cells
+  const cx = (s0.x + s1.x + s2.x) / 3;
+  const cy = (s0.y + s1.y + s2.y) / 3;
+  const grow = (p) => {
+    const length = Math.hypot(p.x - cx, p.y - cy) || 1;
+    return { x: p.x + ((p.x - cx) * 0.5) / length, y: p.y + ((p.y - cy) * 0.5) / length };
+  };
+  const corners = [grow(s0), grow(s1), grow(s2)];
+
+  const left = Math.max(0, Math.floor(Math.min(corners[0].x, corners[1].x, corners[2].x)));
+  const top = Math.max(0, Math.floor(Math.min(corners[0].y, corners[1].y, corners[2].y)));
+  const right = Math.min(source.width, Math.ceil(Math.max(corners[0].x, corners[1].x, corners[2].x)));
+  const bottom = Math.min(source.height, Math.ceil(Math.max(corners[0].y, corners[1].y, corners[2].y)));
+  if (right <= left || bottom <= top) return;
+
+  ctx.save();
+  ctx.setTransform(a, b, c, d, e, f);
+  ctx.beginPath();
+  ctx.moveTo(corners[0].x, corners[0].y);
+  ctx.lineTo(corners[1].x, corners[1].y);
+  ctx.lineTo(corners[2].x, corners[2].y);
+  ctx.closePath();
+  ctx.clip();
+  ctx.drawImage(source, left, top, right - left, bottom - top, left, top, right - left, bottom - top);
+  ctx.restore();
+}
+
+/**
+ * Draw a warped source through a displacement grid
+ *
+ * Only cells overlapping the given triangles are drawn, clipped to the
+ * triangles, so the output covers the same area as the triangle warp.
+ *
+ * @param {HTMLCanvasElement} source - Source canvas
+ * @param {CanvasRenderingContext2D} ctx - Destination context
+ * @param {Object} grid - Grid from createWarpGrid()
+ * @param {Float64Array} coords - Source positions of the grid nodes (see mapWarpGrid())
+ * @param {Array<Triangle>} triangles - Output triangles to fill
+ */
+export function drawWarpGrid(source, ctx, grid, coords, triangles) {
+  const { left, top, cols, rows, cellSize } = grid;
+  if (cols === 0 || rows === 0 || triangles.length === 0) return;
+
+  // Mark cells overlapping each triangle's bounds
+  const cells = new Uint8Array(cols * rows);
+  for (const { p1, p2, p3 } of triangles) {
+    const c0 = Math.max(0, Math.floor((Math.min(p1.x, p2.x, p3.x) - left) / cellSize));
+    const c1 = Math.min(cols - 1, Math.floor((Math.max(p1.x, p2.x, p3.x) - left) / cellSize));
+    const r0 = Math.max(0, Math.floor((Math.min(p1.y, p2.y, p3.y) - top) / cellSize));
+    const r1 = Math.min(rows - 1, Math.floor((Math.max(p1.y, p2.y, p3.y) - top) / cellSize));
+    for (let row = r0; row <= r1; row++) {
+      cells.fill(1, row * cols + c0, row * cols + c1 + 1);
+    }
+  }
+
+  const node = (col, row) => {
+    const k = (row * (cols + 1) + col) * 2;
+    return { x: coords[k], y: coords[k + 1] };
+  };
+  const position = (col, row) => ({ x: left + col * cellSize, y: top + row * cellSize });
+
+  ctx.save();
+  ctx.beginPath();
+  for (const { p1, p2, p3 } of triangles) {
+    ctx.moveTo(p1.x, p1.y);
+    ctx.lineTo(p2.x, p2.y);
+    ctx.lineTo(p3.x, p3.y);
+    ctx.closePath();
+  }
+  ctx.clip();
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (!cells[row * cols + col]) continue;
+
+      const s00 = node(col, row);
+      const s10 = node(col + 1, row);
+      const s01 = node(col, row + 1);
+      const s11 = node(col + 1, row + 1);
+      const d00 = position(col, row);
+      const d10 = position(col + 1, row);
+      const d01 = position(col, row + 1);
+      const d11 = position(col + 1, row + 1);
+
+      drawAffineTriangle(source, ctx, s00, s10, s01, d00, d10, d01);
+      drawAffineTriangle(source, ctx, s10, s11, s01, d10, d11, d01);
+    }
+  }
+
+  ctx.restore();
+}
@@ -0,0 +1,341 @@
+/**
+ * WebGL Renderer
+ *
+ * Optional GPU rendering path. Each image's source canvas is uploaded as a
+ * texture and the mesh is drawn as textured triangles, one pass per image,
+ * with the image weight applied in the fragment shader and passes combined
+ * with additive blending (same result as Morpher.defaultBlendFunction).
+ *
+ * This replaces the per-triangle save/clip/drawImage/restore of the 2D path,
+ * which dominates frame time for meshes with hundreds of triangles.
+ *
+ * Shaders use GLSL ES 1.00 so the renderer runs on WebGL2 as well as WebGL1
+ * implementations such as headless-gl.
+ */
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+attribute vec2 a_texCoord;
+uniform vec2 u_resolution;
+uniform vec2 u_textureSize;
+varying vec2 v_texCoord;
+
+void main() {
+  vec2 clip = (a_position / u_resolution) * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_texCoord = a_texCoord / u_textureSize;
+}
+`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_texture;
+uniform float u_weight;
+varying vec2 v_texCoord;
+
+void main() {
+  vec4 color = texture2D(u_texture, v_texCoord);
+  gl_FragColor = vec4(color.rgb * color.a, color.a) * u_weight;
+}
+`;
+
+/**
+ * WebGLRenderer
+ *
+ * Renders into its own WebGL canvas; Morpher copies the result onto the
+ * 2D output canvas so blend-independent features (finalTouchFunction,
+ * toDataURL, exports) keep working unchanged.
+ *
+ * @class WebGLRenderer
+ */
+export class WebGLRenderer {
+  canvas = null;
+  gl = null;
+  program = null;
+  buffer = null;
+  locations = null;
+  textures = null;
+
+  /**
+   * Create a new WebGLRenderer
+   *
+   * @param {Function} canvasFactory - Creates the WebGL canvas (see environment.js)
+   * @throws {Error} If neither WebGL2 nor WebGL is available
+   */
+  constructor(canvasFactory) {
+    this.canvas = canvasFactory(1, 1, { offscreen: true });
+
+    const attributes = { premultipliedAlpha: true, preserveDrawingBuffer: true, antialias: false };
+    this.gl = this.canvas.getContext('webgl2', attributes) || this.canvas.getContext('webgl', attributes);
+
+    if (!this.gl) {
+      throw new Error('WebGL is not available');
+    }
+
+    this.textures = new Map();
+    this.initProgram();
+  }
+
+  /**
+   * Compile shaders and look up attribute/uniform locations
+   * @private
+   */
+  initProgram() {
+    const gl = this.gl;
+
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const log = gl.getShaderInfoLog(shader);
+        gl.deleteShader(shader);
+        throw new Error(`Failed to compile shader: ${log}`);
+      }
+      return shader;
+    };
+
+    const vertexShader = compile(gl.VERTEX_SHADER, VERTEX_SHADER);
+    const fragmentShader = compile(gl.FRAGMENT_SHADER, FRAGMENT_SHADER);
+
+    this.program = gl.createProgram();
+    gl.attachShader(this.program, vertexShader);
+    gl.attachShader(this.program, fragmentShader);
+    gl.linkProgram(this.program);
+
+    // Shaders are no longer needed once linked
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+
+    if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+      throw new Error(`Failed to link shader program: ${gl.getProgramInfoLog(this.program)}`);
+    }
+
+    this.locations = {
+      position: gl.getAttribLocation(this.program, 'a_position'),
+      texCoord: gl.getAttribLocation(this.program, 'a_texCoord'),
+      resolution: gl.getUniformLocation(this.program, 'u_resolution'),
+      textureSize: gl.getUniformLocation(this.program, 'u_textureSize'),
+      texture: gl.getUniformLocation(this.program, 'u_texture'),
+      weight: gl.getUniformLocation(this.program, 'u_weight')
+    };
+
+    this.buffer = gl.createBuffer();
+  }
+
+  /**
+   * Check if a WebGL renderer can be created
+   * @param {Function} canvasFactory - Canvas factory to test
+   * @returns {boolean} True if WebGL2 or WebGL is available
+   */
+  static isSupported(canvasFactory) {
+    try {
+      const canvas = canvasFactory(1, 1, { offscreen: true });
+      return !!(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+    } catch {
+      return false;
+    }
+  }
+
+  // Drawing
+
+  /**
+   * Render all images warped to the mesh
+   *
+   * @param {Image[]} images - Images to draw (appearance weights taken from each image)
+   * @param {Mesh} mesh - Target mesh
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   * @param {number[]|null} [indices=null] - Triangles to draw (all if null)
+   * @param {boolean} [clampWeights=false] - Clamp appearance weights to [0, 1] (extrapolation mode)
+   * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas holding the result
+   */
+  render(images, mesh, width, height, indices = null, clampWeights = false) {
+    const gl = this.gl;
+
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    gl.viewport(0, 0, width, height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.useProgram(this.program);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+
+    gl.uniform2f(this.locations.resolution, width, height);
+    gl.uniform1i(this.locations.texture, 0);
+    gl.activeTexture(gl.TEXTURE0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    gl.enableVertexAttribArray(this.locations.position);
+    gl.enableVertexAttribArray(this.locations.texCoord);
+    gl.vertexAttribPointer(this.locations.position, 2, gl.FLOAT, false, 16, 0);
+    gl.vertexAttribPointer(this.locations.texCoord, 2, gl.FLOAT, false, 16, 8);
+
+    this.pruneTextures(images);
+
+    for (const image of images) {
+      if (image.appearanceWeight <= 0 || !image.source || !image.source.width || !image.source.height) {
+        continue;
+      }
+
+      gl.bindTexture(gl.TEXTURE_2D, this.getTexture(image));
+      gl.uniform2f(this.locations.textureSize, image.source.width, image.source.height);
+      gl.uniform1f(this.locations.weight, clampWeights ? Math.min(1, image.appearanceWeight) : image.appearanceWeight);
+
+      const vertices = this.buildVertices(image, mesh, indices);
+      gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STREAM_DRAW);
+      gl.drawArrays(gl.TRIANGLES, 0, vertices.length / 4);
+    }
+
+    return this.canvas;
+  }
+
+  /**
+   * Build interleaved vertex data (x, y, u, v) for an image
+   *
+   * Positions come from the target mesh, texture coordinates from the
+   * image's own mesh in source canvas pixels.
+   *
+   * @param {Image} image - Image to draw
+   * @param {Mesh} mesh - Target mesh
+   * @param {number[]|null} [indices=null] - Triangles to include (all if null)
+   * @returns {Float32Array} Vertex data
+   * @private
+   */
+  buildVertices(image, mesh, indices = null) {
+    const count = Math.min(image.triangles.length, mesh.triangles.length);
+    const selected = indices ? indices.filter((t) => t < count) : Array.from({ length: count }, (_, t) => t);
+    const vertices = new Float32Array(selected.length * 12);
+    let i = 0;
+
+    for (const t of selected) {
+      const from = image.triangles[t];
+      const to = mesh.triangles[t];
+
+      for (const key of ['p1', 'p2', 'p3']) {
+        vertices[i++] = to[key].x;
+        vertices[i++] = to[key].y;
+        vertices[i++] = from[key].x;
+        vertices[i++] = from[key].y;
+      }
+    }
+
+    return vertices;
+  }
+
+  // Textures
+
+  /**
+   * Get texture for an image, uploading its source if it changed
+   * @param {Image} image - Image
+   * @returns {WebGLTexture} Texture
+   * @private
+   */
+  getTexture(image) {
+    const gl = this.gl;
+    let entry = this.textures.get(image);
+
+    if (!entry) {
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      entry = { texture, version: -1 };
+      this.textures.set(image, entry);
+    }
+
+    if (entry.version !== image.sourceVersion) {
+      gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+      this.uploadSource(image.source);
+      entry.version = image.sourceVersion;
+    }
+
+    return entry.texture;
+  }
+
+  /**
+   * Upload a source canvas to the bound texture
+   *
+   * Canvas-like objects that WebGL can't consume directly (e.g. node-canvas)
+   * are uploaded from their pixel data.
+   *
+   * @param {HTMLCanvasElement|OffscreenCanvas|Object} source - Source canvas
+   * @private
+   */
+  uploadSource(source) {
+    const gl = this.gl;
+
+    // Colors are premultiplied in the shader
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+
+    const isDOMSource = (typeof HTMLCanvasElement !== 'undefined' && source instanceof HTMLCanvasElement) ||
+      (typeof OffscreenCanvas !== 'undefined' && source instanceof OffscreenCanvas);
+
+    if (isDOMSource) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    } else {
+      const imageData = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+      const pixels = new Uint8Array(imageData.data.buffer, imageData.data.byteOffset, imageData.data.byteLength);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, source.width, source.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    }
+  }
+
+  /**
+   * Delete textures of images that are no longer drawn
+   * @param {Image[]} images - Current images
+   * @private
+   */
+  pruneTextures(images) {
+    for (const [image, entry] of this.textures) {
+      if (!images.includes(image)) {
+        this.gl.deleteTexture(entry.texture);
+        this.textures.delete(image);
+      }
+    }
+  }
+
+  // Memory Management
+
+  /**
+   * Dispose of GPU resources
+   */
+  dispose() {
+    const gl = this.gl;
+
+    if (gl) {
+      for (const entry of this.textures.values()) {
+        gl.deleteTexture(entry.texture);
+      }
+      gl.deleteBuffer(this.buffer);
+      gl.deleteProgram(this.program);
+
+      const loseContext = gl.getExtension('WEBGL_lose_context');
+      if (loseContext) {
+        loseContext.loseContext();
+      }
+    }
+
+    this.textures = null;
+    this.program = null;
+    this.buffer = null;
+    this.gl = null;
+    this.canvas = null;
+    this._disposed = true;
+  }
+
+  /**
+   * Check if renderer has been disposed
+   * @returns {boolean} True if disposed
+   */
+  isDisposed() {
+    return this._disposed === true;
+  }
+}
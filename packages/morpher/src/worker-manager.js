@@ -9,18 +9,33 @@
  * - Promise-based API for worker communication
  * - Worker pooling for parallel operations
  * - Graceful fallback when workers unavailable
+ *
+ * Requests carry an id that workers echo back, so several requests can be
+ * in flight on the same worker. Pixel and point buffers are transferred
+ * rather than copied.
  */
 
+import { encodeGIF } from './gif-encoder.js';
+import { findCorrespondences, refinePoint } from './correspondence.js';
+import { blendKernels } from './blend-kernels.js';
+
 export class WorkerManager {
   meshWorker = null;
   blendWorker = null;
+  gifWorker = null;
+  correspondenceWorker = null;
   workersSupported = false;
 
+  pending = null;
+  nextRequestID = 1;
+
   /**
    * Initialize worker manager
    */
   constructor() {
     this.workersSupported = typeof Worker !== 'undefined';
+    this.pending = new Map();
+    this.handleMessage = this.handleMessage.bind(this);
 
     if (this.workersSupported) {
       this.initializeWorkers();
@@ -53,21 +68,71 @@ export class WorkerManager {
       this.blendWorker.onerror = (error) => {
         console.error('Blend worker error:', error);
       };
+
+      this.meshWorker.addEventListener('message', this.handleMessage);
+      this.blendWorker.addEventListener('message', this.handleMessage);
     } catch (error) {
       console.warn('Failed to initialize Web Workers, falling back to main thread:', error);
       this.workersSupported = false;
     }
   }
 
+  /**
+   * Send a request to a worker
+   *
+   * @param {Worker} worker - Worker to send to
+   * @param {string} type - Message type
+   * @param {Object} data - Message data
+   * @param {Array<Transferable>} transfer - Buffers to transfer
+   * @param {number|null} timeout - Milliseconds before the request is rejected (null for none)
+   * @returns {Promise<Object>} Response data
+   * @private
+   */
+  request(worker, type, data, transfer, timeout) {
+    const id = this.nextRequestID++;
+
+    return new Promise((resolve, reject) => {
+      const timer = timeout === null ? null : setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Worker timeout: ${type}`));
+      }, timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      worker.postMessage({ type, id, data }, transfer);
+    });
+  }
+
+  /**
+   * Resolve the pending request a worker response belongs to
+   * @param {MessageEvent} e - Worker message
+   * @private
+   */
+  handleMessage(e) {
+    const { type, id, data } = e.data;
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    this.pending.delete(id);
+
+    if (type.endsWith('Error')) {
+      request.reject(new Error(data.error));
+    } else {
+      request.resolve(data);
+    }
+  }
+
   /**
    * Update mesh using worker (or main thread fallback)
    *
+   * Point buffers are transferred to the worker and can't be used afterwards.
+   *
    * @param {Object} data - Mesh calculation data
-   * @param {Array} data.meshPoints - Current mesh points
-   * @param {Array} data.images - Image data with positions, weights, and points
+   * @param {number} data.pointCount - Number of mesh points
+   * @param {Array} data.images - Images as {x, y, weight, points: Float64Array [x0, y0, x1, y1, ...]}
    * @param {number} data.canvasWidth - Canvas width
    * @param {number} data.canvasHeight - Canvas height
-   * @returns {Promise<Array>} Updated mesh points
+   * @returns {Promise<Float64Array>} Updated mesh points [x0, y0, x1, y1, ...]
    */
   async updateMesh(data) {
     if (!this.workersSupported || !this.meshWorker) {
@@ -75,28 +140,9 @@ export class WorkerManager {
       return this.updateMeshSync(data);
     }
 
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Mesh worker timeout'));
-      }, 5000);
-
-      const handler = (e) => {
-        clearTimeout(timeout);
-        this.meshWorker.removeEventListener('message', handler);
-
-        if (e.data.type === 'meshUpdated') {
-          resolve(e.data.data.points);
-        } else {
-          reject(new Error('Unexpected worker response'));
-        }
-      };
-
-      this.meshWorker.addEventListener('message', handler);
-      this.meshWorker.postMessage({
-        type: 'updateMesh',
-        data
-      });
-    });
+    const transfer = data.images.map((img) => img.points.buffer);
+    const response = await this.request(this.meshWorker, 'updateMesh', data, transfer, 5000);
+    return response.points;
   }
 
   /**
@@ -104,31 +150,38 @@ export class WorkerManager {
    * @private
    */
   updateMeshSync(data) {
-    const { meshPoints, images, canvasWidth, canvasHeight } = data;
+    const { pointCount, images, canvasWidth, canvasHeight } = data;
 
     const x0 = canvasWidth / 2;
     const y0 = canvasHeight / 2;
+    const points = new Float64Array(pointCount * 2);
 
-    return meshPoints.map((point, i) => {
+    for (let i = 0; i < pointCount; i++) {
       let x = x0;
       let y = y0;
 
       for (const img of images) {
-        x += (img.x + img.points[i].x - x0) * img.weight;
-        y += (img.y + img.points[i].y - y0) * img.weight;
+        x += (img.x + img.points[i * 2] - x0) * img.weight;
+        y += (img.y + img.points[i * 2 + 1] - y0) * img.weight;
       }
 
-      return { x, y };
-    });
+      points[i * 2] = x;
+      points[i * 2 + 1] = y;
+    }
+
+    return points;
   }
 
   /**
    * Perform software blend using worker (or main thread fallback)
    *
+   * Both pixel buffers are transferred to the worker and can't be used
+   * afterwards; use the returned image data instead.
+   *
    * @param {ImageData} destination - Destination image data
    * @param {ImageData} source - Source image data
    * @param {number} weight - Blend weight (0-1)
-   * @param {string} [mode='additive'] - Blend mode (additive, multiply, screen)
+   * @param {string} [mode='additive'] - Blend mode (additive, multiply, screen, or a name from blendKernels)
    * @returns {Promise<ImageData>} Blended image data
    */
   async softwareBlend(destination, source, weight, mode = 'additive') {
@@ -137,36 +190,20 @@ export class WorkerManager {
       return this.softwareBlendSync(destination, source, weight, mode);
     }
 
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Blend worker timeout'));
-      }, 10000);
-
-      const handler = (e) => {
-        clearTimeout(timeout);
-        this.blendWorker.removeEventListener('message', handler);
-
-        if (e.data.type === 'blendComplete') {
-          resolve(e.data.data.result);
-        } else if (e.data.type === 'blendError') {
-          reject(new Error(e.data.data.error));
-        } else {
-          reject(new Error('Unexpected worker response'));
-        }
-      };
-
-      this.blendWorker.addEventListener('message', handler);
-
-      // Map mode to worker message type
-      const messageType = mode === 'multiply' ? 'multiplyBlend' :
-                          mode === 'screen' ? 'screenBlend' :
-                          'softwareBlend';
-
-      this.blendWorker.postMessage({
-        type: messageType,
-        data: { destination, source, weight }
-      });
-    });
+    // Map mode to worker message type
+    const messageType = mode === 'multiply' ? 'multiplyBlend' :
+                        mode === 'screen' ? 'screenBlend' :
+                        blendKernels[mode] ? 'kernelBlend' :
+                        'softwareBlend';
+
+    const response = await this.request(
+      this.blendWorker,
+      messageType,
+      { destination, source, weight, mode },
+      [destination.data.buffer, source.data.buffer],
+      10000
+    );
+    return response.result;
   }
 
   /**
@@ -174,16 +211,22 @@ export class WorkerManager {
    * @private
    */
   softwareBlendSync(destination, source, weight, mode = 'additive') {
+    if (blendKernels[mode]) {
+      return blendKernels[mode](destination, source, weight);
+    }
+
     const dData = destination.data;
     const sData = source.data;
     const length = Math.min(dData.length, sData.length);
 
     switch (mode) {
       case 'multiply':
+        // Transparent destination pixels take the weighted source, as in the canvas composite
         for (let i = 0; i < length; i += 4) {
-          dData[i] = (dData[i] * sData[i] * weight) / 255;
-          dData[i + 1] = (dData[i + 1] * sData[i + 1] * weight) / 255;
-          dData[i + 2] = (dData[i + 2] * sData[i + 2] * weight) / 255;
+          const da = dData[i + 3] / 255;
+          dData[i] = (1 - da) * sData[i] * weight + (da * dData[i] * sData[i] * weight) / 255;
+          dData[i + 1] = (1 - da) * sData[i + 1] * weight + (da * dData[i + 1] * sData[i + 1] * weight) / 255;
+          dData[i + 2] = (1 - da) * sData[i + 2] * weight + (da * dData[i + 2] * sData[i + 2] * weight) / 255;
           dData[i + 3] = Math.max(dData[i + 3], sData[i + 3] * weight);
         }
         break;
@@ -209,10 +252,139 @@ export class WorkerManager {
     return destination;
   }
 
+  /**
+   * Encode frames as an animated GIF using worker (or main thread fallback)
+   *
+   * The GIF worker is only created on first use since most sessions never export.
+   *
+   * @param {Array<ImageData>} frames - Frames of equal size
+   * @param {Object} [options={}] - Encoding options
+   * @param {number} [options.delay=100] - Delay between frames in milliseconds
+   * @param {number} [options.loop=0] - Repeat count (0 = forever, -1 = play once)
+   * @returns {Promise<Uint8Array>} GIF file contents
+   */
+  async encodeGIF(frames, options = {}) {
+    if (this.workersSupported && !this.gifWorker) {
+      try {
+        this.gifWorker = new Worker(
+          new URL('./workers/gif-worker.js', import.meta.url),
+          { type: 'module' }
+        );
+        this.gifWorker.onerror = (error) => {
+          console.error('GIF worker error:', error);
+        };
+        this.gifWorker.addEventListener('message', this.handleMessage);
+      } catch (error) {
+        console.warn('Failed to initialize GIF worker, falling back to main thread:', error);
+      }
+    }
+
+    if (!this.gifWorker) {
+      return encodeGIF(frames, options);
+    }
+
+    const response = await this.request(
+      this.gifWorker,
+      'encodeGIF',
+      { frames, delay: options.delay, loop: options.loop },
+      [],
+      null // Long exports can legitimately take a while
+    );
+    return new Uint8Array(response.buffer);
+  }
+
+  /**
+   * Find corresponding points between two images using worker (or main thread fallback)
+   *
+   * Pixel buffers are transferred to the worker and can't be used afterwards.
+   *
+   * @param {ImageData} imageA - First image pixels
+   * @param {ImageData} imageB - Second image pixels
+   * @param {Object} [options={}] - Detection options (see correspondence.js)
+   * @returns {Promise<Array<Object>>} Matches ({a, b, score}), best first
+   */
+  async findCorrespondences(imageA, imageB, options = {}) {
+    const worker = this.getCorrespondenceWorker();
+
+    if (!worker) {
+      return findCorrespondences(imageA, imageB, options);
+    }
+
+    const response = await this.request(
+      worker,
+      'findCorrespondences',
+      { imageA, imageB, options },
+      [imageA.data.buffer, imageB.data.buffer],
+      30000
+    );
+    return response.matches;
+  }
+
+  /**
+   * Refine a point position using worker (or main thread fallback)
+   *
+   * Pixel buffers are transferred to the worker and can't be used afterwards.
+   *
+   * @param {ImageData} imageA - First image pixels
+   * @param {Object} pointA - Point in the first image ({x, y})
+   * @param {ImageData} imageB - Second image pixels
+   * @param {Object} pointB - Initial guess in the second image ({x, y})
+   * @param {Object} [options={}] - Refinement options (see correspondence.js)
+   * @returns {Promise<Object>} Refined position and confidence ({x, y, score})
+   */
+  async refinePoint(imageA, pointA, imageB, pointB, options = {}) {
+    const worker = this.getCorrespondenceWorker();
+
+    if (!worker) {
+      return refinePoint(imageA, pointA, imageB, pointB, options);
+    }
+
+    return this.request(
+      worker,
+      'refinePoint',
+      { imageA, pointA, imageB, pointB, options },
+      [imageA.data.buffer, imageB.data.buffer],
+      10000
+    );
+  }
+
+  /**
+   * Get the correspondence worker, creating it on first use
+   *
+   * Like the GIF worker, it isn't needed by most sessions.
+   *
+   * @returns {Worker|null} Worker, or null when workers are unavailable
+   * @private
+   */
+  getCorrespondenceWorker() {
+    if (this.workersSupported && !this.correspondenceWorker) {
+      try {
+        this.correspondenceWorker = new Worker(
+          new URL('./workers/correspondence-worker.js', import.meta.url),
+          { type: 'module' }
+        );
+        this.correspondenceWorker.onerror = (error) => {
+          console.error('Correspondence worker error:', error);
+        };
+        this.correspondenceWorker.addEventListener('message', this.handleMessage);
+      } catch (error) {
+        console.warn('Failed to initialize correspondence worker, falling back to main thread:', error);
+      }
+    }
+
+    return this.correspondenceWorker;
+  }
+
   /**
    * Dispose of workers and clean up resources
    */
   dispose() {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(new Error('Worker manager disposed'));
+    }
+    this.pending.clear();
+
     if (this.meshWorker) {
       this.meshWorker.terminate();
       this.meshWorker = null;
@@ -222,6 +394,16 @@ export class WorkerManager {
       this.blendWorker.terminate();
       this.blendWorker = null;
     }
+
+    if (this.gifWorker) {
+      this.gifWorker.terminate();
+      this.gifWorker = null;
+    }
+
+    if (this.correspondenceWorker) {
+      this.correspondenceWorker.terminate();
+      this.correspondenceWorker = null;
+    }
   }
 
   /**
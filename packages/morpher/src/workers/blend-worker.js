@@ -7,6 +7,7 @@
  * Message format (input):
  * {
  *   type: 'softwareBlend',
+ *   id: number,
  *   data: {
  *     destination: ImageData,
  *     source: ImageData,
@@ -17,26 +18,36 @@
  * Message format (output):
  * {
  *   type: 'blendComplete',
+ *   id: number,
  *   data: {
  *     result: ImageData
  *   }
  * }
+ *
+ * The request id is echoed back so callers can match responses to requests.
+ * The result's pixel buffer is transferred, not copied.
  */
 
+import { blendKernels } from '../blend-kernels.js';
+
 self.addEventListener('message', (e) => {
-  const { type, data } = e.data;
+  const { type, id, data } = e.data;
 
   switch (type) {
     case 'softwareBlend':
-      handleSoftwareBlend(data);
+      handleSoftwareBlend(data, id);
       break;
 
     case 'multiplyBlend':
-      handleMultiplyBlend(data);
+      handleMultiplyBlend(data, id);
       break;
 
     case 'screenBlend':
-      handleScreenBlend(data);
+      handleScreenBlend(data, id);
+      break;
+
+    case 'kernelBlend':
+      handleKernelBlend(data, id);
       break;
 
     default:
@@ -54,14 +65,16 @@ self.addEventListener('message', (e) => {
  * @param {ImageData} data.destination - Destination image data
  * @param {ImageData} data.source - Source image data
  * @param {number} data.weight - Blend weight (0-1)
+ * @param {number} [id] - Request id
  */
-function handleSoftwareBlend(data) {
+function handleSoftwareBlend(data, id) {
   const { destination, source, weight } = data;
 
   // Validate inputs
   if (!destination || !source || typeof weight !== 'number') {
     self.postMessage({
       type: 'blendError',
+      id,
       data: { error: 'Invalid blend parameters' }
     });
     return;
@@ -85,23 +98,22 @@ function handleSoftwareBlend(data) {
     dData[i + 2] = Math.min(255, dData[i + 2]);
   }
 
-  self.postMessage({
-    type: 'blendComplete',
-    data: { result: destination }
-  });
+  postResult(destination, id);
 }
 
 /**
  * Perform multiply blending
  *
  * @param {Object} data - Blend data
+ * @param {number} [id] - Request id
  */
-function handleMultiplyBlend(data) {
+function handleMultiplyBlend(data, id) {
   const { destination, source, weight } = data;
 
   if (!destination || !source || typeof weight !== 'number') {
     self.postMessage({
       type: 'blendError',
+      id,
       data: { error: 'Invalid blend parameters' }
     });
     return;
@@ -111,32 +123,34 @@ function handleMultiplyBlend(data) {
   const sData = source.data;
   const length = Math.min(dData.length, sData.length);
 
-  // Multiply blending: destination = destination * (source * weight)
+  // Multiply blending: destination = destination * (source * weight), like the
+  // canvas 'multiply' composite the weighted source shows where the destination
+  // is transparent
   for (let i = 0; i < length; i += 4) {
     const sw = weight;
-    dData[i] = (dData[i] * sData[i] * sw) / 255;         // R
-    dData[i + 1] = (dData[i + 1] * sData[i + 1] * sw) / 255; // G
-    dData[i + 2] = (dData[i + 2] * sData[i + 2] * sw) / 255; // B
+    const da = dData[i + 3] / 255;
+    dData[i] = (1 - da) * sData[i] * sw + (da * dData[i] * sData[i] * sw) / 255;                 // R
+    dData[i + 1] = (1 - da) * sData[i + 1] * sw + (da * dData[i + 1] * sData[i + 1] * sw) / 255; // G
+    dData[i + 2] = (1 - da) * sData[i + 2] * sw + (da * dData[i + 2] * sData[i + 2] * sw) / 255; // B
     dData[i + 3] = Math.max(dData[i + 3], sData[i + 3] * sw);
   }
 
-  self.postMessage({
-    type: 'blendComplete',
-    data: { result: destination }
-  });
+  postResult(destination, id);
 }
 
 /**
  * Perform screen blending
  *
  * @param {Object} data - Blend data
+ * @param {number} [id] - Request id
  */
-function handleScreenBlend(data) {
+function handleScreenBlend(data, id) {
   const { destination, source, weight } = data;
 
   if (!destination || !source || typeof weight !== 'number') {
     self.postMessage({
       type: 'blendError',
+      id,
       data: { error: 'Invalid blend parameters' }
     });
     return;
@@ -155,54 +169,43 @@ function handleScreenBlend(data) {
     dData[i + 3] = Math.max(dData[i + 3], sData[i + 3] * sw);
   }
 
-  self.postMessage({
-    type: 'blendComplete',
-    data: { result: destination }
-  });
+  postResult(destination, id);
 }
 
 /**
- * Batch blend operations for multiple images
- *
- * Processes multiple blend operations in sequence
+ * Perform a blend from the shared kernels (linear, overlay, dissolve, ...)
  *
- * @param {Object} data - Batch blend data
+ * @param {Object} data - Blend data
+ * @param {string} data.mode - Kernel name (see blendKernels)
+ * @param {number} [id] - Request id
  */
-function handleBatchBlend(data) {
-  const { operations } = data;
+function handleKernelBlend(data, id) {
+  const { destination, source, weight, mode } = data;
 
-  if (!Array.isArray(operations)) {
+  if (!destination || !source || typeof weight !== 'number' || !blendKernels[mode]) {
     self.postMessage({
       type: 'blendError',
-      data: { error: 'Invalid batch operations' }
+      id,
+      data: { error: 'Invalid blend parameters' }
     });
     return;
   }
 
-  const results = [];
-
-  for (const op of operations) {
-    const { type, destination, source, weight } = op;
-
-    switch (type) {
-      case 'additive':
-        handleSoftwareBlend({ destination, source, weight });
-        break;
-      case 'multiply':
-        handleMultiplyBlend({ destination, source, weight });
-        break;
-      case 'screen':
-        handleScreenBlend({ destination, source, weight });
-        break;
-    }
-
-    results.push(destination);
-  }
+  postResult(blendKernels[mode](destination, source, weight), id);
+}
 
+/**
+ * Send a blend result back, transferring its pixel buffer
+ *
+ * @param {ImageData} result - Blended image data
+ * @param {number} [id] - Request id
+ */
+function postResult(result, id) {
   self.postMessage({
-    type: 'batchBlendComplete',
-    data: { results }
-  });
+    type: 'blendComplete',
+    id,
+    data: { result }
+  }, [result.data.buffer]);
 }
 
 // Export for testing if running in Node.js environment
@@ -211,6 +214,6 @@ if (typeof module !== 'undefined' && module.exports) {
     handleSoftwareBlend,
     handleMultiplyBlend,
     handleScreenBlend,
-    handleBatchBlend
+    handleKernelBlend
   };
 }
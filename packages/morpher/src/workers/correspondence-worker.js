@@ -0,0 +1,119 @@
+/**
+ * Web Worker for feature correspondence
+ *
+ * Runs corner detection and patch matching off the main thread; both scale
+ * with image size and can take several hundred milliseconds.
+ *
+ * Message format (input):
+ * {
+ *   type: 'findCorrespondences',
+ *   id: number,
+ *   data: {
+ *     imageA: ImageData,
+ *     imageB: ImageData,
+ *     options: Object
+ *   }
+ * }
+ *
+ * Message format (output):
+ * {
+ *   type: 'correspondencesFound',
+ *   id: number,
+ *   data: {
+ *     matches: Array<{a: {x, y}, b: {x, y}, score}>
+ *   }
+ * }
+ *
+ * A 'refinePoint' message with {imageA, pointA, imageB, pointB, options}
+ * responds with 'pointRefined' and data {x, y, score}.
+ */
+
+import { findCorrespondences, refinePoint } from '../correspondence.js';
+
+self.addEventListener('message', (e) => {
+  const { type, id, data } = e.data;
+
+  switch (type) {
+    case 'findCorrespondences':
+      handleFindCorrespondences(data, id);
+      break;
+
+    case 'refinePoint':
+      handleRefinePoint(data, id);
+      break;
+
+    default:
+      console.warn(`Unknown worker message type: ${type}`);
+  }
+});
+
+/**
+ * Find matching points and send them back
+ *
+ * @param {Object} data - Detection data
+ * @param {ImageData} data.imageA - First image pixels
+ * @param {ImageData} data.imageB - Second image pixels
+ * @param {Object} [data.options] - Detection options
+ * @param {number} [id] - Request id
+ */
+function handleFindCorrespondences(data, id) {
+  if (!data || !data.imageA || !data.imageB) {
+    self.postMessage({
+      type: 'correspondenceError',
+      id,
+      data: { error: 'Invalid correspondence parameters' }
+    });
+    return;
+  }
+
+  try {
+    const matches = findCorrespondences(data.imageA, data.imageB, data.options);
+    self.postMessage({
+      type: 'correspondencesFound',
+      id,
+      data: { matches }
+    });
+  } catch (error) {
+    self.postMessage({
+      type: 'correspondenceError',
+      id,
+      data: { error: error.message }
+    });
+  }
+}
+
+/**
+ * Refine a point position and send it back with its confidence
+ *
+ * @param {Object} data - Refinement data
+ * @param {ImageData} data.imageA - First image pixels
+ * @param {Object} data.pointA - Point in the first image
+ * @param {ImageData} data.imageB - Second image pixels
+ * @param {Object} data.pointB - Initial guess in the second image
+ * @param {Object} [data.options] - Refinement options
+ * @param {number} [id] - Request id
+ */
+function handleRefinePoint(data, id) {
+  if (!data || !data.imageA || !data.imageB || !data.pointA || !data.pointB) {
+    self.postMessage({
+      type: 'correspondenceError',
+      id,
+      data: { error: 'Invalid refinement parameters' }
+    });
+    return;
+  }
+
+  try {
+    self.postMessage({
+      type: 'pointRefined',
+      id,
+      data: refinePoint(data.imageA, data.pointA, data.imageB, data.pointB, data.options)
+    });
+  } catch (error) {
+    self.postMessage({
+      type: 'correspondenceError',
+      id,
+      data: { error: error.message }
+    });
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Web Worker for GIF encoding
+ *
+ * Encodes exported animation frames off the main thread so long exports
+ * don't block the UI.
+ *
+ * Message format (input):
+ * {
+ *   type: 'encodeGIF',
+ *   id: number,
+ *   data: {
+ *     frames: Array<ImageData>,
+ *     delay: number,
+ *     loop: number
+ *   }
+ * }
+ *
+ * Message format (output):
+ * {
+ *   type: 'gifEncoded',
+ *   id: number,
+ *   data: {
+ *     buffer: ArrayBuffer
+ *   }
+ * }
+ */
+
+import { encodeGIF } from '../gif-encoder.js';
+
+self.addEventListener('message', (e) => {
+  const { type, id, data } = e.data;
+
+  switch (type) {
+    case 'encodeGIF':
+      handleEncodeGIF(data, id);
+      break;
+
+    default:
+      console.warn(`Unknown worker message type: ${type}`);
+  }
+});
+
+/**
+ * Encode frames and send the GIF back as a transferable buffer
+ *
+ * @param {Object} data - Encoding data
+ * @param {Array<ImageData>} data.frames - Frames to encode
+ * @param {number} data.delay - Delay between frames in milliseconds
+ * @param {number} data.loop - Repeat count (0 = forever)
+ * @param {number} [id] - Request id
+ */
+function handleEncodeGIF(data, id) {
+  if (!data || !Array.isArray(data.frames)) {
+    self.postMessage({
+      type: 'gifError',
+      id,
+      data: { error: 'Invalid GIF encoding parameters' }
+    });
+    return;
+  }
+
+  try {
+    const bytes = encodeGIF(data.frames, { delay: data.delay, loop: data.loop });
+    self.postMessage({
+      type: 'gifEncoded',
+      id,
+      data: { buffer: bytes.buffer }
+    }, [bytes.buffer]);
+  } catch (error) {
+    self.postMessage({
+      type: 'gifError',
+      id,
+      data: { error: error.message }
+    });
+  }
+}
@@ -7,9 +7,10 @@
  * Message format (input):
  * {
  *   type: 'updateMesh',
+ *   id: number,
  *   data: {
- *     meshPoints: [{x, y}, ...],
- *     images: [{x, y, weight, points: [{x, y}, ...]}, ...],
+ *     pointCount: number,
+ *     images: [{x, y, weight, points: Float64Array [x0, y0, x1, y1, ...]}, ...],
  *     canvasWidth: number,
  *     canvasHeight: number
  *   }
@@ -18,18 +19,21 @@
  * Message format (output):
  * {
  *   type: 'meshUpdated',
+ *   id: number,
  *   data: {
- *     points: [{x, y}, ...]
+ *     points: Float64Array [x0, y0, x1, y1, ...]
  *   }
  * }
+ *
+ * Point arrays are transferred in both directions.
  */
 
 self.addEventListener('message', (e) => {
-  const { type, data } = e.data;
+  const { type, id, data } = e.data;
 
   switch (type) {
     case 'updateMesh':
-      handleUpdateMesh(data);
+      handleUpdateMesh(data, id);
       break;
 
     default:
@@ -41,35 +45,39 @@ self.addEventListener('message', (e) => {
  * Calculate blended mesh positions based on image weights
  *
  * @param {Object} data - Calculation data
- * @param {Array} data.meshPoints - Current mesh points
- * @param {Array} data.images - Image data with positions, weights, and points
+ * @param {number} data.pointCount - Number of mesh points
+ * @param {Array} data.images - Image data with positions, weights, and packed points
  * @param {number} data.canvasWidth - Canvas width
  * @param {number} data.canvasHeight - Canvas height
+ * @param {number} [id] - Request id
  */
-function handleUpdateMesh(data) {
-  const { meshPoints, images, canvasWidth, canvasHeight } = data;
+function handleUpdateMesh(data, id) {
+  const { pointCount, images, canvasWidth, canvasHeight } = data;
 
   const x0 = canvasWidth / 2;
   const y0 = canvasHeight / 2;
+  const points = new Float64Array(pointCount * 2);
 
-  const updatedPoints = meshPoints.map((point, i) => {
+  for (let i = 0; i < pointCount; i++) {
     let x = x0;
     let y = y0;
 
     for (const img of images) {
-      x += (img.x + img.points[i].x - x0) * img.weight;
-      y += (img.y + img.points[i].y - y0) * img.weight;
+      x += (img.x + img.points[i * 2] - x0) * img.weight;
+      y += (img.y + img.points[i * 2 + 1] - y0) * img.weight;
     }
 
-    return { x, y };
-  });
+    points[i * 2] = x;
+    points[i * 2 + 1] = y;
+  }
 
   self.postMessage({
     type: 'meshUpdated',
+    id,
     data: {
-      points: updatedPoints
+      points
     }
-  });
+  }, [points.buffer]);
 }
 
 /**
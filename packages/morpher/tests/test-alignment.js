@@ -0,0 +1,210 @@
+/**
+ * Test script for image alignment
+ * Run with: node tests/test-alignment.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+import { alignPoints, applyTransform } from '../src/alignment.js';
+
+console.log('📐 Testing Image Alignment...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+      putImageData: () => {}
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+const near = (a, b, tolerance = 1e-6) => Math.abs(a - b) <= tolerance;
+
+// 3x3 grid of points over a 200x200 image
+const grid = [];
+for (let y = 0; y <= 2; y++) {
+  for (let x = 0; x <= 2; x++) {
+    grid.push({ x: x * 100, y: y * 100 });
+  }
+}
+
+// Same face photographed twice as large, slightly tilted and off-center
+const photo = { x: 30, y: 10, scale: 2, rotation: 0.1 };
+
+function createMorpher(params = {}) {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), ...params });
+  const images = [
+    { points: grid, size: 200 },
+    { points: grid.map((p) => applyTransform(photo, p)), size: 500 }
+  ];
+
+  for (const { points, size } of images) {
+    const image = new Image({ points }, { canvasFactory });
+    image.setImage(new FakeCanvas(size, size));
+    morpher.addImage(image);
+  }
+  for (let y = 0; y < 2; y++) {
+    for (let x = 0; x < 2; x++) {
+      const i = y * 3 + x;
+      morpher.addTriangle(i, i + 1, i + 3);
+      morpher.addTriangle(i + 1, i + 4, i + 3);
+    }
+  }
+  return morpher;
+}
+
+// Test 1: Procrustes fit
+await test('Fits the similarity transform between point sets', () => {
+  const transform = { x: -12, y: 40, scale: 0.5, rotation: -0.7 };
+  const moved = grid.map((p) => applyTransform(transform, p));
+  const fitted = alignPoints(grid, moved);
+
+  for (const key of ['x', 'y', 'scale', 'rotation']) {
+    assert(near(fitted[key], transform[key]), `Should recover ${key}, got ${fitted[key]}`);
+  }
+
+  const mirror = grid.map((p) => ({ x: -p.x, y: p.y }));
+  const unmirrored = alignPoints(grid, mirror);
+  assert(grid.some((p, i) => !near(applyTransform(unmirrored, p).x, mirror[i].x, 1)), 'Should never mirror');
+  assert(alignPoints(grid.slice(0, 1), grid.slice(0, 1)) === null, 'One point is not enough');
+  assert(alignPoints([{ x: 5, y: 5 }, { x: 5, y: 5 }], grid) === null, 'Coincident points are not enough');
+});
+
+// Test 2: Image transform
+await test('Maps image points through the image transform', () => {
+  const image = new Image({ points: grid }, { canvasFactory });
+  assert(!image.isTransformed(), 'New images are untransformed');
+
+  image.setTransform({ x: 10, scale: 2 });
+  assert(image.getY() === 0 && image.getRotation() === 0, 'Missing properties are unchanged');
+  const p = image.transformPoint({ x: 100, y: 50 });
+  assert(p.x === 210 && p.y === 100, `Should scale then move, got ${p.x},${p.y}`);
+  assert(image.isTransformed(), 'Scaled images are transformed');
+  image.dispose();
+});
+
+// Test 3: Auto-align
+await test('Aligns images onto the first one', () => {
+  const morpher = createMorpher();
+  let aligned = null;
+  morpher.on('align', (m, transforms) => { aligned = transforms; });
+
+  const transforms = morpher.autoAlign();
+  assert(aligned === transforms && transforms.length === 2, 'Should report a transform per image');
+  assert(transforms[0].scale === 1, 'First image keeps its transform');
+  assert(near(transforms[1].scale, 0.5) && near(transforms[1].rotation, -0.1), 'Should undo scale and rotation');
+
+  // Translation is rounded to whole pixels
+  const second = morpher.images[1];
+  for (let i = 0; i < grid.length; i++) {
+    const p = second.transformPoint(second.points[i]);
+    assert(near(p.x, grid[i].x, 0.5) && near(p.y, grid[i].y, 0.5), `Point ${i} should land on the first image`);
+  }
+
+  morpher.set([0.5, 0.5]);
+  morpher.drawNow();
+  assert(morpher.mesh.points.every((p, i) => near(p.x, grid[i].x, 0.5) && near(p.y, grid[i].y, 0.5)),
+    'Blended mesh should match both images');
+  assert(morpher.canvas.width < 500, 'Canvas should fit the scaled image');
+  morpher.dispose();
+});
+
+// Test 4: Point bounds
+await test('Keeps points of transformed images within the image', () => {
+  const morpher = createMorpher();
+  morpher.autoAlign();
+  const point = morpher.images[1].points[8];
+
+  point.setX(450);
+  assert(point.x === 450, 'Point may leave the canvas but stay on the image');
+  point.setX(600);
+  assert(point.x === 500, 'Point should be clamped to the image');
+  morpher.dispose();
+});
+
+// Test 5: Workers
+await test('Sends transformed points to workers', () => {
+  const morpher = createMorpher();
+  morpher.autoAlign();
+  const data = morpher.getMeshData();
+  const image = data.images[1];
+  const p = morpher.images[1].transformPoint(morpher.images[1].points[4]);
+
+  assert(image.x === 0 && image.y === 0, 'Offset is part of the points');
+  assert(image.points[8] === p.x && image.points[9] === p.y, 'Points should be in canvas space');
+  morpher.dispose();
+});
+
+// Test 6: JSON
+await test('Saves image transforms in JSON', () => {
+  const morpher = createMorpher();
+  assert(!('scale' in morpher.toJSON().images[0]), 'Default transform is not exported');
+
+  morpher.autoAlign();
+  const json = morpher.toJSON();
+  assert(near(json.images[1].scale, 0.5) && near(json.images[1].rotation, -0.1), 'Should export scale and rotation');
+
+  const restored = new Morpher({ canvasFactory, clock: new ManualClock(), ...json });
+  assert(restored.images[1].getScale() === json.images[1].scale, 'Should restore scale');
+  assert(restored.images[1].getRotation() === json.images[1].rotation, 'Should restore rotation');
+
+  json.images[1].scale = -2;
+  json.images[1].rotation = 'eval(1)';
+  const rejected = new Morpher({ canvasFactory, clock: new ManualClock(), ...json });
+  assert(rejected.images[1].getScale() === 1 && rejected.images[1].getRotation() === 0, 'Should ignore invalid transforms');
+
+  morpher.dispose();
+  restored.dispose();
+  rejected.dispose();
+});
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All alignment tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
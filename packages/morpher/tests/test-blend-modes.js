@@ -0,0 +1,195 @@
+/**
+ * Test script for the blend mode registry
+ * Run with: node tests/test-blend-modes.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { ManualClock } from '../src/environment.js';
+import { getWorkerManager } from '../src/worker-manager.js';
+import {
+  overlayBlend, softLightBlend, hardLightBlend, differenceBlend, luminosityBlend, dissolveBlend, blendKernels
+} from '../src/blend-kernels.js';
+
+console.log('🎚️  Testing Blend Modes...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+
+// Records the composite operation and alpha each drawImage call is made with
+class CompositeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.draws = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      drawImage: () => this.draws.push([this.ctx.globalCompositeOperation, this.ctx.globalAlpha])
+    };
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const pixels = (...values) => ({ width: values.length / 4, height: 1, data: new Uint8ClampedArray(values) });
+const rgb = (imageData) => Array.from(imageData.data.slice(0, 3));
+const same = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+async function loadWorker(path) {
+  const scope = { posted: [] };
+  const self = {
+    addEventListener: (type, listener) => (scope.listener = listener),
+    postMessage: (message, transfer = []) => scope.posted.push({ message, transfer })
+  };
+  globalThis.self = self;
+  await import(path);
+  scope.send = (message) => {
+    globalThis.self = self;
+    scope.listener({ data: message });
+    delete globalThis.self;
+  };
+  delete globalThis.self;
+  return scope;
+}
+
+// Test 1: Separable modes
+await test('Blends channels with the W3C formulas', () => {
+  const difference = differenceBlend(pixels(200, 100, 50, 255), pixels(50, 100, 200, 255), 1);
+  assert(same(rgb(difference), [150, 0, 150]), `Difference, got ${rgb(difference)}`);
+
+  const overlay = overlayBlend(pixels(64, 192, 0, 255), pixels(255, 0, 128, 255), 1);
+  assert(same(rgb(overlay), [128, 129, 0]), `Overlay, got ${rgb(overlay)}`);
+
+  const hardLight = hardLightBlend(pixels(64, 64, 64, 255), pixels(255, 0, 128, 255), 1);
+  assert(same(rgb(hardLight), [255, 0, 65]), `Hard light, got ${rgb(hardLight)}`);
+
+  const softLight = softLightBlend(pixels(64, 64, 64, 255), pixels(128, 0, 255, 255), 1);
+  assert(softLight.data[0] === 64 && softLight.data[1] < 64 && softLight.data[2] > 64, `Soft light, got ${rgb(softLight)}`);
+
+  const half = differenceBlend(pixels(200, 200, 200, 255), pixels(50, 50, 50, 255), 0.5);
+  assert(half.data[0] === 175 && half.data[3] === 255, 'Weight should fade between the backdrop and the blend');
+
+  const empty = overlayBlend(pixels(0, 0, 0, 0), pixels(10, 20, 30, 255), 0.5);
+  assert(same(rgb(empty), [10, 20, 30]) && empty.data[3] === 128, 'Without a backdrop the source is drawn as is');
+});
+
+// Test 2: Luminosity
+await test('Takes luminosity from the source and color from the backdrop', () => {
+  const gray = luminosityBlend(pixels(128, 128, 128, 255), pixels(255, 0, 0, 255), 1);
+  assert(same(rgb(gray), [76, 76, 76]), `Gray backdrop should take the red luminosity, got ${rgb(gray)}`);
+
+  const tinted = luminosityBlend(pixels(200, 100, 50, 255), pixels(255, 255, 255, 255), 1);
+  assert(same(rgb(tinted), [255, 255, 255]), 'Full luminosity should clip to white');
+
+  const kept = luminosityBlend(pixels(200, 100, 50, 255), pixels(122, 122, 122, 255), 1);
+  assert(kept.data[0] > kept.data[1] && kept.data[1] > kept.data[2], 'Backdrop hue should be kept');
+});
+
+// Test 3: Dissolve
+await test('Dissolves with seeded noise in proportion to the weights', () => {
+  const count = 10000;
+  const fill = (value, alpha) => ({ width: count, height: 1, data: new Uint8ClampedArray(count * 4).map((v, i) => (i % 4 === 3 ? alpha : value)) });
+  const render = (seed) => {
+    const result = dissolveBlend(fill(0, 0), fill(0, 255), 0.3, seed);
+    return dissolveBlend(result, fill(255, 255), 0.7, seed);
+  };
+
+  const result = render(0);
+  let white = 0;
+  for (let i = 0; i < result.data.length; i += 4) {
+    assert(result.data[i] === 0 || result.data[i] === 255, 'Each pixel should show one image');
+    assert(result.data[i + 3] === 255, 'Weights adding up to 1 should be opaque');
+    white += result.data[i] === 255 ? 1 : 0;
+  }
+  assert(Math.abs(white / count - 0.7) < 0.03, `About 70% should show the second image, got ${white / count}`);
+
+  assert(same(render(0).data, result.data), 'Same seed should give the same pattern');
+  assert(!same(render(1).data, result.data), 'Another seed should give another pattern');
+});
+
+// Test 4: Registry and JSON
+await test('Selects blend modes by name and stores them in JSON', () => {
+  const names = ['overlay', 'soft-light', 'hard-light', 'difference', 'luminosity', 'dissolve', 'linear'];
+  for (const name of names) {
+    const fn = Morpher.validateBlendFunction(name);
+    assert(typeof fn === 'function', `${name} should be registered`);
+    assert(Morpher.workerBlendModes[Morpher.blendFunctions[name]] === name, `${name} should have a worker kernel`);
+  }
+
+  const destination = new CompositeCanvas(2, 2);
+  Morpher.softLightBlendFunction(destination, new CompositeCanvas(2, 2), 0.4);
+  assert(same(destination.draws[0], ['soft-light', 0.4]), 'Should draw with the matching composite operation');
+  assert(destination.ctx.globalCompositeOperation === 'source-over' && destination.ctx.globalAlpha === 1, 'Should restore the context');
+
+  const params = { canvasFactory: (w, h) => new CompositeCanvas(w, h), clock: new ManualClock() };
+  const morpher = new Morpher({ ...params, blendFunction: 'overlay' });
+  assert(morpher.getBlendFunctionName() === 'overlay', 'Should report the name');
+  const json = morpher.toJSON();
+  assert(json.blendFunction === 'overlay', 'Should store the name');
+  const restored = new Morpher({ ...params, ...json });
+  assert(restored.blendFunction === Morpher.overlayBlendFunction, 'Should restore the mode');
+
+  morpher.setBlendFunction('additive');
+  assert(!('blendFunction' in morpher.toJSON()), 'Default blend is not stored');
+  morpher.setBlendFunction((destination, source, weight) => {});
+  assert(morpher.getBlendFunctionName() === null && !('blendFunction' in morpher.toJSON()), 'Custom functions are not stored');
+
+  morpher.dispose();
+  restored.dispose();
+});
+
+// Test 5: Worker path
+await test('Runs the kernels in the worker and its fallback', async () => {
+  const destination = () => pixels(200, 100, 50, 255, 0, 0, 0, 0);
+  const source = () => pixels(30, 160, 90, 255, 90, 20, 240, 200);
+
+  for (const [mode, kernel] of Object.entries(blendKernels)) {
+    const expected = kernel(destination(), source(), 0.6);
+    const fallback = await getWorkerManager().softwareBlend(destination(), source(), 0.6, mode);
+    assert(same(fallback.data, expected.data), `${mode} fallback should match the kernel`);
+  }
+
+  const worker = await loadWorker('../src/workers/blend-worker.js');
+  worker.send({ type: 'kernelBlend', id: 9, data: { destination: destination(), source: source(), weight: 0.6, mode: 'hard-light' } });
+  const { message } = worker.posted[0];
+  assert(message.type === 'blendComplete' && message.id === 9, 'Should echo request id');
+  assert(same(message.data.result.data, hardLightBlend(destination(), source(), 0.6).data), 'Worker should match the kernel');
+
+  worker.send({ type: 'kernelBlend', id: 10, data: { destination: destination(), source: source(), weight: 0.6, mode: 'eval' } });
+  assert(worker.posted[1].message.type === 'blendError', 'Should reject unknown modes');
+});
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All blend mode tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
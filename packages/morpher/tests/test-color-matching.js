@@ -0,0 +1,187 @@
+/**
+ * Test script for color matching
+ * Run with: node tests/test-color-matching.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+import { rgbToLab, labToRgb, getLabStats, mixLabStats, matchColors } from '../src/color-matching.js';
+
+console.log('🎨 Testing Color Matching...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Canvas whose pixels cycle through a list of colors; drawImage copies them
+class ColorCanvas {
+  constructor(width = 0, height = 0, colors = [[0, 0, 0, 0]]) {
+    this.width = width;
+    this.height = height;
+    this.colors = colors;
+    this.data = null;
+    this.ctx = {
+      drawImage: (source) => {
+        this.colors = source.colors;
+        this.data = source.data;
+      },
+      getImageData: (x, y, w, h) => {
+        const data = new Uint8ClampedArray(w * h * 4);
+        for (let i = 0; i < w * h; i++) {
+          data.set(this.data ? this.data.subarray(i * 4, i * 4 + 4) : this.colors[i % this.colors.length], i * 4);
+        }
+        return { width: w, height: h, data };
+      },
+      putImageData: (imageData) => {
+        this.data = imageData.data;
+      }
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'fillRect']) {
+      this.ctx[method] = () => {};
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const canvasFactory = (width, height) => new ColorCanvas(width, height);
+
+const near = (a, b, tolerance) => Math.abs(a - b) <= tolerance;
+const nearStats = (a, b, tolerance = 1) =>
+  [0, 1, 2].every((c) => near(a.mean[c], b.mean[c], tolerance) && near(a.std[c], b.std[c], tolerance));
+
+// Warm and cool photos of the same scene
+const warm = [[230, 180, 120, 255], [120, 80, 40, 255]];
+const cool = [[150, 190, 240, 255], [40, 70, 110, 255]];
+
+function createMorpher(params = {}) {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), ...params });
+  for (const colors of [warm, cool]) {
+    const image = new Image({ points: [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 0, y: 20 }] }, { canvasFactory });
+    image.setImage(new ColorCanvas(20, 20, colors));
+    morpher.addImage(image);
+  }
+  morpher.addTriangle(0, 1, 2);
+  return morpher;
+}
+
+const sourceStats = (image) => getLabStats(image.source.getContext().getImageData(0, 0, 20, 20));
+
+// Test 1: Conversion
+await test('Converts between sRGB and Lab', () => {
+  const white = rgbToLab(255, 255, 255);
+  assert(near(white[0], 100, 1e-3) && near(white[1], 0, 1e-3) && near(white[2], 0, 1e-3), 'White should be L=100');
+
+  const red = rgbToLab(255, 0, 0);
+  assert(near(red[0], 53.24, 0.01) && near(red[1], 80.09, 0.01) && near(red[2], 67.2, 0.01), `Wrong red: ${red}`);
+
+  for (const color of [[0, 0, 0], [12, 200, 99], [255, 128, 1]]) {
+    const rgb = labToRgb(...rgbToLab(...color));
+    assert(rgb.every((v, c) => near(v, color[c], 0.01)), `${color} should round-trip`);
+  }
+});
+
+// Test 2: Transfer
+await test('Matches mean and spread of each Lab channel', () => {
+  const pixels = new ColorCanvas(10, 10, [...warm, [0, 0, 0, 0]]).getContext().getImageData(0, 0, 10, 10);
+  const target = getLabStats(new ColorCanvas(10, 10, cool).getContext().getImageData(0, 0, 10, 10));
+  const from = getLabStats(pixels);
+
+  matchColors(pixels, from, target);
+  assert(nearStats(getLabStats(pixels), target), 'Statistics should match the target');
+  assert(pixels.data[11] === 0 && pixels.data[8] === 0, 'Transparent pixels should be left alone');
+  assert(getLabStats({ data: new Uint8ClampedArray(8) }) === null, 'No statistics without visible pixels');
+
+  const mixed = mixLabStats([from, null, target], [1, 5, 3]);
+  assert(near(mixed.mean[0], (from.mean[0] + 3 * target.mean[0]) / 4, 1e-9), 'Should weight the average');
+  assert(mixLabStats([from], [0]) === null, 'Nothing to average without weight');
+});
+
+// Test 3: Reference image
+await test('Matches sources to a reference image', () => {
+  const morpher = createMorpher();
+  const [first, second] = morpher.images;
+  const original = sourceStats(second);
+
+  assert(morpher.setColorMatching('reference'), 'Should accept reference mode');
+  assert(first.colorTarget === null, 'Reference image keeps its colors');
+  assert(nearStats(sourceStats(second), first.getColorStats()), 'Second source should match the first image');
+  assert(nearStats(second.getColorStats(), original, 1e-9), 'Image statistics come from the element');
+
+  assert(morpher.setColorMatching('reference', { reference: 1 }), 'Should accept another reference');
+  assert(nearStats(sourceStats(first), second.getColorStats()) && second.colorTarget === null, 'Should match the new reference');
+
+  morpher.setColorMatching('none');
+  assert(nearStats(sourceStats(first), first.getColorStats(), 1e-9), 'Original colors should be restored');
+  assert(!morpher.setColorMatching('magic'), 'Should reject unknown modes');
+  morpher.dispose();
+});
+
+// Test 4: Weighted average
+await test('Matches sources to the weighted average', () => {
+  const morpher = createMorpher();
+  const [first, second] = morpher.images;
+  morpher.setColorMatching('average', { weights: [3, 1] });
+  const target = mixLabStats([first.getColorStats(), second.getColorStats()], [3, 1]);
+
+  assert(nearStats(sourceStats(first), target) && nearStats(sourceStats(second), target), 'Both sources should match the average');
+
+  morpher.removeImage(first);
+  assert(morpher.colorWeights.join() === '1', 'Weights should follow removed images');
+  assert(first.colorTarget === null, 'Removed images get their colors back');
+  morpher.dispose();
+});
+
+// Test 5: JSON
+await test('Saves color matching in JSON', () => {
+  const morpher = createMorpher();
+  assert(!('colorMatching' in morpher.toJSON()), 'Disabled matching is not exported');
+
+  morpher.setColorMatching('reference', { reference: 1 });
+  const json = morpher.toJSON();
+  assert(json.colorMatching.mode === 'reference' && json.colorMatching.reference === 1, 'Should export the settings');
+
+  const restored = new Morpher({ canvasFactory, clock: new ManualClock(), colorMatching: json.colorMatching });
+  assert(restored.colorMatching === 'reference' && restored.colorReference === 1, 'Should restore the settings');
+
+  const rejected = new Morpher({ canvasFactory, clock: new ManualClock(), colorMatching: { mode: 'reference', reference: -1 } });
+  assert(rejected.colorMatching === 'none', 'Should ignore invalid settings');
+
+  morpher.dispose();
+  restored.dispose();
+  rejected.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All color matching tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
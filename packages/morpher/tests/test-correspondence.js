@@ -0,0 +1,262 @@
+/**
+ * Test script for automatic feature correspondence
+ * Run with: node tests/test-correspondence.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+import { detectCorners, findCorrespondences, refinePoint } from '../src/correspondence.js';
+
+console.log('🎯 Testing Feature Correspondence...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Canvas mock that keeps real pixels so detection has something to find
+class FakeCanvas {
+  constructor(width = 0, height = 0, pixels = null) {
+    this.width = width;
+    this.height = height;
+    this.pixels = pixels || new Uint8ClampedArray(width * height * 4);
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      drawImage: (source, x, y, w = source.width, h = source.height) => this.drawFrom(source, w, h),
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: this.pixels.slice(0, w * h * 4) }),
+      putImageData: () => {}
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'fillRect']) {
+      this.ctx[method] = () => {};
+    }
+  }
+
+  // Nearest-neighbour scale of the source into the top-left corner
+  drawFrom(source, w, h) {
+    if (!source.pixels || this.pixels.length !== this.width * this.height * 4) {
+      this.pixels = new Uint8ClampedArray(this.width * this.height * 4);
+    }
+    if (!source.pixels) return;
+
+    for (let y = 0; y < Math.min(h, this.height); y++) {
+      for (let x = 0; x < Math.min(w, this.width); x++) {
+        const sx = Math.floor((x * source.width) / w);
+        const sy = Math.floor((y * source.height) / h);
+        const from = (sy * source.width + sx) * 4;
+        this.pixels.set(source.pixels.subarray(from, from + 4), (y * this.width + x) * 4);
+      }
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+// Blocky pseudo-random texture, shifted by (dx, dy)
+function makeTexture(width, height, dx = 0, dy = 0) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const cx = Math.floor((x - dx) / 4);
+      const cy = Math.floor((y - dy) / 4);
+      let hash = Math.imul(cx, 73856093) ^ Math.imul(cy, 19349663);
+      hash = Math.imul(hash ^ (hash >>> 16), 0x45d9f3b);
+      hash = Math.imul(hash ^ (hash >>> 16), 0x45d9f3b);
+      hash = (hash ^ (hash >>> 16)) & 255;
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = hash;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// Dark image with a bright Gaussian blob
+function makeBlob(width, height, cx, cy, sigma = 4) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = 255 * Math.exp(-((x - cx) ** 2 + (y - cy) ** 2) / (2 * sigma * sigma));
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function createMorpher(imageDatas) {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock() });
+  for (const { width, height, data } of imageDatas) {
+    const image = new Image({}, { canvasFactory });
+    image.setImage(new FakeCanvas(width, height, data));
+    morpher.addImage(image);
+  }
+  return morpher;
+}
+
+// Test 1: Corner detection
+await test('Detects separated corners on a square', () => {
+  const imageData = { width: 40, height: 40, data: new Uint8ClampedArray(40 * 40 * 4) };
+  for (let y = 10; y < 30; y++) {
+    for (let x = 10; x < 30; x++) {
+      imageData.data.fill(255, (y * 40 + x) * 4, (y * 40 + x) * 4 + 4);
+    }
+  }
+
+  const corners = detectCorners(imageData, { minDistance: 5 });
+  assert(corners.length === 4, `Should find 4 corners, got ${corners.length}`);
+  for (const corner of corners) {
+    const near = (v) => Math.abs(v - 10) <= 2 || Math.abs(v - 29) <= 2;
+    assert(near(corner.x) && near(corner.y), `Corner (${corner.x}, ${corner.y}) should be at a square corner`);
+  }
+});
+
+// Test 2: Matching recovers a shift
+await test('Matches corners of a shifted image', () => {
+  const matches = findCorrespondences(makeTexture(96, 96), makeTexture(96, 96, 6, -3), { minDistance: 8 });
+  assert(matches.length >= 10, `Should find at least 10 matches, got ${matches.length}`);
+  for (const { a, b } of matches) {
+    assert(Math.abs(b.x - a.x - 6) <= 1 && Math.abs(b.y - a.y + 3) <= 1, `Match (${a.x}, ${a.y}) -> (${b.x}, ${b.y}) should follow the shift`);
+  }
+  for (let i = 1; i < matches.length; i++) {
+    assert(matches[i - 1].score >= matches[i].score, 'Matches should be sorted by score');
+  }
+});
+
+// Test 3: Nothing to match
+await test('Returns no matches for a flat image', () => {
+  const flat = { width: 64, height: 64, data: new Uint8ClampedArray(64 * 64 * 4).fill(128) };
+  assert(findCorrespondences(makeTexture(64, 64), flat).length === 0, 'Should not match against a flat image');
+});
+
+// Test 4: Built-in detector through the morpher
+await test('Detects correspondences between morpher images', async () => {
+  const morpher = createMorpher([makeTexture(96, 96), makeTexture(96, 96, 6, -3)]);
+  const [imageA, imageB] = morpher.images;
+  let detected = null;
+  morpher.on('correspondence:detect', (m, a, b, proposals) => (detected = proposals));
+
+  const proposals = await morpher.detectCorrespondences(imageA, imageB, { minDistance: 8 });
+  assert(proposals.length >= 10, `Should propose at least 10 points, got ${proposals.length}`);
+  assert(detected === proposals, 'Should trigger correspondence:detect');
+  morpher.dispose();
+});
+
+// Test 5: Custom function, scaling and filtering
+await test('Scales proposals back to image coordinates', async () => {
+  const morpher = createMorpher([makeTexture(200, 100), makeTexture(200, 100)]);
+  const [imageA, imageB] = morpher.images;
+  morpher.addPoint(20, 20);
+
+  let size = null;
+  morpher.setCorrespondenceFunction((a, b) => {
+    size = [a.width, a.height];
+    return [
+      { a: { x: 10, y: 10 }, b: { x: 20, y: 10 }, score: 0.9 },
+      { a: { x: 50, y: 25 }, b: { x: 40, y: 20 }, score: 0.8 }
+    ];
+  });
+
+  const proposals = await morpher.detectCorrespondences(imageA, imageB, { maxSize: 100 });
+  assert(size[0] === 100 && size[1] === 50, 'Should downscale to maxSize');
+  assert(proposals.length === 1, 'Should skip proposals next to existing points');
+  assert(proposals[0].a.x === 100 && proposals[0].a.y === 50, 'Should scale first image position');
+  assert(proposals[0].b.x === 80 && proposals[0].b.y === 40, 'Should scale second image position');
+  morpher.dispose();
+});
+
+// Test 6: Accepting a proposal
+await test('Adds accepted proposals to every image and the mesh', async () => {
+  const morpher = createMorpher([makeTexture(64, 64), makeTexture(64, 64), makeTexture(64, 64)]);
+  const [imageA, imageB, imageC] = morpher.images;
+
+  const index = morpher.addCorrespondence(imageA, imageB, { a: { x: 10, y: 12 }, b: { x: 14, y: 9 } });
+  assert(index === 0, 'Should return the new point index');
+  assert(imageA.points[0].x === 10 && imageA.points[0].y === 12, 'Should add point to first image');
+  assert(imageB.points[0].x === 14 && imageB.points[0].y === 9, 'Should move point in second image');
+  assert(imageC.points.length === 1 && morpher.mesh.points.length === 1, 'Should propagate to other images and mesh');
+  morpher.dispose();
+});
+
+// Test 7: Invalid input
+await test('Rejects images not in the morpher', async () => {
+  const morpher = createMorpher([makeTexture(32, 32)]);
+  let rejected = false;
+  try {
+    await morpher.detectCorrespondences(morpher.images[0], new Image({}, { canvasFactory }));
+  } catch {
+    rejected = true;
+  }
+  assert(rejected, 'Should reject foreign images');
+  morpher.dispose();
+});
+
+// Test 8: Refinement by block matching
+await test('Refines a point to the matching position', () => {
+  const result = refinePoint(makeTexture(96, 96), { x: 40, y: 40 }, makeTexture(96, 96, 6, -3), { x: 40, y: 40 });
+  assert(Math.abs(result.x - 46) < 0.5 && Math.abs(result.y - 37) < 0.5, `Should find shifted point, got (${result.x}, ${result.y})`);
+  assert(result.score > 0.9, `Should be confident, got ${result.score}`);
+});
+
+// Test 9: Sub-pixel accuracy
+await test('Refines to sub-pixel positions', () => {
+  const result = refinePoint(makeBlob(64, 64, 30, 30), { x: 30, y: 30 }, makeBlob(64, 64, 33.4, 27.7), { x: 30, y: 30 });
+  assert(Math.abs(result.x - 33.4) < 0.3 && Math.abs(result.y - 27.7) < 0.3, `Should find blob centre, got (${result.x}, ${result.y})`);
+});
+
+// Test 10: No texture
+await test('Reports zero confidence without texture', () => {
+  const flat = { width: 64, height: 64, data: new Uint8ClampedArray(64 * 64 * 4).fill(128) };
+  const result = refinePoint(flat, { x: 30, y: 30 }, makeTexture(64, 64), { x: 28, y: 31 });
+  assert(result.score === 0 && result.x === 28 && result.y === 31, 'Should keep the initial guess');
+});
+
+// Test 11: Snapping morpher points
+await test('Snaps image points through the morpher', async () => {
+  const morpher = createMorpher([makeTexture(96, 96), makeTexture(96, 96, 6, -3), { width: 96, height: 96, data: new Uint8ClampedArray(96 * 96 * 4).fill(128) }]);
+  const [imageA, imageB, imageC] = morpher.images;
+  morpher.addPoint(40, 40);
+
+  const result = await morpher.refinePoint(imageA, imageB, 0);
+  assert(result.applied, 'Should apply a confident match');
+  assert(Math.abs(imageB.points[0].x - 46) < 0.5 && Math.abs(imageB.points[0].y - 37) < 0.5, 'Should move the point');
+
+  const flat = await morpher.refinePoint(imageA, imageC, 0);
+  assert(!flat.applied && imageC.points[0].x === 40, 'Should leave unconfident points alone');
+  morpher.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All correspondence tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
@@ -0,0 +1,189 @@
+/**
+ * Test script for viewport culling in the draw loop
+ * Run with: node tests/test-culling.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+
+console.log('✂️  Testing Viewport Culling...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4).fill(100) }),
+      putImageData: (data) => this.calls.push(['putImageData', data])
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+// 10x10 grid of cells, 100px each, two triangles per cell
+function createMorpher(params = {}) {
+  const clock = new ManualClock();
+  const morpher = new Morpher({ canvasFactory, clock, ...params });
+  const points = [];
+  for (let y = 0; y <= 10; y++) {
+    for (let x = 0; x <= 10; x++) {
+      points.push({ x: x * 100, y: y * 100 });
+    }
+  }
+  for (let i = 0; i < 2; i++) {
+    const image = new Image({ points }, { canvasFactory });
+    image.setImage(new FakeCanvas(1000, 1000));
+    morpher.addImage(image);
+  }
+  for (let y = 0; y < 10; y++) {
+    for (let x = 0; x < 10; x++) {
+      const i = y * 11 + x;
+      morpher.addTriangle(i, i + 1, i + 11);
+      morpher.addTriangle(i + 1, i + 12, i + 11);
+    }
+  }
+  morpher.set([0.5, 0.5]);
+  return morpher;
+}
+
+function countClips(morpher) {
+  const clips = morpher.tmpCanvas.calls.filter(([method]) => method === 'clip').length;
+  morpher.tmpCanvas.calls = [];
+  return clips;
+}
+
+// Test 1: No viewport draws everything
+test('Draws all triangles without a viewport', () => {
+  const morpher = createMorpher();
+  let culled = false;
+  morpher.on('cull', () => (culled = true));
+  morpher.clock.tick(16);
+  assert(countClips(morpher) === 400, 'Should draw 200 triangles for each image');
+  assert(!culled, 'Should not report culling');
+  morpher.dispose();
+});
+
+// Test 2: Viewport culls off-screen triangles
+test('Draws only triangles near the viewport', () => {
+  const morpher = createMorpher({ viewport: { left: 0, top: 0, width: 200, height: 200 } });
+  let stats = null;
+  morpher.on('cull', (m, s) => (stats = s));
+  morpher.clock.tick(16);
+
+  // Cells within CULL_PADDING (50px) of the 200x200 viewport: x and y in 0..2
+  assert(stats.total === 200, 'Should report total triangles');
+  assert(stats.visible === 18, `Should keep 18 triangles, got ${stats.visible}`);
+  assert(stats.culled === 182, 'Should report culled triangles');
+  assert(countClips(morpher) === 36, 'Should only draw visible triangles');
+  morpher.dispose();
+});
+
+// Test 3: Degenerate triangles
+test('Skips degenerate triangles', () => {
+  const morpher = createMorpher({ viewport: { left: 0, top: 0, width: 1000, height: 1000 } });
+  for (const image of morpher.images) {
+    image.points[1].x = 0;
+  }
+  let stats = null;
+  morpher.on('cull', (m, s) => (stats = s));
+  morpher.clock.tick(16);
+  assert(stats.visible === 199, `Collapsed triangle should be culled, got ${stats.visible}`);
+  morpher.dispose();
+});
+
+// Test 4: Spatial index follows the mesh
+test('Rebuilds spatial index when the mesh changes', () => {
+  const morpher = createMorpher({ viewport: { left: 0, top: 0, width: 100, height: 100 } });
+  let stats = null;
+  morpher.on('cull', (m, s) => (stats = s));
+  morpher.clock.tick(16);
+  const before = stats.visible;
+
+  // Shift the whole second image far away; the blended mesh moves by half
+  morpher.images[1].moveTo(2000, 2000);
+  morpher.clock.tick(16);
+  assert(stats.visible < before, `Moved mesh should cull more triangles (${before} -> ${stats.visible})`);
+
+  let rebuilds = 0;
+  const rebuild = morpher.spatialIndex.rebuild.bind(morpher.spatialIndex);
+  morpher.spatialIndex.rebuild = (triangles) => {
+    rebuilds++;
+    rebuild(triangles);
+  };
+  morpher.draw();
+  morpher.clock.tick(16);
+  assert(rebuilds === 0, 'Should reuse index when mesh is unchanged');
+
+  morpher.addTriangle(0, 12, 11);
+  morpher.draw();
+  morpher.clock.tick(16);
+  assert(rebuilds === 1, 'Should rebuild after adding a triangle');
+  morpher.dispose();
+});
+
+// Test 5: Viewport and zoom setters
+test('setViewport() and setZoom() control culling and quality', () => {
+  const morpher = createMorpher();
+  morpher.setViewport({ left: 0, top: 0, width: 200, height: 200 }, { zoom: 0.25 });
+  morpher.clock.tick(16);
+  assert(countClips(morpher) === 36, 'Should cull after setViewport()');
+  assert(morpher.tmpCtx.imageSmoothingEnabled === false, 'Low zoom should disable smoothing');
+
+  morpher.setZoom(2);
+  morpher.clock.tick(16);
+  assert(morpher.tmpCtx.imageSmoothingQuality === 'high', 'High zoom should use high quality');
+  countClips(morpher);
+
+  morpher.setViewport(null);
+  morpher.clock.tick(16);
+  assert(countClips(morpher) === 400, 'Should draw everything after clearing viewport');
+  morpher.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All culling tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
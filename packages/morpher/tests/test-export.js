@@ -0,0 +1,262 @@
+/**
+ * Test script for offline frame export and GIF encoding
+ * Run with: node tests/test-export.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+import { encodeGIF } from '../src/gif-encoder.js';
+
+console.log('🎞️  Testing Frame Export...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4).fill(255) }),
+      putImageData: () => {}
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = () => {};
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+
+  convertToBlob({ type }) {
+    return Promise.resolve(new Blob([], { type }));
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+function createMorpher(clock = new ManualClock()) {
+  const morpher = new Morpher({ canvasFactory, clock });
+  for (const points of [
+    [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 0, y: 20 }],
+    [{ x: 5, y: 5 }, { x: 15, y: 5 }, { x: 5, y: 15 }]
+  ]) {
+    const image = new Image({ points }, { canvasFactory });
+    image.setImage(new FakeCanvas(20, 20));
+    morpher.addImage(image);
+  }
+  morpher.addTriangle(0, 1, 2);
+  morpher.set([1, 0]);
+  return morpher;
+}
+
+// Decode GIF image data back into palette indices (LZW, LSB-first codes)
+function decodeGIFFrames(bytes) {
+  let pos = 13 + 256 * 3;
+  const frames = [];
+
+  while (bytes[pos] !== 0x3b) {
+    if (bytes[pos] === 0x21) {
+      pos += 2;
+      while (bytes[pos] !== 0) pos += bytes[pos] + 1;
+      pos++;
+      continue;
+    }
+
+    assert(bytes[pos] === 0x2c, `Unexpected block 0x${bytes[pos].toString(16)}`);
+    const width = bytes[pos + 5] | (bytes[pos + 6] << 8);
+    const height = bytes[pos + 7] | (bytes[pos + 8] << 8);
+    const minCodeSize = bytes[pos + 10];
+    pos += 11;
+
+    const data = [];
+    while (bytes[pos] !== 0) {
+      data.push(...bytes.subarray(pos + 1, pos + 1 + bytes[pos]));
+      pos += bytes[pos] + 1;
+    }
+    pos++;
+
+    const clearCode = 1 << minCodeSize;
+    let codeSize = minCodeSize + 1;
+    let dict = [];
+    let prev = null;
+    let bitPos = 0;
+    const out = [];
+
+    for (;;) {
+      let code = 0;
+      for (let b = 0; b < codeSize; b++, bitPos++) {
+        code |= ((data[bitPos >> 3] >> (bitPos & 7)) & 1) << b;
+      }
+      if (code === clearCode) {
+        dict = [];
+        for (let i = 0; i < clearCode; i++) dict[i] = [i];
+        dict.push(null, null);
+        codeSize = minCodeSize + 1;
+        prev = null;
+        continue;
+      }
+      if (code === clearCode + 1) break;
+
+      let entry;
+      if (code < dict.length) {
+        entry = dict[code];
+        if (prev) dict.push(prev.concat(entry[0]));
+      } else {
+        entry = prev.concat(prev[0]);
+        dict.push(entry);
+      }
+      out.push(...entry);
+      prev = entry;
+      if (dict.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+
+    assert(out.length === width * height, `Frame should decode to ${width * height} pixels, got ${out.length}`);
+    frames.push(out);
+  }
+
+  return frames;
+}
+
+// Test 1: Frame count and endpoints
+await test('Exports fixed number of frames from start to target', async () => {
+  const morpher = createMorpher();
+  const weights = [];
+  morpher.on('export:progress', (m) => weights.push(m.get()[1]));
+
+  const frames = await morpher.exportFrames([0, 1], { duration: 1000, fps: 10 });
+  assert(frames.length === 11, `Should export 11 frames, got ${frames.length}`);
+  assert(frames[0].width === 20 && frames[0].height === 20, 'Frames should match canvas size');
+  assert(weights[0] === 0, 'First frame should show start weights');
+  assert(weights[10] === 1, 'Last frame should show target weights');
+  assert(Math.abs(weights[5] - 0.5) < 1e-9, 'Middle frame should be half-way');
+  morpher.dispose();
+});
+
+// Test 2: Easing applied by frame index
+await test('Applies easing to frame progress', async () => {
+  const morpher = createMorpher();
+  const weights = [];
+  morpher.on('export:progress', (m) => weights.push(m.get()[1]));
+
+  await morpher.exportFrames([0, 1], { duration: 100, fps: 40, easing: 'easeInQuad' });
+  assert(weights.length === 5, 'Should export 5 frames');
+  assert(Math.abs(weights[2] - 0.25) < 1e-9, 'Should ease the middle frame');
+  morpher.dispose();
+});
+
+// Test 3: Live state restored
+await test('Restores weights and clock after export', async () => {
+  const clock = new ManualClock();
+  const morpher = createMorpher(clock);
+
+  await morpher.exportFrames([0, 1], { duration: 200, fps: 10 });
+  assert(morpher.clock === clock, 'Should restore clock');
+  assert(morpher.get()[0] === 1 && morpher.get()[1] === 0, 'Should restore weights');
+  assert(morpher.t0 === null, 'Should not leave an animation running');
+  assert(!morpher.exporting, 'Should clear exporting flag');
+  morpher.dispose();
+});
+
+// Test 4: Encoded frames and concurrent exports
+await test('Exports PNG blobs and rejects concurrent exports', async () => {
+  const morpher = createMorpher();
+  const first = morpher.exportFrames([0, 1], { duration: 100, fps: 10, format: 'png' });
+  let rejected = false;
+  try {
+    await morpher.exportFrames([0, 1], { duration: 100, fps: 10 });
+  } catch {
+    rejected = true;
+  }
+  const frames = await first;
+  assert(rejected, 'Second export should be rejected');
+  assert(frames.length === 2 && frames[0].type === 'image/png', 'Should export PNG blobs');
+  morpher.dispose();
+});
+
+// Test 5: Invalid options
+await test('Rejects invalid export options', async () => {
+  const morpher = createMorpher();
+  for (const options of [{}, { duration: 100, fps: 0 }, { duration: 100, format: 'mp4' }]) {
+    let rejected = false;
+    try {
+      await morpher.exportFrames([0, 1], options);
+    } catch {
+      rejected = true;
+    }
+    assert(rejected, `Should reject ${JSON.stringify(options)}`);
+  }
+  morpher.dispose();
+});
+
+// Test 6: GIF structure
+await test('Encodes a valid animated GIF', async () => {
+  const morpher = createMorpher();
+  const blob = await morpher.exportFrames([0, 1], { duration: 100, fps: 20, format: 'gif' });
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+
+  assert(blob.type === 'image/gif', 'Should return an image/gif Blob');
+  assert(String.fromCharCode(...bytes.subarray(0, 6)) === 'GIF89a', 'Should have GIF89a header');
+  assert(bytes[bytes.length - 1] === 0x3b, 'Should end with trailer');
+  assert(decodeGIFFrames(bytes).length === 3, 'Should contain 3 frames');
+  morpher.dispose();
+});
+
+// Test 7: GIF pixel round-trip
+await test('GIF pixel data round-trips through LZW', () => {
+  const width = 64;
+  const height = 80;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 4] = (i * 7) % 256;
+    data[i * 4 + 1] = (i * 13) % 256;
+    data[i * 4 + 2] = (i * 29) % 256;
+    data[i * 4 + 3] = i % 5 === 0 ? 0 : 255;
+  }
+
+  const [indices] = decodeGIFFrames(encodeGIF([{ width, height, data }]));
+  for (let i = 0; i < width * height; i++) {
+    const expected = data[i * 4 + 3] < 128 ? 252 :
+      Math.round((data[i * 4] * 5) / 255) * 42 +
+      Math.round((data[i * 4 + 1] * 6) / 255) * 6 +
+      Math.round((data[i * 4 + 2] * 5) / 255);
+    assert(indices[i] === expected, `Pixel ${i} should decode to ${expected}, got ${indices[i]}`);
+  }
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All export tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
@@ -0,0 +1,169 @@
+/**
+ * Test script for extrapolated (caricature) meshes
+ * Run with: node tests/test-extrapolation.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+import { findFlippedTriangles } from '../src/triangulation.js';
+
+console.log('🤪 Testing Extrapolation...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+      putImageData: () => {}
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+// 3x3 grid of points over a 200x200 image, two triangles per cell
+function createMorpher(params = {}, move = (p) => ({ ...p })) {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), ...params });
+  const points = [];
+  for (let y = 0; y <= 2; y++) {
+    for (let x = 0; x <= 2; x++) {
+      points.push({ x: x * 100, y: y * 100 });
+    }
+  }
+
+  for (const pointSet of [points, points.map(move)]) {
+    const image = new Image({ points: pointSet }, { canvasFactory });
+    image.setImage(new FakeCanvas(200, 200));
+    morpher.addImage(image);
+  }
+  for (let y = 0; y < 2; y++) {
+    for (let x = 0; x < 2; x++) {
+      const i = y * 3 + x;
+      morpher.addTriangle(i, i + 1, i + 3);
+      morpher.addTriangle(i + 1, i + 4, i + 3);
+    }
+  }
+  return morpher;
+}
+
+// Center point moved right in the second image
+const moveCenter = (dx) => (p) => (p.x === 100 && p.y === 100 ? { x: 100 + dx, y: 100 } : { ...p });
+
+const foldedTriangles = (morpher) =>
+  findFlippedTriangles(morpher.triangles, morpher.mesh.points, morpher.images[0].points);
+
+// Test 1: Weights used as they are without extrapolation
+await test('Leaves geometry weights alone by default', () => {
+  const morpher = createMorpher({}, moveCenter(20));
+  morpher.set([-0.5, 1.5]);
+  morpher.drawNow();
+  assert(morpher.mesh.points[4].x === 130, `Mesh should use the weights as given, got ${morpher.mesh.points[4].x}`);
+  assert(morpher.extrapolationScale === 1, 'Safeguards only apply when extrapolating');
+  morpher.dispose();
+});
+
+// Test 2: Caricature
+await test('Pushes the mesh beyond the images when extrapolating', () => {
+  const morpher = createMorpher({ extrapolate: true }, moveCenter(20));
+  morpher.set({ geometry: [-0.5, 1.5], appearance: [0, 1] });
+  morpher.drawNow();
+  assert(morpher.mesh.points[4].x === 130, `Should exaggerate the difference, got ${morpher.mesh.points[4].x}`);
+  assert(morpher.mesh.points[0].x === 0 && morpher.mesh.points[0].y === 0, 'Unchanged points should stay');
+  assert(morpher.extrapolationScale === 1, 'Should not need limiting');
+
+  morpher.set([0.25, 0.75]);
+  morpher.drawNow();
+  assert(morpher.mesh.points[4].x === 115, 'Weights in range should interpolate as usual');
+  morpher.dispose();
+});
+
+// Test 3: Fold-over safeguard
+await test('Scales the exaggeration down before triangles fold', () => {
+  const morpher = createMorpher({ extrapolate: true }, moveCenter(80));
+  morpher.set([-0.5, 1.5]);
+  morpher.drawNow();
+
+  const x = morpher.mesh.points[4].x;
+  assert(morpher.extrapolationScale > 0 && morpher.extrapolationScale < 1, `Should limit the step, got ${morpher.extrapolationScale}`);
+  assert(x > 180 && x < 200, `Center should stop before the right edge, got ${x}`);
+  assert(foldedTriangles(morpher).length === 0, 'No triangle should fold');
+  assert(morpher.validate().mesh.length === 0, 'validate() should check the limited mesh');
+  morpher.dispose();
+});
+
+// Test 4: Canvas clamping
+await test('Clamps extrapolated points to the canvas', () => {
+  const morpher = createMorpher({ extrapolate: true }, (p) => (p.x === 100 && p.y === 0 ? { x: 100, y: 10 } : { ...p }));
+  morpher.set([2, -1]);
+  morpher.drawNow();
+  assert(morpher.mesh.points[1].y === 0, `Point should be clamped to the top edge, got ${morpher.mesh.points[1].y}`);
+  morpher.dispose();
+});
+
+// Test 5: Settings
+await test('Toggles extrapolation and saves it in JSON', () => {
+  const morpher = createMorpher({}, moveCenter(20));
+  morpher.set([-0.5, 1.5]);
+  morpher.setExtrapolate(true);
+  morpher.drawNow();
+  assert(morpher.mesh.points[4].x === 130, 'Should extrapolate once enabled');
+
+  const json = morpher.toJSON();
+  assert(json.extrapolate === true, 'Should export the mode');
+  const restored = new Morpher({ canvasFactory, clock: new ManualClock(), ...json });
+  assert(restored.extrapolate === true, 'Should restore the mode');
+  assert(Morpher.sanitizeJSON({ extrapolate: 'yes' }).extrapolate === false, 'Only true enables it');
+
+  morpher.setExtrapolate(false);
+  assert(!('extrapolate' in morpher.toJSON()), 'Default mode is not exported');
+  morpher.dispose();
+  restored.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All extrapolation tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
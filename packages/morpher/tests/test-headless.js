@@ -0,0 +1,192 @@
+/**
+ * Test script for headless rendering (canvas factory + manual clock)
+ * Run with: node tests/test-headless.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+
+console.log('🖼️  Testing Headless Rendering...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4).fill(100) }),
+      putImageData: (data) => this.calls.push(['putImageData', data])
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+function createMorpher(clock = new ManualClock()) {
+  const morpher = new Morpher({ canvasFactory, clock });
+  for (const points of [
+    [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }],
+    [{ x: 10, y: 10 }, { x: 90, y: 10 }, { x: 10, y: 90 }]
+  ]) {
+    const image = new Image({ points }, { canvasFactory });
+    image.setImage(new FakeCanvas(100, 100));
+    morpher.addImage(image);
+  }
+  morpher.addTriangle(0, 1, 2);
+  return morpher;
+}
+
+// Test 1: Runs without a DOM
+await test('Constructs without document or window', () => {
+  assert(typeof document === 'undefined', 'Test must run without a DOM');
+  const morpher = createMorpher();
+  assert(morpher.canvas instanceof FakeCanvas, 'Should use canvas from factory');
+  assert(morpher.tmpCanvas instanceof FakeCanvas, 'Should use factory for tmpCanvas');
+  morpher.dispose();
+});
+
+// Test 2: Caller-supplied canvas
+await test('Uses canvas passed in params', () => {
+  const canvas = new FakeCanvas();
+  const morpher = new Morpher({ canvas, canvasFactory, clock: new ManualClock() });
+  assert(morpher.canvas === canvas, 'Should draw into supplied canvas');
+  morpher.dispose();
+});
+
+// Test 3: Frames only render on tick
+await test('Draws on manual clock tick', () => {
+  const clock = new ManualClock();
+  const morpher = createMorpher(clock);
+  let draws = 0;
+  morpher.on('draw', () => draws++);
+
+  assert(draws === 0, 'Should not draw before tick');
+  clock.tick(16);
+  assert(draws === 1, 'Should draw once per tick');
+  assert(morpher.canvas.width === 100 && morpher.canvas.height === 100, 'Should size canvas to images');
+  assert(morpher.tmpCanvas.calls.some(([method]) => method === 'drawImage'), 'Triangle.draw should run');
+  morpher.dispose();
+});
+
+// Test 4: Deterministic animation
+await test('Animation is stepped by the manual clock', () => {
+  const clock = new ManualClock(1000);
+  const morpher = createMorpher(clock);
+  let completed = false;
+  morpher.on('animation:complete', () => (completed = true));
+
+  morpher.set([1, 0]);
+  morpher.animate([0, 1], 100);
+  clock.tick(50);
+  assert(Math.abs(morpher.get()[1] - 0.5) < 1e-9, 'Should be half-way after 50ms');
+  assert(!completed, 'Should not complete early');
+
+  clock.tick(50);
+  assert(completed, 'Should complete after duration');
+  assert(morpher.get()[1] === 1, 'Should reach target weights');
+  assert(!clock.hasPendingFrames(), 'Should stop requesting frames');
+  morpher.dispose();
+});
+
+// Test 5: Animation starting at time zero
+await test('Animation works when clock starts at zero', () => {
+  const clock = new ManualClock();
+  const morpher = createMorpher(clock);
+  morpher.set([1, 0]);
+  morpher.animate([0, 1], 100);
+  clock.tick(25);
+  assert(Math.abs(morpher.get()[1] - 0.25) < 1e-9, 'Should animate from t0 = 0');
+  morpher.dispose();
+});
+
+// Test 6: Software blending headless
+await test('Software blend function runs headless', () => {
+  const destination = new FakeCanvas(2, 2);
+  const source = new FakeCanvas(2, 2);
+  Morpher.softwareBlendFunction(destination, source, 0.5);
+  const [, imageData] = destination.calls.find(([method]) => method === 'putImageData');
+  assert(imageData.data[0] === 150, 'Should add weighted source pixels');
+});
+
+// Test 7: Dispose cancels queued frames
+await test('Dispose cancels pending frame', () => {
+  const clock = new ManualClock();
+  const morpher = createMorpher(clock);
+  assert(clock.hasPendingFrames(), 'Should have a pending frame');
+  morpher.dispose();
+  assert(!clock.hasPendingFrames(), 'Should cancel pending frame');
+});
+
+// Test 8: Default clock without requestAnimationFrame
+await test('Animates with the default clock in Node', async () => {
+  assert(typeof requestAnimationFrame === 'undefined', 'Test must run without requestAnimationFrame');
+  const morpher = new Morpher({ canvasFactory });
+  for (const points of [
+    [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }],
+    [{ x: 10, y: 10 }, { x: 90, y: 10 }, { x: 10, y: 90 }]
+  ]) {
+    const image = new Image({ points }, { canvasFactory });
+    image.setImage(new FakeCanvas(100, 100));
+    morpher.addImage(image);
+  }
+  morpher.addTriangle(0, 1, 2);
+
+  let frames = 0;
+  morpher.on('draw', () => frames++);
+  const completed = new Promise((resolve) => morpher.on('animation:complete', resolve));
+
+  morpher.animate([0, 1], 200);
+  assert(frames === 0, 'animate() should return before drawing');
+
+  const timedOut = new Promise((resolve) => setTimeout(() => resolve('timeout'), 2000));
+  assert(await Promise.race([completed, timedOut]) !== 'timeout', 'Animation should complete');
+  assert(frames > 1 && frames < 100, `Should draw one frame per timer tick, drew ${frames}`);
+  assert(morpher.get()[1] === 1, 'Should end at the target weights');
+  morpher.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All headless tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
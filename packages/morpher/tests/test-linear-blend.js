@@ -0,0 +1,143 @@
+/**
+ * Test script for the linear-light blend mode
+ * Run with: node tests/test-linear-blend.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { ManualClock } from '../src/environment.js';
+import { getWorkerManager } from '../src/worker-manager.js';
+import { linearBlend } from '../src/blend-kernels.js';
+
+console.log('💡 Testing Linear Blend...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Canvas holding real pixels, enough for the getImageData/putImageData blend path
+class PixelCanvas {
+  constructor(width = 0, height = 0, pixel = [0, 0, 0, 0]) {
+    this.width = width;
+    this.height = height;
+    this.data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < this.data.length; i += 4) {
+      this.data.set(pixel, i);
+    }
+    this.ctx = {
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: this.data.slice(0, w * h * 4) }),
+      putImageData: (imageData) => this.data.set(imageData.data)
+    };
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const pixels = (...values) => ({ width: values.length / 4, height: 1, data: new Uint8ClampedArray(values) });
+
+async function loadWorker(path) {
+  const scope = { posted: [] };
+  const self = {
+    addEventListener: (type, listener) => (scope.listener = listener),
+    postMessage: (message, transfer = []) => scope.posted.push({ message, transfer })
+  };
+  globalThis.self = self;
+  await import(path);
+  scope.send = (message) => {
+    globalThis.self = self;
+    scope.listener({ data: message });
+    delete globalThis.self;
+  };
+  delete globalThis.self;
+  return scope;
+}
+
+// Test 1: Averaging
+await test('Averages colors in linear light', () => {
+  const result = linearBlend(pixels(0, 0, 0, 0), pixels(0, 0, 0, 255), 0.5);
+  linearBlend(result, pixels(255, 255, 255, 255), 0.5);
+  // Half of white in linear light, not the sRGB midpoint of 128
+  assert(result.data[0] === 188 && result.data[1] === 188 && result.data[2] === 188, `Expected 188, got ${result.data[0]}`);
+  assert(result.data[3] === 255, 'Weights adding up to 1 should be opaque');
+
+  const ramp = [];
+  for (let v = 0; v < 256; v++) {
+    ramp.push(v, 255 - v, v, 255);
+  }
+  const copy = linearBlend(pixels(...ramp.map(() => 0)), pixels(...ramp), 1);
+  assert(copy.data.every((v, i) => Math.abs(v - ramp[i]) <= 1), 'A single image should come through unchanged');
+});
+
+// Test 2: Alpha
+await test('Premultiplies alpha so transparent pixels do not darken', () => {
+  const result = linearBlend(pixels(0, 0, 0, 0, 0, 0, 0, 0), pixels(255, 100, 0, 255, 0, 0, 0, 0), 0.5);
+  linearBlend(result, pixels(255, 100, 0, 0, 40, 80, 120, 255), 0.5);
+
+  assert(result.data[0] === 255 && result.data[1] === 100 && result.data[2] === 0, 'Color should not be pulled towards black');
+  assert(result.data[3] === 128, `Coverage should be halved, got ${result.data[3]}`);
+  assert(result.data[4] === 40 && result.data[6] === 120 && result.data[7] === 128, 'Second pixel should only take the visible source');
+
+  const overfull = linearBlend(pixels(255, 255, 255, 255), pixels(255, 255, 255, 255), 1);
+  assert(overfull.data[0] === 255 && overfull.data[3] === 255, 'Extrapolated weights should saturate');
+});
+
+// Test 3: Canvas path
+await test('Blends canvases by name', () => {
+  const destination = new PixelCanvas(2, 1, [0, 0, 0, 255]);
+  Morpher.linearBlendFunction(destination, new PixelCanvas(2, 1, [255, 255, 255, 255]), 0.5);
+  assert(destination.data[0] === 188 && destination.data[4] === 188, 'Should blend the canvas pixels');
+
+  const morpher = new Morpher({ canvasFactory: (w, h) => new PixelCanvas(w, h), clock: new ManualClock(), blendFunction: 'linear' });
+  assert(morpher.blendFunction === Morpher.linearBlendFunction, 'Should select the blend from JSON by name');
+  assert(Morpher.workerBlendModes.linearBlendFunction === 'linear', 'Should have a worker kernel');
+  morpher.dispose();
+});
+
+// Test 4: Worker path
+await test('Runs the same kernel in the worker and its fallback', async () => {
+  const expected = linearBlend(pixels(0, 0, 0, 255), pixels(255, 128, 0, 255), 0.25);
+
+  const fallback = await getWorkerManager().softwareBlend(pixels(0, 0, 0, 255), pixels(255, 128, 0, 255), 0.25, 'linear');
+  assert(fallback.data.every((v, i) => v === expected.data[i]), 'Main thread fallback should match the kernel');
+
+  const worker = await loadWorker('../src/workers/blend-worker.js');
+  worker.send({ type: 'kernelBlend', id: 5, data: { destination: pixels(0, 0, 0, 255), source: pixels(255, 128, 0, 255), weight: 0.25, mode: 'linear' } });
+  const { message, transfer } = worker.posted[0];
+  assert(message.type === 'blendComplete' && message.id === 5, 'Should echo request id');
+  assert(message.data.result.data.every((v, i) => v === expected.data[i]), 'Worker should match the kernel');
+  assert(transfer[0] === message.data.result.data.buffer, 'Should transfer result buffer');
+
+  worker.send({ type: 'kernelBlend', id: 6, data: { destination: pixels(0, 0, 0, 255), mode: 'linear' } });
+  assert(worker.posted[1].message.type === 'blendError', 'Should reject missing parameters');
+});
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All linear blend tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
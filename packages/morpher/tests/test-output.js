@@ -0,0 +1,216 @@
+/**
+ * Test script for output size and fit modes
+ * Run with: node tests/test-output.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+
+console.log('🖼️  Testing Output Size...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+      putImageData: () => {}
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+// Two 200x100 images with a single triangle
+function createMorpher(params = {}) {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), ...params });
+  for (let i = 0; i < 2; i++) {
+    const image = new Image({ points: [{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 0, y: 100 }] }, { canvasFactory });
+    image.setImage(new FakeCanvas(200, 100));
+    morpher.addImage(image);
+  }
+  morpher.addTriangle(0, 1, 2);
+  morpher.drawNow();
+  return morpher;
+}
+
+const lastDraw = (canvas) => canvas.calls.filter(([method]) => method === 'drawImage').pop();
+
+// Test 1: Default sizing
+await test('Sizes the canvas to the images by default', () => {
+  const morpher = createMorpher();
+  assert(morpher.frameCanvas === morpher.canvas, 'Frames should be drawn straight to the canvas');
+  assert(morpher.canvas.width === 200 && morpher.canvas.height === 100, 'Canvas should match the images');
+
+  morpher.images[1].moveTo(50, 0);
+  morpher.drawNow();
+  assert(morpher.canvas.width === 250, 'Canvas should follow the images');
+  morpher.dispose();
+});
+
+// Test 2: Fit modes
+await test('Fits the images into a fixed output size', () => {
+  const morpher = createMorpher({ outputSize: { width: 400, height: 400 } });
+  assert(morpher.frameCanvas !== morpher.canvas, 'Frames should be rendered offscreen');
+  assert(morpher.canvas.width === 400 && morpher.canvas.height === 400, 'Canvas should have the output size');
+  assert(morpher.frameCanvas.width === 200, 'Frames keep the size of the images');
+
+  const expected = {
+    contain: { x: 0, y: 100, scaleX: 2, scaleY: 2 },
+    cover: { x: -200, y: 0, scaleX: 4, scaleY: 4 },
+    fill: { x: 0, y: 0, scaleX: 2, scaleY: 4 },
+    none: { x: 100, y: 150, scaleX: 1, scaleY: 1 }
+  };
+  for (const [fit, transform] of Object.entries(expected)) {
+    assert(morpher.setFit(fit), `Should accept ${fit}`);
+    const actual = morpher.getOutputTransform();
+    assert(Object.keys(transform).every((key) => actual[key] === transform[key]),
+      `Wrong ${fit} transform: ${JSON.stringify(actual)}`);
+
+    morpher.drawNow();
+    const [, source, x, y, width, height] = lastDraw(morpher.canvas);
+    assert(source === morpher.frameCanvas && x === transform.x && y === transform.y &&
+      width === 200 * transform.scaleX && height === 100 * transform.scaleY, `Should draw the ${fit} frame`);
+  }
+  assert(!morpher.setFit('stretch') && morpher.fit === 'none', 'Should reject unknown modes');
+
+  // Moving an image no longer resizes the output
+  morpher.images[1].moveTo(50, 0);
+  morpher.drawNow();
+  assert(morpher.canvas.width === 400 && morpher.frameCanvas.width === 250, 'Output size should stay fixed');
+  morpher.dispose();
+});
+
+// Test 3: Background
+await test('Draws the background behind the images', () => {
+  const morpher = createMorpher({ background: '#123456' });
+  const calls = morpher.canvas.calls.map(([method]) => method);
+  assert(morpher.canvas.ctx.fillStyle === '#123456', 'Should use the background color');
+  assert(calls.lastIndexOf('fillRect') < calls.lastIndexOf('drawImage'), 'Background should go under the frame');
+
+  assert(!morpher.setBackground(42), 'Should reject non-strings');
+  assert(morpher.setBackground(null) && morpher.frameCanvas === morpher.canvas, 'Transparent again without offscreen frames');
+  morpher.drawNow();
+  assert(morpher.canvas.width === 200, 'Canvas should follow the images again');
+  morpher.dispose();
+});
+
+// Test 4: Pixel ratio
+await test('Renders at the pixel ratio for HiDPI screens', () => {
+  const canvas = new FakeCanvas();
+  canvas.style = {};
+  const morpher = createMorpher({ canvas, outputSize: { width: 300, height: 150 }, pixelRatio: 2 });
+  let resized = 0;
+  morpher.on('resize', () => resized++);
+
+  assert(canvas.width === 600 && canvas.height === 300, 'Canvas should be sized in device pixels');
+  assert(canvas.style.width === '300px' && canvas.style.height === '150px', 'Style should keep the CSS size');
+  const [, , x, y, width, height] = lastDraw(canvas);
+  assert(x === 0 && y === 0 && width === 600 && height === 300, 'Frame should be scaled by the ratio');
+
+  globalThis.devicePixelRatio = 3;
+  assert(morpher.setPixelRatio('auto') && morpher.getPixelRatio() === 3, 'Should follow devicePixelRatio');
+  morpher.drawNow();
+  delete globalThis.devicePixelRatio;
+  assert(canvas.width === 900 && resized === 1, 'Should resize once for the new ratio');
+  assert(!morpher.setPixelRatio(0), 'Should reject invalid ratios');
+  morpher.dispose();
+});
+
+// Test 5: JSON
+await test('Saves output settings in JSON', () => {
+  const morpher = createMorpher();
+  const defaults = morpher.toJSON();
+  assert(['outputSize', 'fit', 'background', 'pixelRatio'].every((key) => !(key in defaults)), 'Defaults are not exported');
+
+  morpher.setOutputSize({ width: 640, height: 480 });
+  morpher.setFit('cover');
+  morpher.setBackground('black');
+  morpher.setPixelRatio('auto');
+  const json = morpher.toJSON();
+  assert(json.outputSize.width === 640 && json.fit === 'cover' && json.background === 'black' && json.pixelRatio === 'auto',
+    'Should export output settings');
+
+  const restored = new Morpher({ canvasFactory, clock: new ManualClock(), ...json });
+  assert(restored.outputSize.height === 480 && restored.fit === 'cover' && restored.background === 'black' &&
+    restored.pixelRatio === 'auto', 'Should restore output settings');
+
+  const rejected = new Morpher({
+    canvasFactory,
+    clock: new ManualClock(),
+    outputSize: { width: -1, height: 10 },
+    fit: 'eval(1)',
+    background: { toString: () => 'red' },
+    pixelRatio: Infinity
+  });
+  assert(rejected.outputSize === null && rejected.fit === 'contain' && rejected.background === null &&
+    rejected.pixelRatio === 1, 'Should ignore invalid settings');
+
+  morpher.dispose();
+  restored.dispose();
+  rejected.dispose();
+});
+
+// Test 6: Canvas replaced without setCanvas()
+await test('Draws into a canvas assigned directly', () => {
+  const morpher = createMorpher();
+  const canvas = new FakeCanvas();
+  morpher.canvas = canvas;
+  morpher.drawNow();
+  assert(morpher.ctx === canvas.ctx && morpher.frameCtx === canvas.ctx, 'Should use the new canvas context');
+  assert(canvas.calls.some(([method]) => method === 'drawImage'), 'Should draw into the new canvas');
+
+  morpher.setBackground('#000');
+  const presented = new FakeCanvas();
+  morpher.canvas = presented;
+  morpher.drawNow();
+  assert(lastDraw(presented)?.[1] === morpher.frameCanvas, 'Should present frames on the new canvas');
+  morpher.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All output tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
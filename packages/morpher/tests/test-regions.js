@@ -0,0 +1,211 @@
+/**
+ * Test script for per-region blend weights
+ * Run with: node tests/test-regions.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+
+console.log('🎭 Testing Regions...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+      putImageData: () => {}
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+// 3x3 grid of points over a 200x200 image, two triangles per cell
+function createMorpher(params = {}) {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), ...params });
+  const points = [];
+  for (let y = 0; y <= 2; y++) {
+    for (let x = 0; x <= 2; x++) {
+      points.push({ x: x * 100, y: y * 100 });
+    }
+  }
+
+  for (const pointSet of [points, points.map((p) => ({ ...p }))]) {
+    const image = new Image({ points: pointSet }, { canvasFactory });
+    image.setImage(new FakeCanvas(200, 200));
+    morpher.addImage(image);
+  }
+  for (let y = 0; y < 2; y++) {
+    for (let x = 0; x < 2; x++) {
+      const i = y * 3 + x;
+      morpher.addTriangle(i, i + 1, i + 3);
+      morpher.addTriangle(i + 1, i + 4, i + 3);
+    }
+  }
+  return morpher;
+}
+
+// Blend calls as [source image index, weight, triangles drawn]
+function recordBlends(morpher) {
+  const blends = [];
+  morpher.setBlendFunction((destination, source, weight) => {
+    const draws = morpher.tmpCanvas.calls.filter(([method]) => method === 'drawImage');
+    const image = morpher.images.findIndex((img) => img.source === draws[0][1]);
+    blends.push([image, weight, draws.length]);
+    morpher.tmpCanvas.calls = [];
+  });
+  return blends;
+}
+
+// Test 1: Regions API
+await test('Adds, updates and removes regions', () => {
+  const morpher = createMorpher();
+  const changes = [];
+  morpher.on('change:regions', (m, regions) => changes.push(regions.length));
+
+  const eyes = morpher.addRegion('eyes', [0, 1, 1], [1, 0]);
+  assert(eyes && eyes.triangles.length === 2, 'Should store unique triangle indices');
+  assert(morpher.addRegion('eyes') === null, 'Should reject duplicate names');
+  assert(morpher.addRegion('', [0]) === null, 'Should reject empty names');
+  assert(morpher.addRegion('bad', [-1]) === null, 'Should reject invalid indices');
+  assert(morpher.addRegion('bad', [], [NaN]) === null, 'Should reject invalid weights');
+
+  morpher.addRegion('mouth', [1, 2]);
+  assert(eyes.triangles.length === 1 && eyes.triangles[0] === 0, 'A triangle should belong to one region only');
+  assert(morpher.getRegion('mouth').weights === null, 'Weights should default to the global weights');
+
+  assert(morpher.setRegionWeights('mouth', [0.2, 0.8]), 'Should set weights');
+  assert(!morpher.setRegionWeights('nose', [1]), 'Unknown region');
+  assert(morpher.removeRegion('mouth') && !morpher.removeRegion('mouth'), 'Should remove a region once');
+  assert(morpher.regions.length === 1 && changes.length === 4, `Should announce changes, got ${changes.length}`);
+  morpher.dispose();
+});
+
+// Test 2: Rendering
+await test('Blends region triangles with their own weights', () => {
+  const morpher = createMorpher();
+  morpher.set([0, 1]);
+  const blends = recordBlends(morpher);
+
+  morpher.drawNow();
+  assert(blends.length === 2, 'Without regions every image is blended once');
+  assert(blends.every(([, , count]) => count === 8), 'Each blend should draw all triangles');
+
+  blends.length = 0;
+  morpher.addRegion('eyes', [2, 5], [1, 0]);
+  morpher.drawNow();
+
+  // Image B has the higher weight and is drawn first
+  const expected = [[1, 1, 6], [1, 0, 2], [0, 0, 6], [0, 1, 2]];
+  assert(blends.length === expected.length, `Should blend each group, got ${blends.length}`);
+  expected.forEach((blend, i) => {
+    assert(blends[i].every((value, k) => value === blend[k]), `Blend ${i} should be ${blend}, got ${blends[i]}`);
+  });
+
+  // The mesh still follows the global weights
+  assert(morpher.mesh.points[4].x === morpher.images[1].points[4].x, 'Geometry should not use region weights');
+  morpher.dispose();
+});
+
+// Test 3: Culling and weight fallbacks
+await test('Respects culled triangles and missing weights', () => {
+  const morpher = createMorpher();
+  morpher.set([0.5, 0.5]);
+  morpher.addRegion('left', [0, 1, 4], [1]);
+  morpher.addRegion('idle', [2]);
+
+  const groups = morpher.getWeightGroups([0, 2, 3]);
+  assert(groups.length === 2, 'Regions without weights use the global weights');
+  assert(groups[0].weights === null && groups[0].indices.join() === '2,3', 'Global group should hold the other triangles');
+  assert(groups[1].indices.join() === '0', 'Only visible region triangles should be drawn');
+
+  const blends = recordBlends(morpher);
+  morpher.drawNow();
+  assert(blends.some(([image, weight]) => image === 1 && weight === 0), 'Missing weights should be 0');
+  morpher.dispose();
+});
+
+// Test 4: Mesh edits
+await test('Keeps regions in sync when triangles and images are removed', () => {
+  const morpher = createMorpher();
+  morpher.addRegion('eyes', [1, 3, 6], [0.3, 0.7]);
+
+  morpher.images[0].removeTriangle(3);
+  assert(morpher.getRegion('eyes').triangles.join() === '1,5', 'Indices should follow removed triangles');
+
+  morpher.removeImage(morpher.images[0]);
+  assert(morpher.getRegion('eyes').weights.join() === '0.7', 'Weights should follow removed images');
+  morpher.dispose();
+});
+
+// Test 5: JSON
+await test('Saves regions in JSON', () => {
+  const morpher = createMorpher();
+  morpher.addRegion('eyes', [0, 1], [1, 0]);
+  morpher.addRegion('background', [7]);
+
+  const json = morpher.toJSON();
+  assert(json.regions.length === 2 && json.regions[0].weights.join() === '1,0', 'Should export regions');
+
+  const restored = new Morpher({ canvasFactory, clock: new ManualClock(), ...JSON.parse(JSON.stringify(json)) });
+  assert(restored.regions.length === 2, 'Should restore regions');
+  assert(restored.getRegion('eyes').triangles.join() === '0,1', 'Should restore triangles');
+  assert(restored.getRegion('background').weights === null, 'Should restore global weights');
+
+  const sanitized = Morpher.sanitizeJSON({
+    regions: [{ name: 'a', triangles: [0] }, { name: 'a', triangles: [1] }, { name: 'b', triangles: ['x'] }, null]
+  });
+  assert(sanitized.regions.length === 1 && sanitized.regions[0].triangles[0] === 0, 'Should drop invalid regions');
+  assert(!('regions' in createMorpher().toJSON()), 'No regions, nothing exported');
+
+  morpher.dispose();
+  restored.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All region tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
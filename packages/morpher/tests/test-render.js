@@ -0,0 +1,177 @@
+/**
+ * Test script for high-resolution rendering
+ * Run with: node tests/test-render.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+
+console.log('🖨️  Testing High-Resolution Rendering...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+      putImageData: () => {}
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const created = [];
+const canvasFactory = (width, height) => {
+  const canvas = new FakeCanvas(width, height);
+  created.push(canvas);
+  return canvas;
+};
+
+const near = (a, b, tolerance = 1e-6) => Math.abs(a - b) <= tolerance;
+
+// Two identical 200x100 images split into two triangles
+function createMorpher(params = {}) {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), ...params });
+  const points = [{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 0, y: 100 }, { x: 200, y: 100 }];
+  for (let i = 0; i < 2; i++) {
+    const image = new Image({ points }, { canvasFactory });
+    image.setImage(new FakeCanvas(200, 100));
+    morpher.addImage(image);
+  }
+  morpher.addTriangle(0, 1, 2);
+  morpher.addTriangle(1, 3, 2);
+  morpher.drawNow();
+  return morpher;
+}
+
+const transforms = (canvas) => canvas.calls.filter(([method]) => method === 'setTransform').map((call) => call.slice(1));
+
+// Test 1: Scale
+await test('Renders the frame scaled up from the source images', () => {
+  const morpher = createMorpher();
+  created.length = 0;
+  const canvas = morpher.renderToCanvas([0.5, 0.5], { scale: 3 });
+
+  assert(canvas === created[0] && canvas.width === 600 && canvas.height === 300, 'Should create a canvas at the scaled size');
+  const tmp = created[1];
+  const drawn = transforms(tmp);
+  assert(drawn.length === 4, `Should warp two triangles per image, got ${drawn.length}`);
+  assert(drawn.every(([a, b, c, d, e, f]) => near(a, 3) && near(b, 0) && near(c, 0) && near(d, 3) && near(e, 0) && near(f, 0)),
+    'Triangles should be drawn at three times the size');
+  morpher.dispose();
+});
+
+// Test 2: Size
+await test('Fits the frame into a width and height', () => {
+  const morpher = createMorpher();
+  const canvas = new FakeCanvas();
+  created.length = 0;
+  assert(morpher.renderToCanvas([1, 0], { width: 400, height: 400, canvas }) === canvas, 'Should draw into the given canvas');
+  assert(canvas.width === 400 && canvas.height === 400, 'Canvas should get the requested size');
+  assert(transforms(created[0]).every(([a, , , d, e, f]) => near(a, 2) && near(d, 2) && near(e, 0) && near(f, 100)),
+    'Frame should be scaled to fit and centered');
+
+  const wide = morpher.renderToCanvas([1, 0], { width: 1000 });
+  assert(wide.width === 1000 && wide.height === 500, 'Height should follow the aspect ratio');
+  morpher.dispose();
+});
+
+// Test 3: Weights and blending
+await test('Blends with the given weights and blend function', () => {
+  const blends = [];
+  const morpher = createMorpher();
+  morpher.setBlendFunction((destination, source, weight) => blends.push({ destination, weight }));
+  morpher.setBackground('white');
+  created.length = 0;
+
+  const canvas = morpher.renderToCanvas({ geometry: [1, 0], appearance: [0.25, 0.75] }, { scale: 2 });
+  assert(blends.map(({ weight }) => weight).join() === '0.75,0.25', 'Should blend by appearance weight');
+  assert(blends.every(({ destination }) => destination !== canvas), 'Should blend offscreen under a background');
+  const calls = canvas.calls.map(([method]) => method);
+  assert(calls.indexOf('fillRect') < calls.indexOf('drawImage'), 'Background should go under the frame');
+  morpher.dispose();
+});
+
+// Test 4: Live state
+await test('Leaves the live canvas and animation alone', () => {
+  const morpher = createMorpher({ warpMode: 'tps' });
+  morpher.set([0.3, 0.7]);
+  morpher.drawNow();
+  morpher.animate([1, 0], 1000);
+  const grid = morpher.warpGrid;
+  const calls = morpher.canvas.calls.length;
+  const points = morpher.mesh.points.map((p) => `${p.x},${p.y}`).join(';');
+
+  morpher.renderToCanvas([0, 1], { scale: 2 });
+  assert(morpher.canvas.calls.length === calls, 'Live canvas should not be drawn');
+  assert(morpher.get().join() === '0.3,0.7' && morpher.t0 !== null, 'Weights and animation should be unchanged');
+  assert(morpher.mesh.points.map((p) => `${p.x},${p.y}`).join(';') === points, 'Blended mesh should be unchanged');
+  assert(morpher.warpGrid === grid, 'Warp cache should be kept');
+  morpher.dispose();
+});
+
+// Test 5: Errors
+await test('Rejects invalid options', () => {
+  const morpher = createMorpher();
+  const throws = (fn) => {
+    try {
+      fn();
+    } catch {
+      return true;
+    }
+    return false;
+  };
+  assert(throws(() => morpher.renderToCanvas([1, 0], { scale: 0 })), 'Scale must be positive');
+  assert(throws(() => morpher.renderToCanvas([1, 0], { width: '100' })), 'Width must be a number');
+
+  const empty = new Morpher({ canvasFactory, clock: new ManualClock() });
+  assert(throws(() => empty.renderToCanvas([1])), 'Nothing to render without images');
+  morpher.dispose();
+  empty.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All render tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
@@ -0,0 +1,204 @@
+/**
+ * Test script for the JSON schema and migrations
+ * Run with: node tests/test-schema.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { ManualClock } from '../src/environment.js';
+import {
+  MORPHER_SCHEMA_VERSION, SchemaError, migrate, migrateMorpherJSON, validateMorpherJSON, validateSchema
+} from '../src/schema.js';
+
+console.log('📐 Testing JSON Schema...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+      putImageData: () => {}
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+// Warnings are part of what's tested, so collect them instead of printing
+function captureWarnings(fn) {
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (message) => warnings.push(String(message));
+  try {
+    fn();
+  } finally {
+    console.warn = warn;
+  }
+  return warnings;
+}
+
+// A document in the original CoffeeScript MorpherJS format (no version)
+const v1 = {
+  images: [
+    { x: 0, y: 0, points: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }] },
+    { x: 10, y: 0, points: [{ x: 5, y: 5 }, { x: 90, y: 10 }, { x: 10, y: 95 }] }
+  ],
+  triangles: [[0, 1, 2]]
+};
+
+await test('Reports invalid values with their paths', () => {
+  const errors = validateMorpherJSON({
+    version: 2,
+    images: [{ points: [{ x: 0, y: 0 }, { x: 'left', y: 0 }, { y: 1 }] }],
+    triangles: [[0, 1], [0, 1, -2]],
+    weights: 'half',
+    pixelRatio: 0
+  });
+  const messages = errors.map(({ path, message }) => `${path}: ${message}`);
+
+  assert(messages.includes('images[0].points[1].x: must be a number'), 'Wrong type');
+  assert(messages.includes('images[0].points[2].x: is required'), 'Missing value');
+  assert(messages.includes('triangles[0]: must have at least 3 items'), 'Short triangle');
+  assert(messages.includes('triangles[1][2]: must be at least 0'), 'Negative index');
+  assert(messages.some((m) => m.startsWith('weights: must be a list of weights')), 'Weights of neither form');
+  assert(messages.includes("pixelRatio: must be a positive number or 'auto'"), 'Bad pixel ratio');
+  assert(errors.length === 6, `Expected 6 errors, got ${errors.length}`);
+});
+
+await test('Accepts exported configurations', () => {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), ...v1 });
+  const json = morpher.toJSON();
+
+  assert(json.version === MORPHER_SCHEMA_VERSION, 'Writes the version');
+  assert(validateMorpherJSON(json).length === 0, 'No errors in its own output');
+  assert(validateMorpherJSON({ version: 2, pixelRatio: 'auto', weights: { geometry: [1], appearance: [0] } }).length === 0,
+    'Alternative forms are accepted');
+  morpher.dispose();
+});
+
+await test('Upgrades version 1 documents', () => {
+  const upgraded = migrateMorpherJSON(v1);
+  assert(upgraded.version === MORPHER_SCHEMA_VERSION, 'Upgraded to the current version');
+  assert(upgraded.images === v1.images && upgraded.triangles === v1.triangles, 'Data is kept');
+  assert(!('version' in v1), 'Input is left alone');
+
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), ...v1 });
+  assert(morpher.images.length === 2 && morpher.triangles.length === 1, 'Loads v1 documents');
+  assert(morpher.images[1].points[2].y === 95, 'Keeps point positions');
+  morpher.dispose();
+});
+
+await test('Runs migrations step by step', () => {
+  const steps = [];
+  const migrations = [
+    { from: 1, to: 2, migrate: (doc) => { steps.push(1); return { ...doc, a: true }; } },
+    { from: 2, to: 3, migrate: (doc) => { steps.push(2); return { ...doc, b: doc.a }; } }
+  ];
+
+  const doc = migrate({}, { migrations, version: 3 });
+  assert(steps.join() === '1,2', 'Each step runs once, in order');
+  assert(doc.version === 3 && doc.b === true, 'Later steps see earlier results');
+  assert(migrate({ version: 3, c: 1 }, { migrations, version: 3 }).c === 1, 'Current documents pass through');
+});
+
+await test('Rejects unknown and newer versions', () => {
+  const expectSchemaError = (json, pattern) => {
+    try {
+      migrateMorpherJSON(json);
+    } catch (error) {
+      assert(error instanceof SchemaError, 'Throws a SchemaError');
+      assert(pattern.test(error.message), `Unexpected message: ${error.message}`);
+      assert(error.errors[0].path === 'version' || error.errors[0].path === '(root)', 'Error has a path');
+      return;
+    }
+    throw new Error('Expected a SchemaError');
+  };
+
+  expectSchemaError({ version: MORPHER_SCHEMA_VERSION + 1 }, /newer than the supported version/);
+  expectSchemaError({ version: '2.0.0' }, /invalid version/);
+  expectSchemaError([], /must be an object/);
+});
+
+await test('fromJSON() warns about invalid values', () => {
+  let morpher;
+  const warnings = captureWarnings(() => {
+    morpher = new Morpher({
+      canvasFactory, clock: new ManualClock(),
+      images: [{ points: [{ x: 0, y: 0 }, { x: 'oops', y: 0 }] }]
+    });
+  });
+
+  assert(warnings.some((w) => w.includes('images[0].points[1].x: must be a number')), 'Warning names the path');
+  assert(morpher.images[0].points[1].x === 0, 'Value is still replaced');
+  morpher.dispose();
+
+  const newer = captureWarnings(() => new Morpher({ canvasFactory, clock: new ManualClock(), version: 99 }).dispose());
+  assert(newer.some((w) => w.includes('newer than the supported version')), 'Newer versions are reported');
+  assert(captureWarnings(() => new Morpher({ canvasFactory, clock: new ManualClock(), ...v1 }).dispose()).length === 0,
+    'Valid documents load quietly');
+});
+
+await test('Validates against any schema', () => {
+  const schema = { type: 'object', required: ['name'], properties: { name: { type: 'string', enum: ['a', 'b'] } } };
+  assert(validateSchema(schema, { name: 'a' }).length === 0, 'Valid');
+  assert(validateSchema(schema, { name: 'c' })[0].path === 'name', 'Enum');
+  assert(validateSchema(schema, 5)[0].path === '(root)', 'Root type');
+});
+
+await test('Checks maximum and additionalProperties', () => {
+  const schema = {
+    type: 'object',
+    properties: { weight: { type: 'number', minimum: 0, maximum: 1 } },
+    additionalProperties: { type: 'number' }
+  };
+  assert(validateSchema(schema, { weight: 1, a: 2 }).length === 0, 'Valid');
+  assert(validateSchema(schema, { weight: 2 })[0].message === 'must be at most 1', 'Maximum');
+  assert(validateSchema(schema, { weight: 0, a: 'x' })[0].path === 'a', 'Additional property');
+  assert(validateSchema({ type: 'object' }, { a: 'x' }).length === 0, 'Unlisted properties are allowed');
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All schema tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
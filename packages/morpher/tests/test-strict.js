@@ -0,0 +1,183 @@
+/**
+ * Test script for strict loading
+ * Run with: node tests/test-strict.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { ManualClock } from '../src/environment.js';
+import { SchemaError, checkMorpherReferences } from '../src/schema.js';
+
+console.log('🧪 Testing strict loading...\n');
+
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+      putImageData: () => {}
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+const square = {
+  images: [
+    { points: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }, { x: 100, y: 100 }] },
+    { points: [{ x: 10, y: 0 }, { x: 90, y: 0 }, { x: 0, y: 90 }, { x: 100, y: 90 }] }
+  ],
+  triangles: [[0, 1, 2], [1, 2, 3]]
+};
+
+const createMorpher = (params = {}) => new Morpher({ canvasFactory, clock: new ManualClock(), ...params });
+
+// Run fn and return the SchemaError it throws
+function catchSchemaError(fn) {
+  try {
+    fn();
+  } catch (e) {
+    if (e instanceof SchemaError) return e;
+    throw e;
+  }
+  throw new Error('Expected a SchemaError');
+}
+
+await test('Strict mode loads valid configurations', () => {
+  const morpher = createMorpher({ ...square, strict: true });
+  assert(morpher.images.length === 2, 'Images loaded');
+  assert(morpher.triangles.length === 2, 'Triangles loaded');
+
+  const copy = createMorpher();
+  copy.fromJSON(morpher.toJSON(), { strict: true });
+  assert(copy.triangles.length === 2, 'Exported configuration loads strictly');
+  morpher.dispose();
+  copy.dispose();
+});
+
+await test('Lists every invalid path', () => {
+  const json = structuredClone(square);
+  json.images[1].points[2].x = 'left';
+  json.images[1].points[3] = null;
+  json.triangles.push([0, 1]);
+
+  const error = catchSchemaError(() => createMorpher({ ...json, strict: true }));
+  const paths = error.errors.map(({ path }) => path);
+
+  assert(error.name === 'SchemaError', 'Error class');
+  assert(paths.includes('images[1].points[2].x'), 'Bad coordinate');
+  assert(paths.includes('images[1].points[3]'), 'Bad point');
+  assert(paths.includes('triangles[2]'), 'Short triangle');
+  assert(error.errors.length === 3, `Expected 3 errors, got ${error.errors.length}`);
+  assert(error.message.includes('3 problems') && error.message.includes('images[1].points[2].x: must be a number'),
+    'Message lists the paths');
+});
+
+await test('Checks triangle indices against the point count', () => {
+  const json = { ...square, triangles: [[0, 1, 2], [1, 2, 4]], constraints: [[0, 7]] };
+  const error = catchSchemaError(() => createMorpher({ ...json, strict: true }));
+
+  assert(error.errors.length === 2, `Expected 2 errors, got ${error.errors.length}`);
+  assert(error.errors[0].path === 'triangles[1][2]', 'Triangle index path');
+  assert(error.errors[0].message === 'must be less than the point count (4)', 'Triangle index message');
+  assert(error.errors[1].path === 'constraints[0][1]', 'Constraint index path');
+});
+
+await test('Checks that images have equal point counts', () => {
+  const json = structuredClone(square);
+  json.images[1].points.pop();
+  json.triangles = [[0, 1, 2]];
+
+  const errors = checkMorpherReferences(json);
+  assert(errors.length === 1, `Expected 1 error, got ${errors.length}`);
+  assert(errors[0].path === 'images[1].points', 'Path of the image');
+  assert(errors[0].message === 'must have 4 points like images[0], not 3', 'Message names the counts');
+});
+
+await test('Checks region, color matching and name references', () => {
+  const errors = checkMorpherReferences({
+    ...square,
+    regions: [{ name: 'eyes', triangles: [0, 2] }],
+    colorMatching: { mode: 'reference', reference: 2 }
+  });
+  const paths = errors.map(({ path }) => path);
+  assert(paths.join() === 'regions[0].triangles[1],colorMatching.reference', `Unexpected paths: ${paths}`);
+
+  const error = catchSchemaError(() => createMorpher({ ...square, warpMode: 'swirl', fit: 'stretch', strict: true }));
+  assert(error.errors.map(({ path }) => path).join() === 'warpMode,fit', 'Unknown names are invalid');
+});
+
+await test('Strict failures leave the morpher unchanged', () => {
+  const morpher = createMorpher(square);
+  const before = JSON.stringify(morpher.toJSON());
+
+  catchSchemaError(() => morpher.fromJSON({ images: [{ points: [{ x: 'a', y: 0 }] }] }, { strict: true, hard: true }));
+  catchSchemaError(() => morpher.fromJSON({ version: 99 }, { strict: true }));
+
+  assert(JSON.stringify(morpher.toJSON()) === before, 'Nothing was loaded or reset');
+  morpher.dispose();
+});
+
+await test('Without strict, invalid values are still replaced', () => {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(String(message));
+  let morpher;
+  try {
+    morpher = createMorpher({ images: [{ points: [{ x: 'a', y: 0 }] }] });
+  } finally {
+    console.warn = warn;
+  }
+
+  assert(morpher.images[0].points[0].x === 0, 'Value replaced');
+  assert(warnings.some((w) => w.includes('images[0].points[0].x')), 'Warning names the path');
+  morpher.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All strict loading tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
@@ -0,0 +1,227 @@
+/**
+ * Test script for keyframe timelines
+ * Run with: node tests/test-timeline.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+import { Timeline } from '../src/timeline.js';
+
+console.log('⏱️  Testing Keyframe Timeline...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4).fill(100) }),
+      putImageData: (data) => this.calls.push(['putImageData', data])
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+function createMorpher(clock = new ManualClock()) {
+  const morpher = new Morpher({ canvasFactory, clock });
+  for (const points of [
+    [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }],
+    [{ x: 10, y: 10 }, { x: 90, y: 10 }, { x: 10, y: 90 }],
+    [{ x: 20, y: 20 }, { x: 80, y: 20 }, { x: 20, y: 80 }]
+  ]) {
+    const image = new Image({ points }, { canvasFactory });
+    image.setImage(new FakeCanvas(100, 100));
+    morpher.addImage(image);
+  }
+  morpher.addTriangle(0, 1, 2);
+  return morpher;
+}
+
+const keyframes = [
+  { time: 0, weights: [1, 0, 0] },
+  { time: 100, weights: [0, 1, 0] },
+  { time: 200, weights: [0, 0, 1] }
+];
+
+function close(a, b) {
+  return Math.abs(a - b) < 1e-9;
+}
+
+// Test 1: Multi-segment interpolation
+test('Interpolates between keyframes', () => {
+  const timeline = new Timeline(keyframes);
+  assert(close(timeline.getWeightsAt(50)[1], 0.5), 'Should be half-way through first segment');
+  assert(close(timeline.getWeightsAt(150)[2], 0.5), 'Should be half-way through second segment');
+  assert(timeline.getWeightsAt(500)[2] === 1, 'Should hold last keyframe');
+});
+
+// Test 2: Per-segment easing
+test('Applies easing per segment', () => {
+  const timeline = new Timeline([
+    { time: 0, weights: [0], easing: (t) => t * t },
+    { time: 100, weights: [1] },
+    { time: 200, weights: [0] }
+  ]);
+  assert(close(timeline.getWeightsAt(50)[0], 0.25), 'First segment should be eased');
+  assert(close(timeline.getWeightsAt(150)[0], 0.5), 'Second segment should be linear');
+});
+
+// Test 3: Playback through Morpher with keyframe events
+test('Plays through Morpher and emits keyframe events', () => {
+  const clock = new ManualClock();
+  const morpher = createMorpher(clock);
+  const reached = [];
+  let completed = 0;
+  morpher.on('animation:keyframe', (m, index) => reached.push(index));
+  morpher.on('animation:complete', () => completed++);
+
+  morpher.playTimeline(keyframes);
+  clock.tick(0);
+  clock.tick(50);
+  assert(close(morpher.get()[1], 0.5), 'Should interpolate weights');
+  clock.tick(100);
+  clock.tick(100);
+
+  assert(reached.join() === '0,1,2', `Should reach every keyframe once, got ${reached.join()}`);
+  assert(completed === 1, 'Should complete once');
+  assert(morpher.get()[2] === 1, 'Should end on last keyframe');
+  assert(morpher.timeline === null, 'Should detach when complete');
+  assert(!clock.hasPendingFrames(), 'Should stop requesting frames');
+  morpher.dispose();
+});
+
+// Test 4: Looping
+test('Loops a fixed number of times', () => {
+  const timeline = new Timeline(keyframes, { loop: 2 });
+  const reached = [];
+  timeline.on('keyframe', (t, index) => reached.push(index));
+  timeline.play();
+  for (let time = 0; time <= 500; time += 25) {
+    timeline.update(time);
+  }
+  assert(reached.join() === '0,1,2,0,1,2', `Should report keyframes per pass, got ${reached.join()}`);
+  assert(timeline.isComplete(), 'Should complete after two passes');
+  assert(close(timeline.getWeightsAt(250)[1], 0.5), 'Second pass should repeat the first');
+});
+
+// Test 5: Ping-pong
+test('Ping-pong plays backwards after each pass', () => {
+  const timeline = new Timeline(keyframes, { pingPong: true });
+  const reached = [];
+  timeline.on('keyframe', (t, index) => reached.push(index));
+  timeline.play();
+  for (let time = 0; time <= 400; time += 50) {
+    timeline.update(time);
+  }
+  assert(reached.join() === '0,1,2,1,0', `Should bounce, got ${reached.join()}`);
+  assert(close(timeline.getWeightsAt(250)[2], 0.5), 'Should play second segment backwards');
+  assert(timeline.getTotalDuration() === 400, 'Ping-pong doubles duration');
+});
+
+// Test 6: Infinite loop never completes
+test('Infinite loop keeps playing', () => {
+  const timeline = new Timeline(keyframes, { loop: true });
+  timeline.play();
+  timeline.update(0);
+  timeline.update(10000);
+  assert(timeline.isPlaying(), 'Should still be playing');
+  assert(!timeline.isComplete(), 'Should never complete');
+});
+
+// Test 7: Pause, resume, seek and playback rate
+test('Supports pause, resume, seek and playback rate', () => {
+  const clock = new ManualClock();
+  const morpher = createMorpher(clock);
+  const timeline = morpher.playTimeline(keyframes, { playbackRate: 2 });
+
+  clock.tick(0);
+  clock.tick(25);
+  assert(close(morpher.get()[1], 0.5), 'Playback rate should double speed');
+
+  timeline.pause();
+  clock.tick(100);
+  assert(!clock.hasPendingFrames(), 'Paused timeline should not request frames');
+  assert(close(morpher.get()[1], 0.5), 'Paused timeline should hold weights');
+
+  timeline.seek(150);
+  clock.tick(0);
+  assert(close(morpher.get()[2], 0.5), 'Seek should redraw at new position');
+
+  timeline.resume();
+  clock.tick(0);
+  clock.tick(10);
+  assert(close(morpher.get()[2], 0.7), 'Should resume from seek position');
+  morpher.dispose();
+});
+
+// Test 8: animate() replaces timeline
+test('animate() stops a running timeline', () => {
+  const clock = new ManualClock();
+  const morpher = createMorpher(clock);
+  morpher.playTimeline(keyframes, { loop: true });
+  morpher.animate([0, 0, 1], 100);
+  assert(morpher.timeline === null, 'Timeline should be detached');
+  clock.tick(100);
+  assert(morpher.get()[2] === 1, 'Animation should run');
+  morpher.dispose();
+});
+
+// Test 9: Invalid keyframes
+test('Rejects invalid keyframes', () => {
+  for (const invalid of [[], [{ weights: [1] }], [{ time: -1, weights: [1] }], [{ time: 0 }]]) {
+    let threw = false;
+    try {
+      new Timeline(invalid);
+    } catch {
+      threw = true;
+    }
+    assert(threw, `Should reject ${JSON.stringify(invalid)}`);
+  }
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All timeline tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
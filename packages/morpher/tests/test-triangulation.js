@@ -0,0 +1,300 @@
+/**
+ * Test script for constrained triangulation
+ * Run with: node tests/test-triangulation.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+import { triangulate, insertPoint, findFlippedTriangles, orientation } from '../src/triangulation.js';
+
+console.log('🔺 Testing Triangulation...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+      putImageData: () => {}
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = () => {};
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+function createMorpher(pointSets, params = {}) {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), ...params });
+  for (const points of pointSets) {
+    const image = new Image({ points }, { canvasFactory });
+    image.setImage(new FakeCanvas(200, 200));
+    morpher.addImage(image);
+  }
+  return morpher;
+}
+
+const hasEdge = (triangles, a, b) => triangles.some((t) => t.includes(a) && t.includes(b));
+
+// Sum of triangle areas, to check the mesh covers the convex hull exactly once
+const totalArea = (points, triangles) =>
+  triangles.reduce((sum, [a, b, c]) => sum + Math.abs(orientation(points[a], points[b], points[c])) / 2, 0);
+
+// Square corners plus scattered interior points
+const square = [
+  { x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 },
+  { x: 30, y: 40 }, { x: 70, y: 35 }, { x: 45, y: 75 }, { x: 20, y: 15 }, { x: 80, y: 80 }
+];
+
+// Test 1: Delaunay triangulation
+await test('Triangulates points counter-clockwise covering the hull', () => {
+  const triangles = triangulate(square);
+  // 2n - h - 2 triangles for n points with h on the hull
+  assert(triangles.length === 2 * 9 - 4 - 2, `Should create 12 triangles, got ${triangles.length}`);
+  assert(Math.abs(totalArea(square, triangles) - 10000) < 1e-6, 'Triangles should cover the square once');
+  assert(triangles.every(([a, b, c]) => orientation(square[a], square[b], square[c]) > 0), 'Triangles should be counter-clockwise');
+});
+
+// Test 2: Degenerate input
+await test('Skips duplicate and collinear points', () => {
+  assert(triangulate([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }]).length === 0, 'Collinear points have no triangles');
+
+  const triangles = triangulate([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }, { x: 10, y: 0 }]);
+  assert(triangles.length === 1 && !triangles[0].includes(3), 'Duplicate point should be skipped');
+});
+
+// Test 3: Constrained edges
+await test('Keeps constrained edges', () => {
+  // A thin diamond: the Delaunay mesh joins the close pair (1, 3)
+  const points = [{ x: 0, y: 50 }, { x: 50, y: 45 }, { x: 100, y: 50 }, { x: 50, y: 55 }];
+  assert(!hasEdge(triangulate(points), 0, 2), 'Unconstrained mesh should use the short diagonal');
+
+  const triangles = triangulate(points, [[0, 2]]);
+  assert(hasEdge(triangles, 0, 2), 'Constrained edge should be kept');
+  assert(triangles.length === 2 && Math.abs(totalArea(points, triangles) - 500) < 1e-6, 'Mesh should stay valid');
+});
+
+// Test 4: Constraints crossing many edges and passing through points
+await test('Recovers long constraints and splits them at points', () => {
+  const points = [];
+  for (let y = 0; y <= 4; y++) {
+    for (let x = 0; x <= 4; x++) {
+      points.push({ x: x * 25 + (y % 2) * 3, y: y * 25 + (x % 2) * 3 });
+    }
+  }
+
+  // Across the jittered grid, missing every other point
+  const triangles = triangulate(points, [[0, 23]]);
+  assert(hasEdge(triangles, 0, 23), 'Long constraint should be recovered');
+  assert(Math.abs(totalArea(points, triangles) - totalArea(points, triangulate(points))) < 1e-6, 'Area should be unchanged');
+
+  const line = [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 100, y: 0 }, { x: 50, y: 60 }, { x: 50, y: -60 }];
+  const split = triangulate(line, [[0, 2]]);
+  assert(hasEdge(split, 0, 1) && hasEdge(split, 1, 2), 'Constraint through a point should be split there');
+});
+
+// Test 5: Incremental insertion
+await test('Inserts points incrementally keeping other triangles', () => {
+  const points = square.slice();
+  const before = triangulate(points);
+  points.push({ x: 55, y: 55 });
+
+  const after = insertPoint(points, before, points.length - 1);
+  assert(after.length === before.length + 2, 'Interior point should add two triangles');
+  assert(Math.abs(totalArea(points, after) - 10000) < 1e-6, 'Mesh should still cover the square');
+
+  const replaced = before.filter((t) => !after.some((u) => u.join() === t.join()));
+  assert(replaced.length < before.length, 'Triangles away from the point should be kept');
+
+  // Outside the hull falls back to a full triangulation
+  points.push({ x: 150, y: 50 });
+  const grown = insertPoint(points, after, points.length - 1);
+  assert(grown.some((t) => t.includes(points.length - 1)), 'Point outside the hull should be connected');
+});
+
+// Test 6: Incremental insertion respects constraints
+await test('Incremental insertion does not cross constrained edges', () => {
+  const points = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }, { x: 48, y: 52 }];
+  const triangles = triangulate(points, [[0, 2]]);
+  points.push({ x: 52, y: 49 });
+
+  const after = insertPoint(points, triangles, 5, [[0, 2]]);
+  assert(hasEdge(after, 0, 2), 'Constrained edge should survive insertion');
+  assert(Math.abs(totalArea(points, after) - 10000) < 1e-6, 'Mesh should still cover the square');
+});
+
+// Test 7: Flip detection
+await test('Detects flipped, degenerate and overlapping triangles', () => {
+  const reference = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 50, y: 100 }, { x: 50, y: 40 }];
+  const triangles = [[0, 1, 3], [1, 2, 3], [2, 0, 3]];
+  assert(findFlippedTriangles(triangles, reference, reference).length === 0, 'Reference mesh should be valid');
+
+  // Interior point dragged below the bottom edge
+  const moved = reference.slice();
+  moved[3] = { x: 50, y: -20 };
+  const problems = findFlippedTriangles(triangles, moved, reference);
+  assert(problems.some((p) => p.index === 0 && p.reason === 'flipped'), 'Bottom triangle should be flipped');
+
+  const collapsed = reference.slice();
+  collapsed[3] = { x: 50, y: 0 };
+  assert(findFlippedTriangles(triangles, collapsed, reference)[0].reason === 'degenerate', 'Zero-area triangle should be degenerate');
+
+  // Pentagram fan: every triangle keeps its orientation but the ring wraps twice
+  const center = { x: 0, y: 0 };
+  const ring = [center];
+  for (let k = 0; k < 5; k++) {
+    const angle = (k * 4 * Math.PI) / 5;
+    ring.push({ x: Math.cos(angle) * 10, y: Math.sin(angle) * 10 });
+  }
+  const fan = [1, 2, 3, 4, 5].map((k) => [0, k, (k % 5) + 1]);
+  const overlapping = findFlippedTriangles(fan, ring, ring);
+  assert(overlapping.length === 5 && overlapping.every((p) => p.reason === 'overlap'), 'Folded fan should overlap');
+});
+
+// Test 8: Mesh and morpher integration
+await test('Triangulates a morpher and propagates to all images', () => {
+  const morpher = createMorpher([square, square.map((p) => ({ x: p.x + 10, y: p.y }))]);
+  let added = 0;
+  morpher.on('triangle:add', () => added++);
+
+  morpher.addConstraint(7, 8);
+  morpher.triangulate();
+  assert(morpher.triangles.length === 12, `Should create 12 triangles, got ${morpher.triangles.length}`);
+  assert(added === 12, 'Should trigger triangle:add per triangle');
+  assert(morpher.images[1].triangles.length === 12 && morpher.mesh.triangles.length === 12, 'Should propagate to images and mesh');
+  assert(hasEdge(morpher.triangles, 7, 8), 'Should keep the constraint');
+
+  // Re-triangulating an unchanged mesh is a no-op
+  added = 0;
+  morpher.triangulate();
+  assert(added === 0 && morpher.triangles.length === 12, 'Unchanged triangles should be kept');
+  morpher.dispose();
+});
+
+// Test 9: Automatic triangulation
+await test('Keeps the mesh triangulated with autoTriangulate', () => {
+  const morpher = createMorpher([square.slice(0, 4), square.slice(0, 4)], { autoTriangulate: true });
+  morpher.triangulate();
+  assert(morpher.triangles.length === 2, 'Should triangulate the square');
+
+  morpher.addPoint(50, 50);
+  assert(morpher.triangles.length === 4, 'Added point should be connected');
+  assert(morpher.images.every((image) => image.triangles.length === 4), 'Images should stay compatible');
+
+  morpher.images[0].points[4].remove();
+  assert(morpher.triangles.length === 2, 'Hole should be re-triangulated');
+  assert(morpher.triangles.every((t) => t.every((i) => i < 4)), 'Indices should be shifted');
+  morpher.dispose();
+});
+
+// Test 10: Flipped triangles across images
+await test('Reports flipped triangles per image', () => {
+  const pointsA = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 50, y: 100 }, { x: 50, y: 40 }];
+  const pointsB = pointsA.slice(0, 3).concat([{ x: 50, y: -20 }]);
+  const morpher = createMorpher([pointsA, pointsB]);
+  morpher.addTriangle(0, 1, 3);
+  morpher.addTriangle(1, 2, 3);
+  morpher.addTriangle(2, 0, 3);
+
+  const problems = morpher.findFlippedTriangles();
+  assert(problems.length > 0, 'Should find problems');
+  assert(problems.every((p) => p.image === morpher.images[1]), 'Only the second image is folded');
+  assert(problems.some((p) => p.index === 0 && p.reason === 'flipped'), 'Should report the flipped triangle');
+  morpher.dispose();
+});
+
+// Test 11: Validation
+await test('Validates images and the interpolated mesh', () => {
+  const pointsA = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 50, y: 100 }, { x: 30, y: 40 }];
+  const pointsB = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 50, y: 100 }, { x: 70, y: 40 }];
+  const morpher = createMorpher([pointsA, pointsB]);
+  morpher.addTriangle(0, 1, 3);
+  morpher.addTriangle(1, 2, 3);
+  morpher.addTriangle(2, 0, 3);
+
+  let invalid = null;
+  morpher.on('mesh:invalid', (m, report) => (invalid = report));
+
+  const report = morpher.validate([0.5, 0.5]);
+  assert(report.valid && invalid === null, 'Mesh should be valid');
+  assert(report.images.length === 2 && report.mesh.length === 0, 'Should report per image and for the mesh');
+
+  // Inner point dragged below the bottom edge; halfway it lands on the edge
+  morpher.images[1].points[3].y = -40;
+  morpher.images[1].points[3].x = 20;
+  const midway = morpher.validate([0.5, 0.5]);
+  assert(!midway.valid && invalid === midway, 'Should trigger mesh:invalid');
+  assert(midway.images[0].length === 0, 'Reference image is valid');
+  assert(midway.images[1].some((p) => p.index === 0 && p.reason === 'flipped'), 'Second image folds');
+  assert(midway.mesh.some((p) => p.index === 0 && p.reason === 'degenerate'), 'Interpolated mesh collapses');
+  assert(morpher.validate([1, 0]).mesh.length === 0, 'Interpolated mesh at the first image is valid');
+
+  const { valid, problems } = morpher.images[1].mesh.validate(morpher.images[0]);
+  assert(!valid && problems.length > 0, 'Mesh.validate() should compare to the reference');
+  morpher.dispose();
+});
+
+// Test 12: JSON round trip
+await test('Saves and restores constraints', () => {
+  const morpher = createMorpher([square, square]);
+  morpher.addConstraint(4, 6);
+  assert(!morpher.addConstraint(6, 4), 'Duplicate constraint should be rejected');
+  assert(!morpher.addConstraint(4, 40), 'Constraint to a missing point should be rejected');
+
+  const json = morpher.toJSON();
+  assert(JSON.stringify(json.constraints) === '[[4,6]]', 'Should export constraints');
+
+  const restored = new Morpher({ canvasFactory, clock: new ManualClock(), ...json, constraints: [[4, 6], [1, 1], 'x'] });
+  assert(JSON.stringify(restored.constraints) === '[[4,6]]', 'Should drop invalid constraints');
+
+  morpher.images[0].points[5].remove();
+  assert(JSON.stringify(morpher.constraints) === '[[4,5]]', 'Should shift constraint indices');
+  morpher.images[0].points[4].remove();
+  assert(morpher.constraints.length === 0, 'Should drop constraints of removed points');
+  morpher.dispose();
+  restored.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All triangulation tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
@@ -0,0 +1,223 @@
+/**
+ * Test script for non-linear warp modes
+ * Run with: node tests/test-warp.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+import { createThinPlateSpline, createMovingLeastSquares, createWarpGrid, mapWarpGrid } from '../src/warp.js';
+
+console.log('🌀 Testing Warp Modes...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const near = (a, b, tolerance = 1e-6) => Math.abs(a - b) <= tolerance;
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+      putImageData: () => {}
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+// 3x3 grid of points over a 200x200 image, two triangles per cell
+function createMorpher(params = {}, move = (p) => p) {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), ...params });
+  const points = [];
+  for (let y = 0; y <= 2; y++) {
+    for (let x = 0; x <= 2; x++) {
+      points.push({ x: x * 100, y: y * 100 });
+    }
+  }
+
+  for (const pointSet of [points, points.map(move)]) {
+    const image = new Image({ points: pointSet }, { canvasFactory });
+    image.setImage(new FakeCanvas(200, 200));
+    morpher.addImage(image);
+  }
+  for (let y = 0; y < 2; y++) {
+    for (let x = 0; x < 2; x++) {
+      const i = y * 3 + x;
+      morpher.addTriangle(i, i + 1, i + 3);
+      morpher.addTriangle(i + 1, i + 4, i + 3);
+    }
+  }
+  return morpher;
+}
+
+const controls = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }, { x: 100, y: 100 }, { x: 40, y: 60 }];
+const affine = (p) => ({ x: 2 * p.x + 0.5 * p.y + 10, y: -0.3 * p.x + p.y - 5 });
+
+// Test 1: Thin-plate spline
+await test('Thin-plate spline interpolates points and reproduces affine maps', () => {
+  const bent = controls.map((p, i) => (i === 4 ? { x: 55, y: 45 } : p));
+  const tps = createThinPlateSpline(controls, bent);
+  for (let i = 0; i < controls.length; i++) {
+    const result = tps(controls[i].x, controls[i].y);
+    assert(near(result.x, bent[i].x) && near(result.y, bent[i].y), `Point ${i} should map exactly`);
+  }
+
+  const linear = createThinPlateSpline(controls, controls.map(affine));
+  const result = linear(73, 12);
+  const expected = affine({ x: 73, y: 12 });
+  assert(near(result.x, expected.x) && near(result.y, expected.y), 'Affine map should be reproduced everywhere');
+
+  assert(createThinPlateSpline(controls.slice(0, 2), controls.slice(0, 2)) === null, 'Two points are not enough');
+  assert(createThinPlateSpline([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }], controls) === null, 'Collinear points are singular');
+});
+
+// Test 2: Moving least squares
+await test('Moving least squares interpolates points and reproduces affine maps', () => {
+  const bent = controls.map((p, i) => (i === 4 ? { x: 55, y: 45 } : p));
+  const mls = createMovingLeastSquares(controls, bent);
+  const result = mls(40, 60);
+  assert(result.x === 55 && result.y === 45, 'Control point should map exactly');
+
+  const between = mls(45, 55);
+  assert(between.x > 45 && between.y < 55, 'Nearby positions should follow the moved point');
+
+  const linear = createMovingLeastSquares(controls, controls.map(affine));
+  const mapped = linear(73, 12);
+  const expected = affine({ x: 73, y: 12 });
+  assert(near(mapped.x, expected.x) && near(mapped.y, expected.y), 'Affine map should be reproduced everywhere');
+});
+
+// Test 3: Displacement grid
+await test('Builds a displacement grid over the points', () => {
+  const grid = createWarpGrid([{ x: 10.5, y: 20 }, { x: 95, y: 61 }], 16);
+  assert(grid.left === 10 && grid.top === 20, 'Grid should start at the top-left point');
+  assert(grid.cols === 6 && grid.rows === 3, `Grid should cover the points, got ${grid.cols}x${grid.rows}`);
+
+  const coords = mapWarpGrid(grid, (x, y) => ({ x: x + 1, y: y * 2 }));
+  assert(coords.length === 7 * 4 * 2, 'Should store a position per node');
+  assert(coords[2] === 27 && coords[3] === 40, 'Should evaluate the warp at each node');
+});
+
+// Test 4: Rendering through the grid
+await test('Draws smooth warp modes through the displacement grid', () => {
+  const morpher = createMorpher({ warpMode: 'tps', warpGridSize: 20 });
+  morpher.set([1, 0]);
+  morpher.tmpCanvas.calls = [];
+  morpher.drawNow();
+
+  const draws = morpher.tmpCanvas.calls.filter(([method]) => method === 'drawImage');
+  // Both images, 10x10 cells of two triangles
+  assert(draws.length === 2 * 10 * 10 * 2, `Should draw two triangles per cell, got ${draws.length}`);
+
+  // Unwarped mesh: every cell is drawn with the identity transform
+  const transforms = morpher.tmpCanvas.calls.filter(([method]) => method === 'setTransform');
+  assert(transforms.every(([, a, b, c, d, e, f]) => near(a, 1) && near(b, 0) && near(c, 0) && near(d, 1) && near(e, 0) && near(f, 0)),
+    'Identity warp should draw cells untransformed');
+
+  // Grid is reused while nothing moves
+  const grid = morpher.warpGrid;
+  morpher.drawNow();
+  assert(morpher.warpGrid === grid, 'Grid should be cached');
+  morpher.dispose();
+});
+
+// Test 5: Mode switching and culling
+await test('Switches warp modes and respects culled triangles', () => {
+  const morpher = createMorpher({}, (p) => (p.x === 100 && p.y === 100 ? { x: 130, y: 90 } : p));
+  morpher.set([0.5, 0.5]);
+  const countDraws = (indices = null) => {
+    morpher.tmpCanvas.calls = [];
+    morpher.warpImage(morpher.images[1], morpher.tmpCtx, indices);
+    return morpher.tmpCanvas.calls.filter(([method]) => method === 'drawImage').length;
+  };
+
+  assert(countDraws() === 8, 'Affine mode should draw one triangle each');
+
+  assert(morpher.setWarpMode('mls'), 'Should accept mls');
+  assert(!morpher.setWarpMode('bogus') && morpher.warpMode === 'mls', 'Should reject unknown modes');
+  const all = countDraws();
+  assert(all > 8, 'Smooth warp should draw grid cells');
+  assert(countDraws([0]) < all, 'Culled triangles should skip their cells');
+  morpher.dispose();
+});
+
+// Test 6: Fallback
+await test('Falls back to triangles when the warp cannot be fitted', () => {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), warpMode: 'tps' });
+  for (let i = 0; i < 2; i++) {
+    const image = new Image({ points: [{ x: 0, y: 0 }, { x: 100, y: 0 }] }, { canvasFactory });
+    image.setImage(new FakeCanvas(200, 200));
+    morpher.addImage(image);
+  }
+
+  morpher.tmpCanvas.calls = [];
+  morpher.warpImage(morpher.images[0], morpher.tmpCtx);
+  assert(morpher.tmpCanvas.calls.length === 0, 'No triangles, nothing drawn');
+  assert(morpher.warpCache.get(morpher.images[0]).coords === null, 'Should remember that the warp failed');
+  morpher.dispose();
+});
+
+// Test 7: JSON
+await test('Saves the warp mode in JSON', () => {
+  const morpher = createMorpher({ warpMode: 'mls' });
+  const json = morpher.toJSON();
+  assert(json.warpMode === 'mls', 'Should export the warp mode');
+  assert(json.images[0].points.length === 9, 'Point data should be unchanged');
+
+  const restored = new Morpher({ canvasFactory, clock: new ManualClock(), ...json });
+  assert(restored.warpMode === 'mls', 'Should restore the warp mode');
+
+  const rejected = new Morpher({ canvasFactory, clock: new ManualClock(), warpMode: 'eval(1)' });
+  assert(rejected.warpMode === 'affine', 'Should ignore unknown modes');
+  assert(!('warpMode' in rejected.toJSON()), 'Default mode is not exported');
+
+  morpher.dispose();
+  restored.dispose();
+  rejected.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All warp tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
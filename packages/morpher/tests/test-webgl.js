@@ -0,0 +1,207 @@
+/**
+ * Test script for the WebGL renderer (uses a recording WebGL mock)
+ * Run with: node tests/test-webgl.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+import { WebGLRenderer } from '../src/webgl-renderer.js';
+
+console.log('🎮 Testing WebGL Renderer...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4).fill(100) }),
+      putImageData: (data) => this.calls.push(['putImageData', data])
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+// Records every WebGL call; constants resolve to their own names
+function createGLMock() {
+  const calls = [];
+  const results = {
+    getShaderParameter: true,
+    getProgramParameter: true,
+    getAttribLocation: 0,
+    getExtension: null
+  };
+  const gl = new Proxy({ calls }, {
+    get(target, name) {
+      if (name in target) return target[name];
+      if (typeof name === 'string' && name === name.toUpperCase()) return name;
+      return (...args) => {
+        calls.push([name, ...args]);
+        if (name in results) return results[name];
+        return { name };
+      };
+    }
+  });
+  return gl;
+}
+
+class GLCanvas extends FakeCanvas {
+  constructor(width, height, withGL) {
+    super(width, height);
+    this.gl = withGL ? createGLMock() : null;
+  }
+
+  getContext(type) {
+    return type === '2d' ? this.ctx : this.gl;
+  }
+}
+
+function createMorpher(withGL) {
+  const canvasFactory = (width, height) => new GLCanvas(width, height, withGL);
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), renderer: 'webgl' });
+  for (const points of [
+    [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }],
+    [{ x: 10, y: 10 }, { x: 90, y: 10 }, { x: 10, y: 90 }]
+  ]) {
+    const image = new Image({ points }, { canvasFactory });
+    image.setImage(new FakeCanvas(100, 100));
+    morpher.addImage(image);
+  }
+  morpher.addTriangle(0, 1, 2);
+  return morpher;
+}
+
+// Test 1: Selected at construction
+test('Uses WebGL renderer when available', () => {
+  const morpher = createMorpher(true);
+  assert(morpher.getRendererType() === 'webgl', 'Should select WebGL');
+  morpher.dispose();
+});
+
+// Test 2: Fallback
+test('Falls back to 2D canvas without WebGL', () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  const morpher = createMorpher(false);
+  console.warn = warn;
+  assert(morpher.getRendererType() === '2d', 'Should fall back to 2D');
+  morpher.clock.tick(16);
+  assert(morpher.tmpCanvas.calls.some(([method]) => method === 'clip'), '2D path should clip triangles');
+  morpher.dispose();
+});
+
+// Test 3: One draw call per weighted image, weight in shader uniform
+test('Draws each weighted image as textured triangles', () => {
+  const morpher = createMorpher(true);
+  morpher.set([0.25, 0.75]);
+  morpher.clock.tick(16);
+
+  const gl = morpher.webglRenderer.gl;
+  const draws = gl.calls.filter(([name]) => name === 'drawArrays');
+  const weights = gl.calls.filter(([name]) => name === 'uniform1f').map((call) => call[2]);
+  assert(draws.length === 2, `Should draw once per image, got ${draws.length}`);
+  assert(draws[0][3] === 3, 'Should draw one triangle');
+  assert(weights.join() === '0.75,0.25', 'Should pass weights to the shader');
+  assert(gl.calls.some(([name, a, b]) => name === 'blendFunc' && a === 'ONE' && b === 'ONE'), 'Should blend additively');
+  assert(!morpher.tmpCanvas.calls.some(([method]) => method === 'clip'), 'Should skip 2D triangle clipping');
+  assert(morpher.canvas.calls.some(([method]) => method === 'drawImage'), 'Should copy result to output canvas');
+  morpher.dispose();
+});
+
+// Test 4: Vertex data
+test('Maps mesh positions to source texture coordinates', () => {
+  const morpher = createMorpher(true);
+  morpher.set([0, 1]);
+  morpher.clock.tick(16);
+
+  const vertices = morpher.webglRenderer.buildVertices(morpher.images[1], morpher.mesh);
+  assert(vertices.length === 12, 'Should hold 3 vertices of (x, y, u, v)');
+  assert(vertices[0] === morpher.mesh.points[0].x && vertices[1] === morpher.mesh.points[0].y, 'Position from target mesh');
+  assert(vertices[2] === 10 && vertices[3] === 10, 'Texture coordinate from image mesh');
+  morpher.dispose();
+});
+
+// Test 5: Texture caching
+test('Uploads textures only when the source changes', () => {
+  const morpher = createMorpher(true);
+  morpher.set([0.5, 0.5]);
+  const gl = morpher.webglRenderer.gl;
+  const uploads = () => gl.calls.filter(([name]) => name === 'texImage2D').length;
+
+  morpher.clock.tick(16);
+  assert(uploads() === 2, 'Should upload each image once');
+  morpher.draw();
+  morpher.clock.tick(16);
+  assert(uploads() === 2, 'Should reuse cached textures');
+  morpher.images[0].refreshSource();
+  morpher.draw();
+  morpher.clock.tick(16);
+  assert(uploads() === 3, 'Should re-upload changed source');
+  morpher.dispose();
+});
+
+// Test 6: Custom blend functions keep the 2D path
+test('Custom blend function uses the 2D path', () => {
+  const morpher = createMorpher(true);
+  morpher.setBlendFunction('multiply');
+  morpher.clock.tick(16);
+  assert(!morpher.webglRenderer.gl.calls.some(([name]) => name === 'drawArrays'), 'Should not draw with WebGL');
+  morpher.dispose();
+});
+
+// Test 7: Support detection and cleanup
+test('Detects support and releases GPU resources', () => {
+  assert(WebGLRenderer.isSupported((w, h) => new GLCanvas(w, h, true)), 'Should detect WebGL');
+  assert(!WebGLRenderer.isSupported((w, h) => new GLCanvas(w, h, false)), 'Should detect missing WebGL');
+
+  const renderer = new WebGLRenderer((w, h) => new GLCanvas(w, h, true));
+  const gl = renderer.gl;
+  renderer.dispose();
+  assert(renderer.isDisposed(), 'Should be disposed');
+  assert(gl.calls.some(([name]) => name === 'deleteProgram'), 'Should delete program');
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All WebGL tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
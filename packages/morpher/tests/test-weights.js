@@ -0,0 +1,186 @@
+/**
+ * Test script for separate geometry and appearance weights
+ * Run with: node tests/test-weights.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+
+console.log('⚖️  Testing Geometry and Appearance Weights...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.calls = [];
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+      putImageData: () => {}
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = (...args) => this.calls.push([method, ...args]);
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+// 3x3 grid of points over a 200x200 image, two triangles per cell
+function createMorpher(params = {}, move = (p) => ({ ...p })) {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), ...params });
+  const points = [];
+  for (let y = 0; y <= 2; y++) {
+    for (let x = 0; x <= 2; x++) {
+      points.push({ x: x * 100, y: y * 100 });
+    }
+  }
+
+  for (const pointSet of [points, points.map(move)]) {
+    const image = new Image({ points: pointSet }, { canvasFactory });
+    image.setImage(new FakeCanvas(200, 200));
+    morpher.addImage(image);
+  }
+  for (let y = 0; y < 2; y++) {
+    for (let x = 0; x < 2; x++) {
+      const i = y * 3 + x;
+      morpher.addTriangle(i, i + 1, i + 3);
+      morpher.addTriangle(i + 1, i + 4, i + 3);
+    }
+  }
+  return morpher;
+}
+
+// Center point moved in the second image
+const moveCenter = (p) => (p.x === 100 && p.y === 100 ? { x: 140, y: 100 } : { ...p });
+
+// Test 1: set() and get()
+await test('Sets geometry and appearance weights separately', () => {
+  const morpher = createMorpher({}, moveCenter);
+  const events = [];
+  morpher.images[1].on('change:appearanceWeight', () => events.push('appearance'));
+
+  morpher.set([0.25, 0.75]);
+  assert(morpher.images[1].weight === 0.75 && morpher.images[1].appearanceWeight === 0.75, 'Arrays set both weights');
+  assert(Array.isArray(morpher.get()), 'Linked weights are returned as an array');
+
+  morpher.set({ geometry: [0, 1], appearance: [1, 0] });
+  assert(morpher.images[1].weight === 1 && morpher.images[1].appearanceWeight === 0, 'Objects set each weight');
+  const state = morpher.get();
+  assert(state.geometry.join() === '0,1' && state.appearance.join() === '1,0', 'Split weights are returned as an object');
+  assert(events.length === 2, `Should announce appearance changes, got ${events.length}`);
+
+  morpher.set({ geometry: [0.5, 0.5] });
+  assert(morpher.images[0].appearanceWeight === 0.5, 'A missing part copies the other');
+
+  morpher.images[0].setWeight(1);
+  assert(morpher.images[0].appearanceWeight === 1, 'Image.setWeight() sets both weights');
+  morpher.dispose();
+});
+
+// Test 2: Rendering
+await test('Moves the mesh by geometry and blends colors by appearance', () => {
+  const morpher = createMorpher({}, moveCenter);
+  const blends = [];
+  morpher.setBlendFunction((destination, source, weight) => blends.push(weight));
+
+  morpher.set({ geometry: [0, 1], appearance: [1, 0] });
+  morpher.drawNow();
+
+  assert(morpher.mesh.points[4].x === 140, `Mesh should follow the geometry weights, got ${morpher.mesh.points[4].x}`);
+  assert(blends.join() === '1,0', `Colors should follow the appearance weights, got ${blends}`);
+
+  const report = morpher.validate({ geometry: [0, 1], appearance: [1, 0] });
+  assert(report.mesh.length === 0, 'Validation should use the geometry weights');
+  morpher.dispose();
+});
+
+// Test 3: Animation
+await test('Animates geometry and appearance weights independently', () => {
+  const clock = new ManualClock();
+  const morpher = createMorpher({ clock }, moveCenter);
+
+  morpher.set([1, 0]);
+  morpher.animate({ geometry: [0, 1], appearance: [1, 0] }, 100);
+  clock.tick(50);
+  let state = morpher.get();
+  assert(state.geometry[1] === 0.5 && state.appearance[1] === 0, 'Only the geometry should move');
+
+  clock.tick(50);
+  state = morpher.get();
+  assert(state.geometry[1] === 1 && state.appearance[0] === 1, 'Should reach target weights');
+
+  morpher.animate([0, 1], 100);
+  clock.tick(50);
+  state = morpher.get();
+  assert(state.geometry[1] === 1 && state.appearance[1] === 0.5, 'Should animate from split weights');
+  morpher.dispose();
+});
+
+// Test 4: JSON
+await test('Saves weights in JSON', () => {
+  const morpher = createMorpher();
+  morpher.set({ geometry: [0, 1], appearance: [1, 0] });
+
+  const json = JSON.parse(JSON.stringify(morpher.toJSON()));
+  assert(json.weights.geometry.join() === '0,1', 'Should export split weights');
+
+  const restored = new Morpher({ canvasFactory, clock: new ManualClock(), ...json });
+  const state = restored.get();
+  assert(state.geometry.join() === '0,1' && state.appearance.join() === '1,0', 'Should restore split weights');
+
+  morpher.set([0.3, 0.7]);
+  assert(morpher.toJSON().weights.join() === '0.3,0.7', 'Should export linked weights as an array');
+
+  const defaults = new Morpher({ canvasFactory, clock: new ManualClock(), images: json.images });
+  assert(defaults.get().join() === '1,0', 'Should default to the first image');
+
+  assert(!('weights' in Morpher.sanitizeJSON({ weights: { geometry: [1], appearance: ['x'] } })), 'Should drop invalid weights');
+  assert(!('weights' in Morpher.sanitizeJSON({ weights: [NaN] })), 'Should drop non-finite weights');
+
+  morpher.dispose();
+  restored.dispose();
+  defaults.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All weight tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
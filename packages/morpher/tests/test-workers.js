@@ -0,0 +1,269 @@
+/**
+ * Test script for worker-backed mesh interpolation and blending
+ * Run with: node tests/test-workers.js
+ */
+
+import { Morpher } from '../src/morpher.js';
+import { Image } from '../src/image.js';
+import { ManualClock } from '../src/environment.js';
+import { WorkerManager } from '../src/worker-manager.js';
+
+console.log('🧵 Testing Worker Rendering...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Minimal object implementing the parts of the Canvas 2D API used by MorpherJS
+class FakeCanvas {
+  constructor(width = 0, height = 0) {
+    this.width = width;
+    this.height = height;
+    this.ctx = {
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4).fill(100) }),
+      putImageData: (imageData) => (this.putData = imageData)
+    };
+    for (const method of ['clearRect', 'save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'clip', 'drawImage', 'fillRect']) {
+      this.ctx[method] = () => {};
+    }
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+
+  convertToBlob({ type }) {
+    return Promise.resolve(new Blob([], { type }));
+  }
+}
+
+const canvasFactory = (width, height) => new FakeCanvas(width, height);
+
+function createMorpher(params = {}) {
+  const morpher = new Morpher({ canvasFactory, clock: new ManualClock(), ...params });
+  for (const points of [
+    [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 0, y: 20 }],
+    [{ x: 5, y: 5 }, { x: 15, y: 5 }, { x: 5, y: 15 }]
+  ]) {
+    const image = new Image({ points }, { canvasFactory });
+    image.setImage(new FakeCanvas(20, 20));
+    morpher.addImage(image);
+  }
+  morpher.addTriangle(0, 1, 2);
+  morpher.set([0.5, 0.5]);
+  return morpher;
+}
+
+// Replies to requests in reverse order to check responses are matched by id
+class FakeWorker {
+  static instances = [];
+
+  constructor(url) {
+    this.url = String(url);
+    this.listeners = [];
+    this.messages = [];
+    FakeWorker.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.push(listener);
+  }
+
+  postMessage(message, transfer = []) {
+    this.messages.push({ message, transfer });
+  }
+
+  replyAll(makeReply) {
+    for (const { message } of this.messages.reverse()) {
+      for (const listener of this.listeners) {
+        listener({ data: makeReply(message) });
+      }
+    }
+    this.messages = [];
+  }
+
+  terminate() {}
+}
+
+// Load a worker script against a fake worker global scope
+async function loadWorker(path) {
+  const scope = { posted: [] };
+  const self = {
+    addEventListener: (type, listener) => (scope.listener = listener),
+    postMessage: (message, transfer = []) => scope.posted.push({ message, transfer })
+  };
+  globalThis.self = self;
+  await import(path);
+  scope.send = (message) => {
+    globalThis.self = self;
+    scope.listener({ data: message });
+    delete globalThis.self;
+  };
+  delete globalThis.self;
+  return scope;
+}
+
+// Test 1: Worker mode matches main thread mesh
+await test('Interpolates the mesh through the worker manager', async () => {
+  const sync = createMorpher();
+  sync.clock.tick(16);
+
+  const morpher = createMorpher({ useWorkers: true });
+  let drawn = false;
+  morpher.on('draw', () => (drawn = true));
+  await morpher.drawWithWorkers();
+
+  assert(drawn, 'Should draw a frame');
+  for (let i = 0; i < 3; i++) {
+    assert(morpher.mesh.points[i].x === sync.mesh.points[i].x, `Point ${i} x should match main thread`);
+    assert(morpher.mesh.points[i].y === sync.mesh.points[i].y, `Point ${i} y should match main thread`);
+  }
+  sync.dispose();
+  morpher.dispose();
+});
+
+// Test 2: Software blends run through the worker manager
+await test('Runs software blends through the worker manager', async () => {
+  const morpher = createMorpher({ useWorkers: true, blendFunction: 'software' });
+  const modes = [];
+  const softwareBlend = morpher.workerManager.softwareBlend.bind(morpher.workerManager);
+  morpher.workerManager.softwareBlend = (destination, source, weight, mode) => {
+    modes.push(mode);
+    return softwareBlend(destination, source, weight, mode);
+  };
+
+  await morpher.drawWithWorkers();
+  delete morpher.workerManager.softwareBlend;
+
+  assert(modes.join() === 'additive,additive', 'Should blend each image in the worker');
+  // Fake getImageData returns 100 everywhere: 100 + 100 * 0.5 + 100 * 0.5
+  assert(morpher.canvas.putData.data[0] === 200, 'Should put blended pixels on the canvas');
+  morpher.dispose();
+});
+
+// Test 3: Stale frames are dropped
+await test('Drops frames superseded by a newer frame', async () => {
+  const morpher = createMorpher({ useWorkers: true });
+  let draws = 0;
+  morpher.on('draw', () => draws++);
+
+  const first = morpher.drawWithWorkers();
+  const second = morpher.drawWithWorkers();
+  await Promise.all([first, second]);
+
+  assert(draws === 1, `Only the newest frame should draw, got ${draws}`);
+  morpher.dispose();
+});
+
+// Test 4: Export stays synchronous
+await test('Exports frames with workers enabled', async () => {
+  const morpher = createMorpher({ useWorkers: true });
+  const frames = await morpher.exportFrames([0, 1], { duration: 100, fps: 10 });
+  assert(frames.length === 2, 'Should export all frames');
+  assert(morpher.useWorkers, 'Should restore worker mode');
+  morpher.dispose();
+});
+
+// Test 5: Responses matched by id, buffers transferred
+await test('Matches worker responses to requests by id', async () => {
+  globalThis.Worker = FakeWorker;
+  const manager = new WorkerManager();
+  delete globalThis.Worker;
+
+  const meshWorker = FakeWorker.instances.find((worker) => worker.url.includes('mesh-worker'));
+  const points = new Float64Array([1, 2]);
+  const a = manager.updateMesh({ pointCount: 1, images: [{ x: 0, y: 0, weight: 1, points }], canvasWidth: 0, canvasHeight: 0 });
+  const b = manager.updateMesh({ pointCount: 1, images: [], canvasWidth: 0, canvasHeight: 0 });
+
+  assert(meshWorker.messages[0].transfer[0] === points.buffer, 'Should transfer point buffers');
+  meshWorker.replyAll((message) => ({ type: 'meshUpdated', id: message.id, data: { points: message.id } }));
+
+  const [resultA, resultB] = await Promise.all([a, b]);
+  assert(resultA < resultB, 'Each request should receive its own response');
+  assert(manager.pending.size === 0, 'Should clear pending requests');
+  manager.dispose();
+});
+
+// Test 6: Mesh worker protocol
+await test('Mesh worker echoes id and transfers result', async () => {
+  const worker = await loadWorker('../src/workers/mesh-worker.js');
+  worker.send({
+    type: 'updateMesh',
+    id: 7,
+    data: {
+      pointCount: 1,
+      images: [{ x: 10, y: 0, weight: 1, points: new Float64Array([5, 5]) }],
+      canvasWidth: 100,
+      canvasHeight: 100
+    }
+  });
+
+  const { message, transfer } = worker.posted[0];
+  assert(message.type === 'meshUpdated' && message.id === 7, 'Should echo request id');
+  assert(message.data.points[0] === 15 && message.data.points[1] === 5, 'Should offset by image position');
+  assert(transfer[0] === message.data.points.buffer, 'Should transfer result buffer');
+});
+
+// Test 7: Blend worker protocol
+await test('Blend worker answers with the request id', async () => {
+  const worker = await loadWorker('../src/workers/blend-worker.js');
+  const destination = { width: 1, height: 1, data: new Uint8ClampedArray([255, 100, 0, 255]) };
+  const source = { width: 1, height: 1, data: new Uint8ClampedArray([200, 255, 50, 255]) };
+  worker.send({ type: 'multiplyBlend', id: 3, data: { destination, source, weight: 1 } });
+
+  const { message } = worker.posted[0];
+  assert(message.id === 3, 'Should echo request id');
+  assert(Array.from(message.data.result.data).join() === '200,100,0,255', 'Should multiply the colors');
+
+  const transparent = { width: 1, height: 1, data: new Uint8ClampedArray([0, 0, 0, 0]) };
+  const color = { width: 1, height: 1, data: new Uint8ClampedArray([200, 100, 50, 255]) };
+  worker.send({ type: 'multiplyBlend', id: 4, data: { destination: transparent, source: color, weight: 1 } });
+  const result = worker.posted[1].message.data.result;
+  assert(Array.from(result.data).join() === '200,100,50,255', 'Should show the source over transparent pixels');
+});
+
+// Test 8: Main-thread multiply fallback
+await test('Multiplies like the canvas composite without workers', async () => {
+  const manager = new WorkerManager();
+  const source = { data: new Uint8ClampedArray([200, 100, 50, 255]) };
+
+  const transparent = manager.softwareBlendSync({ data: new Uint8ClampedArray([0, 0, 0, 0]) }, source, 1, 'multiply');
+  assert(Array.from(transparent.data).join() === '200,100,50,255', 'Should show the source over transparent pixels');
+
+  const opaque = manager.softwareBlendSync({ data: new Uint8ClampedArray([255, 100, 0, 255]) }, source, 1, 'multiply');
+  assert(Array.from(opaque.data).join() === '200,39,0,255', 'Should multiply onto opaque pixels');
+  manager.dispose();
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}/${testsPassed + testsFailed}`);
+console.log(`Tests failed: ${testsFailed}/${testsPassed + testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n✅ All worker tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}